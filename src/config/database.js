@@ -59,10 +59,31 @@ function getTenantConnection(tenantId) {
   return tenantDb;
 }
 
+/**
+ * Run a unit of work inside a MongoDB transaction
+ * Every write in fn must pass the session it receives. The transaction is
+ * committed when fn resolves and rolled back if it throws; transient errors
+ * are retried by the driver. Requires MongoDB running as a replica set.
+ */
+async function withTransaction(fn) {
+  const session = await mongoose.startSession();
+  
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
 module.exports = {
   connectDatabase,
   disconnectDatabase,
   getTenantConnection,
+  withTransaction,
   mongoose,
 };
 
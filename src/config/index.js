@@ -8,6 +8,8 @@ module.exports = {
   jwt: {
     accessSecret: process.env.JWT_SECRET || 'default-access-secret',
     refreshSecret: process.env.JWT_REFRESH_SECRET || 'default-refresh-secret',
+    // Discount approval tokens; kept apart so they cannot be used to log in
+    approvalSecret: process.env.JWT_APPROVAL_SECRET || 'default-approval-secret',
     accessExpiry: process.env.JWT_ACCESS_EXPIRY || '15m',
     refreshExpiry: process.env.JWT_REFRESH_EXPIRY || '7d',
   },
@@ -28,6 +30,19 @@ module.exports = {
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100,
   },
 
+  // Sales
+  sales: {
+    // How long a parked sale keeps its stock reserved
+    holdExpiryMinutes: parseInt(process.env.SALE_HOLD_EXPIRY_MINUTES, 10) || 240,
+    // Default validity of a quotation
+    quoteValidityDays: parseInt(process.env.QUOTE_VALIDITY_DAYS, 10) || 7,
+  },
+
+  // Idempotency-Key support
+  idempotency: {
+    ttlHours: parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24,
+  },
+
   // CORS
   cors: {
     origin: process.env.CORS_ORIGIN || '*',
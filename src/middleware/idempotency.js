@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const config = require('../config');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { asyncHandler } = require('./errorHandler');
+
+/**
+ * Stable JSON serialisation (sorted keys) so equivalent bodies hash the same
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Idempotency-Key support for mutating endpoints
+ *
+ * The first response for a tenant + key is stored and replayed on retries.
+ * A retry with the same key but a different request is rejected, as is one
+ * that arrives while the original is still being processed. Server errors
+ * (5xx) are not stored so the client can retry them.
+ *
+ * Must run after authenticate/requireTenantAccess (needs req.tenantId).
+ * Wrapped in asyncHandler so a failed lookup reaches the error handler.
+ */
+const idempotency = asyncHandler(async (req, res, next) => {
+  const key = req.headers['idempotency-key'];
+  
+  if (!key) {
+    return next();
+  }
+  
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      error: 'Idempotency-Key must be at most 255 characters',
+      code: 'INVALID_IDEMPOTENCY_KEY',
+    });
+  }
+  
+  const tenantId = req.tenantId || req.user?.tenantId;
+  const path = req.baseUrl + req.path;
+  const requestHash = crypto
+    .createHash('sha256')
+    .update(`${req.method} ${path} ${stableStringify(req.body || {})}`)
+    .digest('hex');
+  
+  try {
+    await IdempotencyKey.create({
+      tenantId,
+      key,
+      method: req.method,
+      path,
+      requestHash,
+      status: 'processing',
+      userId: req.user?.userId,
+      expiresAt: new Date(Date.now() + config.idempotency.ttlHours * 60 * 60 * 1000),
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      return next(error);
+    }
+    
+    const existing = await IdempotencyKey.findOne({ tenantId, key });
+    
+    // Expired between insert attempt and lookup - treat as a fresh request
+    if (!existing) {
+      return idempotency(req, res, next);
+    }
+    
+    if (existing.requestHash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        error: 'Idempotency-Key was already used with a different request',
+        code: 'IDEMPOTENCY_KEY_MISMATCH',
+      });
+    }
+    
+    if (existing.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        error: 'A request with this Idempotency-Key is still being processed',
+        code: 'IDEMPOTENCY_IN_PROGRESS',
+      });
+    }
+    
+    res.setHeader('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+  
+  // Store the response as soon as the handler produces it. Waiting for
+  // 'finish' would leave the key 'processing' until it expires whenever the
+  // client drops the connection first, and every retry would get a 409.
+  let settled = false;
+  const settle = (body) => {
+    if (settled) return;
+    settled = true;
+    
+    if (body !== undefined && res.statusCode < 500) {
+      IdempotencyKey.updateOne(
+        { tenantId, key },
+        { status: 'completed', responseStatus: res.statusCode, responseBody: body }
+      ).catch(err => console.error('Failed to store idempotent response:', err));
+    } else {
+      IdempotencyKey.deleteOne({ tenantId, key })
+        .catch(err => console.error('Failed to release idempotency key:', err));
+    }
+  };
+  
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    settle(body);
+    return originalJson(body);
+  };
+  
+  // Responses sent some other way are not replayable
+  res.on('finish', () => settle());
+  
+  next();
+});
+
+module.exports = {
+  idempotency,
+};
@@ -14,6 +14,7 @@ const {
   asyncHandler 
 } = require('./errorHandler');
 const { rateLimiter, authRateLimiter, userRateLimiter } = require('./rateLimiter');
+const { idempotency } = require('./idempotency');
 
 module.exports = {
   // Authentication
@@ -38,5 +39,8 @@ module.exports = {
   rateLimiter,
   authRateLimiter,
   userRateLimiter,
+  
+  // Idempotency
+  idempotency,
 };
 
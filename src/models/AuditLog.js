@@ -64,6 +64,65 @@ const auditLogSchema = new mongoose.Schema({
       'SALE_UPDATE',
       'SALE_CANCEL',
       'SALE_REFUND',
+      'SALE_PAYMENT',
+      'SALE_PARK',
+      'SALE_RESUME',
+      'SALE_DISCARD',
+      'SALE_INVOICE_PRINT',
+      'SALE_DISCOUNT_OVERRIDE',
+      
+      // Register sessions
+      'REGISTER_OPEN',
+      'REGISTER_CASH_MOVEMENT',
+      'REGISTER_CLOSE',
+      
+      // Quotations
+      'QUOTE_CREATE',
+      'QUOTE_CONVERT',
+      'QUOTE_CANCEL',
+      
+      // Promotions
+      'PROMOTION_CREATE',
+      'PROMOTION_UPDATE',
+      'PROMOTION_DELETE',
+      
+      // Coupons
+      'COUPON_CREATE',
+      'COUPON_UPDATE',
+      'COUPON_DELETE',
+      
+      // Price lists
+      'PRICE_LIST_CREATE',
+      'PRICE_LIST_UPDATE',
+      'PRICE_LIST_DELETE',
+      
+      // Gift cards
+      'GIFT_CARD_ISSUE',
+      'GIFT_CARD_VOID',
+      
+      // Warranty claims
+      'WARRANTY_CLAIM_CREATE',
+      'WARRANTY_CLAIM_UPDATE',
+      
+      // Service tickets
+      'SERVICE_TICKET_CREATE',
+      'SERVICE_TICKET_UPDATE',
+      'SERVICE_TICKET_CHECKOUT',
+      
+      // Installment plans
+      'INSTALLMENT_PAYMENT',
+      
+      // Trade-ins
+      'TRADE_IN_CREATE',
+      'TRADE_IN_UPDATE',
+      
+      // Customers
+      'CUSTOMER_CREATE',
+      'CUSTOMER_UPDATE',
+      'CUSTOMER_DELETE',
+      'CUSTOMER_GROUP_CREATE',
+      'CUSTOMER_GROUP_UPDATE',
+      'LOYALTY_ADJUST',
       
       // System
       'SETTINGS_UPDATE',
@@ -76,7 +135,7 @@ const auditLogSchema = new mongoose.Schema({
   resource: {
     type: {
       type: String,
-      enum: ['tenant', 'user', 'staff', 'product', 'sale', 'settings', 'system'],
+      enum: ['tenant', 'user', 'staff', 'product', 'sale', 'quotation', 'customer', 'customer_group', 'price_list', 'promotion', 'coupon', 'gift_card', 'register', 'warranty_claim', 'service_ticket', 'installment_plan', 'trade_in', 'settings', 'system'],
     },
     id: String,
     name: String,
@@ -121,17 +180,20 @@ auditLogSchema.statics.generateLogId = async function() {
 };
 
 // Static method to create audit log entry
-auditLogSchema.statics.log = async function(data) {
+// Pass { session } to write the entry as part of a transaction; in that case
+// a failure is rethrown so the whole transaction rolls back.
+auditLogSchema.statics.log = async function(data, options = {}) {
   try {
     const log = new this({
       logId: await this.generateLogId(),
       ...data,
       createdAt: new Date(),
     });
-    await log.save();
+    await log.save({ session: options.session });
     return log;
   } catch (error) {
     console.error('Failed to create audit log:', error);
+    if (options.session) throw error;
     // Don't throw - audit logging should not break main operations
   }
 };
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * Atomic per-tenant sequences (invoice numbers, etc.)
+ * One document per tenant, sequence name, scope and period.
+ */
+const counterSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  // Optional sub-sequence, e.g. a register/terminal
+  scope: {
+    type: String,
+    default: '',
+  },
+  // Reset period key, e.g. '20260131' (daily), '202601' (monthly), 'all' (never)
+  period: {
+    type: String,
+    default: 'all',
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+counterSchema.index({ tenantId: 1, name: 1, scope: 1, period: 1 }, { unique: true });
+
+// Atomically increment and return the next value of a sequence
+// seed() is awaited when the sequence does not exist yet and gives the value
+// to continue from, e.g. the highest number already issued
+counterSchema.statics.next = async function(tenantId, name, { scope = '', period = 'all', session = null, seed = null } = {}) {
+  if (seed && !(await this.exists({ tenantId, name, scope, period }).session(session))) {
+    await this.updateOne(
+      { tenantId, name, scope, period },
+      { $setOnInsert: { seq: await seed() } },
+      { upsert: true, session }
+    );
+  }
+  
+  const counter = await this.findOneAndUpdate(
+    { tenantId, name, scope, period },
+    { $inc: { seq: 1 }, $set: { updatedAt: new Date() } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema, 'counters');
+
+module.exports = Counter;
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  couponId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  // Stored upper-case; codes are matched case-insensitively
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+  },
+  description: String,
+  discountType: {
+    type: String,
+    enum: ['percent', 'fixed'],
+    required: true,
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Cap for percent coupons
+  maxDiscount: Number,
+  minSpend: {
+    type: Number,
+    default: 0,
+  },
+  // Total redemptions allowed across all customers (unset = unlimited)
+  usageLimit: Number,
+  // Redemptions allowed per customer (unset = unlimited)
+  perCustomerLimit: Number,
+  usedCount: {
+    type: Number,
+    default: 0,
+  },
+  startsAt: Date,
+  endsAt: Date,
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active',
+  },
+  createdBy: String,
+  updatedBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+couponSchema.index({ tenantId: 1, code: 1 }, { unique: true });
+
+// Update timestamp on save
+couponSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Generate unique coupon ID
+couponSchema.statics.generateCouponId = async function() {
+  return `cpn_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 9)}`;
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema, 'coupons');
+
+module.exports = Coupon;
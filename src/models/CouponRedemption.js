@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const couponRedemptionSchema = new mongoose.Schema({
+  redemptionId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  couponId: {
+    type: String,
+    required: true,
+  },
+  code: String,
+  saleId: {
+    type: String,
+    required: true,
+  },
+  invoiceNumber: String,
+  customerId: String,
+  discount: {
+    type: Number,
+    required: true,
+  },
+  // Reversed when the sale is cancelled; the use is given back to the coupon
+  status: {
+    type: String,
+    enum: ['redeemed', 'reversed'],
+    default: 'redeemed',
+  },
+  staffId: String,
+  reversedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+couponRedemptionSchema.index({ tenantId: 1, couponId: 1, customerId: 1, status: 1 });
+couponRedemptionSchema.index({ tenantId: 1, saleId: 1 });
+
+// Generate unique redemption ID
+couponRedemptionSchema.statics.generateRedemptionId = async function() {
+  return `red_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 9)}`;
+};
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema, 'coupon_redemptions');
+
+module.exports = CouponRedemption;
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const customerSchema = new mongoose.Schema({
+  customerId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  phone: {
+    type: String,
+    trim: true,
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  address: String,
+  // Pricing: the customer's own price list wins over their group's
+  groupId: String,
+  priceListId: String,
+  // Credit account
+  creditLimit: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  paymentTermsDays: {
+    type: Number,
+    default: 30,
+    min: 0,
+  },
+  // Outstanding amount owed by the customer
+  balance: {
+    type: Number,
+    default: 0,
+  },
+  // Loyalty points; only moves through the loyalty ledger
+  loyaltyPoints: {
+    type: Number,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active',
+  },
+  notes: String,
+  createdBy: {
+    type: String,
+  },
+  updatedBy: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+customerSchema.index({ tenantId: 1, phone: 1 });
+customerSchema.index({ tenantId: 1, name: 1 });
+customerSchema.index({ tenantId: 1, balance: -1 });
+customerSchema.index({ tenantId: 1, groupId: 1 });
+
+// Update timestamp on save
+customerSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Credit still available to the customer
+customerSchema.virtual('availableCredit').get(function() {
+  return Math.max(0, this.creditLimit - this.balance);
+});
+
+// Generate unique customer ID
+customerSchema.statics.generateCustomerId = async function() {
+  return `cust_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 9)}`;
+};
+
+// Ensure virtuals are included in JSON output
+customerSchema.set('toJSON', { virtuals: true });
+customerSchema.set('toObject', { virtuals: true });
+
+const Customer = mongoose.model('Customer', customerSchema, 'customers');
+
+module.exports = Customer;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * Customer groups - e.g. resellers, VIPs - sharing a price list
+ */
+const customerGroupSchema = new mongoose.Schema({
+  groupId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: String,
+  // Price list for members without one of their own
+  priceListId: String,
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active',
+  },
+  createdBy: String,
+  updatedBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+customerGroupSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+
+// Update timestamp on save
+customerGroupSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Generate unique customer group ID
+customerGroupSchema.statics.generateGroupId = async function() {
+  return `cgrp_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 9)}`;
+};
+
+const CustomerGroup = mongoose.model('CustomerGroup', customerGroupSchema, 'customer_groups');
+
+module.exports = CustomerGroup;
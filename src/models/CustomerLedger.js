@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * Customer ledger - one entry per change to a customer's receivable balance.
+ * Debits increase what the customer owes, credits reduce it.
+ */
+const customerLedgerSchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  customerId: {
+    type: String,
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['credit_sale', 'payment', 'refund', 'cancellation', 'adjustment'],
+    required: true,
+  },
+  direction: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  balanceAfter: {
+    type: Number,
+    required: true,
+  },
+  saleId: String,
+  invoiceNumber: String,
+  paymentMethod: String,
+  reference: String,
+  notes: String,
+  staffId: String,
+  staffName: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+customerLedgerSchema.index({ tenantId: 1, customerId: 1, createdAt: -1 });
+customerLedgerSchema.index({ tenantId: 1, saleId: 1 });
+
+// Generate unique ledger entry ID
+customerLedgerSchema.statics.generateEntryId = async function() {
+  return `cle_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 9)}`;
+};
+
+const CustomerLedger = mongoose.model('CustomerLedger', customerLedgerSchema, 'customer_ledger');
+
+module.exports = CustomerLedger;
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// No 0/O or 1/I so codes survive being read out or typed at the till
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Gift cards and store credit - prepaid balances spent as a tender.
+ * Store credit is issued for refunds instead of cash; gift cards are sold.
+ */
+const giftCardSchema = new mongoose.Schema({
+  giftCardId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  // Stored upper-case; codes are matched case-insensitively
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+  },
+  kind: {
+    type: String,
+    enum: ['gift_card', 'store_credit'],
+    required: true,
+  },
+  initialBalance: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Only moves through the gift card ledger
+  balance: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Owner, for store credit issued against a customer's refund
+  customerId: String,
+  expiresAt: Date,
+  status: {
+    type: String,
+    enum: ['active', 'inactive', 'void'],
+    default: 'active',
+  },
+  // Sale the card was sold on, or the sale refunded into store credit
+  saleId: String,
+  notes: String,
+  createdBy: String,
+  updatedBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+giftCardSchema.index({ tenantId: 1, code: 1 }, { unique: true });
+giftCardSchema.index({ tenantId: 1, customerId: 1 });
+giftCardSchema.index({ tenantId: 1, saleId: 1 });
+
+// Update timestamp on save
+giftCardSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Generate unique gift card ID
+giftCardSchema.statics.generateGiftCardId = async function() {
+  return `gc_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 9)}`;
+};
+
+// Generate a random redemption code, e.g. 'K7QM-3XWP-9HTD-A2RF'
+giftCardSchema.statics.generateCode = function() {
+  const bytes = crypto.randomBytes(16);
+  const chars = Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+  return chars.match(/.{4}/g).join('-');
+};
+
+const GiftCard = mongoose.model('GiftCard', giftCardSchema, 'gift_cards');
+
+module.exports = GiftCard;
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * Gift card ledger - one entry per change to a gift card or store credit
+ * balance. Credits add to the balance, debits spend it.
+ */
+const giftCardLedgerSchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  giftCardId: {
+    type: String,
+    required: true,
+  },
+  code: String,
+  type: {
+    type: String,
+    enum: ['issue', 'redeem', 'redeem_reversal', 'refund_credit', 'void', 'adjustment'],
+    required: true,
+  },
+  direction: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  balanceAfter: {
+    type: Number,
+    required: true,
+  },
+  saleId: String,
+  invoiceNumber: String,
+  notes: String,
+  staffId: String,
+  staffName: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+giftCardLedgerSchema.index({ tenantId: 1, giftCardId: 1, createdAt: -1 });
+giftCardLedgerSchema.index({ tenantId: 1, saleId: 1 });
+
+// Generate unique ledger entry ID
+giftCardLedgerSchema.statics.generateEntryId = async function() {
+  return `gce_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 9)}`;
+};
+
+const GiftCardLedger = mongoose.model('GiftCardLedger', giftCardLedgerSchema, 'gift_card_ledger');
+
+module.exports = GiftCardLedger;
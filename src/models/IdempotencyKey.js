@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * Stored responses for requests sent with an Idempotency-Key header.
+ * Entries are removed automatically once expiresAt passes.
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true,
+  },
+  key: {
+    type: String,
+    required: true,
+  },
+  method: String,
+  path: String,
+  // Hash of method, path and body - a retry must match it exactly
+  requestHash: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing',
+  },
+  userId: String,
+  responseStatus: Number,
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Indexes
+idempotencyKeySchema.index({ tenantId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema, 'idempotency_keys');
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const INSTALLMENT_FREQUENCIES = ['weekly', 'monthly'];
+
+const installmentSchema = new mongoose.Schema({
+  // 1-based position in the schedule
+  number: {
+    type: Number,
+    required: true,
+  },
+  dueDate: {
+    type: Date,
+    required: true,
+  },
+  // Amount due, split into the financed price and the finance charge
+  amount: {
+    type: Number,
+    required: true,
+  },
+  principal: {
+    type: Number,
+    default: 0,
+  },
+  charge: {
+    type: Number,
+    default: 0,
+  },
+  paidAmount: {
+    type: Number,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'partial', 'paid'],
+    default: 'pending',
+  },
+  paidAt: Date,
+}, { _id: false });
+
+const planPaymentSchema = new mongoose.Schema({
+  method: String,
+  amount: Number,
+  // Share of the payment that went to the financed price
+  principal: Number,
+  reference: String,
+  notes: String,
+  // Register session a cash payment went into
+  registerSessionId: String,
+  staffId: String,
+  staffName: String,
+  paidAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+/**
+ * An installment (hire purchase) plan financing the part of a sale not paid
+ * up front, with its repayment schedule
+ */
+const installmentPlanSchema = new mongoose.Schema({
+  planId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  // Sequential per tenant, e.g. INS-000042
+  planNumber: {
+    type: String,
+    required: true,
+  },
+  saleId: {
+    type: String,
+    required: true,
+  },
+  invoiceNumber: String,
+  customer: {
+    customerId: {
+      type: String,
+      required: true,
+    },
+    name: String,
+    phone: String,
+  },
+  // Sale total and what was paid on the day
+  saleTotal: Number,
+  downPayment: {
+    type: Number,
+    default: 0,
+  },
+  // Part of the sale being financed
+  principal: {
+    type: Number,
+    required: true,
+  },
+  // Flat interest on the principal for the whole plan, as a percentage
+  interestRate: {
+    type: Number,
+    default: 0,
+  },
+  interestAmount: {
+    type: Number,
+    default: 0,
+  },
+  fee: {
+    type: Number,
+    default: 0,
+  },
+  // principal + interestAmount + fee
+  totalPayable: {
+    type: Number,
+    required: true,
+  },
+  numberOfInstallments: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  frequency: {
+    type: String,
+    enum: INSTALLMENT_FREQUENCIES,
+    default: 'monthly',
+  },
+  schedule: [installmentSchema],
+  payments: [planPaymentSchema],
+  amountPaid: {
+    type: Number,
+    default: 0,
+  },
+  balance: {
+    type: Number,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed'],
+    default: 'active',
+  },
+  completedAt: Date,
+  createdBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+installmentPlanSchema.index({ tenantId: 1, planNumber: 1 }, { unique: true });
+installmentPlanSchema.index({ tenantId: 1, saleId: 1 });
+installmentPlanSchema.index({ tenantId: 1, 'customer.customerId': 1, status: 1 });
+installmentPlanSchema.index({ tenantId: 1, 'customer.phone': 1 });
+installmentPlanSchema.index({ tenantId: 1, 'payments.registerSessionId': 1 });
+installmentPlanSchema.index({ tenantId: 1, status: 1, 'schedule.dueDate': 1 });
+
+// Update timestamp on save
+installmentPlanSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Installment due next, if any
+installmentPlanSchema.virtual('nextInstallment').get(function() {
+  return (this.schedule || []).find(installment => installment.status !== 'paid') || null;
+});
+
+// Generate unique plan ID
+installmentPlanSchema.statics.generatePlanId = async function() {
+  return `ins_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 9)}`;
+};
+
+// Take the next plan number from the tenant's sequence
+installmentPlanSchema.statics.generatePlanNumber = async function(tenantId, session = null) {
+  const seq = await Counter.next(tenantId, 'installment_plan', { session });
+  return `INS-${String(seq).padStart(6, '0')}`;
+};
+
+installmentPlanSchema.statics.INSTALLMENT_FREQUENCIES = INSTALLMENT_FREQUENCIES;
+
+// Ensure virtuals are included in JSON output
+installmentPlanSchema.set('toJSON', { virtuals: true });
+installmentPlanSchema.set('toObject', { virtuals: true });
+
+const InstallmentPlan = mongoose.model('InstallmentPlan', installmentPlanSchema, 'installment_plans');
+
+module.exports = InstallmentPlan;
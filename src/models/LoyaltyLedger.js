@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * Loyalty ledger - one entry per change to a customer's points balance.
+ * Points are positive when added to the balance and negative when taken off.
+ */
+const loyaltyLedgerSchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  customerId: {
+    type: String,
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['earn', 'redeem', 'earn_reversal', 'redeem_reversal', 'adjustment'],
+    required: true,
+  },
+  points: {
+    type: Number,
+    required: true,
+  },
+  balanceAfter: {
+    type: Number,
+    required: true,
+  },
+  // Currency value of redeemed points
+  amount: Number,
+  saleId: String,
+  invoiceNumber: String,
+  notes: String,
+  staffId: String,
+  staffName: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+loyaltyLedgerSchema.index({ tenantId: 1, customerId: 1, createdAt: -1 });
+loyaltyLedgerSchema.index({ tenantId: 1, saleId: 1 });
+
+// Generate unique ledger entry ID
+loyaltyLedgerSchema.statics.generateEntryId = async function() {
+  return `lpe_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 9)}`;
+};
+
+const LoyaltyLedger = mongoose.model('LoyaltyLedger', loyaltyLedgerSchema, 'loyalty_ledger');
+
+module.exports = LoyaltyLedger;
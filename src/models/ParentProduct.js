@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Fields a parent shares with all of its variants
+const SHARED_FIELDS = ['brand', 'description', 'images', 'category'];
+
+/**
+ * A product model (e.g. a phone) whose variants - one Product per color and
+ * capacity - share its brand, description, images and category. Variants
+ * keep their own SKU, price, barcode and stock.
+ */
+const parentProductSchema = new mongoose.Schema({
+  parentId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  brand: {
+    type: String,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  category: {
+    type: String,
+    default: 'Uncategorized',
+  },
+  images: [{
+    url: String,
+    isPrimary: Boolean,
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'inactive', 'discontinued'],
+    default: 'active',
+  },
+  createdBy: {
+    type: String,
+  },
+  updatedBy: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+parentProductSchema.index({ tenantId: 1, name: 1 });
+parentProductSchema.index({ tenantId: 1, category: 1 });
+
+// Update timestamp on save
+parentProductSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Generate unique parent product ID
+parentProductSchema.statics.generateParentId = async function() {
+  return `pp_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 9)}`;
+};
+
+parentProductSchema.statics.SHARED_FIELDS = SHARED_FIELDS;
+
+const ParentProduct = mongoose.model('ParentProduct', parentProductSchema, 'parent_products');
+
+module.exports = ParentProduct;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * Price lists - alternative prices (wholesale, VIP, ...) for customers.
+ * A product's own entry in `prices` wins; other products get `percentOff`
+ * taken off their retail price.
+ */
+const priceListSchema = new mongoose.Schema({
+  priceListId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: String,
+  percentOff: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100,
+  },
+  prices: [{
+    _id: false,
+    productId: {
+      type: String,
+      required: true,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active',
+  },
+  createdBy: String,
+  updatedBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+priceListSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+
+// Update timestamp on save
+priceListSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Generate unique price list ID
+priceListSchema.statics.generatePriceListId = async function() {
+  return `pl_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 9)}`;
+};
+
+const PriceList = mongoose.model('PriceList', priceListSchema, 'price_lists');
+
+module.exports = PriceList;
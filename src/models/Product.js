@@ -17,6 +17,17 @@ const productSchema = new mongoose.Schema({
     required: true,
     trim: true,
   },
+  // Scanned code printed on the box, if different from the SKU
+  barcode: {
+    type: String,
+    trim: true,
+    // Blank barcodes are left unset so they stay out of the unique index
+    set: value => value || undefined,
+  },
+  // Parent product this is a variant of; shared fields are copied from it
+  parentId: {
+    type: String,
+  },
   name: {
     type: String,
     required: true,
@@ -43,6 +54,11 @@ const productSchema = new mongoose.Schema({
     type: String,
     default: 'Uncategorized',
   },
+  // Code of one of the tenant's tax classes; unset uses the tenant tax rate
+  taxClass: {
+    type: String,
+    trim: true,
+  },
   brand: {
     type: String,
   },
@@ -67,6 +83,12 @@ const productSchema = new mongoose.Schema({
     default: 0,
     min: 0,
   },
+  // Units soft-reserved by parked sales
+  reservedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
   lowStockThreshold: {
     type: Number,
     default: 10,
@@ -75,6 +97,22 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Warranty cover in months; unset uses the tenant's term for the category
+  warrantyMonths: {
+    type: Number,
+    min: 0,
+  },
+  // Every unit has its own IMEI/serial; stock is received as serials and
+  // each sale line must name the units sold
+  isSerialized: {
+    type: Boolean,
+    default: false,
+  },
+  // Selling a unit issues a gift card worth the unit price
+  isGiftCard: {
+    type: Boolean,
+    default: false,
+  },
   // Additional metadata
   metadata: {
     type: mongoose.Schema.Types.Mixed,
@@ -109,6 +147,11 @@ const productSchema = new mongoose.Schema({
 
 // Indexes
 productSchema.index({ tenantId: 1, sku: 1 }, { unique: true });
+productSchema.index(
+  { tenantId: 1, barcode: 1 },
+  { unique: true, partialFilterExpression: { barcode: { $type: 'string' } } }
+);
+productSchema.index({ tenantId: 1, parentId: 1 });
 productSchema.index({ tenantId: 1, name: 'text', description: 'text' });
 productSchema.index({ tenantId: 1, category: 1 });
 productSchema.index({ tenantId: 1, status: 1 });
@@ -124,6 +167,11 @@ productSchema.virtual('isLowStock').get(function() {
   return this.trackInventory && this.stockQuantity <= this.lowStockThreshold;
 });
 
+// Virtual for stock not held by parked sales
+productSchema.virtual('availableQuantity').get(function() {
+  return this.stockQuantity - (this.reservedQuantity || 0);
+});
+
 // Generate unique product ID
 productSchema.statics.generateProductId = async function() {
   return `prod_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 9)}`;
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+const PROMOTION_TYPES = ['buy_x_get_y', 'bundle', 'quantity_tier', 'category_percent'];
+
+const promotionSchema = new mongoose.Schema({
+  promotionId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: String,
+  type: {
+    type: String,
+    enum: PROMOTION_TYPES,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active',
+  },
+  // Higher priority promotions are applied first; a unit is only ever
+  // discounted by one promotion
+  priority: {
+    type: Number,
+    default: 0,
+  },
+  // Products the promotion applies to (buy_x_get_y, quantity_tier,
+  // category_percent); matched by product ID or category
+  appliesTo: {
+    productIds: [String],
+    categories: [String],
+  },
+  // buy_x_get_y: buy `buyQuantity`, get `getQuantity` of the cheapest
+  // qualifying units at `getDiscountPercent` off
+  buyQuantity: Number,
+  getQuantity: Number,
+  getDiscountPercent: {
+    type: Number,
+    default: 100,
+    min: 0,
+    max: 100,
+  },
+  // bundle: the listed items together for `bundlePrice`
+  bundleItems: [{
+    _id: false,
+    productId: String,
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+  }],
+  bundlePrice: Number,
+  // quantity_tier: the best tier reached by quantity of one product
+  tiers: [{
+    _id: false,
+    minQuantity: {
+      type: Number,
+      min: 1,
+    },
+    discountPercent: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+  }],
+  // category_percent
+  discountPercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+  },
+  // Validity window
+  startsAt: Date,
+  endsAt: Date,
+  // Recurring window in the tenant's timezone, e.g. weekday happy hours
+  schedule: {
+    daysOfWeek: [{
+      type: Number,
+      min: 0,
+      max: 6,
+    }],
+    // 'HH:mm'
+    startTime: String,
+    endTime: String,
+  },
+  createdBy: String,
+  updatedBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+promotionSchema.index({ tenantId: 1, status: 1, priority: -1 });
+
+// Update timestamp on save
+promotionSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Generate unique promotion ID
+promotionSchema.statics.generatePromotionId = async function() {
+  return `promo_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 9)}`;
+};
+
+promotionSchema.statics.PROMOTION_TYPES = PROMOTION_TYPES;
+
+const Promotion = mongoose.model('Promotion', promotionSchema, 'promotions');
+
+module.exports = Promotion;
@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+
+const appliedPromotionSchema = new mongoose.Schema({
+  promotionId: String,
+  name: String,
+  type: { type: String },
+  // Units of the line the promotion covered
+  quantity: Number,
+  discount: Number,
+}, { _id: false });
+
+const quoteLineItemSchema = new mongoose.Schema({
+  productId: {
+    type: String,
+    required: true,
+  },
+  productName: {
+    type: String,
+    required: true,
+  },
+  sku: String,
+  category: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  // Price snapshot at the time of quoting
+  unitPrice: {
+    type: Number,
+    required: true,
+  },
+  discount: {
+    type: Number,
+    default: 0,
+  },
+  // Discount from automatic promotions, on top of the manual discount
+  promotionDiscount: {
+    type: Number,
+    default: 0,
+  },
+  promotions: [appliedPromotionSchema],
+  // Price list the unit price came from (unset = retail price)
+  priceListId: String,
+  priceListName: String,
+  taxClass: String,
+  taxRate: {
+    type: Number,
+    default: 0,
+  },
+  // Tax amount, calculated server-side from taxRate
+  tax: {
+    type: Number,
+    default: 0,
+  },
+  total: {
+    type: Number,
+    required: true,
+  },
+});
+
+const quotationSchema = new mongoose.Schema({
+  quotationId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  quoteNumber: {
+    type: String,
+    required: true,
+  },
+  customer: {
+    customerId: String,
+    name: String,
+    phone: String,
+    email: String,
+  },
+  lineItems: [quoteLineItemSchema],
+  subtotal: {
+    type: Number,
+    required: true,
+  },
+  globalDiscount: {
+    type: Number,
+    default: 0,
+  },
+  totalDiscount: {
+    type: Number,
+    default: 0,
+  },
+  totalTax: {
+    type: Number,
+    default: 0,
+  },
+  pricesIncludeTax: {
+    type: Boolean,
+    default: false,
+  },
+  // Tax per class/rate for commercial tax reporting
+  // Discount given per promotion across the whole order
+  promotions: [{
+    _id: false,
+    promotionId: String,
+    name: String,
+    type: { type: String },
+    discount: Number,
+  }],
+  taxBreakdown: [{
+    _id: false,
+    taxClass: String,
+    name: String,
+    rate: Number,
+    taxableAmount: Number,
+    taxAmount: Number,
+  }],
+  grandTotal: {
+    type: Number,
+    required: true,
+  },
+  validUntil: {
+    type: Date,
+    required: true,
+  },
+  // converting: claimed by a conversion whose sale is being created
+  status: {
+    type: String,
+    enum: ['open', 'converting', 'converted', 'cancelled'],
+    default: 'open',
+  },
+  convertedSaleId: String,
+  convertedAt: Date,
+  staffId: {
+    type: String,
+    required: true,
+  },
+  staffName: String,
+  terms: String,
+  notes: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+quotationSchema.index({ tenantId: 1, quoteNumber: 1 }, { unique: true });
+quotationSchema.index({ tenantId: 1, createdAt: -1 });
+quotationSchema.index({ tenantId: 1, status: 1, validUntil: 1 });
+
+// Update timestamp on save
+quotationSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Virtual for checking expiry
+quotationSchema.virtual('isExpired').get(function() {
+  return this.status === 'open' && this.validUntil < new Date();
+});
+
+// Generate unique quotation ID
+quotationSchema.statics.generateQuotationId = async function() {
+  return `quo_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 9)}`;
+};
+
+// Generate quote number
+quotationSchema.statics.generateQuoteNumber = async function(tenantId) {
+  const date = new Date();
+  const dateStr = date.toISOString().slice(0, 10).replace(/-/g, '');
+  const count = await this.countDocuments({ tenantId, createdAt: { $gte: new Date(date.setHours(0,0,0,0)) } });
+  return `QUO-${dateStr}-${String(count + 1).padStart(4, '0')}`;
+};
+
+// Ensure virtuals are included in JSON output
+quotationSchema.set('toJSON', { virtuals: true });
+quotationSchema.set('toObject', { virtuals: true });
+
+const Quotation = mongoose.model('Quotation', quotationSchema, 'quotations');
+
+module.exports = Quotation;
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const cashMovementSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['paid_in', 'paid_out'],
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  reason: String,
+  staffId: String,
+  staffName: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+/**
+ * Register (till) session - one shift on a terminal, from the opening float
+ * to the counted close. Sales and cash refunds taken on the terminal while
+ * the session is open are linked to it.
+ */
+const registerSessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  terminalId: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    // closing: claimed by a close whose Z-report is being built
+    enum: ['open', 'closing', 'closed'],
+    default: 'open',
+  },
+  openingFloat: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  openedBy: String,
+  openedByName: String,
+  openedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  cashMovements: [cashMovementSchema],
+  // Set on close
+  countedCash: Number,
+  denominations: [{
+    _id: false,
+    value: Number,
+    count: Number,
+  }],
+  expectedCash: Number,
+  // countedCash - expectedCash: positive is over, negative is short
+  variance: Number,
+  zReport: mongoose.Schema.Types.Mixed,
+  closedBy: String,
+  closedByName: String,
+  closedAt: Date,
+  notes: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+// One open session per terminal
+registerSessionSchema.index({ tenantId: 1, terminalId: 1 }, {
+  unique: true,
+  partialFilterExpression: { status: 'open' },
+});
+registerSessionSchema.index({ tenantId: 1, openedAt: -1 });
+
+// Update timestamp on save
+registerSessionSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Generate unique register session ID
+registerSessionSchema.statics.generateSessionId = async function() {
+  return `reg_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 9)}`;
+};
+
+const RegisterSession = mongoose.model('RegisterSession', registerSessionSchema, 'register_sessions');
+
+module.exports = RegisterSession;
@@ -1,4 +1,16 @@
 const mongoose = require('mongoose');
+const Tenant = require('./Tenant');
+const Counter = require('./Counter');
+const { getDateParts } = require('../utils/helpers');
+
+const appliedPromotionSchema = new mongoose.Schema({
+  promotionId: String,
+  name: String,
+  type: { type: String },
+  // Units of the line the promotion covered
+  quantity: Number,
+  discount: Number,
+}, { _id: false });
 
 const lineItemSchema = new mongoose.Schema({
   productId: {
@@ -10,6 +22,9 @@ const lineItemSchema = new mongoose.Schema({
     required: true,
   },
   sku: String,
+  category: String,
+  // Parent product of a variant, for rolling sales up by model
+  parentId: String,
   quantity: {
     type: Number,
     required: true,
@@ -23,6 +38,21 @@ const lineItemSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // Discount from automatic promotions, on top of the manual discount
+  promotionDiscount: {
+    type: Number,
+    default: 0,
+  },
+  promotions: [appliedPromotionSchema],
+  // Price list the unit price came from (unset = retail price)
+  priceListId: String,
+  priceListName: String,
+  taxClass: String,
+  taxRate: {
+    type: Number,
+    default: 0,
+  },
+  // Tax amount, calculated server-side from taxRate
   tax: {
     type: Number,
     default: 0,
@@ -31,8 +61,113 @@ const lineItemSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  refundedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Codes of the gift cards issued for this line
+  giftCardCodes: [String],
+  // IMEIs/serials of the units sold on a serialized product's line, and
+  // those since returned
+  serials: [String],
+  returnedSerials: [String],
 });
 
+const refundItemSchema = new mongoose.Schema({
+  productId: {
+    type: String,
+    required: true,
+  },
+  productName: String,
+  sku: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  restocked: {
+    type: Boolean,
+    default: true,
+  },
+  serials: [String],
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+  refundId: {
+    type: String,
+    required: true,
+  },
+  items: [refundItemSchema],
+  amount: {
+    type: Number,
+    required: true,
+  },
+  // How the money went back: the original tenders, or store credit
+  refundMethod: {
+    type: String,
+    enum: ['original', 'store_credit'],
+    default: 'original',
+  },
+  storeCreditCode: String,
+  // Share of the refund taken from each tender paid at the till
+  tenders: [{
+    _id: false,
+    method: String,
+    reference: String,
+    amount: Number,
+  }],
+  // Cash handed back, and the register session it came out of
+  cashAmount: {
+    type: Number,
+    default: 0,
+  },
+  registerSessionId: String,
+  reason: String,
+  staffId: String,
+  staffName: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const PAYMENT_METHODS = [
+  'cash', 'card', 'mobile_payment', 'bank_transfer', 'credit', 'loyalty_points', 'gift_card', 'store_credit',
+  'installment', 'trade_in',
+];
+
+const paymentSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: true,
+  },
+  // Amount applied to the sale (cash change already deducted)
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Amount handed over by the customer (cash only)
+  tendered: Number,
+  // Points spent (loyalty_points only)
+  points: Number,
+  // Card number, transfer ID, the gift card / store credit code or the
+  // trade-in number
+  reference: String,
+  // Register session cash taken later against the balance went into
+  registerSessionId: String,
+  paidAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
 const saleSchema = new mongoose.Schema({
   saleId: {
     type: String,
@@ -45,9 +180,43 @@ const saleSchema = new mongoose.Schema({
     required: true,
     index: true,
   },
+  // Assigned when the sale completes; parked sales have none yet
   invoiceNumber: {
     type: String,
-    required: true,
+    required: function() { return this.status !== 'pending'; },
+  },
+  terminalId: String,
+  // Register session open on the terminal when the sale was taken
+  registerSessionId: String,
+  // Repair ticket whose parts and labour the sale charged for
+  serviceTicketId: String,
+  // Installment plan financing the balance; its payments clear balanceDue
+  installmentPlanId: String,
+  // Where the sale came from; offline sales are uploaded later by the POS client
+  source: {
+    type: String,
+    enum: ['pos', 'offline_sync'],
+    default: 'pos',
+  },
+  clientSaleId: String,
+  syncedAt: Date,
+  // Set when a sale needs a manager to look at it (e.g. offline oversell)
+  review: {
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    reason: String,
+    oversoldItems: [{
+      _id: false,
+      productId: String,
+      productName: String,
+      requestedQuantity: Number,
+      availableStock: Number,
+    }],
+    resolvedBy: String,
+    resolvedAt: Date,
+    resolutionNotes: String,
   },
   customer: {
     customerId: String,
@@ -68,15 +237,99 @@ const saleSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  pricesIncludeTax: {
+    type: Boolean,
+    default: false,
+  },
+  // Discount given per promotion across the whole order
+  promotions: [{
+    _id: false,
+    promotionId: String,
+    name: String,
+    type: { type: String },
+    discount: Number,
+  }],
+  // Coupon redeemed on the sale (applied as an order-level discount)
+  coupon: {
+    couponId: String,
+    code: String,
+    discount: Number,
+  },
+  // Manager approval for a manual discount above the tenant's threshold
+  discountOverride: {
+    method: {
+      type: String,
+      enum: ['pin', 'token'],
+    },
+    approvedBy: String,
+    approvedByName: String,
+    approvedAt: Date,
+    discountPercent: Number,
+    reason: String,
+    // Approval tokens are single-use
+    tokenId: String,
+  },
+  // Loyalty points earned and redeemed by the sale's customer, and how many
+  // of them cancellations and refunds have since taken back
+  loyalty: {
+    customerId: String,
+    pointsEarned: {
+      type: Number,
+      default: 0,
+    },
+    pointsRedeemed: {
+      type: Number,
+      default: 0,
+    },
+    earnedReversed: {
+      type: Number,
+      default: 0,
+    },
+    redeemedRestored: {
+      type: Number,
+      default: 0,
+    },
+  },
+  // Tax per class/rate for commercial tax reporting
+  taxBreakdown: [{
+    _id: false,
+    taxClass: String,
+    name: String,
+    rate: Number,
+    taxableAmount: Number,
+    taxAmount: Number,
+  }],
   grandTotal: {
     type: Number,
     required: true,
   },
+  // Single tender method, or 'split' when several methods were used
   paymentMethod: {
     type: String,
-    enum: ['cash', 'card', 'mobile_payment', 'bank_transfer', 'credit'],
-    required: true,
+    enum: [...PAYMENT_METHODS, 'split'],
+    required: function() { return this.status !== 'pending'; },
+  },
+  payments: [paymentSchema],
+  amountTendered: {
+    type: Number,
+    default: 0,
+  },
+  changeDue: {
+    type: Number,
+    default: 0,
   },
+  // Receivables (credit tenders)
+  amountPaid: {
+    type: Number,
+    default: 0,
+  },
+  balanceDue: {
+    type: Number,
+    default: 0,
+  },
+  dueDate: Date,
+  // Payments received after the sale against the outstanding balance
+  receivablePayments: [paymentSchema],
   paymentStatus: {
     type: String,
     enum: ['pending', 'paid', 'partial', 'refunded'],
@@ -87,6 +340,41 @@ const saleSchema = new mongoose.Schema({
     enum: ['completed', 'cancelled', 'refunded', 'pending'],
     default: 'completed',
   },
+  // Parked (held) cart details, for sales with status 'pending'
+  parked: {
+    label: String,
+    parkedAt: Date,
+    parkedBy: String,
+    expiresAt: Date,
+    stockReserved: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  // A4 invoice generations; copies after the first are marked duplicate
+  invoicePrints: {
+    count: {
+      type: Number,
+      default: 0,
+    },
+    firstPrintedAt: Date,
+    lastPrintedAt: Date,
+    lastPrintedBy: String,
+  },
+  refunds: [refundSchema],
+  totalRefunded: {
+    type: Number,
+    default: 0,
+  },
+  // Cash handed back when the sale was cancelled, and the register session
+  // it came out of
+  cancellation: {
+    cashAmount: Number,
+    registerSessionId: String,
+    staffId: String,
+    staffName: String,
+    cancelledAt: Date,
+  },
   staffId: {
     type: String,
     required: true,
@@ -108,10 +396,30 @@ const saleSchema = new mongoose.Schema({
 });
 
 // Indexes
-saleSchema.index({ tenantId: 1, invoiceNumber: 1 }, { unique: true });
+saleSchema.index({ tenantId: 1, invoiceNumber: 1 }, {
+  unique: true,
+  partialFilterExpression: { invoiceNumber: { $type: 'string' } },
+});
+saleSchema.index({ tenantId: 1, clientSaleId: 1 }, {
+  unique: true,
+  partialFilterExpression: { clientSaleId: { $type: 'string' } },
+});
+saleSchema.index({ tenantId: 1, 'discountOverride.tokenId': 1 }, {
+  unique: true,
+  partialFilterExpression: { 'discountOverride.tokenId': { $type: 'string' } },
+});
+saleSchema.index({ tenantId: 1, 'review.required': 1 });
 saleSchema.index({ tenantId: 1, createdAt: -1 });
 saleSchema.index({ tenantId: 1, staffId: 1 });
 saleSchema.index({ tenantId: 1, status: 1 });
+saleSchema.index({ tenantId: 1, status: 1, terminalId: 1, staffId: 1 });
+saleSchema.index({ tenantId: 1, 'customer.customerId': 1, balanceDue: 1 });
+saleSchema.index({ tenantId: 1, registerSessionId: 1 });
+saleSchema.index({ tenantId: 1, serviceTicketId: 1 });
+saleSchema.index({ tenantId: 1, installmentPlanId: 1 });
+saleSchema.index({ tenantId: 1, 'refunds.registerSessionId': 1 });
+saleSchema.index({ tenantId: 1, 'cancellation.registerSessionId': 1 });
+saleSchema.index({ tenantId: 1, 'receivablePayments.registerSessionId': 1 });
 
 // Update timestamp on save
 saleSchema.pre('save', function(next) {
@@ -124,14 +432,60 @@ saleSchema.statics.generateSaleId = async function() {
   return `sale_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 9)}`;
 };
 
+// Generate unique refund ID
+saleSchema.statics.generateRefundId = async function() {
+  return `rfd_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 9)}`;
+};
+
 // Generate invoice number
-saleSchema.statics.generateInvoiceNumber = async function(tenantId) {
-  const date = new Date();
-  const dateStr = date.toISOString().slice(0, 10).replace(/-/g, '');
-  const count = await this.countDocuments({ tenantId, createdAt: { $gte: new Date(date.setHours(0,0,0,0)) } });
-  return `INV-${dateStr}-${String(count + 1).padStart(4, '0')}`;
+// Numbers come from an atomic per-tenant counter, so concurrent checkouts
+// never collide. Prefix, padding, reset period and per-terminal sequences are
+// configured in tenant.settings.invoiceNumbering; dates follow the tenant's
+// timezone. options.date sets the period for sales recorded earlier (offline).
+// A sequence starts after the highest number already issued for its period,
+// so numbers written before the counter existed are not reused.
+saleSchema.statics.generateInvoiceNumber = async function(tenantId, session = null, options = {}) {
+  const tenant = await Tenant.findOne({ tenantId }).session(session);
+  const numbering = tenant?.settings?.invoiceNumbering || {};
+  const prefix = numbering.prefix || 'INV';
+  const padding = numbering.padding || 4;
+  const resetPeriod = numbering.resetPeriod || 'daily';
+  const timeZone = tenant?.settings?.timezone || 'UTC';
+  
+  const { year, month, day } = getDateParts(options.date || new Date(), timeZone);
+  const period = {
+    daily: `${year}${month}${day}`,
+    monthly: `${year}${month}`,
+    never: 'all',
+  }[resetPeriod];
+  
+  const terminal = numbering.perTerminal && options.terminalId
+    ? String(options.terminalId).toUpperCase().replace(/[^A-Z0-9]/g, '')
+    : '';
+  
+  const base = [prefix, terminal, period !== 'all' && period].filter(Boolean).join('-') + '-';
+  
+  const seed = async () => {
+    const [highest] = await this.aggregate([
+      {
+        $match: {
+          tenantId,
+          invoiceNumber: { $regex: `^${base.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\d+$` },
+        },
+      },
+      { $group: { _id: null, seq: { $max: { $toLong: { $substrCP: ['$invoiceNumber', base.length, 20] } } } } },
+    ]).session(session);
+    
+    return highest ? Number(highest.seq) : 0;
+  };
+  
+  const seq = await Counter.next(tenantId, 'invoice', { scope: terminal, period, session, seed });
+  
+  return `${base}${String(seq).padStart(padding, '0')}`;
 };
 
+saleSchema.statics.PAYMENT_METHODS = PAYMENT_METHODS;
+
 const Sale = mongoose.model('Sale', saleSchema, 'sales');
 
 module.exports = Sale;
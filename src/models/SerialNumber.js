@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const SERIAL_STATUSES = ['in_stock', 'sold', 'returned', 'removed'];
+
+const serialEventSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: ['received', 'sold', 'returned', 'restocked', 'cancelled', 'removed', 'traded_in'],
+    required: true,
+  },
+  saleId: String,
+  invoiceNumber: String,
+  refundId: String,
+  notes: String,
+  staffId: String,
+  staffName: String,
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+/**
+ * One physical unit of a serialized product, identified by its IMEI or
+ * serial number. Stock of a serialized product is the count of its units
+ * in stock.
+ */
+const serialNumberSchema = new mongoose.Schema({
+  serialNumberId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  productId: {
+    type: String,
+    required: true,
+  },
+  productName: String,
+  sku: String,
+  // Stored upper-case; serials are matched case-insensitively
+  serial: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+  },
+  // returned: came back on a refund and was not put back into stock
+  status: {
+    type: String,
+    enum: SERIAL_STATUSES,
+    default: 'in_stock',
+  },
+  // Latest sale of the unit; earlier ones are in history
+  saleId: String,
+  invoiceNumber: String,
+  customer: {
+    customerId: String,
+    name: String,
+    phone: String,
+  },
+  soldAt: Date,
+  history: [serialEventSchema],
+  receivedBy: String,
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+serialNumberSchema.index({ tenantId: 1, serial: 1 }, { unique: true });
+serialNumberSchema.index({ tenantId: 1, productId: 1, status: 1 });
+serialNumberSchema.index({ tenantId: 1, saleId: 1 });
+serialNumberSchema.index({ tenantId: 1, 'customer.customerId': 1 });
+
+// Update timestamp on save
+serialNumberSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Generate unique serial number record ID
+serialNumberSchema.statics.generateSerialNumberId = async function() {
+  return `sn_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 9)}`;
+};
+
+serialNumberSchema.statics.SERIAL_STATUSES = SERIAL_STATUSES;
+
+const SerialNumber = mongoose.model('SerialNumber', serialNumberSchema, 'serial_numbers');
+
+module.exports = SerialNumber;
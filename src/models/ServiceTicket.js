@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const TICKET_STATUSES = [
+  'received', 'diagnosing', 'awaiting_approval', 'in_repair', 'waiting_parts', 'ready', 'collected', 'cancelled',
+];
+
+// Statuses a ticket can move to from each status. A ticket only becomes
+// collected by being checked out into a sale.
+const TICKET_TRANSITIONS = {
+  received: ['diagnosing', 'awaiting_approval', 'in_repair', 'cancelled'],
+  diagnosing: ['awaiting_approval', 'in_repair', 'ready', 'cancelled'],
+  awaiting_approval: ['in_repair', 'cancelled'],
+  in_repair: ['waiting_parts', 'ready', 'cancelled'],
+  waiting_parts: ['in_repair', 'cancelled'],
+  ready: ['in_repair', 'cancelled'],
+  collected: [],
+  cancelled: [],
+};
+
+const ticketEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: TICKET_STATUSES,
+  },
+  notes: String,
+  staffId: String,
+  staffName: String,
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const ticketPartSchema = new mongoose.Schema({
+  productId: {
+    type: String,
+    required: true,
+  },
+  productName: String,
+  sku: String,
+  // Units taken out of stock for the repair
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+}, { _id: false });
+
+/**
+ * A device booked in for repair, from intake through diagnosis, estimate
+ * and repair to collection, when its charge becomes a sale
+ */
+const serviceTicketSchema = new mongoose.Schema({
+  ticketId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  // Sequential per tenant, e.g. SVC-000042; given to the customer
+  ticketNumber: {
+    type: String,
+    required: true,
+  },
+  customer: {
+    customerId: String,
+    name: String,
+    phone: String,
+    email: String,
+  },
+  // Device intake details
+  device: {
+    type: { type: String },
+    brand: String,
+    model: String,
+    serial: String,
+    color: String,
+    condition: String,
+    accessories: [String],
+  },
+  reportedFault: {
+    type: String,
+    required: true,
+  },
+  diagnosis: String,
+  estimate: {
+    amount: Number,
+    notes: String,
+    approvedAt: Date,
+  },
+  technician: {
+    staffId: String,
+    userId: String,
+    name: String,
+  },
+  status: {
+    type: String,
+    enum: TICKET_STATUSES,
+    default: 'received',
+  },
+  parts: [ticketPartSchema],
+  // Charged on top of the parts at checkout
+  labourCharge: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Sale the final charge was taken on
+  saleId: String,
+  invoiceNumber: String,
+  collectedAt: Date,
+  history: [ticketEventSchema],
+  createdBy: String,
+  updatedBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+serviceTicketSchema.index({ tenantId: 1, ticketNumber: 1 }, { unique: true });
+serviceTicketSchema.index({ tenantId: 1, status: 1 });
+serviceTicketSchema.index({ tenantId: 1, 'customer.phone': 1 });
+serviceTicketSchema.index({ tenantId: 1, 'technician.staffId': 1 });
+
+// Update timestamp on save
+serviceTicketSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Generate unique ticket ID
+serviceTicketSchema.statics.generateTicketId = async function() {
+  return `svc_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 9)}`;
+};
+
+// Take the next ticket number from the tenant's sequence
+serviceTicketSchema.statics.generateTicketNumber = async function(tenantId) {
+  const seq = await Counter.next(tenantId, 'service_ticket');
+  return `SVC-${String(seq).padStart(6, '0')}`;
+};
+
+serviceTicketSchema.statics.TICKET_STATUSES = TICKET_STATUSES;
+serviceTicketSchema.statics.TICKET_TRANSITIONS = TICKET_TRANSITIONS;
+
+const ServiceTicket = mongoose.model('ServiceTicket', serviceTicketSchema, 'service_tickets');
+
+module.exports = ServiceTicket;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
 
 const staffSchema = new mongoose.Schema({
   staffId: {
@@ -78,6 +79,21 @@ const staffSchema = new mongoose.Schema({
     enum: ['super_admin', 'shop_admin'],
     required: true,
   },
+  // bcrypt hash of the PIN used to approve discount overrides at a till
+  overridePinHash: {
+    type: String,
+    select: false,
+  },
+  // Wrong override PINs in a row; too many lock the PIN for a while
+  overridePinFailures: {
+    type: Number,
+    default: 0,
+    select: false,
+  },
+  overridePinLockedUntil: {
+    type: Date,
+    select: false,
+  },
   shift: {
     start: String,
     end: String,
@@ -110,6 +126,21 @@ staffSchema.statics.generateStaffId = async function() {
   return `staff_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 9)}`;
 };
 
+// Compare a discount override PIN; the hash must have been selected
+staffSchema.methods.compareOverridePin = async function(candidatePin) {
+  if (!this.overridePinHash) return false;
+  return bcrypt.compare(String(candidatePin), this.overridePinHash);
+};
+
+// Remove sensitive fields from JSON output
+staffSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.overridePinHash;
+  delete obj.overridePinFailures;
+  delete obj.overridePinLockedUntil;
+  return obj;
+};
+
 const Staff = mongoose.model('Staff', staffSchema, 'staff');
 
 module.exports = Staff;
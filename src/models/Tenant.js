@@ -43,9 +43,128 @@ const tenantSchema = new mongoose.Schema({
       type: String,
       default: 'Asia/Yangon',
     },
+    // Default tax rate (%) for products without a tax class
     taxRate: {
       type: Number,
       default: 0,
+      min: 0,
+      max: 100,
+    },
+    // Whether product prices already include tax
+    pricesIncludeTax: {
+      type: Boolean,
+      default: false,
+    },
+    taxClasses: [{
+      _id: false,
+      code: {
+        type: String,
+        required: true,
+        trim: true,
+      },
+      name: {
+        type: String,
+        required: true,
+      },
+      rate: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100,
+      },
+    }],
+    invoiceNumbering: {
+      prefix: {
+        type: String,
+        default: 'INV',
+        trim: true,
+      },
+      padding: {
+        type: Number,
+        default: 4,
+        min: 1,
+        max: 10,
+      },
+      resetPeriod: {
+        type: String,
+        enum: ['daily', 'monthly', 'never'],
+        default: 'daily',
+      },
+      // Keep a separate sequence per register/terminal
+      perTerminal: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    receipt: {
+      paperWidth: {
+        type: Number,
+        enum: [58, 80],
+        default: 80,
+      },
+      // Code printed at the bottom of the receipt
+      code: {
+        type: String,
+        enum: ['qr', 'barcode', 'none'],
+        default: 'qr',
+      },
+      header: String,
+      footer: {
+        type: String,
+        default: 'Thank you for shopping with us!',
+      },
+    },
+    // A4 tax invoice details
+    invoice: {
+      // Commercial tax registration number
+      taxId: String,
+      notes: String,
+    },
+    // Customer loyalty points
+    loyalty: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Points earned per 1 unit of currency paid
+      earnRate: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      // Currency value of one point when redeemed
+      redeemValue: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      // Smallest number of points that can be redeemed on a sale
+      minRedeemPoints: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+    },
+    // Warranty cover for products without their own warrantyMonths
+    warranty: {
+      categoryTerms: [{
+        _id: false,
+        category: String,
+        months: {
+          type: Number,
+          min: 0,
+        },
+      }],
+    },
+    // Manual discounts above this percentage of the sale need a staff member
+    // allowed to apply discounts, or a manager's override
+    discountApproval: {
+      thresholdPercent: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100,
+      },
     },
   },
   contact: {
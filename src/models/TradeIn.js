@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// A: like new, B: light wear, C: heavy wear, D: faulty or for parts
+const CONDITION_GRADES = ['A', 'B', 'C', 'D'];
+
+/**
+ * A device a customer trades in towards a purchase. The offered price is
+ * taken as a trade_in tender on the sale, and the device goes into stock as
+ * a used product costed at that price.
+ */
+const tradeInSchema = new mongoose.Schema({
+  tradeInId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  // Sequential per tenant, e.g. TI-000042; the trade_in tender reference
+  tradeInNumber: {
+    type: String,
+    required: true,
+  },
+  customer: {
+    customerId: String,
+    name: String,
+    phone: String,
+  },
+  device: {
+    brand: {
+      type: String,
+      required: true,
+    },
+    model: {
+      type: String,
+      required: true,
+    },
+    // IMEI or serial number; stored upper-case like serialized stock
+    serial: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+    },
+    capacity: String,
+    color: String,
+    accessories: [String],
+  },
+  conditionGrade: {
+    type: String,
+    enum: CONDITION_GRADES,
+    required: true,
+  },
+  conditionNotes: String,
+  offeredPrice: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Selling price of the used product; without one it is created inactive
+  resalePrice: {
+    type: Number,
+    min: 0,
+  },
+  // offered: waiting to be used on a sale; applied: taken on a sale;
+  // cancelled: the sale was cancelled and the device handed back
+  status: {
+    type: String,
+    enum: ['offered', 'applied', 'declined', 'cancelled'],
+    default: 'offered',
+  },
+  saleId: String,
+  invoiceNumber: String,
+  // Used product the device was stocked as
+  productId: String,
+  appliedAt: Date,
+  createdBy: String,
+  updatedBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+tradeInSchema.index({ tenantId: 1, tradeInNumber: 1 }, { unique: true });
+tradeInSchema.index({ tenantId: 1, status: 1 });
+tradeInSchema.index({ tenantId: 1, 'device.serial': 1 });
+tradeInSchema.index({ tenantId: 1, 'customer.phone': 1 });
+tradeInSchema.index({ tenantId: 1, saleId: 1 });
+
+// Update timestamp on save
+tradeInSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Generate unique trade-in ID
+tradeInSchema.statics.generateTradeInId = async function() {
+  return `tri_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 9)}`;
+};
+
+// Take the next trade-in number from the tenant's sequence
+tradeInSchema.statics.generateTradeInNumber = async function(tenantId) {
+  const seq = await Counter.next(tenantId, 'trade_in');
+  return `TI-${String(seq).padStart(6, '0')}`;
+};
+
+tradeInSchema.statics.CONDITION_GRADES = CONDITION_GRADES;
+
+const TradeIn = mongoose.model('TradeIn', tradeInSchema, 'trade_ins');
+
+module.exports = TradeIn;
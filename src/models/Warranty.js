@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+/**
+ * Warranty cover registered when a sale completes - one per serialized
+ * unit, or one per line for other products
+ */
+const warrantySchema = new mongoose.Schema({
+  warrantyId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  saleId: {
+    type: String,
+    required: true,
+  },
+  invoiceNumber: String,
+  productId: {
+    type: String,
+    required: true,
+  },
+  productName: String,
+  sku: String,
+  serial: String,
+  // Units covered; goes down as units are refunded
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 0,
+  },
+  customer: {
+    customerId: String,
+    name: String,
+    phone: String,
+  },
+  months: {
+    type: Number,
+    required: true,
+  },
+  startsAt: {
+    type: Date,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // void: the units were returned or the sale cancelled
+  status: {
+    type: String,
+    enum: ['active', 'void'],
+    default: 'active',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+warrantySchema.index({ tenantId: 1, saleId: 1 });
+warrantySchema.index({ tenantId: 1, invoiceNumber: 1 });
+warrantySchema.index({ tenantId: 1, 'customer.phone': 1 });
+warrantySchema.index({ tenantId: 1, serial: 1 });
+
+// Update timestamp on save
+warrantySchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Whether the cover has run out
+warrantySchema.virtual('isExpired').get(function() {
+  return this.expiresAt < new Date();
+});
+
+// Generate unique warranty ID
+warrantySchema.statics.generateWarrantyId = async function() {
+  return `wty_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 9)}`;
+};
+
+// Ensure virtuals are included in JSON output
+warrantySchema.set('toJSON', { virtuals: true });
+warrantySchema.set('toObject', { virtuals: true });
+
+const Warranty = mongoose.model('Warranty', warrantySchema, 'warranties');
+
+module.exports = Warranty;
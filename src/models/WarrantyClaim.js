@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const CLAIM_STATUSES = ['received', 'sent_to_vendor', 'repaired', 'replaced', 'rejected'];
+
+// Statuses a claim can move to from each status; the last three are final
+const CLAIM_TRANSITIONS = {
+  received: ['sent_to_vendor', 'repaired', 'replaced', 'rejected'],
+  sent_to_vendor: ['repaired', 'replaced', 'rejected'],
+  repaired: [],
+  replaced: [],
+  rejected: [],
+};
+
+const claimEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: CLAIM_STATUSES,
+  },
+  notes: String,
+  staffId: String,
+  staffName: String,
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+/**
+ * A customer's claim against a warranty, from intake at the counter to
+ * repair, replacement or rejection
+ */
+const warrantyClaimSchema = new mongoose.Schema({
+  claimId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  tenantId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  // Sequential per tenant, e.g. WC-000042
+  claimNumber: {
+    type: String,
+    required: true,
+  },
+  warrantyId: {
+    type: String,
+    required: true,
+  },
+  // Copied from the warranty so claims can be searched the same way
+  saleId: String,
+  invoiceNumber: String,
+  productId: String,
+  productName: String,
+  serial: String,
+  customer: {
+    customerId: String,
+    name: String,
+    phone: String,
+  },
+  // Fault reported by the customer
+  issue: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: CLAIM_STATUSES,
+    default: 'received',
+  },
+  vendor: {
+    name: String,
+    reference: String,
+    sentAt: Date,
+  },
+  // Serial of the unit handed over when the claim ends in a replacement
+  replacementSerial: String,
+  resolution: String,
+  resolvedAt: Date,
+  history: [claimEventSchema],
+  createdBy: String,
+  updatedBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+warrantyClaimSchema.index({ tenantId: 1, claimNumber: 1 }, { unique: true });
+warrantyClaimSchema.index({ tenantId: 1, warrantyId: 1 });
+warrantyClaimSchema.index({ tenantId: 1, invoiceNumber: 1 });
+warrantyClaimSchema.index({ tenantId: 1, 'customer.phone': 1 });
+warrantyClaimSchema.index({ tenantId: 1, status: 1 });
+
+// Update timestamp on save
+warrantyClaimSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Generate unique claim ID
+warrantyClaimSchema.statics.generateClaimId = async function() {
+  return `wcl_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 9)}`;
+};
+
+// Take the next claim number from the tenant's sequence
+warrantyClaimSchema.statics.generateClaimNumber = async function(tenantId) {
+  const seq = await Counter.next(tenantId, 'warranty_claim');
+  return `WC-${String(seq).padStart(6, '0')}`;
+};
+
+warrantyClaimSchema.statics.CLAIM_STATUSES = CLAIM_STATUSES;
+warrantyClaimSchema.statics.CLAIM_TRANSITIONS = CLAIM_TRANSITIONS;
+
+const WarrantyClaim = mongoose.model('WarrantyClaim', warrantyClaimSchema, 'warranty_claims');
+
+module.exports = WarrantyClaim;
@@ -1,16 +1,58 @@
 const Tenant = require('./Tenant');
 const User = require('./User');
 const Product = require('./Product');
+const ParentProduct = require('./ParentProduct');
 const Sale = require('./Sale');
 const Staff = require('./Staff');
 const AuditLog = require('./AuditLog');
+const Customer = require('./Customer');
+const CustomerLedger = require('./CustomerLedger');
+const CustomerGroup = require('./CustomerGroup');
+const PriceList = require('./PriceList');
+const LoyaltyLedger = require('./LoyaltyLedger');
+const Quotation = require('./Quotation');
+const IdempotencyKey = require('./IdempotencyKey');
+const Counter = require('./Counter');
+const Promotion = require('./Promotion');
+const Coupon = require('./Coupon');
+const CouponRedemption = require('./CouponRedemption');
+const GiftCard = require('./GiftCard');
+const GiftCardLedger = require('./GiftCardLedger');
+const RegisterSession = require('./RegisterSession');
+const SerialNumber = require('./SerialNumber');
+const Warranty = require('./Warranty');
+const WarrantyClaim = require('./WarrantyClaim');
+const ServiceTicket = require('./ServiceTicket');
+const InstallmentPlan = require('./InstallmentPlan');
+const TradeIn = require('./TradeIn');
 
 module.exports = {
   Tenant,
   User,
   Product,
+  ParentProduct,
   Sale,
   Staff,
   AuditLog,
+  Customer,
+  CustomerLedger,
+  CustomerGroup,
+  PriceList,
+  LoyaltyLedger,
+  Quotation,
+  IdempotencyKey,
+  Counter,
+  Promotion,
+  Coupon,
+  CouponRedemption,
+  GiftCard,
+  GiftCardLedger,
+  RegisterSession,
+  SerialNumber,
+  Warranty,
+  WarrantyClaim,
+  ServiceTicket,
+  InstallmentPlan,
+  TradeIn,
 };
 
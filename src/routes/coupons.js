@@ -0,0 +1,158 @@
+const express = require('express');
+const router = express.Router();
+const { CouponService } = require('../services');
+const { authenticate, requireTenantAccess, requireShopAdminOrHigher, asyncHandler } = require('../middleware');
+
+/**
+ * @route GET /api/coupons
+ * @desc Get all coupons with pagination and filters
+ * @access Private (shop_admin only)
+ */
+router.get('/', authenticate, requireTenantAccess, requireShopAdminOrHigher, asyncHandler(async (req, res) => {
+  const { page, limit, sort, status, search } = req.query;
+  
+  const result = await CouponService.getAll(req.tenantId, {
+    page: parseInt(page, 10) || 1,
+    limit: parseInt(limit, 10) || 20,
+    sort: sort || '-createdAt',
+    status,
+    search,
+  });
+  
+  res.json({
+    success: true,
+    data: result.coupons,
+    pagination: result.pagination,
+  });
+}));
+
+/**
+ * @route GET /api/coupons/validate
+ * @desc Check a code at the till. Query: code, orderAmount, customerId.
+ *       Usage is only recorded when the sale is created.
+ * @access Private (shop_admin, staff)
+ */
+router.get('/validate', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const { code, orderAmount, customerId } = req.query;
+  
+  if (!code) {
+    return res.status(400).json({
+      success: false,
+      error: 'Coupon code is required',
+      code: 'MISSING_FIELDS',
+    });
+  }
+  
+  const { coupon, discount } = await CouponService.evaluate(req.tenantId, code, {
+    orderAmount: parseFloat(orderAmount) || 0,
+    customerId,
+  });
+  
+  res.json({
+    success: true,
+    data: {
+      code: coupon.code,
+      description: coupon.description,
+      discountType: coupon.discountType,
+      value: coupon.value,
+      discount,
+    },
+  });
+}));
+
+/**
+ * @route GET /api/coupons/:couponId
+ * @desc Get coupon by ID
+ * @access Private (shop_admin only)
+ */
+router.get('/:couponId', authenticate, requireTenantAccess, requireShopAdminOrHigher, asyncHandler(async (req, res) => {
+  const coupon = await CouponService.getById(req.tenantId, req.params.couponId);
+  
+  res.json({
+    success: true,
+    data: coupon,
+  });
+}));
+
+/**
+ * @route GET /api/coupons/:couponId/redemptions
+ * @desc Get a coupon's redemption history
+ * @access Private (shop_admin only)
+ */
+router.get('/:couponId/redemptions', authenticate, requireTenantAccess, requireShopAdminOrHigher, asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+  
+  const result = await CouponService.getRedemptions(req.tenantId, req.params.couponId, {
+    page: parseInt(page, 10) || 1,
+    limit: parseInt(limit, 10) || 50,
+  });
+  
+  res.json({
+    success: true,
+    data: {
+      coupon: result.coupon,
+      redemptions: result.redemptions,
+    },
+    pagination: result.pagination,
+  });
+}));
+
+/**
+ * @route POST /api/coupons
+ * @desc Create a new coupon
+ * @access Private (shop_admin only)
+ */
+router.post('/', authenticate, requireTenantAccess, requireShopAdminOrHigher, asyncHandler(async (req, res) => {
+  const coupon = await CouponService.create(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.body
+  );
+  
+  res.status(201).json({
+    success: true,
+    data: coupon,
+  });
+}));
+
+/**
+ * @route PUT /api/coupons/:couponId
+ * @desc Update a coupon
+ * @access Private (shop_admin only)
+ */
+router.put('/:couponId', authenticate, requireTenantAccess, requireShopAdminOrHigher, asyncHandler(async (req, res) => {
+  const coupon = await CouponService.update(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.couponId,
+    req.body
+  );
+  
+  res.json({
+    success: true,
+    data: coupon,
+  });
+}));
+
+/**
+ * @route DELETE /api/coupons/:couponId
+ * @desc Deactivate a coupon
+ * @access Private (shop_admin only)
+ */
+router.delete('/:couponId', authenticate, requireTenantAccess, requireShopAdminOrHigher, asyncHandler(async (req, res) => {
+  const result = await CouponService.delete(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.couponId
+  );
+  
+  res.json({
+    success: true,
+    ...result,
+  });
+}));
+
+module.exports = router;
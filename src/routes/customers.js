@@ -0,0 +1,238 @@
+const express = require('express');
+const router = express.Router();
+const { CustomerService, LoyaltyService, InstallmentService } = require('../services');
+const { authenticate, requireTenantAccess, requireShopAdminOrHigher, staffPermissions, asyncHandler } = require('../middleware');
+
+/**
+ * @route GET /api/customers
+ * @desc Get all customers with pagination and filters
+ * @access Private (shop_admin, staff)
+ */
+router.get('/', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const { page, limit, sort, status, search, hasBalance, groupId } = req.query;
+  
+  const result = await CustomerService.getAll(req.tenantId, {
+    page: parseInt(page, 10) || 1,
+    limit: parseInt(limit, 10) || 20,
+    sort: sort || 'name',
+    status,
+    search,
+    hasBalance: hasBalance === 'true',
+    groupId,
+  });
+  
+  res.json({
+    success: true,
+    data: result.customers,
+    pagination: result.pagination,
+  });
+}));
+
+/**
+ * @route GET /api/customers/receivables/aging
+ * @desc Aged receivables report for outstanding credit sales
+ * @access Private (shop_admin, manager)
+ */
+router.get('/receivables/aging', authenticate, requireTenantAccess, staffPermissions.canViewReports, asyncHandler(async (req, res) => {
+  const report = await CustomerService.getAgedReceivables(req.tenantId, req.query.asOf || new Date());
+  
+  res.json({
+    success: true,
+    data: report,
+  });
+}));
+
+/**
+ * @route GET /api/customers/groups
+ * @desc Get all customer groups
+ * @access Private (shop_admin, staff)
+ */
+router.get('/groups', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const groups = await CustomerService.getGroups(req.tenantId);
+  
+  res.json({
+    success: true,
+    data: groups,
+  });
+}));
+
+/**
+ * @route POST /api/customers/groups
+ * @desc Create a customer group (body: name, description, priceListId)
+ * @access Private (shop_admin only)
+ */
+router.post('/groups', authenticate, requireTenantAccess, requireShopAdminOrHigher, asyncHandler(async (req, res) => {
+  const group = await CustomerService.createGroup(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.body
+  );
+  
+  res.status(201).json({
+    success: true,
+    data: group,
+  });
+}));
+
+/**
+ * @route PUT /api/customers/groups/:groupId
+ * @desc Update a customer group
+ * @access Private (shop_admin only)
+ */
+router.put('/groups/:groupId', authenticate, requireTenantAccess, requireShopAdminOrHigher, asyncHandler(async (req, res) => {
+  const group = await CustomerService.updateGroup(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.groupId,
+    req.body
+  );
+  
+  res.json({
+    success: true,
+    data: group,
+  });
+}));
+
+/**
+ * @route GET /api/customers/:customerId
+ * @desc Get customer by ID
+ * @access Private (shop_admin, staff)
+ */
+router.get('/:customerId', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const customer = await CustomerService.getById(req.tenantId, req.params.customerId);
+  
+  res.json({
+    success: true,
+    data: customer,
+  });
+}));
+
+/**
+ * @route GET /api/customers/:customerId/ledger
+ * @desc Get a customer's account ledger
+ * @access Private (shop_admin, staff)
+ */
+router.get('/:customerId/ledger', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+  
+  const result = await CustomerService.getLedger(req.tenantId, req.params.customerId, {
+    page: parseInt(page, 10) || 1,
+    limit: parseInt(limit, 10) || 50,
+  });
+  
+  res.json({
+    success: true,
+    data: {
+      customer: result.customer,
+      entries: result.entries,
+    },
+    pagination: result.pagination,
+  });
+}));
+
+/**
+ * @route GET /api/customers/:customerId/loyalty
+ * @desc Get a customer's loyalty points balance and history
+ * @access Private (shop_admin, staff)
+ */
+router.get('/:customerId/loyalty', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+  
+  const result = await LoyaltyService.getLedger(req.tenantId, req.params.customerId, {
+    page: parseInt(page, 10) || 1,
+    limit: parseInt(limit, 10) || 50,
+  });
+  
+  res.json({
+    success: true,
+    data: {
+      customerId: result.customerId,
+      name: result.name,
+      points: result.points,
+      pointsValue: result.pointsValue,
+      entries: result.entries,
+    },
+    pagination: result.pagination,
+  });
+}));
+
+/**
+ * @route GET /api/customers/:customerId/installments
+ * @desc What the customer still owes on installment plans: balance, overdue
+ *       amount and the next installment due
+ * @access Private (shop_admin, staff)
+ */
+router.get('/:customerId/installments', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const summary = await InstallmentService.getCustomerSummary(req.tenantId, req.params.customerId);
+  
+  res.json({
+    success: true,
+    data: summary,
+  });
+}));
+
+/**
+ * @route POST /api/customers/:customerId/loyalty/adjust
+ * @desc Manually add or remove loyalty points (body: points, notes)
+ * @access Private (shop_admin only)
+ */
+router.post('/:customerId/loyalty/adjust', authenticate, requireTenantAccess, requireShopAdminOrHigher, asyncHandler(async (req, res) => {
+  const entry = await LoyaltyService.adjust(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.user.role,
+    req.params.customerId,
+    req.body
+  );
+  
+  res.status(201).json({
+    success: true,
+    data: entry,
+  });
+}));
+
+/**
+ * @route POST /api/customers
+ * @desc Create a new customer (credit terms and pricing: shop_admin only)
+ * @access Private (shop_admin, staff)
+ */
+router.post('/', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const customer = await CustomerService.create(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.user.role,
+    req.body
+  );
+  
+  res.status(201).json({
+    success: true,
+    data: customer,
+  });
+}));
+
+/**
+ * @route PUT /api/customers/:customerId
+ * @desc Update a customer (credit terms and pricing: shop_admin only)
+ * @access Private (shop_admin, staff)
+ */
+router.put('/:customerId', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const customer = await CustomerService.update(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.user.role,
+    req.params.customerId,
+    req.body
+  );
+  
+  res.json({
+    success: true,
+    data: customer,
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const { GiftCardService } = require('../services');
+const { authenticate, requireTenantAccess, requireShopAdminOrHigher, asyncHandler } = require('../middleware');
+
+/**
+ * @route GET /api/gift-cards
+ * @desc Get all gift cards and store credit with pagination and filters
+ * @access Private (shop_admin only)
+ */
+router.get('/', authenticate, requireTenantAccess, requireShopAdminOrHigher, asyncHandler(async (req, res) => {
+  const { page, limit, sort, kind, status, customerId, search } = req.query;
+  
+  const result = await GiftCardService.getAll(req.tenantId, {
+    page: parseInt(page, 10) || 1,
+    limit: parseInt(limit, 10) || 20,
+    sort: sort || '-createdAt',
+    kind,
+    status,
+    customerId,
+    search,
+  });
+  
+  res.json({
+    success: true,
+    data: result.giftCards,
+    pagination: result.pagination,
+  });
+}));
+
+/**
+ * @route GET /api/gift-cards/lookup
+ * @desc Balance lookup for the till. Query: code
+ * @access Private (shop_admin, staff)
+ */
+router.get('/lookup', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const { code } = req.query;
+  
+  if (!code) {
+    return res.status(400).json({
+      success: false,
+      error: 'Gift card code is required',
+      code: 'MISSING_FIELDS',
+    });
+  }
+  
+  const result = await GiftCardService.lookup(req.tenantId, code);
+  
+  res.json({
+    success: true,
+    data: result,
+  });
+}));
+
+/**
+ * @route GET /api/gift-cards/:giftCardId
+ * @desc Get gift card by ID
+ * @access Private (shop_admin only)
+ */
+router.get('/:giftCardId', authenticate, requireTenantAccess, requireShopAdminOrHigher, asyncHandler(async (req, res) => {
+  const giftCard = await GiftCardService.getById(req.tenantId, req.params.giftCardId);
+  
+  res.json({
+    success: true,
+    data: giftCard,
+  });
+}));
+
+/**
+ * @route GET /api/gift-cards/:giftCardId/ledger
+ * @desc Get a gift card's balance history
+ * @access Private (shop_admin only)
+ */
+router.get('/:giftCardId/ledger', authenticate, requireTenantAccess, requireShopAdminOrHigher, asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+  
+  const result = await GiftCardService.getLedger(req.tenantId, req.params.giftCardId, {
+    page: parseInt(page, 10) || 1,
+    limit: parseInt(limit, 10) || 50,
+  });
+  
+  res.json({
+    success: true,
+    data: {
+      giftCard: result.giftCard,
+      entries: result.entries,
+    },
+    pagination: result.pagination,
+  });
+}));
+
+/**
+ * @route POST /api/gift-cards
+ * @desc Issue a gift card or store credit by hand (body: kind, amount,
+ *       customerId, expiresAt, notes)
+ * @access Private (shop_admin only)
+ */
+router.post('/', authenticate, requireTenantAccess, requireShopAdminOrHigher, asyncHandler(async (req, res) => {
+  const giftCard = await GiftCardService.create(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.body
+  );
+  
+  res.status(201).json({
+    success: true,
+    data: giftCard,
+  });
+}));
+
+/**
+ * @route DELETE /api/gift-cards/:giftCardId
+ * @desc Void a gift card, writing off its remaining balance
+ * @access Private (shop_admin only)
+ */
+router.delete('/:giftCardId', authenticate, requireTenantAccess, requireShopAdminOrHigher, asyncHandler(async (req, res) => {
+  const result = await GiftCardService.voidCard(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.giftCardId,
+    req.body?.reason
+  );
+  
+  res.json({
+    success: true,
+    ...result,
+  });
+}));
+
+module.exports = router;
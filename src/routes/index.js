@@ -5,6 +5,19 @@ const authRoutes = require('./auth');
 const productRoutes = require('./products');
 const saleRoutes = require('./sales');
 const staffRoutes = require('./staff');
+const customerRoutes = require('./customers');
+const quotationRoutes = require('./quotations');
+const promotionRoutes = require('./promotions');
+const couponRoutes = require('./coupons');
+const giftCardRoutes = require('./giftCards');
+const priceListRoutes = require('./priceLists');
+const registerRoutes = require('./registers');
+const serialRoutes = require('./serials');
+const warrantyRoutes = require('./warranties');
+const serviceTicketRoutes = require('./serviceTickets');
+const installmentRoutes = require('./installments');
+const tradeInRoutes = require('./tradeIns');
+const settingsRoutes = require('./settings');
 const monitorRoutes = require('./monitor');
 
 // Mount routes
@@ -12,6 +25,19 @@ router.use('/auth', authRoutes);
 router.use('/products', productRoutes);
 router.use('/sales', saleRoutes);
 router.use('/staff', staffRoutes);
+router.use('/customers', customerRoutes);
+router.use('/quotations', quotationRoutes);
+router.use('/promotions', promotionRoutes);
+router.use('/coupons', couponRoutes);
+router.use('/gift-cards', giftCardRoutes);
+router.use('/price-lists', priceListRoutes);
+router.use('/registers', registerRoutes);
+router.use('/serials', serialRoutes);
+router.use('/warranties', warrantyRoutes);
+router.use('/service-tickets', serviceTicketRoutes);
+router.use('/installments', installmentRoutes);
+router.use('/trade-ins', tradeInRoutes);
+router.use('/settings', settingsRoutes);
 router.use('/monitor', monitorRoutes);
 
 module.exports = router;
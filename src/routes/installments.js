@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const { InstallmentService } = require('../services');
+const { authenticate, requireTenantAccess, staffPermissions, asyncHandler } = require('../middleware');
+
+/**
+ * @route GET /api/installments
+ * @desc Get installment plans. Filters: status (active, completed),
+ *       customerId, phone, saleId, planNumber, overdue=true
+ * @access Private (shop_admin, staff)
+ */
+router.get('/', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const { page, limit, sort, status, customerId, phone, saleId, planNumber, overdue } = req.query;
+  
+  const result = await InstallmentService.getAll(req.tenantId, {
+    page: parseInt(page, 10) || 1,
+    limit: parseInt(limit, 10) || 20,
+    sort: sort || '-createdAt',
+    status,
+    customerId,
+    phone,
+    saleId,
+    planNumber,
+    overdue: overdue === 'true',
+  });
+  
+  res.json({
+    success: true,
+    data: result.plans,
+    pagination: result.pagination,
+  });
+}));
+
+/**
+ * @route GET /api/installments/overdue
+ * @desc Overdue installments report, as of ?asOf (default now)
+ * @access Private (shop_admin, manager)
+ */
+router.get('/overdue', authenticate, requireTenantAccess, staffPermissions.canViewReports, asyncHandler(async (req, res) => {
+  const report = await InstallmentService.getOverdueReport(req.tenantId, req.query.asOf || new Date());
+  
+  res.json({
+    success: true,
+    data: report,
+  });
+}));
+
+/**
+ * @route GET /api/installments/:planId
+ * @desc Get installment plan with its schedule and payments
+ * @access Private (shop_admin, staff)
+ */
+router.get('/:planId', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const plan = await InstallmentService.getById(req.tenantId, req.params.planId);
+  
+  res.json({
+    success: true,
+    data: plan,
+  });
+}));
+
+/**
+ * @route POST /api/installments/:planId/payments
+ * @desc Take a payment against the schedule. Body: { amount, method,
+ *       reference, notes, terminalId }; cash goes into the register open
+ *       on terminalId (or the staff member's).
+ * @access Private (shop_admin, staff)
+ */
+router.post('/:planId/payments', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const plan = await InstallmentService.recordPayment(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.planId,
+    req.body
+  );
+  
+  res.status(201).json({
+    success: true,
+    data: plan,
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const { PriceListService } = require('../services');
+const { authenticate, requireTenantAccess, requireShopAdminOrHigher, asyncHandler } = require('../middleware');
+
+/**
+ * @route GET /api/price-lists
+ * @desc Get all price lists
+ * @access Private (shop_admin, staff)
+ */
+router.get('/', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const priceLists = await PriceListService.getAll(req.tenantId, { status: req.query.status });
+  
+  res.json({
+    success: true,
+    data: priceLists,
+  });
+}));
+
+/**
+ * @route GET /api/price-lists/:priceListId
+ * @desc Get price list by ID
+ * @access Private (shop_admin, staff)
+ */
+router.get('/:priceListId', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const priceList = await PriceListService.getById(req.tenantId, req.params.priceListId);
+  
+  res.json({
+    success: true,
+    data: priceList,
+  });
+}));
+
+/**
+ * @route POST /api/price-lists
+ * @desc Create a new price list
+ * @access Private (shop_admin only)
+ */
+router.post('/', authenticate, requireTenantAccess, requireShopAdminOrHigher, asyncHandler(async (req, res) => {
+  const priceList = await PriceListService.create(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.body
+  );
+  
+  res.status(201).json({
+    success: true,
+    data: priceList,
+  });
+}));
+
+/**
+ * @route PUT /api/price-lists/:priceListId
+ * @desc Update a price list
+ * @access Private (shop_admin only)
+ */
+router.put('/:priceListId', authenticate, requireTenantAccess, requireShopAdminOrHigher, asyncHandler(async (req, res) => {
+  const priceList = await PriceListService.update(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.priceListId,
+    req.body
+  );
+  
+  res.json({
+    success: true,
+    data: priceList,
+  });
+}));
+
+/**
+ * @route DELETE /api/price-lists/:priceListId
+ * @desc Deactivate a price list
+ * @access Private (shop_admin only)
+ */
+router.delete('/:priceListId', authenticate, requireTenantAccess, requireShopAdminOrHigher, asyncHandler(async (req, res) => {
+  const result = await PriceListService.delete(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.priceListId
+  );
+  
+  res.json({
+    success: true,
+    ...result,
+  });
+}));
+
+module.exports = router;
@@ -1,15 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const { ProductService } = require('../services');
-const { authenticate, requireTenantAccess, staffPermissions, asyncHandler, parsePagination, parseSort, parseFilter } = require('../middleware');
+const { ProductService, SerialService } = require('../services');
+const { authenticate, requireTenantAccess, staffPermissions, idempotency, asyncHandler, parsePagination, parseSort, parseFilter } = require('../middleware');
 
 /**
  * @route GET /api/products
- * @desc Get all products with pagination and filters
+ * @desc Get all products with pagination and filters. Filter by parentId, or
+ *       pass groupBy=parent to list parents with their variants (paginated by
+ *       group; standalone products are listed as they are)
  * @access Private (shop_admin, staff)
  */
 router.get('/', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
-  const { page, limit, sort, category, status, search, minPrice, maxPrice } = req.query;
+  const { page, limit, sort, category, status, search, minPrice, maxPrice, parentId, groupBy } = req.query;
   
   const result = await ProductService.getAll(req.tenantId, {
     page: parseInt(page, 10) || 1,
@@ -20,6 +22,8 @@ router.get('/', authenticate, requireTenantAccess, asyncHandler(async (req, res)
     search,
     minPrice: minPrice ? parseFloat(minPrice) : undefined,
     maxPrice: maxPrice ? parseFloat(maxPrice) : undefined,
+    parentId,
+    groupByParent: groupBy === 'parent',
   });
   
   res.json({
@@ -57,6 +61,85 @@ router.get('/low-stock', authenticate, requireTenantAccess, asyncHandler(async (
   });
 }));
 
+/**
+ * @route POST /api/products/parents
+ * @desc Create a parent product (shared brand, description, images, category).
+ *       Body may include variants: [{ color, capacity, sku, barcode, price,
+ *       costPrice, stockQuantity }] or matrix: { colors, capacities,
+ *       skuPrefix, price, costPrice }
+ * @access Private (shop_admin only)
+ */
+router.post('/parents', authenticate, requireTenantAccess, staffPermissions.canManageProducts, asyncHandler(async (req, res) => {
+  const result = await ProductService.createParent(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.body
+  );
+  
+  res.status(201).json({
+    success: true,
+    data: result,
+  });
+}));
+
+/**
+ * @route GET /api/products/parents/:parentId
+ * @desc Get parent product with its variants
+ * @access Private (shop_admin, staff)
+ */
+router.get('/parents/:parentId', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const result = await ProductService.getParent(req.tenantId, req.params.parentId);
+  
+  res.json({
+    success: true,
+    data: result,
+  });
+}));
+
+/**
+ * @route PUT /api/products/parents/:parentId
+ * @desc Update parent product; shared fields and names are applied to its
+ *       variants
+ * @access Private (shop_admin only)
+ */
+router.put('/parents/:parentId', authenticate, requireTenantAccess, staffPermissions.canManageProducts, asyncHandler(async (req, res) => {
+  const result = await ProductService.updateParent(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.parentId,
+    req.body
+  );
+  
+  res.json({
+    success: true,
+    data: result,
+  });
+}));
+
+/**
+ * @route POST /api/products/parents/:parentId/variants
+ * @desc Add variants to a parent. Body: { variants, matrix } as for creating
+ *       a parent; a variant given as { productId, color, capacity } brings an
+ *       existing product under the parent
+ * @access Private (shop_admin only)
+ */
+router.post('/parents/:parentId/variants', authenticate, requireTenantAccess, staffPermissions.canManageProducts, asyncHandler(async (req, res) => {
+  const variants = await ProductService.addVariants(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.parentId,
+    req.body
+  );
+  
+  res.status(201).json({
+    success: true,
+    data: variants,
+  });
+}));
+
 /**
  * @route GET /api/products/:productId
  * @desc Get product by ID
@@ -138,10 +221,10 @@ router.delete('/:productId', authenticate, requireTenantAccess, staffPermissions
 
 /**
  * @route POST /api/products/:productId/stock
- * @desc Update product stock
+ * @desc Update product stock. Honours the Idempotency-Key header.
  * @access Private (shop_admin only)
  */
-router.post('/:productId/stock', authenticate, requireTenantAccess, staffPermissions.canManageProducts, asyncHandler(async (req, res) => {
+router.post('/:productId/stock', authenticate, requireTenantAccess, staffPermissions.canManageProducts, idempotency, asyncHandler(async (req, res) => {
   const { quantityChange, reason } = req.body;
   
   if (quantityChange === undefined || quantityChange === null) {
@@ -167,5 +250,27 @@ router.post('/:productId/stock', authenticate, requireTenantAccess, staffPermiss
   });
 }));
 
+/**
+ * @route POST /api/products/:productId/serials
+ * @desc Receive units of a serialized product into stock by IMEI/serial.
+ *       Body: { serials: [...], reason }. Honours the Idempotency-Key header.
+ * @access Private (shop_admin, or staff with the product permission)
+ */
+router.post('/:productId/serials', authenticate, requireTenantAccess, staffPermissions.canManageProducts, idempotency, asyncHandler(async (req, res) => {
+  const result = await SerialService.receive(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.productId,
+    req.body.serials,
+    req.body.reason
+  );
+  
+  res.status(201).json({
+    success: true,
+    data: result,
+  });
+}));
+
 module.exports = router;
 
@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const { PromotionService } = require('../services');
+const { authenticate, requireTenantAccess, requireShopAdminOrHigher, staffPermissions, asyncHandler } = require('../middleware');
+
+/**
+ * @route GET /api/promotions
+ * @desc Get all promotions with pagination and filters
+ * @access Private (shop_admin, staff)
+ */
+router.get('/', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const { page, limit, sort, status, type } = req.query;
+  
+  const result = await PromotionService.getAll(req.tenantId, {
+    page: parseInt(page, 10) || 1,
+    limit: parseInt(limit, 10) || 20,
+    sort: sort || '-priority',
+    status,
+    type,
+  });
+  
+  res.json({
+    success: true,
+    data: result.promotions,
+    pagination: result.pagination,
+  });
+}));
+
+/**
+ * @route GET /api/promotions/report
+ * @desc Discount given per promotion over a period
+ * @access Private (shop_admin, manager)
+ */
+router.get('/report', authenticate, requireTenantAccess, staffPermissions.canViewReports, asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.query;
+  
+  if (!startDate || !endDate) {
+    return res.status(400).json({
+      success: false,
+      error: 'Start date and end date are required',
+      code: 'MISSING_DATES',
+    });
+  }
+  
+  const report = await PromotionService.getReport(req.tenantId, startDate, endDate);
+  
+  res.json({
+    success: true,
+    data: report,
+  });
+}));
+
+/**
+ * @route GET /api/promotions/:promotionId
+ * @desc Get promotion by ID
+ * @access Private (shop_admin, staff)
+ */
+router.get('/:promotionId', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const promotion = await PromotionService.getById(req.tenantId, req.params.promotionId);
+  
+  res.json({
+    success: true,
+    data: promotion,
+  });
+}));
+
+/**
+ * @route POST /api/promotions
+ * @desc Create a new promotion
+ * @access Private (shop_admin only)
+ */
+router.post('/', authenticate, requireTenantAccess, requireShopAdminOrHigher, asyncHandler(async (req, res) => {
+  const promotion = await PromotionService.create(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.body
+  );
+  
+  res.status(201).json({
+    success: true,
+    data: promotion,
+  });
+}));
+
+/**
+ * @route PUT /api/promotions/:promotionId
+ * @desc Update a promotion
+ * @access Private (shop_admin only)
+ */
+router.put('/:promotionId', authenticate, requireTenantAccess, requireShopAdminOrHigher, asyncHandler(async (req, res) => {
+  const promotion = await PromotionService.update(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.promotionId,
+    req.body
+  );
+  
+  res.json({
+    success: true,
+    data: promotion,
+  });
+}));
+
+/**
+ * @route DELETE /api/promotions/:promotionId
+ * @desc Deactivate a promotion
+ * @access Private (shop_admin only)
+ */
+router.delete('/:promotionId', authenticate, requireTenantAccess, requireShopAdminOrHigher, asyncHandler(async (req, res) => {
+  const result = await PromotionService.delete(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.promotionId
+  );
+  
+  res.json({
+    success: true,
+    ...result,
+  });
+}));
+
+module.exports = router;
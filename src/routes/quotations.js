@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const { QuotationService } = require('../services');
+const { authenticate, requireTenantAccess, asyncHandler } = require('../middleware');
+
+/**
+ * @route GET /api/quotations
+ * @desc Get all quotations with pagination and filters
+ * @access Private (shop_admin, staff)
+ */
+router.get('/', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const { page, limit, sort, status, customerId, expired } = req.query;
+  
+  const result = await QuotationService.getAll(req.tenantId, {
+    page: parseInt(page, 10) || 1,
+    limit: parseInt(limit, 10) || 20,
+    sort: sort || '-createdAt',
+    status,
+    customerId,
+    expired: expired === undefined ? undefined : expired === 'true',
+  });
+  
+  res.json({
+    success: true,
+    data: result.quotations,
+    pagination: result.pagination,
+  });
+}));
+
+/**
+ * @route GET /api/quotations/:quotationId
+ * @desc Get quotation by ID
+ * @access Private (shop_admin, staff)
+ */
+router.get('/:quotationId', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const quotation = await QuotationService.getById(req.tenantId, req.params.quotationId);
+  
+  res.json({
+    success: true,
+    data: quotation,
+  });
+}));
+
+/**
+ * @route POST /api/quotations
+ * @desc Create a new quotation
+ * @access Private (shop_admin, staff)
+ */
+router.post('/', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const quotation = await QuotationService.create(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.body
+  );
+  
+  res.status(201).json({
+    success: true,
+    data: quotation,
+  });
+}));
+
+/**
+ * @route POST /api/quotations/:quotationId/convert
+ * @desc Convert a quotation into a sale (send acceptPriceChanges to confirm changed prices)
+ * @access Private (shop_admin, staff)
+ */
+router.post('/:quotationId/convert', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const result = await QuotationService.convert(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.quotationId,
+    req.body
+  );
+  
+  res.status(201).json({
+    success: true,
+    data: result.sale,
+    quotation: result.quotation,
+    warnings: result.warnings,
+  });
+}));
+
+/**
+ * @route POST /api/quotations/:quotationId/cancel
+ * @desc Cancel an open quotation
+ * @access Private (shop_admin, staff)
+ */
+router.post('/:quotationId/cancel', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const quotation = await QuotationService.cancel(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.quotationId,
+    req.body.reason
+  );
+  
+  res.json({
+    success: true,
+    data: quotation,
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+const { RegisterService } = require('../services');
+const { authenticate, requireTenantAccess, staffPermissions, asyncHandler } = require('../middleware');
+
+/**
+ * @route GET /api/registers
+ * @desc Get register sessions with pagination and filters
+ * @access Private (shop_admin, manager)
+ */
+router.get('/', authenticate, requireTenantAccess, staffPermissions.canViewReports, asyncHandler(async (req, res) => {
+  const { page, limit, status, terminalId, startDate, endDate } = req.query;
+  
+  const result = await RegisterService.getAll(req.tenantId, {
+    page: parseInt(page, 10) || 1,
+    limit: parseInt(limit, 10) || 20,
+    status,
+    terminalId,
+    startDate,
+    endDate,
+  });
+  
+  res.json({
+    success: true,
+    data: result.sessions,
+    pagination: result.pagination,
+  });
+}));
+
+/**
+ * @route GET /api/registers/current
+ * @desc Get the open session for a terminal (?terminalId=), or the one the
+ *       current user opened, with its running report
+ * @access Private (shop_admin, staff)
+ */
+router.get('/current', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const session = await RegisterService.getOpenSession(req.tenantId, {
+    terminalId: req.query.terminalId,
+    staffId: req.user.userId,
+  });
+  
+  res.json({
+    success: true,
+    data: session
+      ? { session, report: await RegisterService.buildReport(req.tenantId, session) }
+      : null,
+  });
+}));
+
+/**
+ * @route POST /api/registers/open
+ * @desc Open a register session (body: terminalId, openingFloat, notes)
+ * @access Private (shop_admin, staff)
+ */
+router.post('/open', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const session = await RegisterService.open(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.body
+  );
+  
+  res.status(201).json({
+    success: true,
+    data: session,
+  });
+}));
+
+/**
+ * @route GET /api/registers/:sessionId
+ * @desc Get register session by ID
+ * @access Private (shop_admin, staff)
+ */
+router.get('/:sessionId', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const session = await RegisterService.getById(req.tenantId, req.params.sessionId);
+  
+  res.json({
+    success: true,
+    data: session,
+  });
+}));
+
+/**
+ * @route GET /api/registers/:sessionId/report
+ * @desc Running (X) report of an open session, or the Z-report of a closed one
+ * @access Private (shop_admin, staff)
+ */
+router.get('/:sessionId/report', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const report = await RegisterService.getReport(req.tenantId, req.params.sessionId);
+  
+  res.json({
+    success: true,
+    data: report,
+  });
+}));
+
+/**
+ * @route POST /api/registers/:sessionId/cash-movements
+ * @desc Record a paid-in or paid-out (body: type, amount, reason)
+ * @access Private (shop_admin, staff)
+ */
+router.post('/:sessionId/cash-movements', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const session = await RegisterService.addCashMovement(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.sessionId,
+    req.body
+  );
+  
+  res.status(201).json({
+    success: true,
+    data: session,
+  });
+}));
+
+/**
+ * @route POST /api/registers/:sessionId/close
+ * @desc Close a session with the counted cash (body: countedCash and/or
+ *       denominations [{ value, count }], notes) and return its Z-report
+ * @access Private (shop_admin, staff)
+ */
+router.post('/:sessionId/close', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const session = await RegisterService.close(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.sessionId,
+    req.body
+  );
+  
+  res.json({
+    success: true,
+    data: session,
+  });
+}));
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { SaleService } = require('../services');
-const { authenticate, requireTenantAccess, staffPermissions, asyncHandler } = require('../middleware');
+const { SaleService, ReceiptService, InvoiceService, DiscountApprovalService, SerialService } = require('../services');
+const { authenticate, requireTenantAccess, staffPermissions, idempotency, asyncHandler } = require('../middleware');
 
 /**
  * @route GET /api/sales
@@ -9,7 +9,7 @@ const { authenticate, requireTenantAccess, staffPermissions, asyncHandler } = re
  * @access Private (shop_admin, staff)
  */
 router.get('/', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
-  const { page, limit, sort, status, paymentStatus, staffId, startDate, endDate } = req.query;
+  const { page, limit, sort, status, paymentStatus, staffId, startDate, endDate, needsReview, source } = req.query;
   
   const result = await SaleService.getAll(req.tenantId, {
     page: parseInt(page, 10) || 1,
@@ -20,6 +20,8 @@ router.get('/', authenticate, requireTenantAccess, asyncHandler(async (req, res)
     staffId,
     startDate,
     endDate,
+    needsReview: needsReview === 'true',
+    source,
   });
   
   res.json({
@@ -53,6 +55,46 @@ router.get('/summary', authenticate, requireTenantAccess, staffPermissions.canVi
   });
 }));
 
+/**
+ * @route GET /api/sales/tax-report
+ * @desc Tax collected per tax class/rate for a period
+ * @access Private (shop_admin, manager)
+ */
+router.get('/tax-report', authenticate, requireTenantAccess, staffPermissions.canViewReports, asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.query;
+  
+  if (!startDate || !endDate) {
+    return res.status(400).json({
+      success: false,
+      error: 'Start date and end date are required',
+      code: 'MISSING_DATES',
+    });
+  }
+  
+  const report = await SaleService.getTaxReport(req.tenantId, startDate, endDate);
+  
+  res.json({
+    success: true,
+    data: report,
+  });
+}));
+
+/**
+ * @route GET /api/sales/parked
+ * @desc List parked (held) sales, optionally per terminal or staff
+ * @access Private (shop_admin, staff)
+ */
+router.get('/parked', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const { terminalId, staffId } = req.query;
+  
+  const sales = await SaleService.getParked(req.tenantId, { terminalId, staffId });
+  
+  res.json({
+    success: true,
+    data: sales,
+  });
+}));
+
 /**
  * @route GET /api/sales/:saleId
  * @desc Get sale by ID
@@ -67,12 +109,75 @@ router.get('/:saleId', authenticate, requireTenantAccess, asyncHandler(async (re
   });
 }));
 
+/**
+ * @route GET /api/sales/:saleId/serials
+ * @desc Get the IMEIs/serials sold on a sale and whether each was returned
+ * @access Private (shop_admin, staff)
+ */
+router.get('/:saleId/serials', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const result = await SerialService.getForSale(req.tenantId, req.params.saleId);
+  
+  res.json({
+    success: true,
+    data: result,
+  });
+}));
+
+/**
+ * @route GET /api/sales/:saleId/receipt
+ * @desc Thermal receipt for a sale. ?format=escpos (raw printer bytes, default)
+ *       or text; ?width=58|80 overrides the tenant's paper width.
+ * @access Private (shop_admin, staff)
+ */
+router.get('/:saleId/receipt', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const { format, width } = req.query;
+  
+  const receipt = await ReceiptService.render(req.tenantId, req.params.saleId, {
+    format: format || 'escpos',
+    paperWidth: width,
+  });
+  
+  res.setHeader('Content-Type', receipt.contentType);
+  if (format !== 'text') {
+    res.setHeader('Content-Disposition', `attachment; filename="receipt-${receipt.invoiceNumber}.bin"`);
+  }
+  res.send(receipt.body);
+}));
+
+/**
+ * @route GET /api/sales/:saleId/invoice
+ * @desc A4 tax invoice for a sale. ?format=pdf (default) or html.
+ *       Reprints are watermarked DUPLICATE.
+ * @access Private (shop_admin, staff)
+ */
+router.get('/:saleId/invoice', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const format = req.query.format || 'pdf';
+  
+  const invoice = await InvoiceService.render(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.saleId,
+    { format }
+  );
+  
+  res.setHeader('Content-Type', invoice.contentType);
+  if (format === 'pdf') {
+    res.setHeader('Content-Disposition', `inline; filename="invoice-${invoice.invoiceNumber}.pdf"`);
+  }
+  res.send(invoice.body);
+}));
+
 /**
  * @route POST /api/sales
- * @desc Create a new sale
+ * @desc Create a new sale. Accepts a single paymentMethod or split tenders in
+ *       payments[] ({ method, amount, reference }); change is returned for cash.
+ *       Manual discounts above the tenant's threshold need the discount
+ *       permission or a discountOverride: { staffId, pin } or { approvalToken }.
+ *       Honours the Idempotency-Key header.
  * @access Private (all authenticated users - staff can create sales)
  */
-router.post('/', authenticate, requireTenantAccess, staffPermissions.canManageSales, asyncHandler(async (req, res) => {
+router.post('/', authenticate, requireTenantAccess, staffPermissions.canManageSales, idempotency, asyncHandler(async (req, res) => {
   const saleData = req.body;
   
   // Ensure tenantId is set
@@ -91,20 +196,143 @@ router.post('/', authenticate, requireTenantAccess, staffPermissions.canManageSa
   });
 }));
 
+/**
+ * @route POST /api/sales/discount-approvals
+ * @desc Approve a discount as a manager. Body: { maxDiscountPercent, reason }.
+ *       Returns a single-use approvalToken, valid for 10 minutes, that the
+ *       cashier sends with the sale as discountOverride: { approvalToken }.
+ * @access Private (shop_admin, or staff with the discount permission)
+ */
+router.post('/discount-approvals', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const approval = await DiscountApprovalService.issueToken(req.tenantId, req.user.userId, {
+    maxDiscountPercent: req.body.maxDiscountPercent,
+    reason: req.body.reason,
+  });
+  
+  res.status(201).json({
+    success: true,
+    data: approval,
+  });
+}));
+
+/**
+ * @route POST /api/sales/sync
+ * @desc Upload sales recorded offline. Body: { sales: [{ clientSaleId, offlineCreatedAt, ...sale }] }.
+ *       Each sale gets its own result: accepted, duplicate, stock_conflict (accepted
+ *       but flagged for review), flagged (accepted with an unapproved discount or
+ *       serials that were not in stock) or error.
+ * @access Private (staff who can manage sales)
+ */
+router.post('/sync', authenticate, requireTenantAccess, staffPermissions.canManageSales, asyncHandler(async (req, res) => {
+  const result = await SaleService.syncOffline(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.body.sales
+  );
+  
+  res.json({
+    success: true,
+    data: result.results,
+    summary: result.summary,
+  });
+}));
+
+/**
+ * @route POST /api/sales/park
+ * @desc Park (hold) a cart with an optional label, reserving its stock
+ * @access Private (staff who can manage sales)
+ */
+router.post('/park', authenticate, requireTenantAccess, staffPermissions.canManageSales, asyncHandler(async (req, res) => {
+  const sale = await SaleService.park(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.body
+  );
+  
+  res.status(201).json({
+    success: true,
+    data: sale,
+  });
+}));
+
+/**
+ * @route POST /api/sales/:saleId/resume
+ * @desc Resume a parked sale into a completed sale
+ * @access Private (staff who can manage sales)
+ */
+router.post('/:saleId/resume', authenticate, requireTenantAccess, staffPermissions.canManageSales, asyncHandler(async (req, res) => {
+  const sale = await SaleService.resume(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.saleId,
+    req.body
+  );
+  
+  res.status(201).json({
+    success: true,
+    data: sale,
+  });
+}));
+
+/**
+ * @route POST /api/sales/:saleId/discard
+ * @desc Discard a parked sale and release its reserved stock
+ * @access Private (staff who can manage sales)
+ */
+router.post('/:saleId/discard', authenticate, requireTenantAccess, staffPermissions.canManageSales, asyncHandler(async (req, res) => {
+  const result = await SaleService.discardParked(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.saleId,
+    req.body.reason
+  );
+  
+  res.json({
+    success: true,
+    ...result,
+  });
+}));
+
+/**
+ * @route POST /api/sales/:saleId/review
+ * @desc Clear the review flag on a sale (e.g. an offline sale that oversold stock)
+ * @access Private (shop_admin only)
+ */
+router.post('/:saleId/review', authenticate, requireTenantAccess, staffPermissions.canManageSales, asyncHandler(async (req, res) => {
+  const sale = await SaleService.resolveReview(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.saleId,
+    req.body.notes
+  );
+  
+  res.json({
+    success: true,
+    data: sale,
+  });
+}));
+
 /**
  * @route POST /api/sales/:saleId/cancel
- * @desc Cancel a sale
+ * @desc Cancel a sale. Body: { reason, terminalId }. Cash not already
+ *       refunded is handed back from the register open on terminalId.
  * @access Private (shop_admin only)
  */
 router.post('/:saleId/cancel', authenticate, requireTenantAccess, staffPermissions.canManageSales, asyncHandler(async (req, res) => {
-  const { reason } = req.body;
+  const { reason, terminalId } = req.body;
   
   const sale = await SaleService.cancel(
     req.tenantId,
     req.user.userId,
     req.user.profile?.firstName || req.user.email,
     req.params.saleId,
-    reason
+    reason,
+    { terminalId }
   );
   
   res.json({
@@ -115,17 +343,30 @@ router.post('/:saleId/cancel', authenticate, requireTenantAccess, staffPermissio
 
 /**
  * @route POST /api/sales/:saleId/refund
- * @desc Refund a sale
+ * @desc Refund a sale - whole sale, or specific line items and quantities.
+ *       An explicit refundAmount needs items and is capped at their value.
+ *       Serialized products name the returned units in items[].serials.
+ *       refundMethod 'store_credit' credits store credit instead of cash;
+ *       the trade-in share of a sale is always credited as store credit.
+ *       Honours the Idempotency-Key header.
  * @access Private (shop_admin, manager - those with refund permission)
  */
-router.post('/:saleId/refund', authenticate, requireTenantAccess, staffPermissions.canRefund, asyncHandler(async (req, res) => {
-  const { refundAmount, reason } = req.body;
+router.post('/:saleId/refund', authenticate, requireTenantAccess, staffPermissions.canRefund, idempotency, asyncHandler(async (req, res) => {
+  const { items, refundAmount, reason, refundMethod, storeCreditCode, terminalId } = req.body;
+  
+  if (items !== undefined && !Array.isArray(items)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Items must be an array of { productId, quantity }',
+      code: 'INVALID_ITEMS',
+    });
+  }
   
-  if (refundAmount === undefined || refundAmount === null) {
+  if (refundAmount !== undefined && refundAmount !== null && !Number.isFinite(Number(refundAmount))) {
     return res.status(400).json({
       success: false,
-      error: 'Refund amount is required',
-      code: 'MISSING_AMOUNT',
+      error: 'Refund amount must be a number',
+      code: 'INVALID_AMOUNT',
     });
   }
   
@@ -134,8 +375,52 @@ router.post('/:saleId/refund', authenticate, requireTenantAccess, staffPermissio
     req.user.userId,
     req.user.profile?.firstName || req.user.email,
     req.params.saleId,
-    parseFloat(refundAmount),
-    reason
+    {
+      items,
+      refundAmount: refundAmount !== undefined && refundAmount !== null ? Number(refundAmount) : undefined,
+      reason,
+      refundMethod,
+      storeCreditCode,
+      terminalId,
+    }
+  );
+  
+  res.json({
+    success: true,
+    data: sale,
+  });
+}));
+
+/**
+ * @route POST /api/sales/:saleId/payments
+ * @desc Record a payment against a credit sale's outstanding balance. Cash
+ *       goes into the register open on terminalId (or the staff member's).
+ *       Honours the Idempotency-Key header.
+ * @access Private (staff who can manage sales)
+ */
+router.post('/:saleId/payments', authenticate, requireTenantAccess, staffPermissions.canManageSales, idempotency, asyncHandler(async (req, res) => {
+  const { amount, method, reference, notes, terminalId } = req.body;
+  
+  if (amount === undefined || amount === null || !method) {
+    return res.status(400).json({
+      success: false,
+      error: 'Payment amount and method are required',
+      code: 'MISSING_FIELDS',
+    });
+  }
+  
+  const sale = await SaleService.recordPayment(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.saleId,
+    {
+      amount: parseFloat(amount),
+      method,
+      reference,
+      notes,
+      terminalId,
+    }
   );
   
   res.json({
@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const { SerialService } = require('../services');
+const { authenticate, requireTenantAccess, staffPermissions, asyncHandler } = require('../middleware');
+
+/**
+ * @route GET /api/serials
+ * @desc Get serialized units with pagination and filters (productId, status,
+ *       customerId, search)
+ * @access Private (shop_admin, staff)
+ */
+router.get('/', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const { page, limit, sort, productId, status, customerId, search } = req.query;
+  
+  const result = await SerialService.getAll(req.tenantId, {
+    page: parseInt(page, 10) || 1,
+    limit: parseInt(limit, 10) || 50,
+    sort: sort || '-receivedAt',
+    productId,
+    status,
+    customerId,
+    search,
+  });
+  
+  res.json({
+    success: true,
+    data: result.serials,
+    pagination: result.pagination,
+  });
+}));
+
+/**
+ * @route GET /api/serials/:serial
+ * @desc Look up a unit by IMEI/serial: its status, latest sale and customer,
+ *       and its full receive/sale/return history
+ * @access Private (shop_admin, staff)
+ */
+router.get('/:serial', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const unit = await SerialService.getBySerial(req.tenantId, req.params.serial);
+  
+  res.json({
+    success: true,
+    data: unit,
+  });
+}));
+
+/**
+ * @route POST /api/serials/:serial/write-off
+ * @desc Write off an in-stock unit (lost, stolen, damaged). Body: { reason }
+ * @access Private (shop_admin, or staff with the product permission)
+ */
+router.post('/:serial/write-off', authenticate, requireTenantAccess, staffPermissions.canManageProducts, asyncHandler(async (req, res) => {
+  const unit = await SerialService.remove(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.serial,
+    req.body.reason
+  );
+  
+  res.json({
+    success: true,
+    data: unit,
+  });
+}));
+
+module.exports = router;
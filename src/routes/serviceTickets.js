@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const { ServiceTicketService } = require('../services');
+const { authenticate, requireTenantAccess, asyncHandler } = require('../middleware');
+
+/**
+ * @route GET /api/service-tickets/track
+ * @desc Customer status check. Query: tenantId, ticketNumber and the phone
+ *       number given at intake
+ * @access Public
+ */
+router.get('/track', asyncHandler(async (req, res) => {
+  const { tenantId, ticketNumber, phone } = req.query;
+  
+  const status = await ServiceTicketService.track(tenantId, ticketNumber, phone);
+  
+  res.json({
+    success: true,
+    data: status,
+  });
+}));
+
+/**
+ * @route GET /api/service-tickets
+ * @desc Get service tickets. Filters: status, phone (customer), technicianId;
+ *       search matches ticket number, customer name or device
+ * @access Private (shop_admin, staff)
+ */
+router.get('/', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const { page, limit, sort, status, phone, technicianId, search } = req.query;
+  
+  const result = await ServiceTicketService.getAll(req.tenantId, {
+    page: parseInt(page, 10) || 1,
+    limit: parseInt(limit, 10) || 20,
+    sort: sort || '-createdAt',
+    status,
+    phone,
+    technicianId,
+    search,
+  });
+  
+  res.json({
+    success: true,
+    data: result.tickets,
+    pagination: result.pagination,
+  });
+}));
+
+/**
+ * @route POST /api/service-tickets
+ * @desc Book a device in. Body: { customer: { customerId, name, phone, email },
+ *       device, reportedFault, estimate: { amount, notes }, labourCharge, notes }
+ * @access Private (shop_admin, staff)
+ */
+router.post('/', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const ticket = await ServiceTicketService.create(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.body
+  );
+  
+  res.status(201).json({
+    success: true,
+    data: ticket,
+  });
+}));
+
+/**
+ * @route GET /api/service-tickets/:ticketId
+ * @desc Get service ticket by ID
+ * @access Private (shop_admin, staff)
+ */
+router.get('/:ticketId', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const ticket = await ServiceTicketService.getById(req.tenantId, req.params.ticketId);
+  
+  res.json({
+    success: true,
+    data: ticket,
+  });
+}));
+
+/**
+ * @route PUT /api/service-tickets/:ticketId
+ * @desc Update device, reportedFault, diagnosis, estimate or labourCharge
+ * @access Private (shop_admin, staff)
+ */
+router.put('/:ticketId', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const ticket = await ServiceTicketService.update(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.ticketId,
+    req.body
+  );
+  
+  res.json({
+    success: true,
+    data: ticket,
+  });
+}));
+
+/**
+ * @route POST /api/service-tickets/:ticketId/assign
+ * @desc Assign a technician. Body: { staffId }
+ * @access Private (shop_admin, staff)
+ */
+router.post('/:ticketId/assign', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const ticket = await ServiceTicketService.assignTechnician(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.ticketId,
+    req.body.staffId
+  );
+  
+  res.json({
+    success: true,
+    data: ticket,
+  });
+}));
+
+/**
+ * @route POST /api/service-tickets/:ticketId/status
+ * @desc Move a ticket along its workflow. Body: { status, notes }
+ * @access Private (shop_admin, staff)
+ */
+router.post('/:ticketId/status', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const ticket = await ServiceTicketService.updateStatus(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.ticketId,
+    req.body
+  );
+  
+  res.json({
+    success: true,
+    data: ticket,
+  });
+}));
+
+/**
+ * @route POST /api/service-tickets/:ticketId/parts
+ * @desc Take a part out of stock for the repair. Body: { productId, quantity }
+ * @access Private (shop_admin, staff)
+ */
+router.post('/:ticketId/parts', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const ticket = await ServiceTicketService.addPart(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.ticketId,
+    req.body
+  );
+  
+  res.json({
+    success: true,
+    data: ticket,
+  });
+}));
+
+/**
+ * @route POST /api/service-tickets/:ticketId/parts/remove
+ * @desc Return an unused part to stock. Body: { productId, quantity }
+ *       (all of it when quantity is omitted)
+ * @access Private (shop_admin, staff)
+ */
+router.post('/:ticketId/parts/remove', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const ticket = await ServiceTicketService.removePart(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.ticketId,
+    req.body
+  );
+  
+  res.json({
+    success: true,
+    data: ticket,
+  });
+}));
+
+/**
+ * @route POST /api/service-tickets/:ticketId/checkout
+ * @desc Hand a ready repair back, charging parts and labour as a sale.
+ *       Body: sale payment fields (payments or paymentMethod, terminalId, notes)
+ * @access Private (shop_admin, staff)
+ */
+router.post('/:ticketId/checkout', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const result = await ServiceTicketService.checkout(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.ticketId,
+    req.body
+  );
+  
+  res.status(201).json({
+    success: true,
+    data: result,
+  });
+}));
+
+module.exports = router;
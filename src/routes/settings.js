@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const { TenantService } = require('../services');
+const { authenticate, requireTenantAccess, requireRole, asyncHandler } = require('../middleware');
+
+/**
+ * @route GET /api/settings
+ * @desc Get the current tenant's profile and settings
+ * @access Private (shop_admin, staff)
+ */
+router.get('/', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const settings = await TenantService.getSettings(req.tenantId);
+  
+  res.json({
+    success: true,
+    data: settings,
+  });
+}));
+
+/**
+ * @route PUT /api/settings
+ * @desc Update the current tenant's profile and settings
+ * @access Private (shop_admin only)
+ */
+router.put('/', authenticate, requireTenantAccess, requireRole('shop_admin', 'super_admin'), asyncHandler(async (req, res) => {
+  const settings = await TenantService.updateSettings(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.user.role,
+    req.body
+  );
+  
+  res.json({
+    success: true,
+    data: settings,
+  });
+}));
+
+module.exports = router;
@@ -87,7 +87,8 @@ router.post('/', authenticate, requireTenantAccess, requireRole('shop_admin', 's
 
 /**
  * @route PUT /api/staff/:staffId
- * @desc Update staff details
+ * @desc Update staff details. overridePin (4-8 digits) sets the PIN the staff
+ *       member approves discount overrides with; null clears it.
  * @access Private (shop_admin, super_admin)
  */
 router.put('/:staffId', authenticate, requireTenantAccess, requireRole('shop_admin', 'super_admin'), asyncHandler(async (req, res) => {
@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+const { TradeInService } = require('../services');
+const { authenticate, requireTenantAccess, asyncHandler } = require('../middleware');
+
+/**
+ * @route GET /api/trade-ins
+ * @desc Get trade-ins. Filters: status (offered, applied, declined,
+ *       cancelled), phone (customer), serial, saleId, tradeInNumber
+ * @access Private (shop_admin, staff)
+ */
+router.get('/', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const { page, limit, sort, status, phone, serial, saleId, tradeInNumber } = req.query;
+  
+  const result = await TradeInService.getAll(req.tenantId, {
+    page: parseInt(page, 10) || 1,
+    limit: parseInt(limit, 10) || 20,
+    sort: sort || '-createdAt',
+    status,
+    phone,
+    serial,
+    saleId,
+    tradeInNumber,
+  });
+  
+  res.json({
+    success: true,
+    data: result.tradeIns,
+    pagination: result.pagination,
+  });
+}));
+
+/**
+ * @route POST /api/trade-ins
+ * @desc Value a device for trade-in. Body: { customer, device: { brand, model,
+ *       serial, capacity, color, accessories }, conditionGrade (A-D),
+ *       conditionNotes, offeredPrice, resalePrice }
+ * @access Private (shop_admin, staff)
+ */
+router.post('/', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const tradeIn = await TradeInService.create(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.body
+  );
+  
+  res.status(201).json({
+    success: true,
+    data: tradeIn,
+  });
+}));
+
+/**
+ * @route GET /api/trade-ins/:tradeInId
+ * @desc Get trade-in by ID
+ * @access Private (shop_admin, staff)
+ */
+router.get('/:tradeInId', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const tradeIn = await TradeInService.getById(req.tenantId, req.params.tradeInId);
+  
+  res.json({
+    success: true,
+    data: tradeIn,
+  });
+}));
+
+/**
+ * @route PUT /api/trade-ins/:tradeInId
+ * @desc Revise an open offer (grade, prices, device or customer details)
+ * @access Private (shop_admin, staff)
+ */
+router.put('/:tradeInId', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const tradeIn = await TradeInService.update(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.tradeInId,
+    req.body
+  );
+  
+  res.json({
+    success: true,
+    data: tradeIn,
+  });
+}));
+
+/**
+ * @route POST /api/trade-ins/:tradeInId/decline
+ * @desc Close an offer the customer turned down. Body: { reason }
+ * @access Private (shop_admin, staff)
+ */
+router.post('/:tradeInId/decline', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const tradeIn = await TradeInService.decline(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.tradeInId,
+    req.body.reason
+  );
+  
+  res.json({
+    success: true,
+    data: tradeIn,
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const { WarrantyService } = require('../services');
+const { authenticate, requireTenantAccess, asyncHandler } = require('../middleware');
+
+/**
+ * @route GET /api/warranties
+ * @desc Find warranties by invoiceNumber, phone (customer), serial, saleId or
+ *       customerId. status: active, expired or void.
+ * @access Private (shop_admin, staff)
+ */
+router.get('/', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const { page, limit, sort, invoiceNumber, phone, serial, saleId, customerId, status } = req.query;
+  
+  const result = await WarrantyService.getAll(req.tenantId, {
+    page: parseInt(page, 10) || 1,
+    limit: parseInt(limit, 10) || 20,
+    sort: sort || '-startsAt',
+    invoiceNumber,
+    phone,
+    serial,
+    saleId,
+    customerId,
+    status,
+  });
+  
+  res.json({
+    success: true,
+    data: result.warranties,
+    pagination: result.pagination,
+  });
+}));
+
+/**
+ * @route GET /api/warranties/claims
+ * @desc Find warranty claims by invoiceNumber, phone (customer), serial,
+ *       claimNumber or status
+ * @access Private (shop_admin, staff)
+ */
+router.get('/claims', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const { page, limit, sort, invoiceNumber, phone, serial, claimNumber, status } = req.query;
+  
+  const result = await WarrantyService.getClaims(req.tenantId, {
+    page: parseInt(page, 10) || 1,
+    limit: parseInt(limit, 10) || 20,
+    sort: sort || '-createdAt',
+    invoiceNumber,
+    phone,
+    serial,
+    claimNumber,
+    status,
+  });
+  
+  res.json({
+    success: true,
+    data: result.claims,
+    pagination: result.pagination,
+  });
+}));
+
+/**
+ * @route POST /api/warranties/claims
+ * @desc Take in a warranty claim. Body: { warrantyId, issue, notes }
+ * @access Private (shop_admin, staff)
+ */
+router.post('/claims', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const claim = await WarrantyService.createClaim(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.body
+  );
+  
+  res.status(201).json({
+    success: true,
+    data: claim,
+  });
+}));
+
+/**
+ * @route GET /api/warranties/claims/:claimId
+ * @desc Get warranty claim by ID
+ * @access Private (shop_admin, staff)
+ */
+router.get('/claims/:claimId', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const claim = await WarrantyService.getClaimById(req.tenantId, req.params.claimId);
+  
+  res.json({
+    success: true,
+    data: claim,
+  });
+}));
+
+/**
+ * @route POST /api/warranties/claims/:claimId/status
+ * @desc Move a claim along its workflow. Body: { status, notes, vendorName,
+ *       vendorReference, replacementSerial, resolution }
+ * @access Private (shop_admin, staff)
+ */
+router.post('/claims/:claimId/status', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const claim = await WarrantyService.updateClaimStatus(
+    req.tenantId,
+    req.user.userId,
+    req.user.profile?.firstName || req.user.email,
+    req.params.claimId,
+    req.body
+  );
+  
+  res.json({
+    success: true,
+    data: claim,
+  });
+}));
+
+/**
+ * @route GET /api/warranties/:warrantyId
+ * @desc Get warranty by ID
+ * @access Private (shop_admin, staff)
+ */
+router.get('/:warrantyId', authenticate, requireTenantAccess, asyncHandler(async (req, res) => {
+  const warranty = await WarrantyService.getById(req.tenantId, req.params.warrantyId);
+  
+  res.json({
+    success: true,
+    data: warranty,
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,375 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const AuditLog = require('../models/AuditLog');
+const { roundCurrency } = require('../utils/helpers');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Fields a coupon can be created or updated with
+const COUPON_FIELDS = [
+  'code', 'description', 'discountType', 'value', 'maxDiscount', 'minSpend',
+  'usageLimit', 'perCustomerLimit', 'startsAt', 'endsAt', 'status',
+];
+
+/**
+ * Coupon Service - Handles discount codes and their redemption at checkout
+ */
+class CouponService {
+  /**
+   * Create a new coupon
+   */
+  static async create(tenantId, userId, userName, couponData) {
+    const data = CouponService.pickFields(couponData);
+    CouponService.validate(data);
+    
+    const code = data.code.trim().toUpperCase();
+    
+    if (await Coupon.exists({ tenantId, code })) {
+      throw new ApiError(409, `Coupon code already exists: ${code}`, 'COUPON_CODE_EXISTS');
+    }
+    
+    const couponId = await Coupon.generateCouponId();
+    
+    const coupon = new Coupon({
+      couponId,
+      tenantId,
+      ...data,
+      code,
+      createdBy: userId,
+      updatedBy: userId,
+    });
+    
+    await coupon.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'COUPON_CREATE',
+      resource: { type: 'coupon', id: couponId, name: code },
+      newState: coupon.toObject(),
+      status: 'success',
+    });
+    
+    return coupon;
+  }
+  
+  /**
+   * Get coupon by ID
+   */
+  static async getById(tenantId, couponId) {
+    const coupon = await Coupon.findOne({ tenantId, couponId });
+    
+    if (!coupon) {
+      throw new ApiError(404, 'Coupon not found', 'COUPON_NOT_FOUND');
+    }
+    
+    return coupon;
+  }
+  
+  /**
+   * Get all coupons with pagination and filters
+   */
+  static async getAll(tenantId, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = '-createdAt',
+      status,
+      search,
+    } = options;
+    
+    const filter = { tenantId };
+    
+    if (status) filter.status = status;
+    if (search) filter.code = { $regex: search, $options: 'i' };
+    
+    const skip = (page - 1) * limit;
+    
+    const [coupons, total] = await Promise.all([
+      Coupon.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit),
+      Coupon.countDocuments(filter),
+    ]);
+    
+    return {
+      coupons,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+  
+  /**
+   * Update a coupon
+   * The code of a coupon that has been used cannot change.
+   */
+  static async update(tenantId, userId, userName, couponId, updateData) {
+    const coupon = await CouponService.getById(tenantId, couponId);
+    const previousState = coupon.toObject();
+    
+    const data = CouponService.pickFields(updateData);
+    CouponService.validate({ ...previousState, ...data });
+    
+    if (data.code !== undefined) {
+      data.code = data.code.trim().toUpperCase();
+      
+      if (data.code !== coupon.code) {
+        if (coupon.usedCount > 0) {
+          throw new ApiError(400, 'Cannot change the code of a coupon that has been used', 'COUPON_IN_USE');
+        }
+        if (await Coupon.exists({ tenantId, code: data.code })) {
+          throw new ApiError(409, `Coupon code already exists: ${data.code}`, 'COUPON_CODE_EXISTS');
+        }
+      }
+    }
+    
+    Object.keys(data).forEach(key => {
+      coupon[key] = data[key];
+    });
+    
+    coupon.updatedBy = userId;
+    await coupon.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'COUPON_UPDATE',
+      resource: { type: 'coupon', id: couponId, name: coupon.code },
+      previousState,
+      newState: coupon.toObject(),
+      status: 'success',
+    });
+    
+    return coupon;
+  }
+  
+  /**
+   * Delete coupon (soft delete - set status to inactive)
+   */
+  static async delete(tenantId, userId, userName, couponId) {
+    const coupon = await CouponService.getById(tenantId, couponId);
+    
+    coupon.status = 'inactive';
+    coupon.updatedBy = userId;
+    await coupon.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'COUPON_DELETE',
+      resource: { type: 'coupon', id: couponId, name: coupon.code },
+      status: 'success',
+    });
+    
+    return { success: true, message: 'Coupon deactivated successfully' };
+  }
+  
+  static pickFields(data = {}) {
+    return COUPON_FIELDS.reduce((acc, field) => {
+      if (data[field] !== undefined) acc[field] = data[field];
+      return acc;
+    }, {});
+  }
+  
+  static validate(data) {
+    const fail = (message) => {
+      throw new ApiError(400, message, 'INVALID_COUPON');
+    };
+    
+    if (!data.code || !String(data.code).trim()) fail('Coupon code is required');
+    if (!['percent', 'fixed'].includes(data.discountType)) fail('Discount type must be percent or fixed');
+    if (!(data.value > 0)) fail('Coupon value must be greater than 0');
+    if (data.discountType === 'percent' && data.value > 100) fail('Percent coupons cannot exceed 100');
+    if (data.usageLimit != null && !(data.usageLimit >= 1)) fail('Usage limit must be at least 1');
+    if (data.perCustomerLimit != null && !(data.perCustomerLimit >= 1)) fail('Per-customer limit must be at least 1');
+    if (data.startsAt && data.endsAt && new Date(data.endsAt) <= new Date(data.startsAt)) {
+      fail('Coupon must end after it starts');
+    }
+  }
+  
+  /**
+   * Check a code can be used on an order and work out its discount
+   *
+   * orderAmount is the order value after line and promotion discounts.
+   * Usage limits are checked again atomically when the coupon is redeemed.
+   */
+  static async evaluate(tenantId, code, options = {}) {
+    const { orderAmount = 0, customerId, at = new Date() } = options;
+    const when = new Date(at);
+    
+    const coupon = await Coupon.findOne({ tenantId, code: String(code).trim().toUpperCase() });
+    
+    if (!coupon) {
+      throw new ApiError(404, 'Coupon code not found', 'COUPON_NOT_FOUND');
+    }
+    
+    if (coupon.status !== 'active') {
+      throw new ApiError(400, 'Coupon is not active', 'COUPON_INACTIVE');
+    }
+    
+    if (coupon.startsAt && when < coupon.startsAt) {
+      throw new ApiError(400, 'Coupon is not valid yet', 'COUPON_NOT_STARTED', { startsAt: coupon.startsAt });
+    }
+    
+    if (coupon.endsAt && when > coupon.endsAt) {
+      throw new ApiError(400, 'Coupon has expired', 'COUPON_EXPIRED', { endsAt: coupon.endsAt });
+    }
+    
+    if (orderAmount < (coupon.minSpend || 0)) {
+      throw new ApiError(400, 'Order does not meet the coupon minimum spend', 'COUPON_MIN_SPEND', {
+        minSpend: coupon.minSpend,
+        orderAmount,
+      });
+    }
+    
+    if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+      throw new ApiError(409, 'Coupon has reached its usage limit', 'COUPON_USAGE_LIMIT_REACHED');
+    }
+    
+    if (coupon.perCustomerLimit != null) {
+      if (!customerId) {
+        throw new ApiError(400, 'This coupon requires a customer on the sale', 'COUPON_CUSTOMER_REQUIRED');
+      }
+      
+      const used = await CouponRedemption.countDocuments({
+        tenantId,
+        couponId: coupon.couponId,
+        customerId,
+        status: 'redeemed',
+      });
+      
+      if (used >= coupon.perCustomerLimit) {
+        throw new ApiError(409, 'Customer has already used this coupon', 'COUPON_CUSTOMER_LIMIT_REACHED');
+      }
+    }
+    
+    let discount = coupon.discountType === 'percent'
+      ? orderAmount * coupon.value / 100
+      : coupon.value;
+    
+    if (coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+    discount = roundCurrency(Math.min(discount, Math.max(0, orderAmount)));
+    
+    return { coupon, discount };
+  }
+  
+  /**
+   * Record a redemption inside the sale's transaction
+   *
+   * The use count is taken with a guarded $inc so two checkouts cannot both
+   * spend the last use. Concurrent redemptions of one coupon conflict on the
+   * coupon document, so the per-customer count below is always current.
+   */
+  static async redeem(tenantId, coupon, redemption, session) {
+    const updated = await Coupon.findOneAndUpdate(
+      {
+        tenantId,
+        couponId: coupon.couponId,
+        status: 'active',
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ['$usedCount', '$usageLimit'] } },
+        ],
+      },
+      { $inc: { usedCount: 1 } },
+      { new: true, session }
+    );
+    
+    if (!updated) {
+      throw new ApiError(409, 'Coupon has reached its usage limit', 'COUPON_USAGE_LIMIT_REACHED');
+    }
+    
+    if (updated.perCustomerLimit != null) {
+      const used = await CouponRedemption.countDocuments({
+        tenantId,
+        couponId: coupon.couponId,
+        customerId: redemption.customerId,
+        status: 'redeemed',
+      }).session(session);
+      
+      if (used >= updated.perCustomerLimit) {
+        throw new ApiError(409, 'Customer has already used this coupon', 'COUPON_CUSTOMER_LIMIT_REACHED');
+      }
+    }
+    
+    const record = new CouponRedemption({
+      redemptionId: await CouponRedemption.generateRedemptionId(),
+      tenantId,
+      couponId: coupon.couponId,
+      code: coupon.code,
+      ...redemption,
+    });
+    
+    await record.save({ session });
+    
+    return record;
+  }
+  
+  /**
+   * Give a cancelled sale's coupon use back
+   */
+  static async reverse(tenantId, saleId, options = {}) {
+    const { session = null } = options;
+    
+    const redemption = await CouponRedemption.findOneAndUpdate(
+      { tenantId, saleId, status: 'redeemed' },
+      { $set: { status: 'reversed', reversedAt: new Date() } },
+      { new: true, session }
+    );
+    
+    if (redemption) {
+      await Coupon.updateOne(
+        { tenantId, couponId: redemption.couponId, usedCount: { $gt: 0 } },
+        { $inc: { usedCount: -1 } },
+        { session }
+      );
+    }
+    
+    return redemption;
+  }
+  
+  /**
+   * Get a coupon's redemption history
+   */
+  static async getRedemptions(tenantId, couponId, options = {}) {
+    const { page = 1, limit = 50 } = options;
+    
+    const coupon = await CouponService.getById(tenantId, couponId);
+    const filter = { tenantId, couponId };
+    const skip = (page - 1) * limit;
+    
+    const [redemptions, total] = await Promise.all([
+      CouponRedemption.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      CouponRedemption.countDocuments(filter),
+    ]);
+    
+    return {
+      coupon,
+      redemptions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+}
+
+module.exports = CouponService;
@@ -0,0 +1,465 @@
+const Customer = require('../models/Customer');
+const CustomerLedger = require('../models/CustomerLedger');
+const CustomerGroup = require('../models/CustomerGroup');
+const Sale = require('../models/Sale');
+const AuditLog = require('../models/AuditLog');
+const PriceListService = require('./priceListService');
+const { roundCurrency } = require('../utils/helpers');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Aging buckets, by days past the sale due date
+const AGING_BUCKETS = [
+  { key: 'current', maxDays: 0 },
+  { key: 'days1to30', maxDays: 30 },
+  { key: 'days31to60', maxDays: 60 },
+  { key: 'days61to90', maxDays: 90 },
+  { key: 'over90', maxDays: Infinity },
+];
+
+/**
+ * Customer Service - Handles customers, credit accounts and receivables
+ */
+class CustomerService {
+  /**
+   * Create a new customer
+   * Credit terms and pricing can only be set by shop_admin or higher.
+   */
+  static async create(tenantId, userId, userName, userRole, customerData) {
+    const { name, phone, email, address, notes } = customerData;
+    
+    if (!name) {
+      throw new ApiError(400, 'Customer name is required', 'MISSING_FIELDS');
+    }
+    
+    if (userRole !== 'staff') {
+      await CustomerService.assertPricing(tenantId, customerData);
+    }
+    
+    const customerId = await Customer.generateCustomerId();
+    
+    const customer = new Customer({
+      customerId,
+      tenantId,
+      name,
+      phone,
+      email,
+      address,
+      notes,
+      ...(userRole !== 'staff' && {
+        creditLimit: customerData.creditLimit,
+        paymentTermsDays: customerData.paymentTermsDays,
+        groupId: customerData.groupId,
+        priceListId: customerData.priceListId,
+      }),
+      createdBy: userId,
+      updatedBy: userId,
+    });
+    
+    await customer.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole,
+      action: 'CUSTOMER_CREATE',
+      resource: { type: 'customer', id: customerId, name },
+      newState: customer.toObject(),
+      status: 'success',
+    });
+    
+    return customer;
+  }
+  
+  /**
+   * Get customer by ID
+   */
+  static async getById(tenantId, customerId) {
+    const customer = await Customer.findOne({ tenantId, customerId });
+    
+    if (!customer) {
+      throw new ApiError(404, 'Customer not found', 'CUSTOMER_NOT_FOUND');
+    }
+    
+    return customer;
+  }
+  
+  /**
+   * Get all customers with pagination and filters
+   */
+  static async getAll(tenantId, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = 'name',
+      status,
+      search,
+      hasBalance,
+      groupId,
+    } = options;
+    
+    const filter = { tenantId };
+    
+    if (status) filter.status = status;
+    if (hasBalance) filter.balance = { $gt: 0 };
+    if (groupId) filter.groupId = groupId;
+    if (search) {
+      filter.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { phone: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } },
+      ];
+    }
+    
+    const skip = (page - 1) * limit;
+    
+    const [customers, total] = await Promise.all([
+      Customer.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit),
+      Customer.countDocuments(filter),
+    ]);
+    
+    return {
+      customers,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+  
+  /**
+   * Update customer details
+   */
+  static async update(tenantId, userId, userName, userRole, customerId, updateData) {
+    const customer = await Customer.findOne({ tenantId, customerId });
+    
+    if (!customer) {
+      throw new ApiError(404, 'Customer not found', 'CUSTOMER_NOT_FOUND');
+    }
+    
+    const previousState = customer.toObject();
+    
+    // Balance only moves through the ledger
+    const allowedFields = ['name', 'phone', 'email', 'address', 'notes', 'status'];
+    if (userRole !== 'staff') {
+      allowedFields.push('creditLimit', 'paymentTermsDays', 'groupId', 'priceListId');
+      await CustomerService.assertPricing(tenantId, updateData);
+    }
+    
+    allowedFields.forEach(field => {
+      if (updateData[field] !== undefined) {
+        customer[field] = updateData[field];
+      }
+    });
+    
+    customer.updatedBy = userId;
+    await customer.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole,
+      action: 'CUSTOMER_UPDATE',
+      resource: { type: 'customer', id: customerId, name: customer.name },
+      previousState,
+      newState: customer.toObject(),
+      status: 'success',
+    });
+    
+    return customer;
+  }
+  
+  /**
+   * Check the group and price list being assigned to a customer exist
+   */
+  static async assertPricing(tenantId, data) {
+    if (data.groupId && !await CustomerGroup.exists({ tenantId, groupId: data.groupId })) {
+      throw new ApiError(404, 'Customer group not found', 'CUSTOMER_GROUP_NOT_FOUND');
+    }
+    
+    await PriceListService.assertActive(tenantId, data.priceListId);
+  }
+  
+  /**
+   * Create a customer group
+   */
+  static async createGroup(tenantId, userId, userName, groupData) {
+    const { name, description, priceListId } = groupData;
+    
+    if (!name) {
+      throw new ApiError(400, 'Group name is required', 'MISSING_FIELDS');
+    }
+    
+    if (await CustomerGroup.exists({ tenantId, name: name.trim() })) {
+      throw new ApiError(409, `Customer group already exists: ${name}`, 'CUSTOMER_GROUP_EXISTS');
+    }
+    
+    await PriceListService.assertActive(tenantId, priceListId);
+    
+    const groupId = await CustomerGroup.generateGroupId();
+    
+    const group = new CustomerGroup({
+      groupId,
+      tenantId,
+      name,
+      description,
+      priceListId,
+      createdBy: userId,
+      updatedBy: userId,
+    });
+    
+    await group.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'CUSTOMER_GROUP_CREATE',
+      resource: { type: 'customer_group', id: groupId, name },
+      newState: group.toObject(),
+      status: 'success',
+    });
+    
+    return group;
+  }
+  
+  /**
+   * Get all customer groups
+   */
+  static async getGroups(tenantId) {
+    return CustomerGroup.find({ tenantId }).sort('name');
+  }
+  
+  /**
+   * Update a customer group
+   */
+  static async updateGroup(tenantId, userId, userName, groupId, updateData) {
+    const group = await CustomerGroup.findOne({ tenantId, groupId });
+    
+    if (!group) {
+      throw new ApiError(404, 'Customer group not found', 'CUSTOMER_GROUP_NOT_FOUND');
+    }
+    
+    if (updateData.name !== undefined && updateData.name.trim() !== group.name
+      && await CustomerGroup.exists({ tenantId, name: updateData.name.trim() })) {
+      throw new ApiError(409, `Customer group already exists: ${updateData.name}`, 'CUSTOMER_GROUP_EXISTS');
+    }
+    
+    if (updateData.priceListId) {
+      await PriceListService.assertActive(tenantId, updateData.priceListId);
+    }
+    
+    const previousState = group.toObject();
+    
+    ['name', 'description', 'priceListId', 'status'].forEach(field => {
+      if (updateData[field] !== undefined) {
+        group[field] = updateData[field];
+      }
+    });
+    
+    group.updatedBy = userId;
+    await group.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'CUSTOMER_GROUP_UPDATE',
+      resource: { type: 'customer_group', id: groupId, name: group.name },
+      previousState,
+      newState: group.toObject(),
+      status: 'success',
+    });
+    
+    return group;
+  }
+  
+  /**
+   * Check a customer can take on more credit
+   */
+  static async assertCreditAvailable(tenantId, customerId, amount) {
+    if (!customerId) {
+      throw new ApiError(400, 'Credit sales require a customer account', 'CUSTOMER_REQUIRED');
+    }
+    
+    const customer = await Customer.findOne({ tenantId, customerId });
+    
+    if (!customer) {
+      throw new ApiError(404, 'Customer not found', 'CUSTOMER_NOT_FOUND');
+    }
+    
+    if (customer.status !== 'active') {
+      throw new ApiError(400, 'Customer account is not active', 'CUSTOMER_INACTIVE');
+    }
+    
+    if (roundCurrency(customer.balance + amount) > customer.creditLimit) {
+      throw new ApiError(400, 'Credit limit exceeded', 'CREDIT_LIMIT_EXCEEDED', {
+        customerId,
+        creditLimit: customer.creditLimit,
+        currentBalance: customer.balance,
+        availableCredit: customer.availableCredit,
+        requestedCredit: amount,
+      });
+    }
+    
+    return customer;
+  }
+  
+  /**
+   * Post an entry to a customer's ledger and move their balance
+   *
+   * The balance moves with a single guarded update rather than a read and
+   * save, so concurrent entries cannot overwrite each other; credit sales
+   * are conditional on the credit limit still covering them.
+   */
+  static async postLedgerEntry(tenantId, customerId, entry, options = {}) {
+    const { session = null } = options;
+    const amount = roundCurrency(entry.amount);
+    const direction = entry.type === 'credit_sale' ? 'debit' : (entry.direction || 'credit');
+    
+    const filter = { tenantId, customerId };
+    if (entry.type === 'credit_sale') {
+      // Half a cent of slack for floating point drift in the stored balance
+      filter.$expr = { $lte: [{ $add: ['$balance', amount] }, { $add: ['$creditLimit', 0.005] }] };
+    }
+    
+    const customer = await Customer.findOneAndUpdate(
+      filter,
+      { $inc: { balance: direction === 'debit' ? amount : -amount }, $set: { updatedAt: new Date() } },
+      { new: true, session }
+    );
+    
+    if (!customer) {
+      const existing = await Customer.findOne({ tenantId, customerId }).session(session);
+      
+      if (!existing) {
+        throw new ApiError(404, 'Customer not found', 'CUSTOMER_NOT_FOUND');
+      }
+      
+      throw new ApiError(400, 'Credit limit exceeded', 'CREDIT_LIMIT_EXCEEDED', {
+        customerId,
+        creditLimit: existing.creditLimit,
+        currentBalance: existing.balance,
+        availableCredit: existing.availableCredit,
+        requestedCredit: amount,
+      });
+    }
+    
+    const ledgerEntry = new CustomerLedger({
+      entryId: await CustomerLedger.generateEntryId(),
+      tenantId,
+      customerId,
+      ...entry,
+      direction,
+      amount,
+      balanceAfter: roundCurrency(customer.balance),
+      createdAt: new Date(),
+    });
+    
+    await ledgerEntry.save({ session });
+    
+    return ledgerEntry;
+  }
+  
+  /**
+   * Get a customer's ledger history
+   */
+  static async getLedger(tenantId, customerId, options = {}) {
+    const { page = 1, limit = 50 } = options;
+    
+    const customer = await CustomerService.getById(tenantId, customerId);
+    const filter = { tenantId, customerId };
+    const skip = (page - 1) * limit;
+    
+    const [entries, total] = await Promise.all([
+      CustomerLedger.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      CustomerLedger.countDocuments(filter),
+    ]);
+    
+    return {
+      customer,
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+  
+  /**
+   * Aged receivables report - outstanding credit sales bucketed by days overdue
+   */
+  static async getAgedReceivables(tenantId, asOf = new Date()) {
+    const asOfDate = new Date(asOf);
+    
+    // Installment sales are followed up through their plan's schedule
+    const sales = await Sale.find({
+      tenantId,
+      balanceDue: { $gt: 0 },
+      installmentPlanId: null,
+      status: { $nin: ['cancelled', 'refunded'] },
+    }).sort({ createdAt: 1 });
+    
+    const emptyBuckets = () => AGING_BUCKETS.reduce((acc, b) => ({ ...acc, [b.key]: 0 }), {});
+    const totals = { ...emptyBuckets(), total: 0 };
+    const byCustomer = {};
+    
+    sales.forEach(sale => {
+      const dueDate = sale.dueDate || sale.createdAt;
+      const daysOverdue = Math.floor((asOfDate - dueDate) / (24 * 60 * 60 * 1000));
+      const bucket = AGING_BUCKETS.find(b => daysOverdue <= b.maxDays).key;
+      const customerId = sale.customer?.customerId || 'unassigned';
+      
+      if (!byCustomer[customerId]) {
+        byCustomer[customerId] = {
+          customerId,
+          name: sale.customer?.name,
+          phone: sale.customer?.phone,
+          ...emptyBuckets(),
+          total: 0,
+          invoices: [],
+        };
+      }
+      
+      const row = byCustomer[customerId];
+      row[bucket] = roundCurrency(row[bucket] + sale.balanceDue);
+      row.total = roundCurrency(row.total + sale.balanceDue);
+      row.invoices.push({
+        saleId: sale.saleId,
+        invoiceNumber: sale.invoiceNumber,
+        saleDate: sale.createdAt,
+        dueDate,
+        daysOverdue: Math.max(0, daysOverdue),
+        balanceDue: sale.balanceDue,
+      });
+      
+      totals[bucket] = roundCurrency(totals[bucket] + sale.balanceDue);
+      totals.total = roundCurrency(totals.total + sale.balanceDue);
+    });
+    
+    return {
+      asOf: asOfDate,
+      totals,
+      customers: Object.values(byCustomer).sort((a, b) => b.total - a.total),
+    };
+  }
+}
+
+module.exports = CustomerService;
@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Tenant = require('../models/Tenant');
+const User = require('../models/User');
+const Staff = require('../models/Staff');
+const Sale = require('../models/Sale');
+const { roundCurrency } = require('../utils/helpers');
+const { ApiError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+// How long a manager's approval token can be used for
+const APPROVAL_TOKEN_EXPIRY_SECONDS = 10 * 60;
+
+// Wrong override PINs allowed in a row before the PIN is locked, and for how long
+const MAX_PIN_FAILURES = 5;
+const PIN_LOCKOUT_MINUTES = 15;
+
+/**
+ * Discount Approval Service - Decides when a manual discount needs a
+ * manager, and checks the override PINs and approval tokens that grant one
+ */
+class DiscountApprovalService {
+  /**
+   * Get the tenant's discount approval configuration
+   */
+  static async getSettings(tenantId) {
+    const tenant = await Tenant.findOne({ tenantId }).select('settings.discountApproval');
+    
+    return {
+      thresholdPercent: tenant?.settings?.discountApproval?.thresholdPercent || 0,
+    };
+  }
+  
+  /**
+   * Manual discount on a cart as a percentage of its value before discounts
+   * Promotions and coupons are set up by the shop and are not counted.
+   */
+  static discountPercent(lineItems, globalDiscount = 0) {
+    const gross = lineItems.reduce((sum, line) => sum + line.quantity * line.unitPrice, 0);
+    const manual = lineItems.reduce((sum, line) => sum + (line.discount || 0), 0) + (globalDiscount || 0);
+    
+    if (!(manual > 0)) return 0;
+    if (!(gross > 0)) return 100;
+    
+    return roundCurrency(Math.min(100, manual / gross * 100));
+  }
+  
+  /**
+   * Find out whether a user may apply and approve discounts
+   * Shop admins always may; staff need the canApplyDiscount permission.
+   * Returns { userId, name } or null.
+   */
+  static async getApprover(tenantId, userId) {
+    const user = await User.findOne({ userId, status: 'active' });
+    
+    if (!user) return null;
+    if (user.role !== 'super_admin' && user.tenantId !== tenantId) return null;
+    
+    if (user.role === 'super_admin' || user.role === 'shop_admin') {
+      return { userId, name: user.profile?.firstName || user.email };
+    }
+    
+    const staff = await Staff.findOne({ tenantId, userId, status: 'active' });
+    
+    if (!staff?.permissions?.canApplyDiscount) return null;
+    
+    return { userId, name: staff.name };
+  }
+  
+  /**
+   * Issue a short-lived, single-use token approving discounts up to
+   * maxDiscountPercent, for a cashier to send with the sale
+   */
+  static async issueToken(tenantId, userId, options = {}) {
+    const { maxDiscountPercent, reason } = options;
+    const percent = Number(maxDiscountPercent);
+    
+    if (!Number.isFinite(percent) || percent <= 0 || percent > 100) {
+      throw new ApiError(400, 'Maximum discount must be between 0 and 100 percent', 'INVALID_DISCOUNT_PERCENT');
+    }
+    
+    const approver = await DiscountApprovalService.getApprover(tenantId, userId);
+    
+    if (!approver) {
+      throw new ApiError(403, 'Permission denied: Cannot approve discounts', 'NO_DISCOUNT_PERMISSION');
+    }
+    
+    const tokenId = `dap_${Date.now().toString(36)}_${crypto.randomBytes(6).toString('hex')}`;
+    
+    const approvalToken = jwt.sign({
+      type: 'discount_approval',
+      tenantId,
+      approverId: approver.userId,
+      approverName: approver.name,
+      maxDiscountPercent: percent,
+      reason,
+    }, config.jwt.approvalSecret, {
+      expiresIn: APPROVAL_TOKEN_EXPIRY_SECONDS,
+      issuer: 'digital-mart-pos',
+      jwtid: tokenId,
+    });
+    
+    return {
+      approvalToken,
+      maxDiscountPercent: percent,
+      approvedBy: approver.userId,
+      approvedByName: approver.name,
+      expiresAt: new Date(Date.now() + APPROVAL_TOKEN_EXPIRY_SECONDS * 1000),
+    };
+  }
+  
+  /**
+   * Check a sale's manual discount is allowed
+   *
+   * Discounts at or under the tenant's threshold, or entered by someone who
+   * may apply discounts, need nothing. Anything else needs an override: a
+   * manager's { staffId, pin } or an { approvalToken }. Returns the override
+   * to store on the sale, or null when none was needed.
+   */
+  static async authorize(tenantId, userId, discountPercent, override) {
+    const settings = await DiscountApprovalService.getSettings(tenantId);
+    
+    if (discountPercent <= settings.thresholdPercent) return null;
+    if (await DiscountApprovalService.getApprover(tenantId, userId)) return null;
+    
+    if (!override || (!override.pin && !override.approvalToken)) {
+      throw new ApiError(403, 'Discount needs manager approval', 'DISCOUNT_APPROVAL_REQUIRED', {
+        discountPercent,
+        thresholdPercent: settings.thresholdPercent,
+      });
+    }
+    
+    const approval = override.approvalToken
+      ? await DiscountApprovalService.verifyToken(tenantId, override.approvalToken, discountPercent)
+      : await DiscountApprovalService.verifyPin(tenantId, override.staffId, override.pin);
+    
+    return {
+      ...approval,
+      approvedAt: new Date(),
+      discountPercent,
+      reason: override.reason || approval.reason,
+    };
+  }
+  
+  /**
+   * Check a manager's override PIN
+   *
+   * After MAX_PIN_FAILURES wrong PINs in a row the PIN is locked for
+   * PIN_LOCKOUT_MINUTES, so it cannot be guessed at the till.
+   */
+  static async verifyPin(tenantId, staffId, pin) {
+    const staff = staffId
+      ? await Staff.findOne({ tenantId, staffId })
+        .select('+overridePinHash +overridePinFailures +overridePinLockedUntil')
+      : null;
+    
+    if (staff?.overridePinLockedUntil > new Date()) {
+      throw new ApiError(403, 'Override PIN is locked after too many wrong attempts', 'OVERRIDE_PIN_LOCKED', {
+        lockedUntil: staff.overridePinLockedUntil,
+      });
+    }
+    
+    if (!staff || !(await staff.compareOverridePin(pin))) {
+      if (staff) {
+        await DiscountApprovalService.recordPinFailure(staff);
+      }
+      throw new ApiError(403, 'Invalid override PIN', 'INVALID_OVERRIDE_PIN');
+    }
+    
+    if (staff.overridePinFailures > 0 || staff.overridePinLockedUntil) {
+      await Staff.updateOne(
+        { _id: staff._id },
+        { $set: { overridePinFailures: 0 }, $unset: { overridePinLockedUntil: 1 } }
+      );
+    }
+    
+    const approver = await DiscountApprovalService.getApprover(tenantId, staff.userId);
+    
+    if (!approver) {
+      throw new ApiError(403, 'Staff member cannot approve discounts', 'NO_DISCOUNT_PERMISSION');
+    }
+    
+    return { method: 'pin', approvedBy: approver.userId, approvedByName: approver.name };
+  }
+  
+  /**
+   * Count a wrong override PIN, locking the PIN once there are too many
+   */
+  static async recordPinFailure(staff) {
+    const updated = await Staff.findOneAndUpdate(
+      { _id: staff._id },
+      { $inc: { overridePinFailures: 1 } },
+      { new: true }
+    ).select('+overridePinFailures');
+    
+    if (updated && updated.overridePinFailures >= MAX_PIN_FAILURES) {
+      await Staff.updateOne(
+        { _id: staff._id, overridePinFailures: updated.overridePinFailures },
+        {
+          $set: {
+            overridePinFailures: 0,
+            overridePinLockedUntil: new Date(Date.now() + PIN_LOCKOUT_MINUTES * 60 * 1000),
+          },
+        }
+      );
+    }
+  }
+  
+  /**
+   * Check an approval token covers the discount and has not been used
+   * The token is marked used by the partial unique index on the sale.
+   */
+  static async verifyToken(tenantId, approvalToken, discountPercent) {
+    let decoded;
+    
+    try {
+      decoded = jwt.verify(approvalToken, config.jwt.approvalSecret, { issuer: 'digital-mart-pos' });
+    } catch (error) {
+      throw new ApiError(403, 'Approval token is invalid or has expired', 'INVALID_APPROVAL_TOKEN');
+    }
+    
+    if (decoded.type !== 'discount_approval' || decoded.tenantId !== tenantId || !decoded.jti) {
+      throw new ApiError(403, 'Approval token is invalid or has expired', 'INVALID_APPROVAL_TOKEN');
+    }
+    
+    if (discountPercent > decoded.maxDiscountPercent) {
+      throw new ApiError(403, 'Discount is more than the manager approved', 'DISCOUNT_EXCEEDS_APPROVAL', {
+        discountPercent,
+        maxDiscountPercent: decoded.maxDiscountPercent,
+      });
+    }
+    
+    if (await Sale.exists({ tenantId, 'discountOverride.tokenId': decoded.jti })) {
+      throw new ApiError(409, 'Approval token has already been used', 'APPROVAL_TOKEN_USED');
+    }
+    
+    // The approver may have lost the permission since issuing the token
+    const approver = await DiscountApprovalService.getApprover(tenantId, decoded.approverId);
+    
+    if (!approver) {
+      throw new ApiError(403, 'Approver can no longer approve discounts', 'NO_DISCOUNT_PERMISSION');
+    }
+    
+    return {
+      method: 'token',
+      approvedBy: approver.userId,
+      approvedByName: approver.name,
+      reason: decoded.reason,
+      tokenId: decoded.jti,
+    };
+  }
+}
+
+module.exports = DiscountApprovalService;
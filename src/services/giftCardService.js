@@ -0,0 +1,508 @@
+const GiftCard = require('../models/GiftCard');
+const GiftCardLedger = require('../models/GiftCardLedger');
+const AuditLog = require('../models/AuditLog');
+const { roundCurrency } = require('../utils/helpers');
+const { ApiError } = require('../middleware/errorHandler');
+const { withTransaction } = require('../config/database');
+
+// Tender methods paid from a gift card balance, by card kind
+const GIFT_CARD_METHODS = ['gift_card', 'store_credit'];
+
+// Ledger entry types that add to a balance; the rest spend it
+const CREDIT_TYPES = ['issue', 'redeem_reversal', 'refund_credit'];
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Gift Card Service - Handles gift cards and store credit: issuing them,
+ * spending them as a tender and keeping their balance ledger
+ */
+class GiftCardService {
+  /**
+   * Issue a new gift card or store credit with a generated code
+   *
+   * options.ledgerType records why the balance was created ('issue' for
+   * cards sold or given out, 'refund_credit' for refunds).
+   */
+  static async issue(tenantId, cardData, options = {}) {
+    const { session = null, ledgerType = 'issue', staffId, staffName } = options;
+    const amount = roundCurrency(Number(cardData.amount));
+    
+    if (!GIFT_CARD_METHODS.includes(cardData.kind)) {
+      throw new ApiError(400, 'Kind must be gift_card or store_credit', 'INVALID_GIFT_CARD');
+    }
+    
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new ApiError(400, 'Amount must be greater than zero', 'INVALID_GIFT_CARD');
+    }
+    
+    const card = new GiftCard({
+      giftCardId: await GiftCard.generateGiftCardId(),
+      tenantId,
+      code: await GiftCardService.generateUniqueCode(tenantId, session),
+      kind: cardData.kind,
+      initialBalance: amount,
+      balance: amount,
+      customerId: cardData.customerId,
+      expiresAt: cardData.expiresAt,
+      saleId: cardData.saleId,
+      notes: cardData.notes,
+      createdBy: staffId,
+      updatedBy: staffId,
+    });
+    
+    await card.save({ session });
+    
+    await new GiftCardLedger({
+      entryId: await GiftCardLedger.generateEntryId(),
+      tenantId,
+      giftCardId: card.giftCardId,
+      code: card.code,
+      type: ledgerType,
+      direction: 'credit',
+      amount,
+      balanceAfter: amount,
+      saleId: cardData.saleId,
+      invoiceNumber: cardData.invoiceNumber,
+      notes: cardData.notes,
+      staffId,
+      staffName,
+      createdAt: new Date(),
+    }).save({ session });
+    
+    return card;
+  }
+  
+  /**
+   * Issue a gift card or store credit by hand, e.g. a promotional card
+   */
+  static async create(tenantId, userId, userName, cardData) {
+    const card = await GiftCardService.issue(tenantId, {
+      kind: cardData.kind || 'gift_card',
+      amount: cardData.amount,
+      customerId: cardData.customerId,
+      expiresAt: cardData.expiresAt,
+      notes: cardData.notes,
+    }, { staffId: userId, staffName: userName });
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'GIFT_CARD_ISSUE',
+      resource: { type: 'gift_card', id: card.giftCardId, name: card.code },
+      newState: card.toObject(),
+      status: 'success',
+    });
+    
+    return card;
+  }
+  
+  /**
+   * Pick a code not yet used by the tenant
+   */
+  static async generateUniqueCode(tenantId, session = null) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = GiftCard.generateCode();
+      if (!await GiftCard.exists({ tenantId, code }).session(session)) {
+        return code;
+      }
+    }
+    
+    throw new ApiError(500, 'Could not generate a unique gift card code', 'GIFT_CARD_CODE_FAILED');
+  }
+  
+  /**
+   * Get gift card by ID
+   */
+  static async getById(tenantId, giftCardId, session = null) {
+    const card = await GiftCard.findOne({ tenantId, giftCardId }).session(session);
+    
+    if (!card) {
+      throw new ApiError(404, 'Gift card not found', 'GIFT_CARD_NOT_FOUND');
+    }
+    
+    return card;
+  }
+  
+  /**
+   * Get gift card by its code
+   */
+  static async getByCode(tenantId, code, session = null) {
+    const card = await GiftCard.findOne({ tenantId, code: normalizeCode(code) }).session(session);
+    
+    if (!card) {
+      throw new ApiError(404, 'Gift card not found', 'GIFT_CARD_NOT_FOUND');
+    }
+    
+    return card;
+  }
+  
+  /**
+   * Balance lookup for the till
+   */
+  static async lookup(tenantId, code) {
+    const card = await GiftCardService.getByCode(tenantId, code);
+    const expired = Boolean(card.expiresAt && card.expiresAt <= new Date());
+    
+    return {
+      code: card.code,
+      kind: card.kind,
+      balance: card.balance,
+      status: card.status,
+      expiresAt: card.expiresAt,
+      expired,
+      usable: card.status === 'active' && !expired && card.balance > 0,
+    };
+  }
+  
+  /**
+   * Get all gift cards with pagination and filters
+   */
+  static async getAll(tenantId, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = '-createdAt',
+      kind,
+      status,
+      customerId,
+      search,
+    } = options;
+    
+    const filter = { tenantId };
+    
+    if (kind) filter.kind = kind;
+    if (status) filter.status = status;
+    if (customerId) filter.customerId = customerId;
+    if (search) filter.code = { $regex: search, $options: 'i' };
+    
+    const skip = (page - 1) * limit;
+    
+    const [giftCards, total] = await Promise.all([
+      GiftCard.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit),
+      GiftCard.countDocuments(filter),
+    ]);
+    
+    return {
+      giftCards,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+  
+  /**
+   * Void a card, writing off whatever balance is left
+   */
+  static async voidCard(tenantId, userId, userName, giftCardId, reason = '') {
+    return withTransaction(async (session) => {
+      const card = await GiftCardService.getById(tenantId, giftCardId, session);
+      
+      if (card.status === 'void') {
+        throw new ApiError(400, 'Gift card is already void', 'GIFT_CARD_VOID');
+      }
+      
+      const previousState = card.toObject();
+      
+      if (card.balance > 0) {
+        await GiftCardService.postEntry(tenantId, card, {
+          type: 'void',
+          amount: card.balance,
+          notes: reason,
+          staffId: userId,
+          staffName: userName,
+        }, { session });
+      }
+      
+      await GiftCard.updateOne(
+        { tenantId, giftCardId },
+        { $set: { status: 'void', updatedBy: userId, updatedAt: new Date() } },
+        { session }
+      );
+      
+      // Audit log
+      await AuditLog.log({
+        userId,
+        tenantId,
+        userName,
+        userRole: null,
+        action: 'GIFT_CARD_VOID',
+        resource: { type: 'gift_card', id: giftCardId, name: card.code },
+        previousState,
+        details: { reason, balanceWrittenOff: card.balance },
+        status: 'success',
+      }, { session });
+      
+      return { success: true, message: 'Gift card voided successfully' };
+    });
+  }
+  
+  /**
+   * Check the gift card and store credit tenders on a sale can be paid
+   *
+   * The code goes in the tender's `reference`. Balances are checked again
+   * atomically when the tenders are redeemed.
+   */
+  static async prepareTenders(tenantId, payments) {
+    const tenders = payments.filter(p => GIFT_CARD_METHODS.includes(p.method));
+    const needed = {};
+    
+    for (const tender of tenders) {
+      if (!tender.reference) {
+        throw new ApiError(400, 'Gift card code is required in the payment reference', 'GIFT_CARD_CODE_REQUIRED', {
+          method: tender.method,
+        });
+      }
+      
+      tender.reference = normalizeCode(tender.reference);
+      needed[tender.reference] = roundCurrency((needed[tender.reference] || 0) + tender.amount);
+      
+      const card = await GiftCardService.getByCode(tenantId, tender.reference);
+      
+      if (card.kind !== tender.method) {
+        throw new ApiError(400, `Code ${card.code} is not a ${tender.method.replace('_', ' ')}`, 'GIFT_CARD_KIND_MISMATCH');
+      }
+      
+      GiftCardService.assertUsable(card);
+      
+      if (needed[tender.reference] > card.balance) {
+        throw new ApiError(400, 'Not enough balance on the gift card', 'INSUFFICIENT_GIFT_CARD_BALANCE', {
+          code: card.code,
+          balance: card.balance,
+          requested: needed[tender.reference],
+        });
+      }
+    }
+    
+    return tenders;
+  }
+  
+  static assertUsable(card) {
+    if (card.status !== 'active') {
+      throw new ApiError(400, 'Gift card is not active', 'GIFT_CARD_INACTIVE', { code: card.code });
+    }
+    
+    if (card.expiresAt && card.expiresAt <= new Date()) {
+      throw new ApiError(400, 'Gift card has expired', 'GIFT_CARD_EXPIRED', {
+        code: card.code,
+        expiresAt: card.expiresAt,
+      });
+    }
+  }
+  
+  /**
+   * Post an entry to a card's ledger and move its balance
+   *
+   * Debits are conditional on the balance covering them, so two checkouts
+   * cannot spend the same money.
+   */
+  static async postEntry(tenantId, card, entry, options = {}) {
+    const { session = null } = options;
+    const amount = roundCurrency(entry.amount);
+    const direction = CREDIT_TYPES.includes(entry.type) ? 'credit' : (entry.direction || 'debit');
+    
+    const filter = { tenantId, giftCardId: card.giftCardId };
+    if (direction === 'debit') {
+      filter.balance = { $gte: amount };
+    }
+    
+    const updated = await GiftCard.findOneAndUpdate(
+      filter,
+      { $inc: { balance: direction === 'debit' ? -amount : amount }, $set: { updatedAt: new Date() } },
+      { new: true, session }
+    );
+    
+    if (!updated) {
+      throw new ApiError(400, 'Not enough balance on the gift card', 'INSUFFICIENT_GIFT_CARD_BALANCE', {
+        code: card.code,
+        requested: amount,
+      });
+    }
+    
+    const ledgerEntry = new GiftCardLedger({
+      entryId: await GiftCardLedger.generateEntryId(),
+      tenantId,
+      giftCardId: card.giftCardId,
+      code: card.code,
+      ...entry,
+      direction,
+      amount,
+      balanceAfter: updated.balance,
+      createdAt: new Date(),
+    });
+    
+    await ledgerEntry.save({ session });
+    
+    return ledgerEntry;
+  }
+  
+  /**
+   * Spend the gift card tenders of a sale inside its transaction
+   */
+  static async redeemTenders(tenantId, payments, entry, session) {
+    for (const tender of payments.filter(p => GIFT_CARD_METHODS.includes(p.method))) {
+      const card = await GiftCard.findOne({ tenantId, code: tender.reference }).session(session);
+      
+      if (!card) {
+        throw new ApiError(404, 'Gift card not found', 'GIFT_CARD_NOT_FOUND');
+      }
+      
+      GiftCardService.assertUsable(card);
+      
+      await GiftCardService.postEntry(tenantId, card, { ...entry, type: 'redeem', amount: tender.amount }, { session });
+    }
+  }
+  
+  /**
+   * Put money back on the cards a sale was paid with
+   *
+   * tenders is a list of { method, reference, amount } - what is owed back
+   * to each tender; only gift card and store credit ones are credited.
+   * options.ledgerType is 'redeem_reversal' for cancellations and
+   * 'refund_credit' for refunds.
+   */
+  static async restoreTenders(tenantId, sale, tenders, entry = {}, options = {}) {
+    const { session = null, ledgerType = 'redeem_reversal' } = options;
+    
+    for (const tender of tenders.filter(t => GIFT_CARD_METHODS.includes(t.method) && t.amount > 0)) {
+      const card = await GiftCardService.getByCode(tenantId, tender.reference, session);
+      
+      await GiftCardService.postEntry(tenantId, card, {
+        saleId: sale.saleId,
+        invoiceNumber: sale.invoiceNumber,
+        ...entry,
+        type: ledgerType,
+        amount: tender.amount,
+      }, { session });
+    }
+  }
+  
+  /**
+   * Check the cards sold on a sale can still be taken back (none spent)
+   */
+  static async assertSoldCardsUnused(tenantId, sale, session = null) {
+    const codes = sale.lineItems.flatMap(line => line.giftCardCodes || []);
+    if (codes.length === 0) return [];
+    
+    const cards = await GiftCard.find({ tenantId, code: { $in: codes } }).session(session);
+    const used = cards.filter(card => card.status !== 'void' && card.balance < card.initialBalance);
+    
+    if (used.length > 0) {
+      throw new ApiError(400, 'Gift cards sold on this sale have already been used', 'GIFT_CARD_USED', {
+        codes: used.map(card => card.code),
+      });
+    }
+    
+    return cards;
+  }
+  
+  /**
+   * Void the cards sold on a cancelled sale
+   */
+  static async voidSoldCards(tenantId, sale, entry = {}, options = {}) {
+    const { session = null } = options;
+    const cards = await GiftCardService.assertSoldCardsUnused(tenantId, sale, session);
+    
+    for (const card of cards.filter(c => c.status !== 'void')) {
+      if (card.balance > 0) {
+        await GiftCardService.postEntry(tenantId, card, {
+          saleId: sale.saleId,
+          invoiceNumber: sale.invoiceNumber,
+          ...entry,
+          type: 'void',
+          amount: card.balance,
+        }, { session });
+      }
+      
+      await GiftCard.updateOne(
+        { tenantId, giftCardId: card.giftCardId },
+        { $set: { status: 'void', updatedAt: new Date() } },
+        { session }
+      );
+    }
+  }
+  
+  /**
+   * Credit a refund to store credit: an existing store credit code is topped
+   * up, otherwise a new one is issued to the sale's customer
+   */
+  static async creditRefund(tenantId, sale, amount, options = {}) {
+    const { code, staffId, staffName, notes, session = null } = options;
+    
+    if (code) {
+      const card = await GiftCardService.getByCode(tenantId, code, session);
+      
+      if (card.kind !== 'store_credit') {
+        throw new ApiError(400, `Code ${card.code} is not store credit`, 'GIFT_CARD_KIND_MISMATCH');
+      }
+      
+      GiftCardService.assertUsable(card);
+      
+      await GiftCardService.postEntry(tenantId, card, {
+        type: 'refund_credit',
+        amount,
+        saleId: sale.saleId,
+        invoiceNumber: sale.invoiceNumber,
+        notes,
+        staffId,
+        staffName,
+      }, { session });
+      
+      return card.code;
+    }
+    
+    const card = await GiftCardService.issue(tenantId, {
+      kind: 'store_credit',
+      amount,
+      customerId: sale.customer?.customerId,
+      saleId: sale.saleId,
+      invoiceNumber: sale.invoiceNumber,
+      notes,
+    }, { session, ledgerType: 'refund_credit', staffId, staffName });
+    
+    return card.code;
+  }
+  
+  /**
+   * Get a card's balance history
+   */
+  static async getLedger(tenantId, giftCardId, options = {}) {
+    const { page = 1, limit = 50 } = options;
+    
+    const giftCard = await GiftCardService.getById(tenantId, giftCardId);
+    const filter = { tenantId, giftCardId };
+    const skip = (page - 1) * limit;
+    
+    const [entries, total] = await Promise.all([
+      GiftCardLedger.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      GiftCardLedger.countDocuments(filter),
+    ]);
+    
+    return {
+      giftCard,
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+}
+
+GiftCardService.GIFT_CARD_METHODS = GIFT_CARD_METHODS;
+
+module.exports = GiftCardService;
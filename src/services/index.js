@@ -2,11 +2,47 @@ const AuthService = require('./authService');
 const ProductService = require('./productService');
 const SaleService = require('./saleService');
 const StaffService = require('./staffService');
+const CustomerService = require('./customerService');
+const QuotationService = require('./quotationService');
+const TenantService = require('./tenantService');
+const ReceiptService = require('./receiptService');
+const InvoiceService = require('./invoiceService');
+const TaxService = require('./taxService');
+const PromotionService = require('./promotionService');
+const CouponService = require('./couponService');
+const LoyaltyService = require('./loyaltyService');
+const GiftCardService = require('./giftCardService');
+const PriceListService = require('./priceListService');
+const RegisterService = require('./registerService');
+const DiscountApprovalService = require('./discountApprovalService');
+const SerialService = require('./serialService');
+const WarrantyService = require('./warrantyService');
+const ServiceTicketService = require('./serviceTicketService');
+const InstallmentService = require('./installmentService');
+const TradeInService = require('./tradeInService');
 
 module.exports = {
   AuthService,
   ProductService,
   SaleService,
   StaffService,
+  CustomerService,
+  QuotationService,
+  TenantService,
+  ReceiptService,
+  InvoiceService,
+  TaxService,
+  PromotionService,
+  CouponService,
+  LoyaltyService,
+  GiftCardService,
+  PriceListService,
+  RegisterService,
+  DiscountApprovalService,
+  SerialService,
+  WarrantyService,
+  ServiceTicketService,
+  InstallmentService,
+  TradeInService,
 };
 
@@ -0,0 +1,459 @@
+const InstallmentPlan = require('../models/InstallmentPlan');
+const Sale = require('../models/Sale');
+const Customer = require('../models/Customer');
+const AuditLog = require('../models/AuditLog');
+const RegisterService = require('./registerService');
+const { roundCurrency } = require('../utils/helpers');
+const { ApiError } = require('../middleware/errorHandler');
+const { withTransaction } = require('../config/database');
+
+// Tenders accepted for installments; balances and credit cannot pay them
+const PLAN_PAYMENT_METHODS = ['cash', 'card', 'mobile_payment', 'bank_transfer'];
+
+const MAX_INSTALLMENTS = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Split an amount into n parts that add back up to it exactly; the last
+ * part takes the rounding difference
+ */
+const splitAmount = (total, n) => {
+  const part = Math.floor((total / n) * 100) / 100;
+  const parts = Array(n).fill(part);
+  parts[n - 1] = roundCurrency(total - part * (n - 1));
+  return parts;
+};
+
+/**
+ * Installment Service - Finances the unpaid part of a sale over a schedule
+ * of installments and takes payments against it
+ */
+class InstallmentService {
+  /**
+   * Validate plan terms for a sale before it is taken
+   *
+   * terms: { numberOfInstallments, interestRate (flat %, whole plan), fee,
+   * frequency (weekly | monthly), firstDueDate }. The customer must have an
+   * active account. Returns the customer and the normalised terms.
+   */
+  static async prepare(tenantId, customerId, principal, terms = {}) {
+    if (!customerId) {
+      throw new ApiError(400, 'Installment sales require a customer account', 'CUSTOMER_REQUIRED');
+    }
+    
+    const customer = await Customer.findOne({ tenantId, customerId });
+    
+    if (!customer) {
+      throw new ApiError(404, 'Customer not found', 'CUSTOMER_NOT_FOUND');
+    }
+    
+    if (customer.status !== 'active') {
+      throw new ApiError(400, 'Customer account is not active', 'CUSTOMER_INACTIVE');
+    }
+    
+    const numberOfInstallments = Number(terms.numberOfInstallments);
+    const interestRate = Number(terms.interestRate || 0);
+    const fee = roundCurrency(Number(terms.fee || 0));
+    const frequency = terms.frequency || 'monthly';
+    
+    if (!Number.isInteger(numberOfInstallments) || numberOfInstallments < 1 || numberOfInstallments > MAX_INSTALLMENTS) {
+      throw new ApiError(400, `Number of installments must be between 1 and ${MAX_INSTALLMENTS}`, 'INVALID_INSTALLMENT_TERMS');
+    }
+    
+    if (!Number.isFinite(interestRate) || interestRate < 0 || interestRate > 100) {
+      throw new ApiError(400, 'Interest rate must be between 0 and 100', 'INVALID_INSTALLMENT_TERMS');
+    }
+    
+    if (!Number.isFinite(fee) || fee < 0) {
+      throw new ApiError(400, 'Fee cannot be negative', 'INVALID_INSTALLMENT_TERMS');
+    }
+    
+    if (!InstallmentPlan.INSTALLMENT_FREQUENCIES.includes(frequency)) {
+      throw new ApiError(400, `Invalid installment frequency: ${frequency}`, 'INVALID_INSTALLMENT_TERMS');
+    }
+    
+    let firstDueDate = null;
+    if (terms.firstDueDate) {
+      firstDueDate = new Date(terms.firstDueDate);
+      
+      if (Number.isNaN(firstDueDate.getTime()) || firstDueDate < new Date(Date.now() - DAY_MS)) {
+        throw new ApiError(400, 'First due date must be a date from today on', 'INVALID_INSTALLMENT_TERMS');
+      }
+    }
+    
+    if (!(principal > 0)) {
+      throw new ApiError(400, 'Nothing is left to pay in installments', 'INVALID_INSTALLMENT_TERMS');
+    }
+    
+    return {
+      customer,
+      terms: { numberOfInstallments, interestRate, fee, frequency, firstDueDate },
+    };
+  }
+  
+  /**
+   * Due dates and amounts for a plan. The first installment falls one
+   * period after the sale unless a first due date is given.
+   */
+  static buildSchedule(principal, charge, terms, startDate = new Date()) {
+    const { numberOfInstallments: n, frequency } = terms;
+    
+    const principalParts = splitAmount(principal, n);
+    const chargeParts = splitAmount(charge, n);
+    
+    const dueDate = (index) => {
+      const date = new Date(terms.firstDueDate || startDate);
+      const offset = terms.firstDueDate ? index : index + 1;
+      
+      if (frequency === 'weekly') {
+        date.setDate(date.getDate() + offset * 7);
+      } else {
+        // Month-end dates stay at the end of shorter months
+        const day = date.getDate();
+        date.setDate(1);
+        date.setMonth(date.getMonth() + offset);
+        date.setDate(Math.min(day, new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate()));
+      }
+      return date;
+    };
+    
+    return principalParts.map((part, i) => ({
+      number: i + 1,
+      dueDate: dueDate(i),
+      principal: part,
+      charge: chargeParts[i],
+      amount: roundCurrency(part + chargeParts[i]),
+    }));
+  }
+  
+  /**
+   * Open the plan for a sale, inside the sale's transaction
+   */
+  static async createForSale(tenantId, sale, prepared, options = {}) {
+    const { session = null, planId, staffId } = options;
+    const { customer, terms } = prepared;
+    
+    const principal = sale.balanceDue;
+    const interestAmount = roundCurrency(principal * terms.interestRate / 100);
+    const charge = roundCurrency(interestAmount + terms.fee);
+    const totalPayable = roundCurrency(principal + charge);
+    
+    const plan = new InstallmentPlan({
+      planId,
+      tenantId,
+      planNumber: await InstallmentPlan.generatePlanNumber(tenantId, session),
+      saleId: sale.saleId,
+      invoiceNumber: sale.invoiceNumber,
+      customer: {
+        customerId: customer.customerId,
+        name: sale.customer?.name || customer.name,
+        phone: sale.customer?.phone || customer.phone,
+      },
+      saleTotal: sale.grandTotal,
+      downPayment: sale.amountPaid,
+      principal,
+      interestRate: terms.interestRate,
+      interestAmount,
+      fee: terms.fee,
+      totalPayable,
+      numberOfInstallments: terms.numberOfInstallments,
+      frequency: terms.frequency,
+      schedule: InstallmentService.buildSchedule(principal, charge, terms, sale.createdAt || new Date()),
+      balance: totalPayable,
+      createdBy: staffId,
+    });
+    
+    await plan.save({ session });
+    
+    return plan;
+  }
+  
+  /**
+   * Get plan by ID
+   */
+  static async getById(tenantId, planId) {
+    const plan = await InstallmentPlan.findOne({ tenantId, planId });
+    
+    if (!plan) {
+      throw new ApiError(404, 'Installment plan not found', 'PLAN_NOT_FOUND');
+    }
+    
+    return plan;
+  }
+  
+  /**
+   * Get plans with pagination, filterable by status, customer, phone, sale
+   * or plan number; overdue=true limits to plans with an installment past due
+   */
+  static async getAll(tenantId, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = '-createdAt',
+      status,
+      customerId,
+      phone,
+      saleId,
+      planNumber,
+      overdue,
+    } = options;
+    
+    const filter = { tenantId };
+    
+    if (status) filter.status = status;
+    if (customerId) filter['customer.customerId'] = customerId;
+    if (phone) filter['customer.phone'] = phone.trim();
+    if (saleId) filter.saleId = saleId;
+    if (planNumber) filter.planNumber = planNumber.trim().toUpperCase();
+    if (overdue) {
+      filter.status = 'active';
+      filter.schedule = { $elemMatch: { status: { $ne: 'paid' }, dueDate: { $lt: new Date() } } };
+    }
+    
+    const skip = (page - 1) * limit;
+    
+    const [plans, total] = await Promise.all([
+      InstallmentPlan.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit),
+      InstallmentPlan.countDocuments(filter),
+    ]);
+    
+    return {
+      plans,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+  
+  /**
+   * Take a payment against a plan
+   *
+   * The payment settles installments oldest first, each one's finance charge
+   * before its principal. The principal share comes off the sale's balance.
+   */
+  static async recordPayment(tenantId, userId, userName, planId, paymentData = {}) {
+    const { method, reference, notes, terminalId } = paymentData;
+    const amount = roundCurrency(Number(paymentData.amount));
+    
+    if (!PLAN_PAYMENT_METHODS.includes(method)) {
+      throw new ApiError(400, `Invalid payment method: ${method}`, 'INVALID_PAYMENT_METHOD');
+    }
+    
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new ApiError(400, 'Payment amount must be greater than zero', 'INVALID_PAYMENT_AMOUNT');
+    }
+    
+    // Cash goes into an open register, like cash taken at checkout
+    const registerSession = method === 'cash'
+      ? await RegisterService.requireOpenSession(tenantId, { terminalId, staffId: userId })
+      : null;
+    
+    return withTransaction(async (session) => {
+      const plan = await InstallmentPlan.findOne({ tenantId, planId }).session(session);
+      
+      if (!plan) {
+        throw new ApiError(404, 'Installment plan not found', 'PLAN_NOT_FOUND');
+      }
+      
+      if (plan.status !== 'active') {
+        throw new ApiError(400, 'Installment plan is already paid off', 'PLAN_COMPLETED');
+      }
+      
+      if (amount > plan.balance) {
+        throw new ApiError(400, 'Payment exceeds the plan balance', 'PAYMENT_EXCEEDS_BALANCE', {
+          balance: plan.balance,
+          amount,
+        });
+      }
+      
+      const paidAt = new Date();
+      let remaining = amount;
+      let principalPaid = 0;
+      
+      for (const installment of plan.schedule) {
+        if (remaining <= 0) break;
+        if (installment.status === 'paid') continue;
+        
+        const take = Math.min(remaining, roundCurrency(installment.amount - installment.paidAmount));
+        const chargeOwed = Math.max(0, roundCurrency(installment.charge - installment.paidAmount));
+        
+        principalPaid = roundCurrency(principalPaid + Math.max(0, take - chargeOwed));
+        installment.paidAmount = roundCurrency(installment.paidAmount + take);
+        installment.status = installment.paidAmount >= installment.amount ? 'paid' : 'partial';
+        if (installment.status === 'paid') installment.paidAt = paidAt;
+        remaining = roundCurrency(remaining - take);
+      }
+      
+      plan.payments.push({
+        method,
+        amount,
+        principal: principalPaid,
+        reference,
+        notes,
+        registerSessionId: registerSession?.sessionId,
+        staffId: userId,
+        staffName: userName,
+        paidAt,
+      });
+      plan.amountPaid = roundCurrency(plan.amountPaid + amount);
+      plan.balance = roundCurrency(plan.balance - amount);
+      
+      if (plan.balance <= 0) {
+        plan.status = 'completed';
+        plan.completedAt = paidAt;
+      }
+      
+      await plan.save({ session });
+      
+      const sale = await Sale.findOne({ tenantId, saleId: plan.saleId }).session(session);
+      
+      if (sale && sale.balanceDue > 0 && (principalPaid > 0 || plan.status === 'completed')) {
+        // The last payment clears whatever rounding is left on the sale
+        const applied = plan.status === 'completed' ? sale.balanceDue : Math.min(principalPaid, sale.balanceDue);
+        
+        sale.receivablePayments.push({ method, amount: applied, reference, paidAt });
+        sale.amountPaid = roundCurrency((sale.amountPaid || 0) + applied);
+        sale.balanceDue = roundCurrency(sale.balanceDue - applied);
+        sale.paymentStatus = sale.balanceDue <= 0 ? 'paid' : 'partial';
+        
+        await sale.save({ session });
+      }
+      
+      // Audit log
+      await AuditLog.log({
+        userId,
+        tenantId,
+        userName,
+        userRole: null,
+        action: 'INSTALLMENT_PAYMENT',
+        resource: { type: 'installment_plan', id: planId, name: plan.planNumber },
+        details: {
+          saleId: plan.saleId,
+          invoiceNumber: plan.invoiceNumber,
+          amount,
+          principal: principalPaid,
+          method,
+          reference,
+          balance: plan.balance,
+          ...(registerSession && { registerSessionId: registerSession.sessionId }),
+          ...(plan.status === 'completed' && { completed: true }),
+        },
+        status: 'success',
+      }, { session });
+      
+      return plan;
+    });
+  }
+  
+  /**
+   * What a customer still owes on installments, for the till
+   */
+  static async getCustomerSummary(tenantId, customerId, asOf = new Date()) {
+    const asOfDate = new Date(asOf);
+    const customer = await Customer.findOne({ tenantId, customerId });
+    
+    if (!customer) {
+      throw new ApiError(404, 'Customer not found', 'CUSTOMER_NOT_FOUND');
+    }
+    
+    const plans = await InstallmentPlan.find({
+      tenantId,
+      'customer.customerId': customerId,
+      status: 'active',
+    }).sort({ createdAt: 1 });
+    
+    let balance = 0;
+    let overdueAmount = 0;
+    let nextDue = null;
+    
+    plans.forEach(plan => {
+      balance = roundCurrency(balance + plan.balance);
+      
+      plan.schedule.forEach(installment => {
+        if (installment.status === 'paid') return;
+        
+        const owed = roundCurrency(installment.amount - installment.paidAmount);
+        
+        if (installment.dueDate < asOfDate) {
+          overdueAmount = roundCurrency(overdueAmount + owed);
+        } else if (!nextDue || installment.dueDate < nextDue.dueDate) {
+          nextDue = { planNumber: plan.planNumber, dueDate: installment.dueDate, amount: owed };
+        }
+      });
+    });
+    
+    return {
+      customerId,
+      name: customer.name,
+      activePlans: plans.length,
+      balance,
+      overdueAmount,
+      nextDue,
+      plans: plans.map(plan => ({
+        planId: plan.planId,
+        planNumber: plan.planNumber,
+        invoiceNumber: plan.invoiceNumber,
+        balance: plan.balance,
+      })),
+    };
+  }
+  
+  /**
+   * Overdue installments report - unpaid installments past their due date,
+   * grouped by plan
+   */
+  static async getOverdueReport(tenantId, asOf = new Date()) {
+    const asOfDate = new Date(asOf);
+    
+    const plans = await InstallmentPlan.find({
+      tenantId,
+      status: 'active',
+      schedule: { $elemMatch: { status: { $ne: 'paid' }, dueDate: { $lt: asOfDate } } },
+    }).sort({ createdAt: 1 });
+    
+    const totals = { plans: 0, installments: 0, amountOverdue: 0 };
+    
+    const rows = plans.map(plan => {
+      const installments = plan.schedule
+        .filter(installment => installment.status !== 'paid' && installment.dueDate < asOfDate)
+        .map(installment => ({
+          number: installment.number,
+          dueDate: installment.dueDate,
+          daysOverdue: Math.floor((asOfDate - installment.dueDate) / DAY_MS),
+          amountDue: roundCurrency(installment.amount - installment.paidAmount),
+        }));
+      const amountOverdue = roundCurrency(installments.reduce((sum, i) => sum + i.amountDue, 0));
+      
+      totals.plans++;
+      totals.installments += installments.length;
+      totals.amountOverdue = roundCurrency(totals.amountOverdue + amountOverdue);
+      
+      return {
+        planId: plan.planId,
+        planNumber: plan.planNumber,
+        saleId: plan.saleId,
+        invoiceNumber: plan.invoiceNumber,
+        customer: plan.customer,
+        balance: plan.balance,
+        amountOverdue,
+        daysOverdue: Math.max(...installments.map(i => i.daysOverdue)),
+        installments,
+      };
+    });
+    
+    return {
+      asOf: asOfDate,
+      totals,
+      plans: rows.sort((a, b) => b.daysOverdue - a.daysOverdue),
+    };
+  }
+}
+
+module.exports = InstallmentService;
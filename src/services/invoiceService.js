@@ -0,0 +1,427 @@
+const Sale = require('../models/Sale');
+const Tenant = require('../models/Tenant');
+const Customer = require('../models/Customer');
+const AuditLog = require('../models/AuditLog');
+const { PdfDocument } = require('../utils/pdf');
+const { formatAmount, amountInWords, taxLines } = require('../utils/helpers');
+const { ApiError } = require('../middleware/errorHandler');
+
+const INVOICE_FORMATS = ['pdf', 'html'];
+
+const PAYMENT_LABELS = {
+  cash: 'Cash',
+  card: 'Card',
+  mobile_payment: 'Mobile Payment',
+  bank_transfer: 'Bank Transfer',
+  credit: 'Credit',
+  loyalty_points: 'Loyalty Points',
+  gift_card: 'Gift Card',
+  store_credit: 'Store Credit',
+  installment: 'Installments',
+  trade_in: 'Trade-in',
+};
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Invoice Service - Renders printable A4 tax invoices from stored sales
+ */
+class InvoiceService {
+  /**
+   * Render the invoice for a sale as PDF or HTML
+   *
+   * Every generation is counted on the sale; copies after the first carry
+   * a DUPLICATE watermark. Each generation is audit logged.
+   */
+  static async render(tenantId, userId, userName, saleId, options = {}) {
+    const { format = 'pdf' } = options;
+    
+    if (!INVOICE_FORMATS.includes(format)) {
+      throw new ApiError(400, `Unsupported invoice format: ${format}`, 'INVALID_FORMAT');
+    }
+    
+    const existing = await Sale.findOne({ tenantId, saleId }).select('status');
+    
+    if (!existing) {
+      throw new ApiError(404, 'Sale not found', 'SALE_NOT_FOUND');
+    }
+    
+    if (existing.status === 'pending') {
+      throw new ApiError(400, 'Parked sales have no invoice', 'SALE_PARKED');
+    }
+    
+    const now = new Date();
+    const sale = await Sale.findOneAndUpdate(
+      { tenantId, saleId },
+      {
+        $inc: { 'invoicePrints.count': 1 },
+        $set: { 'invoicePrints.lastPrintedAt': now, 'invoicePrints.lastPrintedBy': userId },
+        $min: { 'invoicePrints.firstPrintedAt': now },
+      },
+      { new: true }
+    );
+    
+    const [tenant, customer] = await Promise.all([
+      Tenant.findOne({ tenantId }),
+      sale.customer?.customerId ? Customer.findOne({ tenantId, customerId: sale.customer.customerId }) : null,
+    ]);
+    
+    const invoice = InvoiceService.buildInvoice(sale, tenant, customer);
+    const body = format === 'html' ? InvoiceService.renderHtml(invoice) : InvoiceService.renderPdf(invoice);
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'SALE_INVOICE_PRINT',
+      resource: { type: 'sale', id: saleId, name: sale.invoiceNumber },
+      details: {
+        format,
+        copyNumber: invoice.copyNumber,
+        duplicate: invoice.duplicate,
+      },
+      status: 'success',
+    });
+    
+    return {
+      invoiceNumber: sale.invoiceNumber,
+      copyNumber: invoice.copyNumber,
+      duplicate: invoice.duplicate,
+      contentType: format === 'html' ? 'text/html; charset=utf-8' : 'application/pdf',
+      body,
+    };
+  }
+  
+  /**
+   * Collect everything the invoice shows into one plain object
+   */
+  static buildInvoice(sale, tenant, customer) {
+    const currency = tenant?.settings?.currency || 'MMK';
+    const timeZone = tenant?.settings?.timezone || 'UTC';
+    const formatDate = (date) => (date
+      ? new Date(date).toLocaleDateString('en-GB', { timeZone, day: '2-digit', month: 'short', year: 'numeric' })
+      : null);
+    
+    const totals = [
+      ['Subtotal', formatAmount(sale.subtotal)],
+    ];
+    if (sale.totalDiscount) totals.push(['Discount', `-${formatAmount(sale.totalDiscount)}`]);
+    taxLines(sale).forEach(([label, amount]) => totals.push([label, formatAmount(amount)]));
+    totals.push([`Total (${currency})`, formatAmount(sale.grandTotal), true]);
+    if (sale.balanceDue) {
+      totals.push(['Amount paid', formatAmount(sale.amountPaid)]);
+      totals.push(['Balance due', formatAmount(sale.balanceDue), true]);
+    }
+    if (sale.totalRefunded) totals.push(['Refunded', `-${formatAmount(sale.totalRefunded)}`]);
+    
+    const payments = (sale.payments && sale.payments.length > 0
+      ? sale.payments
+      : [{ method: sale.paymentMethod, amount: sale.grandTotal }]
+    ).concat(sale.receivablePayments || []).map(p => ({
+      label: PAYMENT_LABELS[p.method] || p.method,
+      amount: formatAmount(p.amount),
+      // Gift card codes are bearer credentials; only show their last digits
+      reference: ['gift_card', 'store_credit'].includes(p.method) && p.reference
+        ? `****${p.reference.slice(-4)}`
+        : p.reference,
+    }));
+    
+    return {
+      copyNumber: sale.invoicePrints.count,
+      duplicate: sale.invoicePrints.count > 1,
+      status: sale.status,
+      seller: {
+        name: tenant?.name || '',
+        address: tenant?.contact?.address,
+        phone: tenant?.contact?.phone,
+        email: tenant?.contact?.email,
+        taxId: tenant?.settings?.invoice?.taxId,
+      },
+      buyer: {
+        name: sale.customer?.name || 'Walk-in customer',
+        phone: sale.customer?.phone,
+        email: sale.customer?.email,
+        address: customer?.address,
+      },
+      details: [
+        ['Invoice No', sale.invoiceNumber],
+        ['Date', formatDate(sale.createdAt)],
+        ['Due date', sale.balanceDue ? formatDate(sale.dueDate) : null],
+        ['Cashier', sale.staffName],
+      ].filter(([, value]) => value),
+      items: sale.lineItems.map((item, index) => ({
+        number: index + 1,
+        name: item.productName,
+        sku: item.sku,
+        serials: (item.serials || []).length > 0 ? `S/N: ${item.serials.join(', ')}` : null,
+        quantity: item.quantity,
+        unitPrice: formatAmount(item.unitPrice),
+        discount: item.discount || item.promotionDiscount
+          ? formatAmount((item.discount || 0) + (item.promotionDiscount || 0))
+          : '',
+        tax: item.tax ? formatAmount(item.tax) : '',
+        total: formatAmount(item.total),
+      })),
+      totals,
+      amountInWords: amountInWords(sale.grandTotal, currency),
+      payments,
+      notes: sale.notes,
+      terms: tenant?.settings?.invoice?.notes,
+    };
+  }
+  
+  /**
+   * Render an invoice as a standalone HTML page (print with the browser)
+   */
+  static renderHtml(invoice) {
+    const lines = (values) => values.filter(Boolean).map(v => `<div>${escapeHtml(v)}</div>`).join('');
+    
+    const rows = invoice.items.map(item => `
+        <tr>
+          <td>${item.number}</td>
+          <td>${escapeHtml(item.name)}${item.sku ? `<div class="muted">${escapeHtml(item.sku)}</div>` : ''}${item.serials ? `<div class="muted">${escapeHtml(item.serials)}</div>` : ''}</td>
+          <td class="num">${item.quantity}</td>
+          <td class="num">${item.unitPrice}</td>
+          <td class="num">${item.discount}</td>
+          <td class="num">${item.tax}</td>
+          <td class="num">${item.total}</td>
+        </tr>`).join('');
+    
+    const totals = invoice.totals.map(([label, value, strong]) => `
+        <tr${strong ? ' class="strong"' : ''}><td>${escapeHtml(label)}</td><td class="num">${value}</td></tr>`).join('');
+    
+    const payments = invoice.payments.map(p => `
+        <div>${escapeHtml(p.label)}: ${p.amount}${p.reference ? ` (${escapeHtml(p.reference)})` : ''}</div>`).join('');
+    
+    const html = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(invoice.details[0][1])}</title>
+  <style>
+    @page { size: A4; margin: 15mm; }
+    body { font-family: Helvetica, Arial, sans-serif; font-size: 12px; color: #222; margin: 0; }
+    .header { display: flex; justify-content: space-between; margin-bottom: 24px; }
+    .seller-name { font-size: 22px; font-weight: bold; }
+    .title { font-size: 20px; font-weight: bold; text-align: right; }
+    .muted { color: #777; font-size: 11px; }
+    .bill-to { border: 1px solid #ddd; padding: 8px 12px; width: 50%; margin-bottom: 16px; }
+    table { width: 100%; border-collapse: collapse; }
+    .items th { background: #eee; text-align: left; padding: 6px; }
+    .items td { border-bottom: 1px solid #eee; padding: 6px; vertical-align: top; }
+    .num { text-align: right; }
+    .totals { width: 45%; margin-left: auto; margin-top: 12px; }
+    .totals td { padding: 4px 6px; }
+    .totals .strong td { font-weight: bold; border-top: 1px solid #222; }
+    .section { margin-top: 16px; }
+    .watermark { position: fixed; top: 40%; left: 0; right: 0; text-align: center; font-size: 96px;
+      font-weight: bold; color: rgba(0, 0, 0, 0.08); transform: rotate(-35deg); z-index: -1; }
+  </style>
+</head>
+<body>
+  ${invoice.duplicate ? '<div class="watermark">DUPLICATE</div>' : ''}
+  <div class="header">
+    <div>
+      <div class="seller-name">${escapeHtml(invoice.seller.name)}</div>
+      ${lines([
+        invoice.seller.address,
+        invoice.seller.phone && `Tel: ${invoice.seller.phone}`,
+        invoice.seller.email,
+        invoice.seller.taxId && `Tax ID: ${invoice.seller.taxId}`,
+      ])}
+    </div>
+    <div>
+      <div class="title">TAX INVOICE</div>
+      <table>${invoice.details.map(([label, value]) => `
+        <tr><td class="muted">${escapeHtml(label)}</td><td class="num">${escapeHtml(value)}</td></tr>`).join('')}
+      </table>
+      ${invoice.status !== 'completed' ? `<div class="title">${escapeHtml(invoice.status.toUpperCase())}</div>` : ''}
+    </div>
+  </div>
+  <div class="bill-to">
+    <div class="muted">Bill To</div>
+    <strong>${escapeHtml(invoice.buyer.name)}</strong>
+    ${lines([invoice.buyer.address, invoice.buyer.phone, invoice.buyer.email])}
+  </div>
+  <table class="items">
+    <thead>
+      <tr><th>#</th><th>Item</th><th class="num">Qty</th><th class="num">Unit Price</th>
+        <th class="num">Discount</th><th class="num">Tax</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <table class="totals">${totals}
+  </table>
+  <div class="section"><strong>Amount in words:</strong> ${escapeHtml(invoice.amountInWords)}</div>
+  <div class="section"><strong>Payments</strong>${payments}</div>
+  ${invoice.notes ? `<div class="section"><strong>Notes:</strong> ${escapeHtml(invoice.notes)}</div>` : ''}
+  ${invoice.terms ? `<div class="section muted">${escapeHtml(invoice.terms)}</div>` : ''}
+  <div class="section muted">Copy ${invoice.copyNumber}</div>
+</body>
+</html>
+`;
+
+    return Buffer.from(html, 'utf8');
+  }
+  
+  /**
+   * Render an invoice as an A4 PDF
+   */
+  static renderPdf(invoice) {
+    const doc = new PdfDocument('A4');
+    const margin = 40;
+    const right = doc.width - margin;
+    const muted = [0.45, 0.45, 0.45];
+    
+    // Item table columns: [key, label, x, width, align]
+    const columns = [
+      ['number', '#', margin, 20, 'left'],
+      ['name', 'Item', margin + 22, 208, 'left'],
+      ['quantity', 'Qty', 270, 35, 'right'],
+      ['unitPrice', 'Unit Price', 310, 70, 'right'],
+      ['discount', 'Discount', 385, 55, 'right'],
+      ['tax', 'Tax', 445, 45, 'right'],
+      ['total', 'Amount', 495, right - 495, 'right'],
+    ];
+    
+    if (invoice.duplicate) doc.watermark('DUPLICATE');
+    
+    const tableHeader = (top) => {
+      doc.rect(margin, top, right - margin, 18);
+      columns.forEach(([, label, x, width, align]) => {
+        doc.text(label, x, top + 5, { size: 9, bold: true, width, align });
+      });
+      return top + 24;
+    };
+    
+    // Seller and invoice details
+    let y = margin;
+    doc.text(invoice.seller.name, margin, y, { size: 18, bold: true });
+    doc.text('TAX INVOICE', margin, y, { size: 16, bold: true, width: right - margin, align: 'right' });
+    y += 26;
+    
+    const sellerLines = [
+      invoice.seller.address,
+      invoice.seller.phone && `Tel: ${invoice.seller.phone}`,
+      invoice.seller.email,
+      invoice.seller.taxId && `Tax ID: ${invoice.seller.taxId}`,
+    ].filter(Boolean);
+    
+    let sellerY = y;
+    sellerLines.forEach(line => {
+      doc.wrap(line, 260, 9).forEach(part => {
+        doc.text(part, margin, sellerY, { size: 9 });
+        sellerY += 12;
+      });
+    });
+    
+    let detailsY = y;
+    invoice.details.forEach(([label, value]) => {
+      doc.text(label, 360, detailsY, { size: 9, color: muted });
+      doc.text(value, 360, detailsY, { size: 9, width: right - 360, align: 'right' });
+      detailsY += 12;
+    });
+    if (invoice.status !== 'completed') {
+      doc.text(invoice.status.toUpperCase(), 360, detailsY + 4, { size: 12, bold: true, width: right - 360, align: 'right' });
+      detailsY += 18;
+    }
+    
+    // Customer block
+    y = Math.max(sellerY, detailsY) + 16;
+    doc.text('Bill To', margin, y, { size: 8, color: muted });
+    y += 11;
+    doc.text(invoice.buyer.name, margin, y, { size: 10, bold: true });
+    y += 13;
+    [invoice.buyer.address, invoice.buyer.phone, invoice.buyer.email].filter(Boolean).forEach(line => {
+      doc.wrap(line, 260, 9).forEach(part => {
+        doc.text(part, margin, y, { size: 9 });
+        y += 12;
+      });
+    });
+    
+    // Line items
+    y = tableHeader(y + 14);
+    
+    invoice.items.forEach(item => {
+      const nameLines = doc.wrap(item.name, 208, 9);
+      const serialLines = item.serials ? doc.wrap(item.serials, 208, 8) : [];
+      const rowHeight = nameLines.length * 11 + (item.sku ? 10 : 0) + serialLines.length * 10 + 6;
+      
+      if (y + rowHeight > doc.height - margin - 20) {
+        doc.addPage();
+        y = tableHeader(margin);
+      }
+      
+      columns.forEach(([key, , x, width, align]) => {
+        if (key === 'name') return;
+        doc.text(String(item[key]), x, y, { size: 9, width, align });
+      });
+      nameLines.forEach((line, index) => {
+        doc.text(line, margin + 22, y + index * 11, { size: 9 });
+      });
+      if (item.sku) {
+        doc.text(item.sku, margin + 22, y + nameLines.length * 11, { size: 8, color: muted });
+      }
+      serialLines.forEach((line, index) => {
+        doc.text(line, margin + 22, y + nameLines.length * 11 + (item.sku ? 10 : 0) + index * 10, { size: 8, color: muted });
+      });
+      
+      y += rowHeight;
+      doc.line(margin, y - 3, right, y - 3, { color: [0.85, 0.85, 0.85] });
+    });
+    
+    // Totals, amount in words, payments and notes
+    const wordsLines = doc.wrap(`Amount in words: ${invoice.amountInWords}`, right - margin, 9);
+    const noteLines = [invoice.notes && `Notes: ${invoice.notes}`, invoice.terms]
+      .filter(Boolean)
+      .reduce((acc, text) => acc.concat(doc.wrap(text, right - margin, 9)), []);
+    const footerHeight = invoice.totals.length * 15 + wordsLines.length * 12
+      + invoice.payments.length * 12 + noteLines.length * 12 + 60;
+    
+    if (y + footerHeight > doc.height - margin) {
+      doc.addPage();
+      y = margin;
+    }
+    
+    y += 6;
+    invoice.totals.forEach(([label, value, strong]) => {
+      if (strong) doc.line(340, y - 3, right, y - 3, { width: 0.8 });
+      doc.text(label, 340, y, { size: 10, bold: strong });
+      doc.text(value, 340, y, { size: 10, bold: strong, width: right - 340, align: 'right' });
+      y += 15;
+    });
+    
+    y += 8;
+    wordsLines.forEach(line => {
+      doc.text(line, margin, y, { size: 9 });
+      y += 12;
+    });
+    
+    y += 6;
+    doc.text('Payments', margin, y, { size: 9, bold: true });
+    y += 12;
+    invoice.payments.forEach(p => {
+      doc.text(`${p.label}: ${p.amount}${p.reference ? ` (${p.reference})` : ''}`, margin, y, { size: 9 });
+      y += 12;
+    });
+    
+    y += 6;
+    noteLines.forEach(line => {
+      doc.text(line, margin, y, { size: 9, color: muted });
+      y += 12;
+    });
+    
+    doc.text(`Copy ${invoice.copyNumber}`, margin, doc.height - margin, { size: 8, color: muted });
+    
+    return doc.toBuffer();
+  }
+}
+
+module.exports = InvoiceService;
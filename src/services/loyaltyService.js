@@ -0,0 +1,278 @@
+const Tenant = require('../models/Tenant');
+const Customer = require('../models/Customer');
+const LoyaltyLedger = require('../models/LoyaltyLedger');
+const AuditLog = require('../models/AuditLog');
+const { roundCurrency } = require('../utils/helpers');
+const { ApiError } = require('../middleware/errorHandler');
+
+/**
+ * Loyalty Service - Handles customer points: earning on sales, redeeming
+ * them as a tender, and taking them back on cancellations and refunds
+ */
+class LoyaltyService {
+  /**
+   * Get the tenant's loyalty configuration
+   */
+  static async getSettings(tenantId) {
+    const tenant = await Tenant.findOne({ tenantId }).select('settings.loyalty');
+    const loyalty = tenant?.settings?.loyalty || {};
+    
+    return {
+      enabled: Boolean(loyalty.enabled),
+      earnRate: loyalty.earnRate || 0,
+      redeemValue: loyalty.redeemValue || 0,
+      minRedeemPoints: loyalty.minRedeemPoints || 0,
+    };
+  }
+  
+  /**
+   * Points earned for an amount paid
+   */
+  static pointsEarned(settings, amount) {
+    if (!settings.enabled || !(amount > 0)) return 0;
+    
+    // Small epsilon so e.g. 0.07 * 100 does not floor to 6
+    return Math.floor(amount * settings.earnRate + 1e-9);
+  }
+  
+  /**
+   * Points needed to pay an amount
+   */
+  static pointsForAmount(settings, amount) {
+    return Math.ceil(amount / settings.redeemValue - 1e-9);
+  }
+  
+  /**
+   * Work out the loyalty side of a sale before it is saved
+   *
+   * Returns the customer who earns points (null when the program is off or
+   * the sale has no known customer) and the points the loyalty_points
+   * tenders spend; each of those tenders gets its `points` set. The balance
+   * is checked again atomically when the points are redeemed.
+   */
+  static async prepareSale(tenantId, customerId, payments) {
+    const settings = await LoyaltyService.getSettings(tenantId);
+    const tenders = payments.filter(p => p.method === 'loyalty_points');
+    const none = { settings, customerId: null, pointsRedeemed: 0 };
+    
+    if (tenders.length === 0) {
+      if (!settings.enabled || !customerId) return none;
+      
+      const member = await Customer.exists({ tenantId, customerId, status: 'active' });
+      return member ? { ...none, customerId } : none;
+    }
+    
+    if (!settings.enabled || !(settings.redeemValue > 0)) {
+      throw new ApiError(400, 'Loyalty points are not enabled', 'LOYALTY_DISABLED');
+    }
+    
+    if (!customerId) {
+      throw new ApiError(400, 'Paying with points requires a customer', 'CUSTOMER_REQUIRED');
+    }
+    
+    const customer = await LoyaltyService.getCustomer(tenantId, customerId);
+    
+    tenders.forEach(tender => {
+      tender.points = LoyaltyService.pointsForAmount(settings, tender.amount);
+    });
+    
+    const pointsRedeemed = tenders.reduce((sum, tender) => sum + tender.points, 0);
+    
+    if (pointsRedeemed < settings.minRedeemPoints) {
+      throw new ApiError(400, `At least ${settings.minRedeemPoints} points must be redeemed`, 'LOYALTY_MIN_REDEEM', {
+        minRedeemPoints: settings.minRedeemPoints,
+        points: pointsRedeemed,
+      });
+    }
+    
+    if (pointsRedeemed > customer.loyaltyPoints) {
+      throw new ApiError(400, 'Not enough loyalty points', 'INSUFFICIENT_POINTS', {
+        customerId,
+        availablePoints: customer.loyaltyPoints,
+        requestedPoints: pointsRedeemed,
+      });
+    }
+    
+    return { settings, customerId, pointsRedeemed };
+  }
+  
+  /**
+   * Post an entry to a customer's loyalty ledger and move their balance
+   *
+   * Redemptions are conditional on the balance covering them, so two sales
+   * cannot spend the same points. Reversals of earned points may take the
+   * balance below zero when the customer has already spent them.
+   */
+  static async postEntry(tenantId, customerId, entry, options = {}) {
+    const { session = null } = options;
+    const points = Math.round(entry.points);
+    
+    const filter = { tenantId, customerId };
+    if (entry.type === 'redeem') {
+      filter.loyaltyPoints = { $gte: -points };
+    }
+    
+    const customer = await Customer.findOneAndUpdate(
+      filter,
+      { $inc: { loyaltyPoints: points }, $set: { updatedAt: new Date() } },
+      { new: true, session }
+    );
+    
+    if (!customer) {
+      if (entry.type === 'redeem' && await Customer.exists({ tenantId, customerId }).session(session)) {
+        throw new ApiError(400, 'Not enough loyalty points', 'INSUFFICIENT_POINTS', {
+          customerId,
+          requestedPoints: -points,
+        });
+      }
+      throw new ApiError(404, 'Customer not found', 'CUSTOMER_NOT_FOUND');
+    }
+    
+    const ledgerEntry = new LoyaltyLedger({
+      entryId: await LoyaltyLedger.generateEntryId(),
+      tenantId,
+      customerId,
+      ...entry,
+      points,
+      balanceAfter: customer.loyaltyPoints,
+      createdAt: new Date(),
+    });
+    
+    await ledgerEntry.save({ session });
+    
+    return ledgerEntry;
+  }
+  
+  /**
+   * Take back points for a cancelled or refunded share of a sale
+   *
+   * Earned points are removed and redeemed points are returned in proportion
+   * to `ratio` of the sale; pass ratio 1 to settle everything still
+   * outstanding. Updates sale.loyalty; the caller saves the sale.
+   */
+  static async reverseForSale(tenantId, sale, ratio, entry = {}, options = {}) {
+    const { session = null } = options;
+    const loyalty = sale.loyalty;
+    if (!loyalty?.customerId) return { earnedReversed: 0, redeemedRestored: 0 };
+    
+    const earnedLeft = loyalty.pointsEarned - loyalty.earnedReversed;
+    const redeemedLeft = loyalty.pointsRedeemed - loyalty.redeemedRestored;
+    const share = (points, left) => (ratio >= 1 ? left : Math.min(left, Math.round(points * ratio)));
+    
+    const earnedReversed = share(loyalty.pointsEarned, earnedLeft);
+    const redeemedRestored = share(loyalty.pointsRedeemed, redeemedLeft);
+    const common = {
+      saleId: sale.saleId,
+      invoiceNumber: sale.invoiceNumber,
+      ...entry,
+    };
+    
+    if (earnedReversed > 0) {
+      await LoyaltyService.postEntry(tenantId, loyalty.customerId, {
+        ...common,
+        type: 'earn_reversal',
+        points: -earnedReversed,
+      }, { session });
+      loyalty.earnedReversed += earnedReversed;
+    }
+    
+    if (redeemedRestored > 0) {
+      await LoyaltyService.postEntry(tenantId, loyalty.customerId, {
+        ...common,
+        type: 'redeem_reversal',
+        points: redeemedRestored,
+      }, { session });
+      loyalty.redeemedRestored += redeemedRestored;
+    }
+    
+    return { earnedReversed, redeemedRestored };
+  }
+  
+  /**
+   * Manually add or remove points, e.g. goodwill or corrections
+   */
+  static async adjust(tenantId, userId, userName, userRole, customerId, adjustment) {
+    const points = Number(adjustment.points);
+    const { notes } = adjustment;
+    
+    if (!Number.isInteger(points) || points === 0) {
+      throw new ApiError(400, 'Points must be a non-zero whole number', 'INVALID_POINTS');
+    }
+    
+    if (!notes) {
+      throw new ApiError(400, 'A reason is required for point adjustments', 'MISSING_FIELDS');
+    }
+    
+    const customer = await LoyaltyService.getCustomer(tenantId, customerId);
+    
+    if (customer.loyaltyPoints + points < 0) {
+      throw new ApiError(400, 'Adjustment would leave a negative points balance', 'INSUFFICIENT_POINTS', {
+        availablePoints: customer.loyaltyPoints,
+        points,
+      });
+    }
+    
+    const entry = await LoyaltyService.postEntry(tenantId, customerId, {
+      type: 'adjustment',
+      points,
+      notes,
+      staffId: userId,
+      staffName: userName,
+    });
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole,
+      action: 'LOYALTY_ADJUST',
+      resource: { type: 'customer', id: customerId, name: customer.name },
+      details: { points, notes, balanceAfter: entry.balanceAfter },
+      status: 'success',
+    });
+    
+    return entry;
+  }
+  
+  /**
+   * Get a customer's points balance and history
+   */
+  static async getLedger(tenantId, customerId, options = {}) {
+    const { page = 1, limit = 50 } = options;
+    
+    const customer = await Customer.findOne({ tenantId, customerId });
+    
+    if (!customer) {
+      throw new ApiError(404, 'Customer not found', 'CUSTOMER_NOT_FOUND');
+    }
+    
+    const settings = await LoyaltyService.getSettings(tenantId);
+    const filter = { tenantId, customerId };
+    const skip = (page - 1) * limit;
+    
+    const [entries, total] = await Promise.all([
+      LoyaltyLedger.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      LoyaltyLedger.countDocuments(filter),
+    ]);
+    
+    return {
+      customerId,
+      name: customer.name,
+      points: customer.loyaltyPoints,
+      pointsValue: roundCurrency(Math.max(0, customer.loyaltyPoints) * settings.redeemValue),
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+}
+
+module.exports = LoyaltyService;
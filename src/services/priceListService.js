@@ -0,0 +1,240 @@
+const PriceList = require('../models/PriceList');
+const Customer = require('../models/Customer');
+const CustomerGroup = require('../models/CustomerGroup');
+const Product = require('../models/Product');
+const AuditLog = require('../models/AuditLog');
+const { roundCurrency } = require('../utils/helpers');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Fields a price list can be created or updated with
+const PRICE_LIST_FIELDS = ['name', 'description', 'percentOff', 'prices', 'status'];
+
+/**
+ * Price List Service - Handles customer price lists and picks the price a
+ * customer pays for a product
+ */
+class PriceListService {
+  /**
+   * Create a new price list
+   */
+  static async create(tenantId, userId, userName, priceListData) {
+    const data = PriceListService.pickFields(priceListData);
+    await PriceListService.validate(tenantId, data);
+    
+    if (await PriceList.exists({ tenantId, name: data.name.trim() })) {
+      throw new ApiError(409, `Price list already exists: ${data.name}`, 'PRICE_LIST_EXISTS');
+    }
+    
+    const priceListId = await PriceList.generatePriceListId();
+    
+    const priceList = new PriceList({
+      priceListId,
+      tenantId,
+      ...data,
+      createdBy: userId,
+      updatedBy: userId,
+    });
+    
+    await priceList.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'PRICE_LIST_CREATE',
+      resource: { type: 'price_list', id: priceListId, name: priceList.name },
+      newState: priceList.toObject(),
+      status: 'success',
+    });
+    
+    return priceList;
+  }
+  
+  /**
+   * Get price list by ID
+   */
+  static async getById(tenantId, priceListId) {
+    const priceList = await PriceList.findOne({ tenantId, priceListId });
+    
+    if (!priceList) {
+      throw new ApiError(404, 'Price list not found', 'PRICE_LIST_NOT_FOUND');
+    }
+    
+    return priceList;
+  }
+  
+  /**
+   * Get all price lists
+   */
+  static async getAll(tenantId, options = {}) {
+    const { status } = options;
+    
+    const filter = { tenantId };
+    if (status) filter.status = status;
+    
+    return PriceList.find(filter).sort('name');
+  }
+  
+  /**
+   * Update a price list
+   */
+  static async update(tenantId, userId, userName, priceListId, updateData) {
+    const priceList = await PriceListService.getById(tenantId, priceListId);
+    const previousState = priceList.toObject();
+    
+    const data = PriceListService.pickFields(updateData);
+    await PriceListService.validate(tenantId, { ...previousState, ...data });
+    
+    if (data.name !== undefined && data.name.trim() !== priceList.name
+      && await PriceList.exists({ tenantId, name: data.name.trim() })) {
+      throw new ApiError(409, `Price list already exists: ${data.name}`, 'PRICE_LIST_EXISTS');
+    }
+    
+    Object.keys(data).forEach(key => {
+      priceList[key] = data[key];
+    });
+    
+    priceList.updatedBy = userId;
+    await priceList.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'PRICE_LIST_UPDATE',
+      resource: { type: 'price_list', id: priceListId, name: priceList.name },
+      previousState,
+      newState: priceList.toObject(),
+      status: 'success',
+    });
+    
+    return priceList;
+  }
+  
+  /**
+   * Delete price list (soft delete - set status to inactive)
+   * Customers on an inactive list pay retail prices.
+   */
+  static async delete(tenantId, userId, userName, priceListId) {
+    const priceList = await PriceListService.getById(tenantId, priceListId);
+    
+    priceList.status = 'inactive';
+    priceList.updatedBy = userId;
+    await priceList.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'PRICE_LIST_DELETE',
+      resource: { type: 'price_list', id: priceListId, name: priceList.name },
+      status: 'success',
+    });
+    
+    return { success: true, message: 'Price list deactivated successfully' };
+  }
+  
+  static pickFields(data = {}) {
+    return PRICE_LIST_FIELDS.reduce((acc, field) => {
+      if (data[field] !== undefined) acc[field] = data[field];
+      return acc;
+    }, {});
+  }
+  
+  static async validate(tenantId, data) {
+    const fail = (message, details) => {
+      throw new ApiError(400, message, 'INVALID_PRICE_LIST', details);
+    };
+    
+    if (!data.name || !String(data.name).trim()) fail('Price list name is required');
+    
+    const percentOff = data.percentOff || 0;
+    if (!(percentOff >= 0 && percentOff <= 100)) fail('Percent off must be between 0 and 100');
+    
+    const prices = data.prices || [];
+    if (!Array.isArray(prices)) fail('Prices must be an array of { productId, price }');
+    
+    const productIds = new Set();
+    prices.forEach(entry => {
+      if (!entry?.productId || !(Number(entry.price) >= 0)) {
+        fail('Each price needs a productId and a non-negative price');
+      }
+      if (productIds.has(entry.productId)) {
+        fail(`Product is listed twice: ${entry.productId}`);
+      }
+      productIds.add(entry.productId);
+    });
+    
+    if (productIds.size > 0) {
+      const found = await Product.find({ tenantId, productId: { $in: [...productIds] } }).distinct('productId');
+      const missing = [...productIds].filter(id => !found.includes(id));
+      
+      if (missing.length > 0) {
+        fail('Price list refers to unknown products', { productIds: missing });
+      }
+    }
+  }
+  
+  /**
+   * Check a price list exists and is active, e.g. before assigning it
+   */
+  static async assertActive(tenantId, priceListId) {
+    if (!priceListId) return;
+    
+    const priceList = await PriceListService.getById(tenantId, priceListId);
+    
+    if (priceList.status !== 'active') {
+      throw new ApiError(400, 'Price list is not active', 'PRICE_LIST_INACTIVE');
+    }
+  }
+  
+  /**
+   * Find the price list a customer buys on: their own, else their group's.
+   * Returns null for retail prices (no customer, no list, or list inactive).
+   */
+  static async resolveForCustomer(tenantId, customerId) {
+    if (!customerId) return null;
+    
+    const customer = await Customer.findOne({ tenantId, customerId }).select('priceListId groupId');
+    if (!customer) return null;
+    
+    let priceListId = customer.priceListId;
+    
+    if (!priceListId && customer.groupId) {
+      const group = await CustomerGroup.findOne({ tenantId, groupId: customer.groupId, status: 'active' });
+      priceListId = group?.priceListId;
+    }
+    
+    if (!priceListId) return null;
+    
+    return PriceList.findOne({ tenantId, priceListId, status: 'active' });
+  }
+  
+  /**
+   * Unit price of a product on a price list (null list = retail)
+   */
+  static priceFor(priceList, product) {
+    if (!priceList) {
+      return { unitPrice: product.price };
+    }
+    
+    const entry = priceList.prices.find(p => p.productId === product.productId);
+    const unitPrice = entry
+      ? entry.price
+      : roundCurrency(product.price * (1 - (priceList.percentOff || 0) / 100));
+    
+    return {
+      unitPrice,
+      priceListId: priceList.priceListId,
+      priceListName: priceList.name,
+    };
+  }
+}
+
+module.exports = PriceListService;
@@ -1,5 +1,8 @@
 const Product = require('../models/Product');
+const ParentProduct = require('../models/ParentProduct');
+const SerialNumber = require('../models/SerialNumber');
 const AuditLog = require('../models/AuditLog');
+const TaxService = require('./taxService');
 const { ApiError } = require('../middleware/errorHandler');
 
 /**
@@ -10,12 +13,30 @@ class ProductService {
    * Create a new product
    */
   static async create(tenantId, userId, userName, productData) {
+    await TaxService.assertClassExists(tenantId, productData.taxClass);
+    
+    // A variant takes its shared fields from the parent
+    let shared = {};
+    
+    if (productData.parentId) {
+      const parent = await ParentProduct.findOne({ tenantId, parentId: productData.parentId });
+      
+      if (!parent) {
+        throw new ApiError(404, 'Parent product not found', 'PARENT_NOT_FOUND');
+      }
+      
+      shared = ParentProduct.SHARED_FIELDS.reduce((acc, field) => ({ ...acc, [field]: parent[field] }), {});
+    }
+    
     const productId = await Product.generateProductId();
     
     const product = new Product({
       productId,
       tenantId,
       ...productData,
+      ...shared,
+      // Serialized stock only comes in through received serials
+      ...(productData.isSerialized && { trackInventory: true, stockQuantity: 0 }),
       createdBy: userId,
       updatedBy: userId,
     });
@@ -63,16 +84,20 @@ class ProductService {
       search,
       minPrice,
       maxPrice,
+      parentId,
+      groupByParent = false,
     } = options;
     
     const filter = { tenantId };
     
     if (category) filter.category = category;
     if (status) filter.status = status;
+    if (parentId) filter.parentId = parentId;
     if (search) {
       filter.$or = [
         { name: { $regex: search, $options: 'i' } },
         { sku: { $regex: search, $options: 'i' } },
+        { barcode: search },
         { description: { $regex: search, $options: 'i' } },
       ];
     }
@@ -83,6 +108,10 @@ class ProductService {
       if (maxPrice !== undefined) filter.price.$lte = maxPrice;
     }
     
+    if (groupByParent) {
+      return ProductService.getAllGrouped(tenantId, filter, { page, limit, sort });
+    }
+    
     const skip = (page - 1) * limit;
     
     const [products, total] = await Promise.all([
@@ -104,6 +133,344 @@ class ProductService {
     };
   }
   
+  /**
+   * Products grouped by parent, a page of groups at a time
+   *
+   * Each entry is either a parent with the variants matching the filter, or
+   * a standalone product. Groups are ordered by their first product under
+   * the requested sort.
+   */
+  static async getAllGrouped(tenantId, filter, options = {}) {
+    const { page = 1, limit = 20, sort = '-createdAt' } = options;
+    
+    // Groups are ordered on the first sort key only
+    const [sortKey] = (sort || '-createdAt').trim().split(/\s+/);
+    const sortField = sortKey.replace(/^-/, '');
+    const sortOrder = sortKey.startsWith('-') ? -1 : 1;
+    const skip = (page - 1) * limit;
+    
+    const [result] = await Product.aggregate([
+      { $match: filter },
+      { $sort: { [sortField]: sortOrder } },
+      {
+        $group: {
+          _id: { $ifNull: ['$parentId', '$productId'] },
+          parentId: { $first: '$parentId' },
+          sortValue: { $first: `$${sortField}` },
+          products: { $push: '$$ROOT' },
+        },
+      },
+      { $sort: { sortValue: sortOrder, _id: 1 } },
+      {
+        $facet: {
+          groups: [{ $skip: skip }, { $limit: limit }],
+          total: [{ $count: 'count' }],
+        },
+      },
+    ]);
+    
+    const parentIds = result.groups.filter(group => group.parentId).map(group => group.parentId);
+    const parents = await ParentProduct.find({ tenantId, parentId: { $in: parentIds } });
+    
+    const groups = result.groups.map(group => {
+      const products = group.products.map(doc => Product.hydrate(doc));
+      
+      if (!group.parentId) {
+        return { type: 'product', product: products[0] };
+      }
+      
+      const prices = products.map(product => product.price);
+      
+      return {
+        type: 'parent',
+        parent: parents.find(parent => parent.parentId === group.parentId) || { parentId: group.parentId },
+        variants: products,
+        variantCount: products.length,
+        totalStock: products.reduce((sum, product) => sum + (product.stockQuantity || 0), 0),
+        priceRange: { min: Math.min(...prices), max: Math.max(...prices) },
+      };
+    });
+    
+    const total = result.total[0]?.count || 0;
+    
+    return {
+      products: groups,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+  
+  /**
+   * Create a parent product, optionally with its variants
+   * parentData.variants / parentData.matrix are as for addVariants.
+   */
+  static async createParent(tenantId, userId, userName, parentData = {}) {
+    const { name, variants, matrix } = parentData;
+    
+    if (!name) {
+      throw new ApiError(400, 'Name is required', 'MISSING_FIELDS');
+    }
+    
+    const parent = new ParentProduct({
+      parentId: await ParentProduct.generateParentId(),
+      tenantId,
+      name,
+      ...ParentProduct.SHARED_FIELDS.reduce((acc, field) => (
+        parentData[field] !== undefined ? { ...acc, [field]: parentData[field] } : acc
+      ), {}),
+      createdBy: userId,
+      updatedBy: userId,
+    });
+    
+    await parent.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'PRODUCT_CREATE',
+      resource: { type: 'product', id: parent.parentId, name },
+      newState: parent.toObject(),
+      status: 'success',
+    });
+    
+    const created = (variants || matrix)
+      ? await ProductService.addVariants(tenantId, userId, userName, parent.parentId, { variants, matrix })
+      : [];
+    
+    return { parent, variants: created };
+  }
+  
+  /**
+   * Get a parent product with its variants
+   */
+  static async getParent(tenantId, parentId) {
+    const parent = await ParentProduct.findOne({ tenantId, parentId });
+    
+    if (!parent) {
+      throw new ApiError(404, 'Parent product not found', 'PARENT_NOT_FOUND');
+    }
+    
+    const variants = await Product.find({ tenantId, parentId }).sort({ color: 1, capacity: 1 });
+    
+    return { parent, variants };
+  }
+  
+  /**
+   * Update a parent product; shared fields and names are copied to its
+   * variants
+   */
+  static async updateParent(tenantId, userId, userName, parentId, updateData = {}) {
+    const { parent, variants } = await ProductService.getParent(tenantId, parentId);
+    
+    const previousState = parent.toObject();
+    
+    ['name', 'status', ...ParentProduct.SHARED_FIELDS].forEach(field => {
+      if (updateData[field] !== undefined) {
+        parent[field] = updateData[field];
+      }
+    });
+    
+    parent.updatedBy = userId;
+    await parent.save();
+    
+    const shared = ParentProduct.SHARED_FIELDS.reduce((acc, field) => ({ ...acc, [field]: parent[field] }), {});
+    
+    for (const variant of variants) {
+      await Product.updateOne(
+        { tenantId, productId: variant.productId },
+        {
+          $set: {
+            ...shared,
+            name: ProductService.variantName(parent, variant),
+            updatedBy: userId,
+            updatedAt: new Date(),
+          },
+        }
+      );
+    }
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'PRODUCT_UPDATE',
+      resource: { type: 'product', id: parentId, name: parent.name },
+      previousState,
+      newState: parent.toObject(),
+      details: { variantsUpdated: variants.length },
+      status: 'success',
+    });
+    
+    return ProductService.getParent(tenantId, parentId);
+  }
+  
+  /**
+   * Variant name: the parent's name followed by its color and capacity
+   */
+  static variantName(parent, variant) {
+    return [parent.name, variant.color, variant.capacity].filter(Boolean).join(' ');
+  }
+  
+  /**
+   * Add variants to a parent product
+   *
+   * variants: [{ color, capacity, sku, barcode, price, costPrice,
+   * stockQuantity, ... }], or { productId, color, capacity } to bring an
+   * existing standalone product under the parent.
+   * matrix: { colors, capacities, skuPrefix, price, costPrice } adds one
+   * variant per color and capacity, with SKUs like PREFIX-BLACK-128GB.
+   * A parent has at most one variant per color and capacity.
+   */
+  static async addVariants(tenantId, userId, userName, parentId, data = {}) {
+    const { parent, variants: existing } = await ProductService.getParent(tenantId, parentId);
+    
+    const requested = [...(data.variants || []), ...ProductService.expandMatrix(data.matrix)];
+    
+    if (requested.length === 0) {
+      throw new ApiError(400, 'Variants or a matrix are required', 'MISSING_FIELDS');
+    }
+    
+    const comboKey = (variant) => `${variant.color || ''}|${variant.capacity || ''}`.toLowerCase();
+    const combos = new Set(existing.map(comboKey));
+    
+    requested.forEach(variant => {
+      const key = comboKey(variant);
+      
+      if (combos.has(key)) {
+        throw new ApiError(409, 'Parent already has a variant with this color and capacity', 'VARIANT_EXISTS', {
+          color: variant.color,
+          capacity: variant.capacity,
+        });
+      }
+      combos.add(key);
+    });
+    
+    const attaching = requested.filter(variant => variant.productId);
+    const creating = requested.filter(variant => !variant.productId);
+    
+    creating.forEach(variant => {
+      if (!variant.sku || variant.price === undefined) {
+        throw new ApiError(400, 'Each variant needs a SKU and price', 'MISSING_FIELDS', {
+          color: variant.color,
+          capacity: variant.capacity,
+        });
+      }
+    });
+    
+    // Check SKUs and barcodes up front so a batch is not left half created
+    const skus = creating.map(variant => variant.sku);
+    const barcodes = creating.map(variant => variant.barcode).filter(Boolean);
+    const [skuTaken, barcodeTaken] = await Promise.all([
+      Product.findOne({ tenantId, sku: { $in: skus } }),
+      barcodes.length > 0 ? Product.findOne({ tenantId, barcode: { $in: barcodes } }) : null,
+    ]);
+    
+    if (skuTaken || new Set(skus).size !== skus.length) {
+      throw new ApiError(409, 'SKU is already in use', 'DUPLICATE_ENTRY', { field: 'sku', sku: skuTaken?.sku });
+    }
+    
+    if (barcodeTaken || new Set(barcodes).size !== barcodes.length) {
+      throw new ApiError(409, 'Barcode is already in use', 'DUPLICATE_ENTRY', { field: 'barcode', barcode: barcodeTaken?.barcode });
+    }
+    
+    for (const variant of attaching) {
+      const product = await ProductService.getById(tenantId, variant.productId);
+      
+      if (product.parentId) {
+        throw new ApiError(409, `Product is already a variant: ${product.name}`, 'VARIANT_EXISTS', {
+          productId: product.productId,
+          parentId: product.parentId,
+        });
+      }
+    }
+    
+    const shared = ParentProduct.SHARED_FIELDS.reduce((acc, field) => ({ ...acc, [field]: parent[field] }), {});
+    const added = [];
+    
+    for (const variant of creating) {
+      added.push(await ProductService.create(tenantId, userId, userName, {
+        ...variant,
+        parentId,
+        name: ProductService.variantName(parent, variant),
+      }));
+    }
+    
+    for (const variant of attaching) {
+      const product = await Product.findOneAndUpdate(
+        { tenantId, productId: variant.productId, parentId: null },
+        {
+          $set: {
+            ...shared,
+            parentId,
+            color: variant.color,
+            capacity: variant.capacity,
+            name: ProductService.variantName(parent, variant),
+            updatedBy: userId,
+            updatedAt: new Date(),
+          },
+        },
+        { new: true }
+      );
+      
+      if (product) added.push(product);
+    }
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'PRODUCT_UPDATE',
+      resource: { type: 'product', id: parentId, name: parent.name },
+      details: {
+        variantsCreated: creating.length,
+        variantsAttached: attaching.map(variant => variant.productId),
+      },
+      status: 'success',
+    });
+    
+    return added;
+  }
+  
+  /**
+   * One variant per color and capacity of a matrix
+   */
+  static expandMatrix(matrix) {
+    if (!matrix) return [];
+    
+    const { colors = [], capacities = [], skuPrefix, ...fields } = matrix;
+    
+    if (!skuPrefix || (colors.length === 0 && capacities.length === 0)) {
+      throw new ApiError(400, 'A matrix needs a SKU prefix and colors or capacities', 'INVALID_MATRIX');
+    }
+    
+    const skuPart = (value) => String(value).trim().toUpperCase().replace(/\s+/g, '-');
+    const variants = [];
+    
+    (colors.length > 0 ? colors : [undefined]).forEach(color => {
+      (capacities.length > 0 ? capacities : [undefined]).forEach(capacity => {
+        variants.push({
+          ...fields,
+          color,
+          capacity,
+          sku: [skuPrefix, color, capacity].filter(Boolean).map(skuPart).join('-'),
+        });
+      });
+    });
+    
+    return variants;
+  }
+  
   /**
    * Update product
    */
@@ -114,12 +481,54 @@ class ProductService {
       throw new ApiError(404, 'Product not found', 'PRODUCT_NOT_FOUND');
     }
     
+    if (updateData.taxClass !== undefined) {
+      await TaxService.assertClassExists(tenantId, updateData.taxClass);
+    }
+    
+    // Variants take their shared fields from the parent
+    const sharedChanged = ParentProduct.SHARED_FIELDS.filter(field => updateData[field] !== undefined);
+    
+    if (product.parentId && sharedChanged.length > 0) {
+      throw new ApiError(400, 'Shared fields of a variant are updated on its parent', 'VARIANT_SHARED_FIELD', {
+        parentId: product.parentId,
+        fields: sharedChanged,
+      });
+    }
+    
+    // Serialized stock is the count of units in stock, so it cannot be set
+    // directly, and a product only becomes serialized with no stock on hand
+    const serialized = updateData.isSerialized !== undefined ? Boolean(updateData.isSerialized) : product.isSerialized;
+    
+    if (serialized && updateData.stockQuantity !== undefined) {
+      throw new ApiError(400, 'Stock of serialized products is received by serial', 'SERIALIZED_PRODUCT');
+    }
+    
+    if (serialized && !product.isSerialized && product.stockQuantity > 0) {
+      throw new ApiError(400, 'Only products with no stock can become serialized', 'SERIALIZED_PRODUCT', {
+        stockQuantity: product.stockQuantity,
+      });
+    }
+    
+    // Units on record still need their serials to be sold, returned and
+    // claimed under warranty
+    if (!serialized && product.isSerialized) {
+      const units = await SerialNumber.countDocuments({ tenantId, productId, status: { $ne: 'removed' } });
+      
+      if (units > 0) {
+        throw new ApiError(400, 'Products with serial units on record stay serialized', 'SERIALIZED_PRODUCT', {
+          units,
+        });
+      }
+    }
+    
+    if (serialized) updateData.trackInventory = true;
+    
     // Store previous state for audit
     const previousState = product.toObject();
     
     // Update fields
     Object.keys(updateData).forEach(key => {
-      if (key !== 'productId' && key !== 'tenantId') {
+      if (!['productId', 'tenantId', 'parentId'].includes(key)) {
         product[key] = updateData[key];
       }
     });
@@ -184,19 +593,27 @@ class ProductService {
       throw new ApiError(404, 'Product not found', 'PRODUCT_NOT_FOUND');
     }
     
-    const previousStock = product.stockQuantity;
-    const newStock = previousStock + quantityChange;
+    if (product.isSerialized) {
+      throw new ApiError(400, 'Stock of serialized products is received and written off by serial', 'SERIALIZED_PRODUCT');
+    }
+    
+    // Conditional increment so concurrent sales can't drive stock negative
+    const updated = await Product.findOneAndUpdate(
+      { tenantId, productId, stockQuantity: { $gte: -quantityChange } },
+      { $inc: { stockQuantity: quantityChange }, $set: { updatedBy: userId, updatedAt: new Date() } },
+      { new: true }
+    );
     
-    if (newStock < 0) {
+    if (!updated) {
+      const current = await Product.findOne({ tenantId, productId });
       throw new ApiError(400, 'Insufficient stock', 'INSUFFICIENT_STOCK', {
-        currentStock: previousStock,
+        currentStock: current ? current.stockQuantity : 0,
         requestedChange: quantityChange,
       });
     }
     
-    product.stockQuantity = newStock;
-    product.updatedBy = userId;
-    await product.save();
+    const newStock = updated.stockQuantity;
+    const previousStock = newStock - quantityChange;
     
     // Audit log
     await AuditLog.log({
@@ -216,7 +633,7 @@ class ProductService {
     });
     
     return {
-      product,
+      product: updated,
       stockChange: {
         previous: previousStock,
         new: newStock,
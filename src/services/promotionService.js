@@ -0,0 +1,497 @@
+const Promotion = require('../models/Promotion');
+const Tenant = require('../models/Tenant');
+const Sale = require('../models/Sale');
+const AuditLog = require('../models/AuditLog');
+const { getLocalTime, roundCurrency } = require('../utils/helpers');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Fields a promotion can be created or updated with
+const PROMOTION_FIELDS = [
+  'name', 'description', 'type', 'status', 'priority', 'appliesTo',
+  'buyQuantity', 'getQuantity', 'getDiscountPercent', 'bundleItems', 'bundlePrice',
+  'tiers', 'discountPercent', 'startsAt', 'endsAt', 'schedule',
+];
+
+/**
+ * Parse 'HH:mm' into minutes since midnight
+ */
+const parseTime = (value) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+};
+
+/**
+ * Discount calculators per promotion type. Each consumes the units it
+ * discounts from `remaining` so later promotions can't reuse them.
+ */
+const EVALUATORS = {
+  category_percent({ promotion, lineItems, remaining, record }) {
+    lineItems.forEach((line, index) => {
+      if (remaining[index] <= 0 || !(promotion.appliesTo?.categories || []).includes(line.category)) return;
+      
+      const quantity = remaining[index];
+      record(promotion, index, quantity, line.unitPrice * quantity * promotion.discountPercent / 100);
+      remaining[index] = 0;
+    });
+  },
+  
+  quantity_tier({ promotion, lineItems, remaining, inScope, record }) {
+    const tiers = [...promotion.tiers].sort((a, b) => b.minQuantity - a.minQuantity);
+    const byProduct = {};
+    
+    lineItems.forEach((line, index) => {
+      if (remaining[index] > 0 && inScope(promotion, line)) {
+        (byProduct[line.productId] = byProduct[line.productId] || []).push(index);
+      }
+    });
+    
+    Object.values(byProduct).forEach(indexes => {
+      const quantity = indexes.reduce((sum, index) => sum + remaining[index], 0);
+      const tier = tiers.find(t => quantity >= t.minQuantity);
+      if (!tier) return;
+      
+      indexes.forEach(index => {
+        const units = remaining[index];
+        record(promotion, index, units, lineItems[index].unitPrice * units * tier.discountPercent / 100);
+        remaining[index] = 0;
+      });
+    });
+  },
+  
+  buy_x_get_y({ promotion, lineItems, remaining, inScope, record }) {
+    const groupSize = promotion.buyQuantity + promotion.getQuantity;
+    
+    // One entry per qualifying unit, most expensive first
+    const units = [];
+    lineItems.forEach((line, index) => {
+      if (!inScope(promotion, line)) return;
+      for (let i = 0; i < remaining[index]; i++) {
+        units.push({ index, unitPrice: line.unitPrice });
+      }
+    });
+    units.sort((a, b) => b.unitPrice - a.unitPrice);
+    
+    const sets = Math.floor(units.length / groupSize);
+    if (sets === 0) return;
+    
+    // The cheapest units go at the discount; the dearest ones are the "buy"
+    const paid = units.slice(0, sets * promotion.buyQuantity);
+    const discounted = units.slice(units.length - sets * promotion.getQuantity);
+    const perLine = {};
+    
+    discounted.forEach(unit => {
+      perLine[unit.index] = perLine[unit.index] || { quantity: 0, discount: 0 };
+      perLine[unit.index].quantity++;
+      perLine[unit.index].discount += unit.unitPrice * promotion.getDiscountPercent / 100;
+    });
+    
+    [...paid, ...discounted].forEach(unit => { remaining[unit.index]--; });
+    
+    Object.entries(perLine).forEach(([index, { quantity, discount }]) => {
+      record(promotion, Number(index), quantity, discount);
+    });
+  },
+  
+  bundle({ promotion, lineItems, remaining, record }) {
+    // Units available per product, and the lines they sit on
+    const available = {};
+    lineItems.forEach((line, index) => {
+      if (remaining[index] <= 0) return;
+      available[line.productId] = available[line.productId] || { quantity: 0, indexes: [] };
+      available[line.productId].quantity += remaining[index];
+      available[line.productId].indexes.push(index);
+    });
+    
+    const sets = Math.min(...promotion.bundleItems.map(item => Math.floor(
+      (available[item.productId]?.quantity || 0) / item.quantity
+    )));
+    if (!Number.isFinite(sets) || sets === 0) return;
+    
+    // Pick the bundle's units from the lines, then spread the saving over
+    // them in proportion to their normal price
+    const taken = [];
+    const left = [...remaining];
+    promotion.bundleItems.forEach(item => {
+      let needed = item.quantity * sets;
+      available[item.productId].indexes.forEach(index => {
+        const quantity = Math.min(needed, left[index]);
+        if (quantity <= 0) return;
+        left[index] -= quantity;
+        needed -= quantity;
+        taken.push({ index, quantity, value: lineItems[index].unitPrice * quantity });
+      });
+    });
+    
+    const normalPrice = taken.reduce((sum, t) => sum + t.value, 0);
+    const saving = normalPrice - promotion.bundlePrice * sets;
+    if (saving <= 0) return;
+    
+    taken.forEach(t => { remaining[t.index] -= t.quantity; });
+    
+    let savingLeft = roundCurrency(saving);
+    taken.forEach((t, i) => {
+      const share = i === taken.length - 1 ? savingLeft : roundCurrency(saving * t.value / normalPrice);
+      savingLeft = roundCurrency(savingLeft - share);
+      record(promotion, t.index, t.quantity, share);
+    });
+  },
+};
+
+/**
+ * Promotion Service - Tenant promotions and their automatic evaluation at checkout
+ */
+class PromotionService {
+  /**
+   * Create a new promotion
+   */
+  static async create(tenantId, userId, userName, promotionData) {
+    const data = PromotionService.pickFields(promotionData);
+    PromotionService.validate(data);
+    
+    const promotionId = await Promotion.generatePromotionId();
+    
+    const promotion = new Promotion({
+      promotionId,
+      tenantId,
+      ...data,
+      createdBy: userId,
+      updatedBy: userId,
+    });
+    
+    await promotion.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'PROMOTION_CREATE',
+      resource: { type: 'promotion', id: promotionId, name: promotion.name },
+      newState: promotion.toObject(),
+      status: 'success',
+    });
+    
+    return promotion;
+  }
+  
+  /**
+   * Get promotion by ID
+   */
+  static async getById(tenantId, promotionId) {
+    const promotion = await Promotion.findOne({ tenantId, promotionId });
+    
+    if (!promotion) {
+      throw new ApiError(404, 'Promotion not found', 'PROMOTION_NOT_FOUND');
+    }
+    
+    return promotion;
+  }
+  
+  /**
+   * Get all promotions with pagination and filters
+   */
+  static async getAll(tenantId, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = '-priority',
+      status,
+      type,
+    } = options;
+    
+    const filter = { tenantId };
+    
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+    
+    const skip = (page - 1) * limit;
+    
+    const [promotions, total] = await Promise.all([
+      Promotion.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit),
+      Promotion.countDocuments(filter),
+    ]);
+    
+    return {
+      promotions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+  
+  /**
+   * Update a promotion
+   */
+  static async update(tenantId, userId, userName, promotionId, updateData) {
+    const promotion = await PromotionService.getById(tenantId, promotionId);
+    const previousState = promotion.toObject();
+    
+    const data = PromotionService.pickFields(updateData);
+    PromotionService.validate({ ...previousState, ...data });
+    
+    Object.keys(data).forEach(key => {
+      promotion[key] = data[key];
+    });
+    
+    promotion.updatedBy = userId;
+    await promotion.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'PROMOTION_UPDATE',
+      resource: { type: 'promotion', id: promotionId, name: promotion.name },
+      previousState,
+      newState: promotion.toObject(),
+      status: 'success',
+    });
+    
+    return promotion;
+  }
+  
+  /**
+   * Delete promotion (soft delete - set status to inactive)
+   * Sales keep their record of the promotions they used.
+   */
+  static async delete(tenantId, userId, userName, promotionId) {
+    const promotion = await PromotionService.getById(tenantId, promotionId);
+    
+    promotion.status = 'inactive';
+    promotion.updatedBy = userId;
+    await promotion.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'PROMOTION_DELETE',
+      resource: { type: 'promotion', id: promotionId, name: promotion.name },
+      status: 'success',
+    });
+    
+    return { success: true, message: 'Promotion deactivated successfully' };
+  }
+  
+  static pickFields(data = {}) {
+    return PROMOTION_FIELDS.reduce((acc, field) => {
+      if (data[field] !== undefined) acc[field] = data[field];
+      return acc;
+    }, {});
+  }
+  
+  /**
+   * Check a promotion has the settings its type needs
+   */
+  static validate(data) {
+    const fail = (message) => {
+      throw new ApiError(400, message, 'INVALID_PROMOTION');
+    };
+    
+    if (!data.name) fail('Promotion name is required');
+    if (!Promotion.PROMOTION_TYPES.includes(data.type)) {
+      fail(`Promotion type must be one of: ${Promotion.PROMOTION_TYPES.join(', ')}`);
+    }
+    
+    const hasScope = (data.appliesTo?.productIds?.length || 0) + (data.appliesTo?.categories?.length || 0) > 0;
+    
+    switch (data.type) {
+      case 'buy_x_get_y':
+        if (!hasScope) fail('Promotion must apply to at least one product or category');
+        if (!(data.buyQuantity >= 1) || !(data.getQuantity >= 1)) {
+          fail('Buy and get quantities must be at least 1');
+        }
+        break;
+      case 'bundle':
+        if (!data.bundleItems || data.bundleItems.length < 2) fail('A bundle needs at least two items');
+        data.bundleItems.forEach(item => {
+          const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+          if (!item.productId || !(Number.isInteger(quantity) && quantity >= 1)) {
+            fail('Bundle items need a product and a whole quantity of at least 1');
+          }
+        });
+        if (!(data.bundlePrice >= 0)) fail('Bundle price is required');
+        break;
+      case 'quantity_tier':
+        if (!hasScope) fail('Promotion must apply to at least one product or category');
+        if (!data.tiers || data.tiers.length === 0) fail('At least one quantity tier is required');
+        data.tiers.forEach(tier => {
+          if (!(tier.minQuantity >= 1) || !(tier.discountPercent > 0 && tier.discountPercent <= 100)) {
+            fail('Tiers need a minimum quantity and a discount between 0 and 100 percent');
+          }
+        });
+        break;
+      case 'category_percent':
+        if (!data.appliesTo?.categories?.length) fail('Promotion must apply to at least one category');
+        if (!(data.discountPercent > 0 && data.discountPercent <= 100)) {
+          fail('Discount must be between 0 and 100 percent');
+        }
+        break;
+      default:
+        break;
+    }
+    
+    if (data.startsAt && data.endsAt && new Date(data.endsAt) <= new Date(data.startsAt)) {
+      fail('Promotion must end after it starts');
+    }
+    
+    const { startTime, endTime } = data.schedule || {};
+    if ((startTime && parseTime(startTime) === null) || (endTime && parseTime(endTime) === null)) {
+      fail('Schedule times must be in HH:mm format');
+    }
+  }
+  
+  /**
+   * Whether a promotion is running at a given moment (tenant local time)
+   */
+  static isActiveAt(promotion, at, timeZone) {
+    if (promotion.startsAt && at < promotion.startsAt) return false;
+    if (promotion.endsAt && at > promotion.endsAt) return false;
+    
+    const { daysOfWeek, startTime, endTime } = promotion.schedule || {};
+    if (!daysOfWeek?.length && !startTime && !endTime) return true;
+    
+    const local = getLocalTime(at, timeZone);
+    if (daysOfWeek?.length && !daysOfWeek.includes(local.dayOfWeek)) return false;
+    
+    const start = parseTime(startTime) ?? 0;
+    const end = parseTime(endTime) ?? 24 * 60;
+    
+    // Windows past midnight, e.g. 22:00-02:00
+    return start <= end
+      ? local.minutes >= start && local.minutes < end
+      : local.minutes >= start || local.minutes < end;
+  }
+  
+  /**
+   * Apply the tenant's running promotions to prepared line items
+   *
+   * Promotions are tried in priority order and each unit is discounted by at
+   * most one promotion. Line items get a promotionDiscount and the list of
+   * promotions that touched them; the order-wide total per promotion is
+   * returned for the sale record.
+   */
+  static async apply(tenantId, lineItems, options = {}) {
+    const at = options.at ? new Date(options.at) : new Date();
+    
+    const [tenant, promotions] = await Promise.all([
+      Tenant.findOne({ tenantId }).select('settings.timezone'),
+      Promotion.find({ tenantId, status: 'active' }).sort({ priority: -1, createdAt: 1 }),
+    ]);
+    
+    const timeZone = tenant?.settings?.timezone || 'UTC';
+    const remaining = lineItems.map(line => line.quantity);
+    const applied = {};
+    
+    lineItems.forEach(line => {
+      line.promotionDiscount = 0;
+      line.promotions = [];
+    });
+    
+    const record = (promotion, index, quantity, discount) => {
+      // Together with the manual discount, promotions never take a line below zero
+      const line = lineItems[index];
+      const lineLeft = line.quantity * line.unitPrice - (line.discount || 0) - line.promotionDiscount;
+      const amount = roundCurrency(Math.min(discount, lineLeft));
+      if (amount <= 0) return;
+      
+      line.promotionDiscount = roundCurrency(line.promotionDiscount + amount);
+      line.promotions.push({
+        promotionId: promotion.promotionId,
+        name: promotion.name,
+        type: promotion.type,
+        quantity,
+        discount: amount,
+      });
+      
+      if (!applied[promotion.promotionId]) {
+        applied[promotion.promotionId] = {
+          promotionId: promotion.promotionId,
+          name: promotion.name,
+          type: promotion.type,
+          discount: 0,
+        };
+      }
+      applied[promotion.promotionId].discount = roundCurrency(applied[promotion.promotionId].discount + amount);
+    };
+    
+    const inScope = (promotion, line) => (promotion.appliesTo?.productIds || []).includes(line.productId)
+      || (promotion.appliesTo?.categories || []).includes(line.category);
+    
+    promotions
+      .filter(promotion => PromotionService.isActiveAt(promotion, at, timeZone))
+      .forEach(promotion => {
+        const handler = EVALUATORS[promotion.type];
+        if (handler) handler({ promotion, lineItems, remaining, inScope, record });
+      });
+    
+    return {
+      lineItems,
+      promotions: Object.values(applied),
+    };
+  }
+  
+  /**
+   * Promotions cost report - discount given per promotion over a period
+   */
+  static async getReport(tenantId, startDate, endDate) {
+    const sales = await Sale.find({
+      tenantId,
+      status: { $in: ['completed', 'refunded'] },
+      'promotions.0': { $exists: true },
+      createdAt: {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate),
+      },
+    }).select('promotions lineItems.promotions grandTotal');
+    
+    const report = {};
+    
+    sales.forEach(sale => {
+      sale.promotions.forEach(entry => {
+        if (!report[entry.promotionId]) {
+          report[entry.promotionId] = {
+            promotionId: entry.promotionId,
+            name: entry.name,
+            type: entry.type,
+            salesCount: 0,
+            unitsDiscounted: 0,
+            totalDiscount: 0,
+            revenue: 0,
+          };
+        }
+        
+        const row = report[entry.promotionId];
+        row.salesCount++;
+        row.totalDiscount = roundCurrency(row.totalDiscount + entry.discount);
+        row.revenue = roundCurrency(row.revenue + sale.grandTotal);
+        sale.lineItems.forEach(line => {
+          (line.promotions || [])
+            .filter(p => p.promotionId === entry.promotionId)
+            .forEach(p => { row.unitsDiscounted += p.quantity || 0; });
+        });
+      });
+    });
+    
+    const promotions = Object.values(report).sort((a, b) => b.totalDiscount - a.totalDiscount);
+    
+    return {
+      period: { startDate, endDate },
+      totalDiscount: roundCurrency(promotions.reduce((sum, row) => sum + row.totalDiscount, 0)),
+      promotions,
+    };
+  }
+}
+
+module.exports = PromotionService;
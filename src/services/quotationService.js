@@ -0,0 +1,349 @@
+const Quotation = require('../models/Quotation');
+const Product = require('../models/Product');
+const AuditLog = require('../models/AuditLog');
+const SaleService = require('./saleService');
+const PromotionService = require('./promotionService');
+const PriceListService = require('./priceListService');
+const config = require('../config');
+const { calculateOrderTotals } = require('../utils/helpers');
+const { ApiError } = require('../middleware/errorHandler');
+
+/**
+ * Quotation Service - Handles price quotes/estimates and their conversion to sales
+ */
+class QuotationService {
+  /**
+   * Create a new quotation
+   * Prices are snapshotted now; stock is not reserved or required.
+   */
+  static async create(tenantId, userId, userName, quoteData) {
+    const { lineItems, customer, notes, terms } = quoteData;
+    
+    const priceList = await PriceListService.resolveForCustomer(tenantId, customer?.customerId);
+    const { processedLineItems, pricesIncludeTax } = await SaleService.prepareLineItems(tenantId, lineItems, {
+      checkStock: false,
+      priceList,
+      requireSerials: false,
+    });
+    
+    // Promotions running today are quoted; conversion re-evaluates them
+    const { promotions } = await PromotionService.apply(tenantId, processedLineItems);
+    const globalDiscount = SaleService.globalDiscountFor(processedLineItems, quoteData.globalDiscount);
+    
+    const totals = calculateOrderTotals(processedLineItems, { globalDiscount, pricesIncludeTax });
+    
+    let validUntil;
+    if (quoteData.validUntil) {
+      validUntil = new Date(quoteData.validUntil);
+      if (isNaN(validUntil.getTime()) || validUntil < new Date()) {
+        throw new ApiError(400, 'Valid until must be a future date', 'INVALID_EXPIRY');
+      }
+    } else {
+      validUntil = new Date();
+      validUntil.setDate(validUntil.getDate() + config.sales.quoteValidityDays);
+    }
+    
+    const quotationId = await Quotation.generateQuotationId();
+    const quoteNumber = await Quotation.generateQuoteNumber(tenantId);
+    
+    const quotation = new Quotation({
+      quotationId,
+      tenantId,
+      quoteNumber,
+      customer: customer || {},
+      lineItems: totals.items,
+      subtotal: totals.subtotal,
+      globalDiscount,
+      totalDiscount: totals.totalDiscount + globalDiscount,
+      totalTax: totals.totalTax,
+      pricesIncludeTax,
+      taxBreakdown: totals.taxBreakdown,
+      promotions,
+      grandTotal: totals.grandTotal,
+      validUntil,
+      status: 'open',
+      staffId: userId,
+      staffName: userName,
+      terms,
+      notes,
+    });
+    
+    await quotation.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'QUOTE_CREATE',
+      resource: { type: 'quotation', id: quotationId, name: quoteNumber },
+      details: {
+        lineItemsCount: processedLineItems.length,
+        grandTotal: totals.grandTotal,
+        validUntil,
+      },
+      status: 'success',
+    });
+    
+    return quotation;
+  }
+  
+  /**
+   * Get quotation by ID
+   */
+  static async getById(tenantId, quotationId) {
+    const quotation = await Quotation.findOne({ tenantId, quotationId });
+    
+    if (!quotation) {
+      throw new ApiError(404, 'Quotation not found', 'QUOTATION_NOT_FOUND');
+    }
+    
+    return quotation;
+  }
+  
+  /**
+   * Get all quotations with pagination and filters
+   */
+  static async getAll(tenantId, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = '-createdAt',
+      status,
+      customerId,
+      expired,
+    } = options;
+    
+    const filter = { tenantId };
+    
+    if (status) filter.status = status;
+    if (customerId) filter['customer.customerId'] = customerId;
+    if (expired !== undefined) {
+      filter.status = 'open';
+      filter.validUntil = expired ? { $lt: new Date() } : { $gte: new Date() };
+    }
+    
+    const skip = (page - 1) * limit;
+    
+    const [quotations, total] = await Promise.all([
+      Quotation.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit),
+      Quotation.countDocuments(filter),
+    ]);
+    
+    return {
+      quotations,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+  
+  /**
+   * Compare a quotation's snapshot with current product prices and stock
+   */
+  static async checkChanges(tenantId, quotation) {
+    const priceChanges = [];
+    const stockIssues = [];
+    const requested = {};
+    const priceList = await PriceListService.resolveForCustomer(tenantId, quotation.customer?.customerId);
+    
+    await SaleService.releaseExpiredHolds(tenantId);
+    
+    quotation.lineItems.forEach(line => {
+      requested[line.productId] = (requested[line.productId] || 0) + line.quantity;
+    });
+    
+    for (const line of quotation.lineItems) {
+      const product = await Product.findOne({ tenantId, productId: line.productId });
+      
+      if (!product || product.status !== 'active') {
+        stockIssues.push({
+          productId: line.productId,
+          productName: line.productName,
+          reason: 'unavailable',
+        });
+        continue;
+      }
+      
+      // Compared at the customer's prices, as the sale will be charged
+      const { unitPrice } = PriceListService.priceFor(priceList, product);
+      if (unitPrice !== line.unitPrice) {
+        priceChanges.push({
+          productId: line.productId,
+          productName: line.productName,
+          quotedPrice: line.unitPrice,
+          currentPrice: unitPrice,
+        });
+      }
+      
+      if (product.trackInventory && requested[line.productId] > product.availableQuantity
+        && !stockIssues.some(i => i.productId === line.productId)) {
+        stockIssues.push({
+          productId: line.productId,
+          productName: line.productName,
+          reason: 'insufficient_stock',
+          availableStock: product.availableQuantity,
+          requestedQuantity: requested[line.productId],
+        });
+      }
+    }
+    
+    return { priceChanges, stockIssues };
+  }
+  
+  /**
+   * Convert a quotation into a sale
+   *
+   * Checkout goes through SaleService.create at current prices. If prices
+   * moved since the quote was issued the conversion is refused until the
+   * caller confirms with acceptPriceChanges. Serialized products take their
+   * units from saleData.serials, keyed by product ID.
+   */
+  static async convert(tenantId, userId, userName, quotationId, saleData = {}) {
+    // Claimed before checkout so two conversions cannot both create a sale
+    const quotation = await Quotation.findOneAndUpdate(
+      { tenantId, quotationId, status: 'open' },
+      { $set: { status: 'converting', updatedAt: new Date() } },
+      { new: true }
+    );
+    
+    if (!quotation) {
+      const current = await QuotationService.getById(tenantId, quotationId);
+      throw new ApiError(400, `Quotation is already ${current.status}`, 'QUOTATION_CLOSED');
+    }
+    
+    let sale;
+    let priceChanges;
+    
+    try {
+      if (quotation.validUntil < new Date()) {
+        throw new ApiError(400, 'Quotation has expired', 'QUOTATION_EXPIRED', {
+          validUntil: quotation.validUntil,
+        });
+      }
+      
+      const changes = await QuotationService.checkChanges(tenantId, quotation);
+      priceChanges = changes.priceChanges;
+      
+      if (changes.stockIssues.length > 0) {
+        throw new ApiError(409, 'Stock has changed since the quotation was issued', 'QUOTATION_STOCK_CHANGED', {
+          stockIssues: changes.stockIssues,
+          priceChanges,
+        });
+      }
+      
+      if (priceChanges.length > 0 && !saleData.acceptPriceChanges) {
+        throw new ApiError(409, 'Prices have changed since the quotation was issued', 'QUOTATION_PRICES_CHANGED', {
+          priceChanges,
+        });
+      }
+      
+      const quote = quotation.toObject();
+      
+      sale = await SaleService.create(tenantId, userId, userName, {
+        globalDiscount: quote.globalDiscount,
+        ...saleData,
+        lineItems: quote.lineItems.map(line => ({
+          productId: line.productId,
+          quantity: line.quantity,
+          discount: line.discount,
+          serials: saleData.serials?.[line.productId],
+        })),
+        customer: saleData.customer || quote.customer,
+        notes: saleData.notes !== undefined ? saleData.notes : quote.notes,
+      }, {
+        metadata: { quotationId, quoteNumber: quotation.quoteNumber },
+      });
+    } catch (error) {
+      // Reopen the quotation so it can be converted again
+      await Quotation.updateOne({ tenantId, quotationId, status: 'converting' }, { $set: { status: 'open' } });
+      throw error;
+    }
+    
+    quotation.status = 'converted';
+    quotation.convertedSaleId = sale.saleId;
+    quotation.convertedAt = new Date();
+    await quotation.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'QUOTE_CONVERT',
+      resource: { type: 'quotation', id: quotationId, name: quotation.quoteNumber },
+      details: {
+        saleId: sale.saleId,
+        invoiceNumber: sale.invoiceNumber,
+        quotedTotal: quotation.grandTotal,
+        saleTotal: sale.grandTotal,
+        priceChanges,
+      },
+      status: 'success',
+    });
+    
+    const warnings = priceChanges.map(change => ({ type: 'PRICE_CHANGED', ...change }));
+    
+    // Promotions or tax rates may have changed even when list prices have not
+    if (sale.grandTotal !== quotation.grandTotal) {
+      warnings.push({ type: 'TOTAL_CHANGED', quotedTotal: quotation.grandTotal, saleTotal: sale.grandTotal });
+    }
+    
+    return {
+      sale,
+      quotation,
+      warnings,
+    };
+  }
+  
+  /**
+   * Cancel an open quotation
+   */
+  static async cancel(tenantId, userId, userName, quotationId, reason = '') {
+    // Only an open quote can be cancelled; one claimed by a conversion is not
+    const quotation = await Quotation.findOneAndUpdate(
+      { tenantId, quotationId, status: 'open' },
+      [{
+        $set: {
+          status: 'cancelled',
+          notes: {
+            $trim: {
+              input: { $concat: [{ $ifNull: ['$notes', ''] }, { $literal: `\n\nCancellation reason: ${reason}` }] },
+            },
+          },
+          updatedAt: new Date(),
+        },
+      }],
+      { new: true }
+    );
+    
+    if (!quotation) {
+      const current = await QuotationService.getById(tenantId, quotationId);
+      throw new ApiError(400, `Quotation is already ${current.status}`, 'QUOTATION_CLOSED');
+    }
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'QUOTE_CANCEL',
+      resource: { type: 'quotation', id: quotationId, name: quotation.quoteNumber },
+      details: { reason },
+      status: 'success',
+    });
+    
+    return quotation;
+  }
+}
+
+module.exports = QuotationService;
@@ -0,0 +1,143 @@
+const Sale = require('../models/Sale');
+const Tenant = require('../models/Tenant');
+const InstallmentPlan = require('../models/InstallmentPlan');
+const { EscPosBuilder, PAPER_COLUMNS } = require('../utils/escpos');
+const { formatAmount, taxLines } = require('../utils/helpers');
+const { ApiError } = require('../middleware/errorHandler');
+
+const PAYMENT_LABELS = {
+  cash: 'Cash',
+  card: 'Card',
+  mobile_payment: 'Mobile Pay',
+  bank_transfer: 'Bank Transfer',
+  credit: 'Credit',
+  loyalty_points: 'Points',
+  gift_card: 'Gift Card',
+  store_credit: 'Store Credit',
+  installment: 'Installments',
+  trade_in: 'Trade-in',
+};
+
+/**
+ * Receipt Service - Renders sale receipts for thermal printers
+ */
+class ReceiptService {
+  /**
+   * Render a sale receipt
+   * format: 'escpos' (raw printer bytes) or 'text' (plain preview)
+   * paperWidth: 58 or 80 (mm); defaults to the tenant's receipt setting
+   */
+  static async render(tenantId, saleId, options = {}) {
+    const { format = 'escpos' } = options;
+    
+    if (!['escpos', 'text'].includes(format)) {
+      throw new ApiError(400, `Unsupported receipt format: ${format}`, 'INVALID_FORMAT');
+    }
+    
+    const [sale, tenant] = await Promise.all([
+      Sale.findOne({ tenantId, saleId }),
+      Tenant.findOne({ tenantId }),
+    ]);
+    
+    if (!sale) {
+      throw new ApiError(404, 'Sale not found', 'SALE_NOT_FOUND');
+    }
+    
+    if (sale.status === 'pending') {
+      throw new ApiError(400, 'Parked sales have no receipt', 'SALE_PARKED');
+    }
+    
+    const plan = sale.installmentPlanId
+      ? await InstallmentPlan.findOne({ tenantId, planId: sale.installmentPlanId })
+      : null;
+    
+    const receiptSettings = tenant?.settings?.receipt || {};
+    const paperWidth = parseInt(options.paperWidth, 10) || receiptSettings.paperWidth || 80;
+    
+    if (!PAPER_COLUMNS[paperWidth]) {
+      throw new ApiError(400, 'Paper width must be 58 or 80', 'INVALID_PAPER_WIDTH');
+    }
+    
+    const printer = new EscPosBuilder(paperWidth, { plain: format === 'text' });
+    const timeZone = tenant?.settings?.timezone || 'UTC';
+    
+    // Header
+    printer.align('center').bold().large().line(tenant?.name || '').large(false).bold(false);
+    if (tenant?.contact?.address) printer.line(tenant.contact.address);
+    if (tenant?.contact?.phone) printer.line(`Tel: ${tenant.contact.phone}`);
+    if (tenant?.contact?.email) printer.line(tenant.contact.email);
+    if (receiptSettings.header) printer.line(receiptSettings.header);
+    printer.align('left').divider();
+    
+    printer.columnsLine('Invoice', sale.invoiceNumber);
+    printer.columnsLine('Date', sale.createdAt.toLocaleString('en-GB', { timeZone, hour12: false }));
+    if (sale.staffName) printer.columnsLine('Cashier', sale.staffName);
+    if (sale.customer?.name) printer.columnsLine('Customer', sale.customer.name);
+    if (sale.customer?.phone) printer.columnsLine('Phone', sale.customer.phone);
+    printer.divider();
+    
+    // Line items
+    sale.lineItems.forEach(item => {
+      printer.line(item.productName);
+      printer.columnsLine(`  ${item.quantity} x ${formatAmount(item.unitPrice)}`, formatAmount(item.unitPrice * item.quantity));
+      if (item.discount) printer.columnsLine('  Discount', `-${formatAmount(item.discount)}`);
+      (item.serials || []).forEach(serial => printer.line(`  S/N ${serial}`));
+      (item.promotions || []).forEach(promotion => {
+        printer.columnsLine(`  ${promotion.name}`, `-${formatAmount(promotion.discount)}`);
+      });
+    });
+    printer.divider();
+    
+    // Totals
+    printer.columnsLine('Subtotal', formatAmount(sale.subtotal));
+    if (sale.totalDiscount) printer.columnsLine('Discount', `-${formatAmount(sale.totalDiscount)}`);
+    taxLines(sale).forEach(([label, amount]) => printer.columnsLine(label, formatAmount(amount)));
+    printer.bold().columnsLine('TOTAL', formatAmount(sale.grandTotal)).bold(false);
+    printer.divider();
+    
+    // Tenders
+    const tenders = sale.payments && sale.payments.length > 0
+      ? sale.payments
+      : [{ method: sale.paymentMethod, amount: sale.grandTotal }];
+    tenders.forEach(tender => {
+      const label = PAYMENT_LABELS[tender.method] || tender.method;
+      printer.columnsLine(label, formatAmount(tender.tendered || tender.amount));
+    });
+    if (sale.changeDue) printer.columnsLine('Change', formatAmount(sale.changeDue));
+    if (sale.balanceDue && !plan) printer.bold().columnsLine('Balance due', formatAmount(sale.balanceDue)).bold(false);
+    if (sale.totalRefunded) printer.columnsLine('Refunded', `-${formatAmount(sale.totalRefunded)}`);
+    if (sale.status !== 'completed') printer.align('center').bold().line(sale.status.toUpperCase()).bold(false);
+    printer.divider();
+    
+    // Installment plan terms and what is still owed on it
+    if (plan) {
+      const next = plan.nextInstallment;
+      printer.columnsLine('Installment plan', plan.planNumber);
+      printer.columnsLine('Total payable', formatAmount(plan.totalPayable));
+      printer.columnsLine(`${plan.numberOfInstallments} x ${plan.frequency}`, formatAmount(plan.schedule[0].amount));
+      if (next) {
+        printer.columnsLine('Next due', next.dueDate.toLocaleDateString('en-GB', { timeZone }));
+      }
+      printer.bold().columnsLine('Plan balance', formatAmount(plan.balance)).bold(false);
+      printer.divider();
+    }
+    
+    // Footer
+    printer.align('center');
+    if (receiptSettings.code === 'barcode') {
+      printer.barcode(sale.invoiceNumber);
+    } else if (receiptSettings.code !== 'none') {
+      printer.qrCode(sale.invoiceNumber);
+    }
+    if (receiptSettings.footer) printer.line(receiptSettings.footer);
+    printer.align('left').cut();
+    
+    return {
+      invoiceNumber: sale.invoiceNumber,
+      contentType: format === 'text' ? 'text/plain; charset=utf-8' : 'application/octet-stream',
+      body: printer.toBuffer(),
+    };
+  }
+}
+
+module.exports = ReceiptService;
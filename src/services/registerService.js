@@ -0,0 +1,437 @@
+const RegisterSession = require('../models/RegisterSession');
+const Sale = require('../models/Sale');
+const InstallmentPlan = require('../models/InstallmentPlan');
+const AuditLog = require('../models/AuditLog');
+const { roundCurrency } = require('../utils/helpers');
+const { ApiError } = require('../middleware/errorHandler');
+
+/**
+ * Register Service - Handles till sessions: opening float, paid-in/paid-out,
+ * and the counted close with its Z-report
+ */
+class RegisterService {
+  /**
+   * Open a register session on a terminal
+   */
+  static async open(tenantId, userId, userName, sessionData) {
+    const { terminalId, notes } = sessionData;
+    const openingFloat = roundCurrency(Number(sessionData.openingFloat || 0));
+    
+    if (!terminalId) {
+      throw new ApiError(400, 'Terminal ID is required', 'MISSING_FIELDS');
+    }
+    
+    if (!Number.isFinite(openingFloat) || openingFloat < 0) {
+      throw new ApiError(400, 'Opening float must be a non-negative number', 'INVALID_AMOUNT');
+    }
+    
+    const sessionId = await RegisterSession.generateSessionId();
+    
+    const session = new RegisterSession({
+      sessionId,
+      tenantId,
+      terminalId,
+      openingFloat,
+      openedBy: userId,
+      openedByName: userName,
+      openedAt: new Date(),
+      notes,
+    });
+    
+    try {
+      await session.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ApiError(409, `A register session is already open on terminal ${terminalId}`, 'REGISTER_ALREADY_OPEN');
+      }
+      throw error;
+    }
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'REGISTER_OPEN',
+      resource: { type: 'register', id: sessionId, name: terminalId },
+      details: { openingFloat },
+      status: 'success',
+    });
+    
+    return session;
+  }
+  
+  /**
+   * Get register session by ID
+   */
+  static async getById(tenantId, sessionId) {
+    const session = await RegisterSession.findOne({ tenantId, sessionId });
+    
+    if (!session) {
+      throw new ApiError(404, 'Register session not found', 'REGISTER_SESSION_NOT_FOUND');
+    }
+    
+    return session;
+  }
+  
+  /**
+   * Get register sessions with pagination and filters
+   */
+  static async getAll(tenantId, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      terminalId,
+      startDate,
+      endDate,
+    } = options;
+    
+    const filter = { tenantId };
+    
+    if (status) filter.status = status;
+    if (terminalId) filter.terminalId = terminalId;
+    
+    if (startDate || endDate) {
+      filter.openedAt = {};
+      if (startDate) filter.openedAt.$gte = new Date(startDate);
+      if (endDate) filter.openedAt.$lte = new Date(endDate);
+    }
+    
+    const skip = (page - 1) * limit;
+    
+    const [sessions, total] = await Promise.all([
+      RegisterSession.find(filter)
+        .select('-zReport')
+        .sort({ openedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      RegisterSession.countDocuments(filter),
+    ]);
+    
+    return {
+      sessions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+  
+  /**
+   * Find the open session for a terminal, or when no terminal is given the
+   * one the staff member opened
+   */
+  static async getOpenSession(tenantId, { terminalId, staffId } = {}) {
+    if (terminalId) {
+      return RegisterSession.findOne({ tenantId, terminalId, status: 'open' });
+    }
+    
+    if (staffId) {
+      return RegisterSession.findOne({ tenantId, openedBy: staffId, status: 'open' }).sort({ openedAt: -1 });
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Get the open session cash is being taken on, or refuse the cash
+   */
+  static async requireOpenSession(tenantId, { terminalId, staffId } = {}) {
+    const session = await RegisterService.getOpenSession(tenantId, { terminalId, staffId });
+    
+    if (!session) {
+      throw new ApiError(400, 'Cash needs an open register session', 'REGISTER_NOT_OPEN', {
+        terminalId,
+      });
+    }
+    
+    return session;
+  }
+  
+  /**
+   * Record cash put into (paid_in) or taken out of (paid_out) the drawer
+   */
+  static async addCashMovement(tenantId, userId, userName, sessionId, movementData) {
+    const { type, reason } = movementData;
+    const amount = roundCurrency(Number(movementData.amount));
+    
+    if (!['paid_in', 'paid_out'].includes(type)) {
+      throw new ApiError(400, 'Type must be paid_in or paid_out', 'INVALID_CASH_MOVEMENT');
+    }
+    
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new ApiError(400, 'Amount must be greater than zero', 'INVALID_AMOUNT');
+    }
+    
+    if (!reason) {
+      throw new ApiError(400, 'A reason is required for cash movements', 'MISSING_FIELDS');
+    }
+    
+    const movement = { type, amount, reason, staffId: userId, staffName: userName, createdAt: new Date() };
+    
+    const session = await RegisterSession.findOneAndUpdate(
+      { tenantId, sessionId, status: 'open' },
+      { $push: { cashMovements: movement }, $set: { updatedAt: new Date() } },
+      { new: true }
+    );
+    
+    if (!session) {
+      await RegisterService.getById(tenantId, sessionId);
+      throw new ApiError(400, 'Register session is closed', 'REGISTER_CLOSED');
+    }
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'REGISTER_CASH_MOVEMENT',
+      resource: { type: 'register', id: sessionId, name: session.terminalId },
+      details: movement,
+      status: 'success',
+    });
+    
+    return session;
+  }
+  
+  /**
+   * Shift report for a session: sales, tenders, refunds and expected cash.
+   * For an open session this is the running (X) report; the closed session
+   * keeps the Z-report taken at close.
+   */
+  static async buildReport(tenantId, session) {
+    const [sales, refundedSales, cancelledSales, paidSales, paidPlans] = await Promise.all([
+      Sale.find({ tenantId, registerSessionId: session.sessionId }),
+      Sale.find({ tenantId, 'refunds.registerSessionId': session.sessionId }),
+      Sale.find({ tenantId, 'cancellation.registerSessionId': session.sessionId }),
+      Sale.find({ tenantId, 'receivablePayments.registerSessionId': session.sessionId }),
+      InstallmentPlan.find({ tenantId, 'payments.registerSessionId': session.sessionId }),
+    ]);
+    
+    const report = {
+      sessionId: session.sessionId,
+      terminalId: session.terminalId,
+      openedAt: session.openedAt,
+      openedBy: session.openedByName,
+      salesCount: 0,
+      cancelledCount: 0,
+      grossSales: 0,
+      totalDiscount: 0,
+      totalTax: 0,
+      tenders: {},
+      refundsCount: 0,
+      totalRefunded: 0,
+      cashRefunds: 0,
+      cashCancellations: 0,
+      cashPayments: 0,
+      paidIn: 0,
+      paidOut: 0,
+      openingFloat: session.openingFloat,
+      cashSales: 0,
+      expectedCash: 0,
+    };
+    
+    // Cancelled sales are left out of the sales figures, but the cash they
+    // took is still counted; handing it back is counted against the session
+    // the cancellation was made in. Sales cancelled before cancellations
+    // were recorded handed their cash straight back, so they only count.
+    const addCash = (sale) => {
+      sale.payments
+        .filter(payment => payment.method === 'cash')
+        .forEach(payment => { report.cashSales = roundCurrency(report.cashSales + payment.amount); });
+    };
+    
+    sales.forEach(sale => {
+      if (sale.status === 'cancelled') {
+        report.cancelledCount++;
+        if (sale.cancellation?.cancelledAt) addCash(sale);
+        return;
+      }
+      
+      report.salesCount++;
+      report.grossSales = roundCurrency(report.grossSales + sale.grandTotal);
+      report.totalDiscount = roundCurrency(report.totalDiscount + (sale.totalDiscount || 0));
+      report.totalTax = roundCurrency(report.totalTax + (sale.totalTax || 0));
+      
+      sale.payments.forEach(payment => {
+        if (!report.tenders[payment.method]) {
+          report.tenders[payment.method] = { count: 0, total: 0 };
+        }
+        report.tenders[payment.method].count++;
+        report.tenders[payment.method].total = roundCurrency(report.tenders[payment.method].total + payment.amount);
+      });
+      addCash(sale);
+    });
+    
+    refundedSales.forEach(sale => {
+      sale.refunds
+        .filter(refund => refund.registerSessionId === session.sessionId)
+        .forEach(refund => {
+          report.refundsCount++;
+          report.totalRefunded = roundCurrency(report.totalRefunded + refund.amount);
+          report.cashRefunds = roundCurrency(report.cashRefunds + (refund.cashAmount || 0));
+        });
+    });
+    
+    cancelledSales.forEach(sale => {
+      report.cashCancellations = roundCurrency(report.cashCancellations + (sale.cancellation.cashAmount || 0));
+    });
+    
+    // Cash paid later against balances owed on earlier sales and against
+    // installment plans (whose share on the sale carries no session)
+    [
+      ...paidSales.flatMap(sale => sale.receivablePayments),
+      ...paidPlans.flatMap(plan => plan.payments),
+    ]
+      .filter(payment => payment.registerSessionId === session.sessionId)
+      .forEach(payment => {
+        report.cashPayments = roundCurrency(report.cashPayments + payment.amount);
+      });
+    
+    session.cashMovements.forEach(movement => {
+      const key = movement.type === 'paid_in' ? 'paidIn' : 'paidOut';
+      report[key] = roundCurrency(report[key] + movement.amount);
+    });
+    
+    report.expectedCash = roundCurrency(
+      report.openingFloat + report.cashSales + report.cashPayments - report.cashRefunds
+      - report.cashCancellations + report.paidIn - report.paidOut
+    );
+    
+    return report;
+  }
+  
+  /**
+   * Running report for an open session, or the Z-report of a closed one
+   */
+  static async getReport(tenantId, sessionId) {
+    const session = await RegisterService.getById(tenantId, sessionId);
+    
+    if (session.status === 'closed') {
+      return session.zReport;
+    }
+    
+    return RegisterService.buildReport(tenantId, session);
+  }
+  
+  /**
+   * Close a session with the counted cash and produce its Z-report
+   *
+   * The count is given as countedCash, or as denominations of
+   * { value, count } that are added up; if both are given they must agree.
+   */
+  static async close(tenantId, userId, userName, sessionId, closeData = {}) {
+    const { denominations, notes } = closeData;
+    const session = await RegisterService.getById(tenantId, sessionId);
+    
+    if (session.status !== 'open') {
+      throw new ApiError(400, 'Register session is already closed', 'REGISTER_CLOSED');
+    }
+    
+    let countedCash = closeData.countedCash !== undefined && closeData.countedCash !== null
+      ? roundCurrency(Number(closeData.countedCash))
+      : undefined;
+    
+    if (denominations !== undefined) {
+      if (!Array.isArray(denominations) || denominations.some(d => !(d?.value > 0) || !Number.isInteger(d.count) || d.count < 0)) {
+        throw new ApiError(400, 'Denominations must be { value, count } with a positive value and whole count', 'INVALID_DENOMINATIONS');
+      }
+      
+      const total = roundCurrency(denominations.reduce((sum, d) => sum + d.value * d.count, 0));
+      
+      if (countedCash !== undefined && countedCash !== total) {
+        throw new ApiError(400, 'Counted cash does not match the denominations', 'COUNT_MISMATCH', {
+          countedCash,
+          denominationsTotal: total,
+        });
+      }
+      countedCash = total;
+    }
+    
+    if (countedCash === undefined || !Number.isFinite(countedCash) || countedCash < 0) {
+      throw new ApiError(400, 'Counted cash is required', 'MISSING_FIELDS');
+    }
+    
+    // Claim the session first: once it is no longer open no sale, refund or
+    // cash movement can join it, so the report built next is complete
+    const claimed = await RegisterSession.findOneAndUpdate(
+      { tenantId, sessionId, status: 'open' },
+      { $set: { status: 'closing', updatedAt: new Date() } },
+      { new: true }
+    );
+    
+    if (!claimed) {
+      throw new ApiError(400, 'Register session is already closed', 'REGISTER_CLOSED');
+    }
+    
+    let report;
+    try {
+      report = await RegisterService.buildReport(tenantId, claimed);
+    } catch (error) {
+      await RegisterSession.updateOne({ tenantId, sessionId, status: 'closing' }, { $set: { status: 'open' } });
+      throw error;
+    }
+    
+    const closedAt = new Date();
+    const variance = roundCurrency(countedCash - report.expectedCash);
+    
+    const zReport = {
+      ...report,
+      closedAt,
+      closedBy: userName,
+      countedCash,
+      denominations: denominations || [],
+      variance,
+      result: variance === 0 ? 'balanced' : (variance > 0 ? 'over' : 'short'),
+    };
+    
+    const closed = await RegisterSession.findOneAndUpdate(
+      { tenantId, sessionId, status: 'closing' },
+      {
+        $set: {
+          status: 'closed',
+          countedCash,
+          denominations: denominations || [],
+          expectedCash: report.expectedCash,
+          variance,
+          zReport,
+          closedBy: userId,
+          closedByName: userName,
+          closedAt,
+          ...(notes !== undefined && { notes }),
+          updatedAt: closedAt,
+        },
+      },
+      { new: true }
+    );
+    
+    if (!closed) {
+      throw new ApiError(400, 'Register session is already closed', 'REGISTER_CLOSED');
+    }
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'REGISTER_CLOSE',
+      resource: { type: 'register', id: sessionId, name: session.terminalId },
+      details: {
+        expectedCash: report.expectedCash,
+        countedCash,
+        variance,
+      },
+      status: variance === 0 ? 'success' : 'warning',
+    });
+    
+    return closed;
+  }
+}
+
+module.exports = RegisterService;
@@ -2,8 +2,34 @@ const Sale = require('../models/Sale');
 const Product = require('../models/Product');
 const Staff = require('../models/Staff');
 const AuditLog = require('../models/AuditLog');
-const { calculateOrderTotals } = require('../utils/helpers');
+const InstallmentPlan = require('../models/InstallmentPlan');
+const ParentProduct = require('../models/ParentProduct');
+const CustomerService = require('./customerService');
+const TaxService = require('./taxService');
+const PromotionService = require('./promotionService');
+const CouponService = require('./couponService');
+const LoyaltyService = require('./loyaltyService');
+const GiftCardService = require('./giftCardService');
+const PriceListService = require('./priceListService');
+const RegisterService = require('./registerService');
+const DiscountApprovalService = require('./discountApprovalService');
+const SerialService = require('./serialService');
+const WarrantyService = require('./warrantyService');
+const InstallmentService = require('./installmentService');
+const TradeInService = require('./tradeInService');
+const { calculateOrderTotals, roundCurrency } = require('../utils/helpers');
 const { ApiError } = require('../middleware/errorHandler');
+const config = require('../config');
+const { withTransaction } = require('../config/database');
+
+// Maximum number of offline sales accepted in one sync request
+const MAX_SYNC_BATCH = 100;
+
+// Tenders drawn from a balance; only accepted at checkout
+const BALANCE_TENDERS = ['credit', 'installment', 'trade_in', 'loyalty_points', ...GiftCardService.GIFT_CARD_METHODS];
+
+// Gift cards are not refundable; a sale selling them is cancelled instead
+const isGiftCardLine = (line) => (line.giftCardCodes || []).length > 0;
 
 /**
  * Sale Service - Handles sales/orders management
@@ -11,20 +37,802 @@ const { ApiError } = require('../middleware/errorHandler');
 class SaleService {
   /**
    * Create a new sale
+   *
+   * options (server-side only, never taken from the request body):
+   * - allowOversell: sell even when stock is short and flag the sale for review
+   * - createdAt: original sale time for sales recorded offline
+   * - clientSaleId: client-generated ID used to detect duplicate uploads
+   * - source: 'pos' (default) or 'offline_sync'
+   * - stockDeducted: the products' units already left stock (repair parts)
+   * - chargeLines: priced lines not tied to a product, e.g. repair labour
+   * - serviceTicketId: repair ticket the sale settles
+   * - resumeFrom: parked sale being resumed; its hold becomes the sale's
+   *   stock deduction and the parked cart is removed with the sale's commit
+   * - metadata: recorded on the sale, e.g. the quotation it converts
+   */
+  static async create(tenantId, userId, userName, saleData, options = {}) {
+    const { lineItems, customer, notes } = saleData;
+    const {
+      allowOversell = false,
+      createdAt,
+      clientSaleId,
+      source = 'pos',
+      stockDeducted = false,
+      chargeLines = [],
+      serviceTicketId,
+      resumeFrom,
+      metadata,
+    } = options;
+    
+    // Validate and prepare line items at the customer's prices
+    const priceList = await PriceListService.resolveForCustomer(tenantId, customer?.customerId);
+    const { processedLineItems, stockUpdates, pricesIncludeTax } = await SaleService.prepareLineItems(tenantId, lineItems, {
+      checkStock: !allowOversell && !stockDeducted,
+      priceList,
+      chargeLines,
+      heldLines: resumeFrom?.parked?.stockReserved ? resumeFrom.lineItems : [],
+    });
+    
+    // Automatic promotions, as they stood when the sale was made
+    const { promotions } = await PromotionService.apply(tenantId, processedLineItems, { at: createdAt });
+    const globalDiscount = SaleService.globalDiscountFor(processedLineItems, saleData.globalDiscount);
+    
+    // Coupon codes are checked and priced server-side, after promotions
+    let coupon = null;
+    if (saleData.couponCode) {
+      const orderAmount = roundCurrency(processedLineItems.reduce((sum, line) => sum
+        + line.quantity * line.unitPrice - (line.discount || 0) - (line.promotionDiscount || 0), 0)
+        - globalDiscount);
+      
+      coupon = await CouponService.evaluate(tenantId, saleData.couponCode, {
+        orderAmount,
+        customerId: customer?.customerId,
+        at: createdAt,
+      });
+    }
+    const orderDiscount = globalDiscount + (coupon ? coupon.discount : 0);
+    
+    // Calculate totals; tax always comes from the products' tax classes
+    const totals = calculateOrderTotals(processedLineItems, {
+      globalDiscount: orderDiscount,
+      pricesIncludeTax,
+    });
+    
+    // Manual discounts above the tenant's threshold need a manager. Sales
+    // recorded offline already happened, so they are flagged for review instead
+    const discountPercent = DiscountApprovalService.discountPercent(processedLineItems, globalDiscount);
+    let discountOverride = null;
+    let discountUnapproved = false;
+    
+    try {
+      discountOverride = await DiscountApprovalService.authorize(tenantId, userId, discountPercent, saleData.discountOverride);
+    } catch (error) {
+      if (source !== 'offline_sync' || !(error instanceof ApiError)) throw error;
+      discountUnapproved = true;
+    }
+    
+    // Validate tenders before touching stock
+    const tender = SaleService.resolvePayments(saleData, totals.grandTotal);
+    
+    // Credit tenders become a receivable on the customer's account
+    const creditAmount = roundCurrency(tender.payments
+      .filter(p => p.method === 'credit')
+      .reduce((sum, p) => sum + p.amount, 0));
+    let creditCustomer = null;
+    
+    if (creditAmount > 0) {
+      creditCustomer = await CustomerService.assertCreditAvailable(tenantId, customer?.customerId, creditAmount);
+    }
+    
+    // Installment tenders are financed by a plan on the installmentPlan terms
+    const installmentAmount = roundCurrency(tender.payments
+      .filter(p => p.method === 'installment')
+      .reduce((sum, p) => sum + p.amount, 0));
+    let installment = null;
+    
+    if (installmentAmount > 0) {
+      if (creditAmount > 0) {
+        throw new ApiError(400, 'Credit and installment tenders cannot be combined', 'INVALID_PAYMENTS');
+      }
+      
+      installment = await InstallmentService.prepare(tenantId, customer?.customerId, installmentAmount, saleData.installmentPlan);
+    }
+    const accountCustomer = creditCustomer || installment?.customer;
+    
+    // Points are earned only on money taken now; credit, installments, trade-ins,
+    // points, gift cards and store credit are not new money
+    const loyalty = await LoyaltyService.prepareSale(tenantId, customer?.customerId, tender.payments);
+    const pointsAmount = roundCurrency(tender.payments
+      .filter(p => p.method === 'loyalty_points')
+      .reduce((sum, p) => sum + p.amount, 0));
+    const receivedAmount = roundCurrency(tender.payments
+      .filter(p => !BALANCE_TENDERS.includes(p.method))
+      .reduce((sum, p) => sum + p.amount, 0));
+    const pointsEarned = loyalty.customerId
+      ? LoyaltyService.pointsEarned(loyalty.settings, receivedAmount)
+      : 0;
+    
+    await GiftCardService.prepareTenders(tenantId, tender.payments);
+    await TradeInService.prepareTenders(tenantId, tender.payments);
+    
+    // Cash goes into a drawer, so it needs an open register session; sales
+    // recorded offline already happened and are linked when one is open
+    const registerLookup = { terminalId: saleData.terminalId, staffId: userId };
+    const registerSession = source === 'pos' && tender.payments.some(p => p.method === 'cash')
+      ? await RegisterService.requireOpenSession(tenantId, registerLookup)
+      : await RegisterService.getOpenSession(tenantId, registerLookup);
+    
+    const saleId = await Sale.generateSaleId();
+    
+    const installmentPlanId = installment ? await InstallmentPlan.generatePlanId() : undefined;
+    const balanceDue = roundCurrency(creditAmount + installmentAmount);
+    const amountPaid = roundCurrency(totals.grandTotal - balanceDue);
+    let dueDate;
+    if (creditCustomer) {
+      dueDate = new Date();
+      dueDate.setDate(dueDate.getDate() + creditCustomer.paymentTermsDays);
+    }
+    
+    // Stock deduction, invoice numbering, serialized units, warranties, the
+    // sale itself, gift cards, the customer and loyalty ledgers and the audit
+    // entry are committed together or not at all
+    const sale = await withTransaction(async (session) => {
+      const oversoldItems = [];
+      
+      // A resumed cart's held units are handed over to this sale
+      if (resumeFrom) {
+        await SaleService.releaseHold(tenantId, resumeFrom.saleId, session);
+      }
+      
+      for (const { product, quantity } of stockDeducted ? [] : stockUpdates) {
+        if (allowOversell) {
+          const shortage = await SaleService.forceDeductStock(tenantId, product, quantity, session);
+          if (shortage) oversoldItems.push(shortage);
+        } else {
+          await SaleService.deductStock(tenantId, product, quantity, session);
+        }
+      }
+      
+      const invoiceNumber = await Sale.generateInvoiceNumber(tenantId, session, {
+        terminalId: saleData.terminalId,
+        date: createdAt,
+      });
+      
+      // Gift card lines issue one card per unit, worth the unit price
+      let giftCardsIssued = 0;
+      for (const line of totals.items.filter(item => item.isGiftCard)) {
+        line.giftCardCodes = [];
+        
+        for (let i = 0; i < line.quantity; i++) {
+          const card = await GiftCardService.issue(tenantId, {
+            kind: 'gift_card',
+            amount: line.unitPrice,
+            customerId: customer?.customerId,
+            saleId,
+            invoiceNumber,
+          }, { session, staffId: userId, staffName: userName });
+          
+          line.giftCardCodes.push(card.code);
+          giftCardsIssued++;
+        }
+      }
+      
+      const saleCustomer = accountCustomer
+        ? {
+          customerId: accountCustomer.customerId,
+          name: customer.name || accountCustomer.name,
+          phone: customer.phone || accountCustomer.phone,
+          email: customer.email || accountCustomer.email,
+        }
+        : (customer || {});
+      
+      // Serialized units are taken one by one; offline sales take units
+      // that were not in stock anyway and are flagged
+      const serialConflicts = await SerialService.markSold(tenantId, {
+        saleId,
+        invoiceNumber,
+        customer: saleCustomer,
+        createdAt,
+        lineItems: totals.items,
+      }, { session, force: allowOversell, staffId: userId, staffName: userName });
+      
+      const warrantiesRegistered = await WarrantyService.registerForSale(tenantId, {
+        saleId,
+        invoiceNumber,
+        customer: saleCustomer,
+        createdAt,
+        lineItems: totals.items,
+      }, { session });
+      
+      const reviewReasons = [
+        ...(oversoldItems.length > 0 ? ['Sold more than the stock on hand'] : []),
+        ...(discountUnapproved ? [`Discount of ${discountPercent}% was not approved`] : []),
+        ...(serialConflicts.length > 0 ? [`Serials were not in stock: ${serialConflicts.join(', ')}`] : []),
+      ];
+      
+      const newSale = new Sale({
+        saleId,
+        tenantId,
+        invoiceNumber,
+        registerSessionId: registerSession?.sessionId,
+        serviceTicketId,
+        installmentPlanId,
+        customer: saleCustomer,
+        lineItems: totals.items,
+        subtotal: totals.subtotal,
+        totalDiscount: totals.totalDiscount + orderDiscount,
+        totalTax: totals.totalTax,
+        pricesIncludeTax,
+        taxBreakdown: totals.taxBreakdown,
+        promotions,
+        ...(coupon && {
+          coupon: {
+            couponId: coupon.coupon.couponId,
+            code: coupon.coupon.code,
+            discount: coupon.discount,
+          },
+        }),
+        ...(discountOverride && { discountOverride }),
+        grandTotal: totals.grandTotal,
+        ...(loyalty.customerId && {
+          loyalty: {
+            customerId: loyalty.customerId,
+            pointsEarned,
+            pointsRedeemed: loyalty.pointsRedeemed,
+          },
+        }),
+        paymentMethod: tender.paymentMethod,
+        payments: tender.payments,
+        amountTendered: tender.amountTendered,
+        changeDue: tender.changeDue,
+        amountPaid,
+        balanceDue,
+        dueDate,
+        paymentStatus: SaleService.getPaymentStatus(amountPaid, balanceDue),
+        status: 'completed',
+        staffId: userId,
+        staffName: userName,
+        terminalId: saleData.terminalId,
+        source,
+        clientSaleId,
+        ...(source === 'offline_sync' && { syncedAt: new Date() }),
+        ...(createdAt && { createdAt }),
+        ...(reviewReasons.length > 0 && {
+          review: {
+            required: true,
+            reason: reviewReasons.join('; '),
+            oversoldItems,
+          },
+        }),
+        ...((metadata || resumeFrom) && {
+          metadata: {
+            ...metadata,
+            ...(resumeFrom && { resumedFrom: resumeFrom.saleId, parkedLabel: resumeFrom.parked?.label }),
+          },
+        }),
+        notes,
+      });
+      
+      await newSale.save({ session });
+      
+      // Conditional on the cart still being parked, so it is resumed once
+      if (resumeFrom) {
+        const removed = await Sale.deleteOne({ tenantId, saleId: resumeFrom.saleId, status: 'pending' }, { session });
+        
+        if (removed.deletedCount !== 1) {
+          throw new ApiError(409, 'Parked sale was already resumed or discarded', 'SALE_NOT_PARKED');
+        }
+      }
+      
+      const installmentPlan = installment
+        ? await InstallmentService.createForSale(tenantId, newSale, installment, {
+          session,
+          planId: installmentPlanId,
+          staffId: userId,
+        })
+        : null;
+      
+      if (coupon) {
+        await CouponService.redeem(tenantId, coupon.coupon, {
+          saleId,
+          invoiceNumber,
+          customerId: newSale.customer?.customerId,
+          discount: coupon.discount,
+          staffId: userId,
+        }, session);
+      }
+      
+      await GiftCardService.redeemTenders(tenantId, tender.payments, {
+        saleId,
+        invoiceNumber,
+        staffId: userId,
+        staffName: userName,
+      }, session);
+      
+      // Traded-in devices go into stock as used products
+      const tradeIns = await TradeInService.applyTenders(tenantId, tender.payments, { saleId, invoiceNumber }, {
+        session,
+        staffId: userId,
+        staffName: userName,
+      });
+      
+      if (loyalty.pointsRedeemed > 0) {
+        await LoyaltyService.postEntry(tenantId, loyalty.customerId, {
+          type: 'redeem',
+          points: -loyalty.pointsRedeemed,
+          amount: pointsAmount,
+          saleId,
+          invoiceNumber,
+          staffId: userId,
+          staffName: userName,
+        }, { session });
+      }
+      
+      if (pointsEarned > 0) {
+        await LoyaltyService.postEntry(tenantId, loyalty.customerId, {
+          type: 'earn',
+          points: pointsEarned,
+          saleId,
+          invoiceNumber,
+          staffId: userId,
+          staffName: userName,
+        }, { session });
+      }
+      
+      if (creditCustomer) {
+        await CustomerService.postLedgerEntry(tenantId, creditCustomer.customerId, {
+          type: 'credit_sale',
+          amount: creditAmount,
+          saleId,
+          invoiceNumber,
+          staffId: userId,
+          staffName: userName,
+        }, { session });
+      }
+      
+      // Audit log
+      await AuditLog.log({
+        userId,
+        tenantId,
+        userName,
+        userRole: null,
+        action: 'SALE_CREATE',
+        resource: { type: 'sale', id: saleId, name: invoiceNumber },
+        details: {
+          lineItemsCount: lineItems.length,
+          grandTotal: totals.grandTotal,
+          paymentMethod: tender.paymentMethod,
+          payments: tender.payments.map(p => ({ method: p.method, amount: p.amount })),
+          changeDue: tender.changeDue,
+          ...(promotions.length > 0 && { promotions }),
+          ...(coupon && { couponCode: coupon.coupon.code, couponDiscount: coupon.discount }),
+          ...(loyalty.customerId && { pointsEarned, pointsRedeemed: loyalty.pointsRedeemed }),
+          ...(giftCardsIssued > 0 && { giftCardsIssued }),
+          ...(warrantiesRegistered > 0 && { warrantiesRegistered }),
+          ...(tradeIns.length > 0 && { tradeIns }),
+          ...(installmentPlan && {
+            installmentPlan: installmentPlan.planNumber,
+            installmentTotalPayable: installmentPlan.totalPayable,
+          }),
+          ...(discountOverride && { discountOverride }),
+          ...(discountUnapproved && { unapprovedDiscountPercent: discountPercent }),
+          ...(source !== 'pos' && { source, clientSaleId }),
+          ...(oversoldItems.length > 0 && { oversoldItems }),
+          ...(serialConflicts.length > 0 && { serialConflicts }),
+        },
+        status: 'success',
+      }, { session });
+      
+      // Overrides are logged against the manager who approved them
+      if (discountOverride) {
+        await AuditLog.log({
+          userId: discountOverride.approvedBy,
+          tenantId,
+          userName: discountOverride.approvedByName,
+          userRole: null,
+          action: 'SALE_DISCOUNT_OVERRIDE',
+          resource: { type: 'sale', id: saleId, name: invoiceNumber },
+          details: {
+            cashierId: userId,
+            cashierName: userName,
+            discountPercent,
+            method: discountOverride.method,
+            reason: discountOverride.reason,
+          },
+          status: 'success',
+        }, { session });
+      }
+      
+      return newSale;
+    });
+    
+    return sale;
+  }
+  
+  /**
+   * Park (hold) a cart so it can be resumed later. Stock for the cart is
+   * soft-reserved until the hold expires, is resumed or discarded.
    */
-  static async create(tenantId, userId, userName, saleData) {
-    const { lineItems, paymentMethod, customer, notes } = saleData;
+  static async park(tenantId, userId, userName, saleData) {
+    const { lineItems, customer, notes, label, terminalId } = saleData;
+    
+    const priceList = await PriceListService.resolveForCustomer(tenantId, customer?.customerId);
+    const { processedLineItems, pricesIncludeTax } = await SaleService.prepareLineItems(tenantId, lineItems, {
+      priceList,
+      requireSerials: false,
+    });
+    
+    // Shown on the parked cart only; promotions are re-evaluated on resume
+    const { promotions } = await PromotionService.apply(tenantId, processedLineItems);
+    const globalDiscount = SaleService.globalDiscountFor(processedLineItems, saleData.globalDiscount);
+    
+    await SaleService.reserveStock(tenantId, processedLineItems);
+    
+    const totals = calculateOrderTotals(processedLineItems, {
+      globalDiscount,
+      pricesIncludeTax,
+    });
+    
+    const saleId = await Sale.generateSaleId();
+    const parkedAt = new Date();
+    const expiresAt = new Date(parkedAt.getTime() + config.sales.holdExpiryMinutes * 60 * 1000);
+    
+    const sale = new Sale({
+      saleId,
+      tenantId,
+      customer: customer || {},
+      lineItems: totals.items,
+      subtotal: totals.subtotal,
+      totalDiscount: totals.totalDiscount + globalDiscount,
+      totalTax: totals.totalTax,
+      pricesIncludeTax,
+      taxBreakdown: totals.taxBreakdown,
+      promotions,
+      grandTotal: totals.grandTotal,
+      paymentStatus: 'pending',
+      status: 'pending',
+      staffId: userId,
+      staffName: userName,
+      terminalId,
+      notes,
+      parked: {
+        label,
+        parkedAt,
+        parkedBy: userName,
+        expiresAt,
+        stockReserved: true,
+      },
+      metadata: {
+        globalDiscount,
+        // Checked and redeemed when the cart is resumed
+        couponCode: saleData.couponCode,
+      },
+    });
+    
+    try {
+      await sale.save();
+    } catch (error) {
+      await SaleService.releaseStock(tenantId, processedLineItems);
+      throw error;
+    }
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'SALE_PARK',
+      resource: { type: 'sale', id: saleId, name: label },
+      details: {
+        lineItemsCount: processedLineItems.length,
+        grandTotal: totals.grandTotal,
+        terminalId,
+        expiresAt,
+      },
+      status: 'success',
+    });
+    
+    return sale;
+  }
+  
+  /**
+   * List parked sales, optionally for one terminal or staff member
+   */
+  static async getParked(tenantId, options = {}) {
+    const { terminalId, staffId } = options;
+    
+    await SaleService.releaseExpiredHolds(tenantId);
+    
+    const filter = { tenantId, status: 'pending' };
+    if (terminalId) filter.terminalId = terminalId;
+    if (staffId) filter.staffId = staffId;
+    
+    return Sale.find(filter).sort({ 'parked.parkedAt': -1 });
+  }
+  
+  /**
+   * Resume a parked sale and complete it through the normal checkout path
+   *
+   * saleData carries the tenders, and may replace the cart's line items,
+   * customer or notes if they changed while the sale was on hold.
+   */
+  static async resume(tenantId, userId, userName, saleId, saleData = {}) {
+    const parkedSale = await SaleService.getParkedSale(tenantId, saleId);
+    const parked = parkedSale.toObject();
+    const parkedMetadata = parked.metadata || {};
+    
+    const sale = await SaleService.create(tenantId, userId, userName, {
+      globalDiscount: parkedMetadata.globalDiscount,
+      couponCode: parkedMetadata.couponCode,
+      ...saleData,
+      lineItems: saleData.lineItems || parkedSale.lineItems.map(line => ({
+        productId: line.productId,
+        quantity: line.quantity,
+        discount: line.discount,
+        serials: line.serials,
+      })),
+      customer: saleData.customer || parked.customer,
+      notes: saleData.notes !== undefined ? saleData.notes : parkedSale.notes,
+      terminalId: saleData.terminalId || parkedSale.terminalId,
+    }, { resumeFrom: parkedSale });
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'SALE_RESUME',
+      resource: { type: 'sale', id: sale.saleId, name: sale.invoiceNumber },
+      details: { parkedSaleId: saleId, label: parkedSale.parked?.label },
+      status: 'success',
+    });
+    
+    return sale;
+  }
+  
+  /**
+   * Discard a parked sale and release its reserved stock
+   */
+  static async discardParked(tenantId, userId, userName, saleId, reason = '') {
+    const parkedSale = await SaleService.getParkedSale(tenantId, saleId);
+    
+    await SaleService.releaseHold(tenantId, saleId);
+    
+    await Sale.deleteOne({ tenantId, saleId, status: 'pending' });
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'SALE_DISCARD',
+      resource: { type: 'sale', id: saleId, name: parkedSale.parked?.label },
+      previousState: parkedSale.toObject(),
+      details: { reason },
+      status: 'success',
+    });
     
-    // Validate and prepare line items
-    if (!lineItems || lineItems.length === 0) {
+    return { success: true, message: 'Parked sale discarded' };
+  }
+  
+  /**
+   * Get a parked sale by ID
+   */
+  static async getParkedSale(tenantId, saleId) {
+    const sale = await Sale.findOne({ tenantId, saleId });
+    
+    if (!sale) {
+      throw new ApiError(404, 'Sale not found', 'SALE_NOT_FOUND');
+    }
+    
+    if (sale.status !== 'pending') {
+      throw new ApiError(400, 'Sale is not parked', 'SALE_NOT_PARKED');
+    }
+    
+    return sale;
+  }
+  
+  /**
+   * Take units out of stock. The decrement is conditional on enough unreserved
+   * stock so two concurrent checkouts cannot both sell the last unit.
+   */
+  static async deductStock(tenantId, product, quantity, session = null, retried = false) {
+    const result = await Product.updateOne(
+      {
+        tenantId,
+        productId: product.productId,
+        $expr: {
+          $gte: [{ $subtract: ['$stockQuantity', { $ifNull: ['$reservedQuantity', 0] }] }, quantity],
+        },
+      },
+      { $inc: { stockQuantity: -quantity }, $set: { updatedAt: new Date() } },
+      { session }
+    );
+    
+    if (result.modifiedCount !== 1) {
+      // Holds that have run out no longer count against the stock
+      if (!retried && await SaleService.releaseExpiredHolds(tenantId, session) > 0) {
+        return SaleService.deductStock(tenantId, product, quantity, session, true);
+      }
+      
+      const current = await Product.findOne({ tenantId, productId: product.productId }).session(session);
+      throw new ApiError(400, `Insufficient stock for ${product.name}`, 'INSUFFICIENT_STOCK', {
+        productId: product.productId,
+        productName: product.name,
+        availableStock: current ? current.availableQuantity : 0,
+        requestedQuantity: quantity,
+      });
+    }
+  }
+  
+  /**
+   * Take units out of stock unconditionally (offline sales that already
+   * happened). Returns the shortage when stock on hand did not cover it.
+   */
+  static async forceDeductStock(tenantId, product, quantity, session = null) {
+    const before = await Product.findOneAndUpdate(
+      { tenantId, productId: product.productId },
+      { $inc: { stockQuantity: -quantity }, $set: { updatedAt: new Date() } },
+      { session, new: false }
+    );
+    
+    const available = before ? before.stockQuantity - (before.reservedQuantity || 0) : 0;
+    
+    if (available >= quantity) {
+      return null;
+    }
+    
+    return {
+      productId: product.productId,
+      productName: product.name,
+      requestedQuantity: quantity,
+      availableStock: Math.max(0, available),
+    };
+  }
+  
+  /**
+   * Put units back into stock
+   */
+  static async restock(tenantId, productId, quantity, session = null) {
+    await Product.updateOne(
+      { tenantId, productId, trackInventory: true },
+      { $inc: { stockQuantity: quantity }, $set: { updatedAt: new Date() } },
+      { session }
+    );
+  }
+  
+  /**
+   * Soft-reserve stock for line items. Reservations are conditional on
+   * available stock so two holds cannot reserve the same last unit.
+   */
+  static async reserveStock(tenantId, lineItems) {
+    const reserved = [];
+    
+    for (const line of lineItems) {
+      const result = await Product.updateOne(
+        {
+          tenantId,
+          productId: line.productId,
+          trackInventory: true,
+          $expr: {
+            $gte: [{ $subtract: ['$stockQuantity', { $ifNull: ['$reservedQuantity', 0] }] }, line.quantity],
+          },
+        },
+        { $inc: { reservedQuantity: line.quantity } }
+      );
+      
+      if (result.modifiedCount === 1) {
+        reserved.push(line);
+        continue;
+      }
+      
+      // Products that don't track inventory need no reservation
+      const product = await Product.findOne({ tenantId, productId: line.productId });
+      if (product && !product.trackInventory) continue;
+      
+      await SaleService.releaseStock(tenantId, reserved);
+      throw new ApiError(400, `Insufficient stock for ${line.productName || line.productId}`, 'INSUFFICIENT_STOCK', {
+        productId: line.productId,
+        availableStock: product ? product.availableQuantity : 0,
+        requestedQuantity: line.quantity,
+      });
+    }
+  }
+  
+  /**
+   * Release soft-reserved stock for line items
+   */
+  static async releaseStock(tenantId, lineItems, session = null) {
+    for (const line of lineItems) {
+      await Product.updateOne(
+        { tenantId, productId: line.productId, trackInventory: true },
+        [{ $set: { reservedQuantity: { $max: [0, { $subtract: ['$reservedQuantity', line.quantity] }] } } }],
+        { session }
+      );
+    }
+  }
+  
+  /**
+   * Release the stock a parked sale holds. The hold is claimed first, so it
+   * is given back once even when an expiry sweep, a resume or a discard of
+   * the same cart run at the same time.
+   */
+  static async releaseHold(tenantId, saleId, session = null) {
+    const sale = await Sale.findOneAndUpdate(
+      { tenantId, saleId, status: 'pending', 'parked.stockReserved': true },
+      { $set: { 'parked.stockReserved': false, updatedAt: new Date() } },
+      { new: true, session }
+    );
+    
+    if (sale) {
+      await SaleService.releaseStock(tenantId, sale.lineItems, session);
+    }
+    
+    return Boolean(sale);
+  }
+  
+  /**
+   * Release stock held by parked sales whose hold has expired. Run wherever
+   * available stock is checked. The carts stay parked; resuming them
+   * re-checks stock.
+   */
+  static async releaseExpiredHolds(tenantId, session = null) {
+    const expired = await Sale.find({
+      tenantId,
+      status: 'pending',
+      'parked.stockReserved': true,
+      'parked.expiresAt': { $lte: new Date() },
+    }).select('saleId').session(session);
+    
+    let released = 0;
+    for (const sale of expired) {
+      if (await SaleService.releaseHold(tenantId, sale.saleId, session)) released++;
+    }
+    
+    return released;
+  }
+  
+  /**
+   * Look up products for the requested line items, check availability and
+   * snapshot their prices and tax rates. Stock held by parked sales is not
+   * available. Pass { checkStock: false } to price items without requiring
+   * stock, and { priceList } to price them from a customer's price list.
+   * Serialized products need one serial per unit unless { requireSerials:
+   * false }. { chargeLines } of { productId, productName, unitPrice } are
+   * added as they are, at the tenant's default tax rate. { heldLines } are
+   * the lines of a parked cart being resumed; the stock they hold counts as
+   * available. Line totals are left to calculateOrderTotals.
+   */
+  static async prepareLineItems(tenantId, lineItems, options = {}) {
+    const {
+      checkStock = true,
+      priceList = null,
+      requireSerials = true,
+      chargeLines = [],
+      heldLines = [],
+    } = options;
+    
+    if ((!lineItems || lineItems.length === 0) && chargeLines.length === 0) {
       throw new ApiError(400, 'Sale must have at least one line item', 'EMPTY_SALE');
     }
     
-    // Get product details and validate stock
+    if (checkStock) {
+      await SaleService.releaseExpiredHolds(tenantId);
+    }
+    
+    const held = {};
+    heldLines.forEach(line => {
+      held[line.productId] = (held[line.productId] || 0) + line.quantity;
+    });
+    
+    const taxSettings = await TaxService.getSettings(tenantId);
     const processedLineItems = [];
-    let subtotal = 0;
+    const stockUpdates = [];
     
-    for (const item of lineItems) {
+    for (const item of lineItems || []) {
       const product = await Product.findOne({ tenantId, productId: item.productId });
       
       if (!product) {
@@ -36,69 +844,297 @@ class SaleService {
       }
       
       // Check stock if tracking inventory
-      if (product.trackInventory && item.quantity > product.stockQuantity) {
+      const available = product.availableQuantity + (held[product.productId] || 0);
+      
+      if (checkStock && product.trackInventory && item.quantity > available) {
         throw new ApiError(400, `Insufficient stock for ${product.name}`, 'INSUFFICIENT_STOCK', {
           productId: product.productId,
           productName: product.name,
-          availableStock: product.stockQuantity,
+          availableStock: available,
           requestedQuantity: item.quantity,
         });
       }
       
-      // Calculate line item total
-      const discount = item.discount || 0;
-      const tax = item.tax || 0;
-      const lineTotal = (product.price * item.quantity) - discount + tax;
+      const serials = await SerialService.prepareLine(tenantId, product, item, {
+        requireSerials,
+        checkAvailable: checkStock,
+      });
+      
+      const price = PriceListService.priceFor(priceList, product);
+      const discount = Number(item.discount || 0);
+      
+      // A line can be discounted down to zero but never below it
+      if (!Number.isFinite(discount) || discount < 0 || discount > roundCurrency(item.quantity * price.unitPrice)) {
+        throw new ApiError(400, `Invalid discount for ${product.name}`, 'INVALID_DISCOUNT', {
+          productId: product.productId,
+          discount: item.discount,
+          lineSubtotal: roundCurrency(item.quantity * price.unitPrice),
+        });
+      }
       
       processedLineItems.push({
         productId: product.productId,
         productName: product.name,
         sku: product.sku,
+        category: product.category,
+        ...(product.parentId && { parentId: product.parentId }),
         quantity: item.quantity,
-        unitPrice: product.price,
+        ...price,
         discount,
-        tax,
-        total: lineTotal,
+        ...TaxService.resolveRate(taxSettings, product.taxClass),
+        ...(product.isGiftCard && { isGiftCard: true }),
+        ...(serials.length > 0 && { serials }),
+      });
+      
+      if (product.trackInventory) {
+        stockUpdates.push({ product, quantity: item.quantity });
+      }
+    }
+    
+    chargeLines.forEach(line => {
+      processedLineItems.push({
+        productId: line.productId,
+        productName: line.productName,
+        sku: line.sku,
+        quantity: 1,
+        unitPrice: line.unitPrice,
+        discount: 0,
+        ...TaxService.resolveRate(taxSettings, null),
       });
+    });
+    
+    return { processedLineItems, stockUpdates, pricesIncludeTax: taxSettings.pricesIncludeTax };
+  }
+  
+  /**
+   * Check a sale-level discount and cap it at what the order comes to after
+   * line discounts and promotions, so the total cannot go below zero
+   */
+  static globalDiscountFor(lineItems, globalDiscount) {
+    const discount = Number(globalDiscount || 0);
+    
+    if (!Number.isFinite(discount) || discount < 0) {
+      throw new ApiError(400, 'Global discount must be a non-negative number', 'INVALID_DISCOUNT', {
+        globalDiscount,
+      });
+    }
+    
+    const netTotal = lineItems.reduce((sum, line) => sum
+      + line.quantity * line.unitPrice - (line.discount || 0) - (line.promotionDiscount || 0), 0);
+    
+    return roundCurrency(Math.min(discount, Math.max(0, netTotal)));
+  }
+  
+  /**
+   * Validate the tenders on a sale and work out change due
+   *
+   * Accepts either a payments[] array of { method, amount, reference } or the
+   * legacy single paymentMethod (treated as one tender for the grand total).
+   * Tenders must cover the grand total; only cash may exceed it, and the
+   * excess is returned as change.
+   */
+  static resolvePayments(saleData, grandTotal) {
+    const total = roundCurrency(grandTotal);
+    let payments = saleData.payments;
+    
+    if (!payments || payments.length === 0) {
+      if (!saleData.paymentMethod) {
+        throw new ApiError(400, 'Payment method or payments are required', 'MISSING_PAYMENT');
+      }
+      payments = [{ method: saleData.paymentMethod, amount: total }];
+    }
+    
+    if (!Array.isArray(payments)) {
+      throw new ApiError(400, 'Payments must be an array', 'INVALID_PAYMENTS');
+    }
+    
+    const paidAt = new Date();
+    let cashTendered = 0;
+    let otherTendered = 0;
+    
+    const normalized = payments.map(payment => {
+      const amount = roundCurrency(Number(payment.amount));
+      
+      if (!Sale.PAYMENT_METHODS.includes(payment.method)) {
+        throw new ApiError(400, `Invalid payment method: ${payment.method}`, 'INVALID_PAYMENT_METHOD');
+      }
+      
+      if (!Number.isFinite(amount) || amount < 0) {
+        throw new ApiError(400, 'Payment amount must be a non-negative number', 'INVALID_PAYMENT_AMOUNT', {
+          method: payment.method,
+        });
+      }
+      
+      if (payment.method === 'cash') {
+        cashTendered += amount;
+      } else {
+        otherTendered += amount;
+      }
+      
+      return {
+        method: payment.method,
+        amount,
+        reference: payment.reference,
+        paidAt,
+      };
+    });
+    
+    cashTendered = roundCurrency(cashTendered);
+    otherTendered = roundCurrency(otherTendered);
+    const amountTendered = roundCurrency(cashTendered + otherTendered);
+    
+    if (otherTendered > total) {
+      throw new ApiError(400, 'Non-cash payments exceed the sale total', 'PAYMENT_EXCEEDS_TOTAL', {
+        grandTotal: total,
+        nonCashTotal: otherTendered,
+      });
+    }
+    
+    if (amountTendered < total) {
+      throw new ApiError(400, 'Payments do not cover the sale total', 'PAYMENT_INSUFFICIENT', {
+        grandTotal: total,
+        amountTendered,
+        balanceDue: roundCurrency(total - amountTendered),
+      });
+    }
+    
+    // Excess can only come from cash, so it is taken off the cash tenders
+    const changeDue = roundCurrency(amountTendered - total);
+    let change = changeDue;
+    
+    normalized.forEach(payment => {
+      if (payment.method !== 'cash') return;
+      
+      payment.tendered = payment.amount;
+      const returned = Math.min(change, payment.amount);
+      payment.amount = roundCurrency(payment.amount - returned);
+      change = roundCurrency(change - returned);
+    });
+    
+    const methods = [...new Set(normalized.map(p => p.method))];
+    
+    return {
+      paymentMethod: methods.length === 1 ? methods[0] : 'split',
+      payments: normalized,
+      amountTendered,
+      changeDue,
+    };
+  }
+  
+  /**
+   * Upload a batch of sales recorded offline by the POS client
+   *
+   * Each sale is handled on its own: one failure does not affect the others.
+   * Sales are keyed by their client-generated ID so re-uploads are reported
+   * as duplicates, keep their original offline timestamp, and are accepted
+   * even when stock ran short or a discount was not approved - those are
+   * flagged for manager review.
+   */
+  static async syncOffline(tenantId, userId, userName, offlineSales) {
+    if (!Array.isArray(offlineSales) || offlineSales.length === 0) {
+      throw new ApiError(400, 'Sales must be a non-empty array', 'EMPTY_SYNC_BATCH');
+    }
+    
+    if (offlineSales.length > MAX_SYNC_BATCH) {
+      throw new ApiError(400, `At most ${MAX_SYNC_BATCH} sales can be synced at once`, 'SYNC_BATCH_TOO_LARGE');
+    }
+    
+    const results = [];
+    
+    for (const offlineSale of offlineSales) {
+      const { clientSaleId, offlineCreatedAt, ...saleData } = offlineSale || {};
+      
+      if (!clientSaleId || typeof clientSaleId !== 'string') {
+        results.push({ clientSaleId, status: 'error', code: 'MISSING_CLIENT_ID', error: 'clientSaleId is required' });
+        continue;
+      }
+      
+      const createdAt = offlineCreatedAt ? new Date(offlineCreatedAt) : new Date();
       
-      subtotal += product.price * item.quantity;
+      // Allow for some clock skew on the device
+      if (isNaN(createdAt.getTime()) || createdAt.getTime() > Date.now() + 5 * 60 * 1000) {
+        results.push({ clientSaleId, status: 'error', code: 'INVALID_TIMESTAMP', error: 'offlineCreatedAt is not a valid past date' });
+        continue;
+      }
       
-      // Update stock
-      if (product.trackInventory) {
-        product.stockQuantity -= item.quantity;
-        await product.save();
+      const existing = await Sale.findOne({ tenantId, clientSaleId });
+      if (existing) {
+        results.push({
+          clientSaleId,
+          status: 'duplicate',
+          saleId: existing.saleId,
+          invoiceNumber: existing.invoiceNumber,
+        });
+        continue;
+      }
+      
+      try {
+        const sale = await SaleService.create(tenantId, userId, userName, saleData, {
+          allowOversell: true,
+          createdAt,
+          clientSaleId,
+          source: 'offline_sync',
+        });
+        
+        const oversold = sale.review?.oversoldItems?.length > 0;
+        results.push({
+          clientSaleId,
+          status: oversold ? 'stock_conflict' : (sale.review?.required ? 'flagged' : 'accepted'),
+          saleId: sale.saleId,
+          invoiceNumber: sale.invoiceNumber,
+          ...(oversold && { oversoldItems: sale.review.oversoldItems }),
+          ...(sale.review?.required && { reviewReason: sale.review.reason }),
+        });
+      } catch (error) {
+        // Lost a race with a concurrent upload of the same sale
+        if (error.code === 11000 && error.keyPattern?.clientSaleId) {
+          const duplicate = await Sale.findOne({ tenantId, clientSaleId });
+          results.push({
+            clientSaleId,
+            status: 'duplicate',
+            saleId: duplicate?.saleId,
+            invoiceNumber: duplicate?.invoiceNumber,
+          });
+          continue;
+        }
+        
+        if (!(error instanceof ApiError) && error.name !== 'ValidationError') {
+          throw error;
+        }
+        
+        results.push({
+          clientSaleId,
+          status: 'error',
+          code: error.code || 'VALIDATION_ERROR',
+          error: error.message,
+          details: error.details,
+        });
       }
     }
     
-    // Calculate totals
-    const totals = calculateOrderTotals(processedLineItems, {
-      globalDiscount: saleData.globalDiscount || 0,
-      globalTaxRate: saleData.globalTaxRate || 0,
-    });
+    const summary = results.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {});
     
-    // Generate invoice number
-    const invoiceNumber = await Sale.generateInvoiceNumber(tenantId);
+    return { results, summary };
+  }
+  
+  /**
+   * Mark a sale flagged for review as reviewed by a manager
+   */
+  static async resolveReview(tenantId, userId, userName, saleId, notes = '') {
+    const sale = await Sale.findOne({ tenantId, saleId });
     
-    // Create sale
-    const saleId = await Sale.generateSaleId();
+    if (!sale) {
+      throw new ApiError(404, 'Sale not found', 'SALE_NOT_FOUND');
+    }
     
-    const sale = new Sale({
-      saleId,
-      tenantId,
-      invoiceNumber,
-      customer: customer || {},
-      lineItems: processedLineItems,
-      subtotal: totals.subtotal,
-      totalDiscount: totals.totalDiscount + (saleData.globalDiscount || 0),
-      totalTax: totals.totalTax,
-      grandTotal: totals.grandTotal,
-      paymentMethod,
-      paymentStatus: 'paid',
-      status: 'completed',
-      staffId: userId,
-      staffName: userName,
-      notes,
-    });
+    if (!sale.review?.required) {
+      throw new ApiError(400, 'Sale is not flagged for review', 'SALE_NOT_FLAGGED');
+    }
+    
+    sale.review.required = false;
+    sale.review.resolvedBy = userId;
+    sale.review.resolvedAt = new Date();
+    sale.review.resolutionNotes = notes;
     
     await sale.save();
     
@@ -108,19 +1144,139 @@ class SaleService {
       tenantId,
       userName,
       userRole: null,
-      action: 'SALE_CREATE',
-      resource: { type: 'sale', id: saleId, name: invoiceNumber },
-      details: {
-        lineItemsCount: lineItems.length,
-        grandTotal: totals.grandTotal,
-        paymentMethod,
-      },
+      action: 'SALE_UPDATE',
+      resource: { type: 'sale', id: saleId, name: sale.invoiceNumber },
+      details: { reviewResolved: true, notes, oversoldItems: sale.review.oversoldItems },
       status: 'success',
     });
     
     return sale;
   }
   
+  /**
+   * Payment status from what has been paid and what is still owed
+   */
+  static getPaymentStatus(amountPaid, balanceDue) {
+    if (balanceDue <= 0) return 'paid';
+    return amountPaid > 0 ? 'partial' : 'pending';
+  }
+  
+  /**
+   * Installment sales cannot be reversed while their plan is still being
+   * paid off
+   */
+  static assertNoOpenInstallments(sale) {
+    if (sale.installmentPlanId && sale.balanceDue > 0) {
+      throw new ApiError(400, 'Sale has an installment plan that is not paid off', 'INSTALLMENT_PLAN_OPEN', {
+        planId: sale.installmentPlanId,
+        balanceDue: sale.balanceDue,
+      });
+    }
+  }
+  
+  /**
+   * Record a payment against the outstanding balance of a credit sale
+   */
+  static async recordPayment(tenantId, userId, userName, saleId, paymentData) {
+    const { method, reference, notes } = paymentData;
+    const amount = roundCurrency(Number(paymentData.amount));
+    
+    if (!Sale.PAYMENT_METHODS.includes(method) || BALANCE_TENDERS.includes(method)) {
+      throw new ApiError(400, `Invalid payment method: ${method}`, 'INVALID_PAYMENT_METHOD');
+    }
+    
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new ApiError(400, 'Payment amount must be greater than zero', 'INVALID_PAYMENT_AMOUNT');
+    }
+    
+    // Cash goes into an open register, like cash taken at checkout
+    const registerSession = method === 'cash'
+      ? await RegisterService.requireOpenSession(tenantId, { terminalId: paymentData.terminalId, staffId: userId })
+      : null;
+    
+    // The balance check, the sale and the customer's ledger are committed
+    // together, so two payments at once cannot both pay the same balance
+    return withTransaction(async (session) => {
+      const sale = await Sale.findOne({ tenantId, saleId }).session(session);
+      
+      if (!sale) {
+        throw new ApiError(404, 'Sale not found', 'SALE_NOT_FOUND');
+      }
+      
+      if (sale.status !== 'completed') {
+        throw new ApiError(400, `Cannot take payment on a ${sale.status} sale`, 'SALE_CLOSED');
+      }
+      
+      if (!sale.balanceDue || sale.balanceDue <= 0) {
+        throw new ApiError(400, 'Sale has no outstanding balance', 'NO_BALANCE_DUE');
+      }
+      
+      if (sale.installmentPlanId) {
+        throw new ApiError(400, 'Installment sales are paid through their plan', 'INSTALLMENT_SALE', {
+          planId: sale.installmentPlanId,
+        });
+      }
+      
+      if (amount > sale.balanceDue) {
+        throw new ApiError(400, 'Payment exceeds the outstanding balance', 'PAYMENT_EXCEEDS_BALANCE', {
+          balanceDue: sale.balanceDue,
+          amount,
+        });
+      }
+      
+      const previousState = sale.toObject();
+      
+      sale.receivablePayments.push({
+        method,
+        amount,
+        reference,
+        registerSessionId: registerSession?.sessionId,
+        paidAt: new Date(),
+      });
+      sale.amountPaid = roundCurrency((sale.amountPaid || 0) + amount);
+      sale.balanceDue = roundCurrency(sale.balanceDue - amount);
+      sale.paymentStatus = SaleService.getPaymentStatus(sale.amountPaid, sale.balanceDue);
+      
+      await sale.save({ session });
+      
+      if (sale.customer?.customerId) {
+        await CustomerService.postLedgerEntry(tenantId, sale.customer.customerId, {
+          type: 'payment',
+          amount,
+          saleId,
+          invoiceNumber: sale.invoiceNumber,
+          paymentMethod: method,
+          reference,
+          notes,
+          staffId: userId,
+          staffName: userName,
+        }, { session });
+      }
+      
+      // Audit log
+      await AuditLog.log({
+        userId,
+        tenantId,
+        userName,
+        userRole: null,
+        action: 'SALE_PAYMENT',
+        resource: { type: 'sale', id: saleId, name: sale.invoiceNumber },
+        previousState,
+        newState: sale.toObject(),
+        details: {
+          amount,
+          method,
+          reference,
+          balanceDue: sale.balanceDue,
+          ...(registerSession && { registerSessionId: registerSession.sessionId }),
+        },
+        status: 'success',
+      }, { session });
+      
+      return sale;
+    });
+  }
+  
   /**
    * Get sale by ID
    */
@@ -147,6 +1303,8 @@ class SaleService {
       staffId,
       startDate,
       endDate,
+      needsReview,
+      source,
     } = options;
     
     const filter = { tenantId };
@@ -154,6 +1312,8 @@ class SaleService {
     if (status) filter.status = status;
     if (paymentStatus) filter.paymentStatus = paymentStatus;
     if (staffId) filter.staffId = staffId;
+    if (needsReview) filter['review.required'] = true;
+    if (source) filter.source = source;
     
     if (startDate || endDate) {
       filter.createdAt = {};
@@ -183,119 +1343,525 @@ class SaleService {
   }
   
   /**
-   * Cancel a sale
+   * The tenders of a sale that paid for it outright (till tenders and
+   * trade-ins; credit and installments are debt) and what each still holds
+   * after its refunds
+   *
+   * Refunds record the share they took from each tender, whether it went
+   * back to the tender or onto store credit. Older refunds only recorded
+   * their cash; the rest of those is spread over the till tenders it could
+   * have come from.
    */
-  static async cancel(tenantId, userId, userName, saleId, reason = '') {
-    const sale = await Sale.findOne({ tenantId, saleId });
+  static tendersLeft(sale) {
+    const payments = sale.payments && sale.payments.length > 0
+      ? sale.payments
+      : [{ method: sale.paymentMethod, amount: sale.grandTotal }];
+    const tenders = payments
+      .filter(p => !['credit', 'installment'].includes(p.method))
+      .map(p => ({ method: p.method, reference: p.reference, amount: p.amount, left: p.amount }));
+    const tillTenders = tenders.filter(t => t.method !== 'trade_in');
     
-    if (!sale) {
-      throw new ApiError(404, 'Sale not found', 'SALE_NOT_FOUND');
-    }
-    
-    if (sale.status === 'cancelled') {
-      throw new ApiError(400, 'Sale is already cancelled', 'SALE_ALREADY_CANCELLED');
-    }
-    
-    if (sale.status === 'refunded') {
-      throw new ApiError(400, 'Cannot cancel a refunded sale', 'SALE_REFUNDED');
-    }
-    
-    const previousState = sale.toObject();
-    
-    // Restore stock
-    for (const item of sale.lineItems) {
-      const product = await Product.findOne({ tenantId, productId: item.productId });
-      if (product && product.trackInventory) {
-        product.stockQuantity += item.quantity;
-        await product.save();
+    for (const refund of sale.refunds || []) {
+      if (refund.tenders && refund.tenders.length > 0) {
+        refund.tenders.forEach(share => {
+          const tender = tenders.find(t => t.method === share.method && t.reference === share.reference && t.left > 0);
+          if (tender) tender.left = roundCurrency(Math.max(0, tender.left - share.amount));
+        });
+        continue;
       }
+      
+      const cashAmount = refund.cashAmount || 0;
+      SaleService.allocateToTenders(tillTenders.filter(t => t.method === 'cash'), cashAmount);
+      SaleService.allocateToTenders(
+        refund.refundMethod === 'store_credit' ? tillTenders : tillTenders.filter(t => t.method !== 'cash'),
+        roundCurrency(refund.amount - cashAmount)
+      );
     }
     
-    // Update sale status
-    sale.status = 'cancelled';
-    sale.paymentStatus = 'refunded';
-    sale.notes = `${sale.notes || ''}\n\nCancellation reason: ${reason}`.trim();
-    
-    await sale.save();
+    return tenders;
+  }
+  
+  /**
+   * Split an amount over tenders in proportion to what each paid, never
+   * taking more than a tender has left; rounding remainders go to the first
+   * tenders with room. Updates each tender's `left` and returns the shares
+   * as { method, reference, amount }.
+   */
+  static allocateToTenders(tenders, amount) {
+    const paid = tenders.reduce((sum, t) => sum + t.amount, 0);
+    const shares = tenders.map(t => (paid > 0 ? Math.min(t.left, roundCurrency(amount * t.amount / paid)) : 0));
+    let rest = roundCurrency(amount - shares.reduce((sum, share) => sum + share, 0));
     
-    // Audit log
-    await AuditLog.log({
-      userId,
-      tenantId,
-      userName,
-      userRole: null,
-      action: 'SALE_CANCEL',
-      resource: { type: 'sale', id: saleId, name: sale.invoiceNumber },
-      previousState,
-      newState: sale.toObject(),
-      details: { reason },
-      status: 'success',
+    tenders.forEach((tender, index) => {
+      if (rest > 0) {
+        const extra = Math.min(rest, roundCurrency(tender.left - shares[index]));
+        shares[index] = roundCurrency(shares[index] + extra);
+        rest = roundCurrency(rest - extra);
+      } else if (rest < 0 && shares[index] > 0) {
+        const less = Math.min(-rest, shares[index]);
+        shares[index] = roundCurrency(shares[index] - less);
+        rest = roundCurrency(rest + less);
+      }
     });
     
-    return sale;
+    return tenders
+      .map((tender, index) => {
+        tender.left = roundCurrency(tender.left - shares[index]);
+        return { method: tender.method, reference: tender.reference, amount: shares[index] };
+      })
+      .filter(share => share.amount > 0);
   }
   
   /**
-   * Refund a sale
+   * Cancel a sale
+   *
+   * Stock, balances, ledgers and the sale are put back in one transaction,
+   * so a failed step leaves the sale as it was and the cancel can be retried.
+   * Cash not already refunded is handed back from the register session open
+   * on options.terminalId (or the staff member's), like a refund.
    */
-  static async refund(tenantId, userId, userName, saleId, refundAmount, reason = '') {
-    const sale = await Sale.findOne({ tenantId, saleId });
-    
-    if (!sale) {
-      throw new ApiError(404, 'Sale not found', 'SALE_NOT_FOUND');
-    }
+  static async cancel(tenantId, userId, userName, saleId, reason = '', options = {}) {
+    const { terminalId } = options;
     
-    if (sale.status === 'refunded') {
-      throw new ApiError(400, 'Sale is already refunded', 'SALE_ALREADY_REFUNDED');
-    }
+    return withTransaction(async (session) => {
+      const sale = await Sale.findOne({ tenantId, saleId }).session(session);
+      
+      if (!sale) {
+        throw new ApiError(404, 'Sale not found', 'SALE_NOT_FOUND');
+      }
+      
+      if (sale.status === 'pending') {
+        throw new ApiError(400, 'Parked sales are discarded, not cancelled', 'SALE_PARKED');
+      }
+      
+      if (sale.status === 'cancelled') {
+        throw new ApiError(400, 'Sale is already cancelled', 'SALE_ALREADY_CANCELLED');
+      }
+      
+      if (sale.status === 'refunded') {
+        throw new ApiError(400, 'Cannot cancel a refunded sale', 'SALE_REFUNDED');
+      }
+      
+      SaleService.assertNoOpenInstallments(sale);
+      
+      // Gift cards sold on the sale can only be taken back while unspent
+      await GiftCardService.assertSoldCardsUnused(tenantId, sale, session);
+      
+      // Traded-in devices are handed back, so they must not have been sold on
+      await TradeInService.assertReversible(tenantId, sale, session);
+      
+      // What earlier refunds have not already returned goes back now; the
+      // cash comes out of an open register
+      const tendersLeft = SaleService.tendersLeft(sale)
+        .map(tender => ({ method: tender.method, reference: tender.reference, amount: tender.left, paid: tender.amount }));
+      
+      // A trade-in already partly refunded as store credit cannot also be
+      // handed back with the device
+      const refundedTradeIns = tendersLeft.filter(tender => tender.method === 'trade_in' && tender.amount < tender.paid);
+      if (refundedTradeIns.length > 0) {
+        throw new ApiError(400, 'Trade-in value has already been refunded; refund the rest of the sale instead', 'TRADE_IN_REFUNDED', {
+          tradeIns: refundedTradeIns.map(tender => tender.reference),
+        });
+      }
+      const cashAmount = roundCurrency(tendersLeft
+        .filter(tender => tender.method === 'cash')
+        .reduce((sum, tender) => sum + tender.amount, 0));
+      const registerSession = cashAmount > 0
+        ? await RegisterService.requireOpenSession(tenantId, { terminalId, staffId: userId })
+        : null;
+      
+      const previousState = sale.toObject();
+      
+      // Restore stock (units already returned through a refund were restocked then)
+      for (const item of sale.lineItems) {
+        const quantity = item.quantity - (item.refundedQuantity || 0);
+        if (quantity <= 0) continue;
+        
+        await SaleService.restock(tenantId, item.productId, quantity, session);
+      }
+      
+      // Write off whatever the customer still owed on this sale
+      if (sale.balanceDue > 0 && sale.customer?.customerId) {
+        await CustomerService.postLedgerEntry(tenantId, sale.customer.customerId, {
+          type: 'cancellation',
+          amount: sale.balanceDue,
+          saleId,
+          invoiceNumber: sale.invoiceNumber,
+          notes: reason,
+          staffId: userId,
+          staffName: userName,
+        }, { session });
+      }
+      sale.balanceDue = 0;
+      
+      // Give the coupon use back
+      if (sale.coupon?.couponId) {
+        await CouponService.reverse(tenantId, saleId, { session });
+      }
+      
+      // Take back the points earned and return the points spent
+      const reversal = { notes: reason, staffId: userId, staffName: userName };
+      await LoyaltyService.reverseForSale(tenantId, sale, 1, reversal, { session });
+      
+      // Void the gift cards sold and put gift card tenders back on the cards
+      await GiftCardService.voidSoldCards(tenantId, sale, reversal, { session });
+      await GiftCardService.restoreTenders(tenantId, sale, tendersLeft, reversal, { session });
+      
+      // Serialized units go back into stock with the rest, off warranty
+      await SerialService.restoreForSale(tenantId, sale, { ...reversal, session });
+      await WarrantyService.voidForSale(tenantId, saleId, { session });
+      
+      // Traded-in devices leave stock again
+      await TradeInService.reverseForSale(tenantId, sale, reversal, { session });
+      
+      // Update sale status
+      sale.status = 'cancelled';
+      sale.paymentStatus = 'refunded';
+      sale.cancellation = {
+        cashAmount,
+        registerSessionId: registerSession?.sessionId,
+        staffId: userId,
+        staffName: userName,
+        cancelledAt: new Date(),
+      };
+      sale.notes = `${sale.notes || ''}\n\nCancellation reason: ${reason}`.trim();
+      
+      await sale.save({ session });
+      
+      // Audit log
+      await AuditLog.log({
+        userId,
+        tenantId,
+        userName,
+        userRole: null,
+        action: 'SALE_CANCEL',
+        resource: { type: 'sale', id: saleId, name: sale.invoiceNumber },
+        previousState,
+        newState: sale.toObject(),
+        details: {
+          reason,
+          ...(cashAmount > 0 && { cashAmount, registerSessionId: registerSession.sessionId }),
+        },
+        status: 'success',
+      }, { session });
+      
+      return sale;
+    });
+  }
+  
+  /**
+   * Refund a sale, fully or by line item
+   *
+   * refundData.items is a list of { productId, quantity, restock, serials }
+   * entries; serialized products name the serials coming back. When omitted,
+   * every unit not yet returned is refunded. Amounts are worked
+   * out from the line totals (sale-level discount and tax pro-rated); an
+   * explicit refundAmount needs the items it is for and can be at most their
+   * value. With refundMethod 'store_credit' the money
+   * goes onto store credit (storeCreditCode tops up an existing one) instead
+   * of back to the original tenders, which share the refund in proportion to
+   * what each paid; a trade-in's share goes onto store credit. Cash handed
+   * back is taken from the register session open on refundData.terminalId
+   * (or the staff member's).
+   */
+  static async refund(tenantId, userId, userName, saleId, refundData = {}) {
+    const { items, refundAmount, reason = '', refundMethod = 'original', storeCreditCode, terminalId } = refundData;
     
-    if (sale.status === 'cancelled') {
-      throw new ApiError(400, 'Cannot refund a cancelled sale', 'SALE_CANCELLED');
+    if (!['original', 'store_credit'].includes(refundMethod)) {
+      throw new ApiError(400, `Invalid refund method: ${refundMethod}`, 'INVALID_REFUND_METHOD');
     }
     
-    const previousState = sale.toObject();
-    
-    // Calculate refund
-    const remainingRefund = sale.grandTotal - (sale.grandTotal - (sale.totalDiscount || 0));
-    
-    if (refundAmount > remainingRefund) {
-      throw new ApiError(400, 'Refund amount exceeds sale total', 'REFUND_AMOUNT_EXCEEDED', {
-        saleTotal: sale.grandTotal,
-        maxRefund: remainingRefund,
+    // Stock, serials, warranties, balances, ledgers and the sale are updated
+    // in one transaction, so a failed step leaves the sale untouched
+    return withTransaction(async (session) => {
+      const sale = await Sale.findOne({ tenantId, saleId }).session(session);
+      
+      if (!sale) {
+        throw new ApiError(404, 'Sale not found', 'SALE_NOT_FOUND');
+      }
+      
+      if (sale.status === 'refunded') {
+        throw new ApiError(400, 'Sale is already refunded', 'SALE_ALREADY_REFUNDED');
+      }
+      
+      if (sale.status === 'cancelled') {
+        throw new ApiError(400, 'Cannot refund a cancelled sale', 'SALE_CANCELLED');
+      }
+      
+      if (sale.status === 'pending') {
+        throw new ApiError(400, 'Cannot refund a parked sale', 'SALE_PARKED');
+      }
+      
+      SaleService.assertNoOpenInstallments(sale);
+      
+      const explicitAmount = refundAmount !== undefined && refundAmount !== null;
+      const hasItems = Array.isArray(items) && items.length > 0;
+      
+      // An amount alone does not say what came back, so nothing would be
+      // restocked correctly
+      if (explicitAmount && !hasItems) {
+        throw new ApiError(400, 'Name the items a refund amount is for', 'ITEMS_REQUIRED');
+      }
+      
+      const previousState = sale.toObject();
+      
+      // Sale-level discount and tax are spread across lines in proportion to their totals
+      const lineTotalsSum = sale.lineItems.reduce((sum, line) => sum + line.total, 0);
+      const ratio = lineTotalsSum > 0 ? sale.grandTotal / lineTotalsSum : 0;
+      
+      const requestedItems = hasItems
+        ? items
+        : sale.lineItems
+          .filter(line => !isGiftCardLine(line) && line.quantity - (line.refundedQuantity || 0) > 0)
+          .map(line => ({ productId: line.productId, quantity: line.quantity - (line.refundedQuantity || 0) }));
+      
+      if (requestedItems.length === 0) {
+        throw new ApiError(400, 'No items left to refund', 'NOTHING_TO_REFUND');
+      }
+      
+      // Allocate requested quantities to line items
+      const refundItems = [];
+      let computedAmount = 0;
+      
+      for (const item of requestedItems) {
+        const quantity = Number(item.quantity);
+        
+        if (!Number.isInteger(quantity) || quantity < 1) {
+          throw new ApiError(400, 'Refund quantity must be a positive integer', 'INVALID_QUANTITY', {
+            productId: item.productId,
+          });
+        }
+        
+        const lines = sale.lineItems.filter(line => line.productId === item.productId && !isGiftCardLine(line));
+        
+        if (lines.length === 0 && sale.lineItems.some(line => line.productId === item.productId)) {
+          throw new ApiError(400, 'Gift cards cannot be refunded', 'GIFT_CARD_NOT_REFUNDABLE', {
+            productId: item.productId,
+          });
+        }
+        
+        if (lines.length === 0) {
+          throw new ApiError(400, `Product is not part of this sale: ${item.productId}`, 'ITEM_NOT_IN_SALE');
+        }
+        
+        const returnable = lines.reduce((sum, line) => sum + line.quantity - (line.refundedQuantity || 0), 0);
+        
+        if (quantity > returnable) {
+          throw new ApiError(400, `Refund quantity exceeds returnable quantity for ${lines[0].productName}`, 'REFUND_QUANTITY_EXCEEDED', {
+            productId: item.productId,
+            returnableQuantity: returnable,
+            requestedQuantity: quantity,
+          });
+        }
+        
+        // Serialized units are returned by serial, from the lines they were sold on
+        const serialized = lines.some(line => (line.serials || []).length > 0);
+        const serials = serialized ? SerialService.pickReturned(lines, item, quantity) : [];
+        
+        let remaining = quantity;
+        let amount = 0;
+        
+        for (const line of lines) {
+          const available = line.quantity - (line.refundedQuantity || 0);
+          const lineSerials = serials.filter(serial => (line.serials || []).includes(serial));
+          const take = serialized ? lineSerials.length : Math.min(available, remaining);
+          if (take <= 0) continue;
+          
+          amount += (line.total / line.quantity) * take * ratio;
+          line.refundedQuantity = (line.refundedQuantity || 0) + take;
+          if (serialized) line.returnedSerials = [...(line.returnedSerials || []), ...lineSerials];
+          remaining -= take;
+        }
+        
+        amount = roundCurrency(amount);
+        computedAmount += amount;
+        
+        refundItems.push({
+          productId: item.productId,
+          productName: lines[0].productName,
+          sku: lines[0].sku,
+          quantity,
+          amount,
+          restocked: item.restock !== false,
+          ...(serials.length > 0 && { serials }),
+        });
+      }
+      
+      // The items' value, but never more than is left to refund on the sale
+      const maxRefund = Math.min(
+        roundCurrency(computedAmount),
+        roundCurrency(sale.grandTotal - (sale.totalRefunded || 0))
+      );
+      const amount = explicitAmount ? roundCurrency(Number(refundAmount)) : maxRefund;
+      
+      if (!Number.isFinite(amount) || amount < 0) {
+        throw new ApiError(400, 'Refund amount must be a non-negative number', 'INVALID_REFUND_AMOUNT');
+      }
+      
+      if (amount > maxRefund) {
+        throw new ApiError(400, 'Refund amount exceeds the value of the items returned', 'REFUND_AMOUNT_EXCEEDED', {
+          saleTotal: sale.grandTotal,
+          itemsValue: roundCurrency(computedAmount),
+          maxRefund,
+        });
+      }
+      
+      // What was paid comes back out of the tenders in proportion to what
+      // each paid. With the original method the cash share has to come out
+      // of an open register, card shares go back on the cards and the
+      // trade-in share becomes store credit (the shop keeps the device).
+      const paidAmount = roundCurrency(amount - Math.min(amount, sale.balanceDue || 0));
+      const tenderShares = paidAmount > 0
+        ? SaleService.allocateToTenders(SaleService.tendersLeft(sale), paidAmount)
+        : [];
+      let cashAmount = 0;
+      let registerSession = null;
+      
+      if (refundMethod === 'original') {
+        cashAmount = roundCurrency(tenderShares
+          .filter(t => t.method === 'cash')
+          .reduce((sum, t) => sum + t.amount, 0));
+        
+        if (cashAmount > 0) {
+          registerSession = await RegisterService.requireOpenSession(tenantId, { terminalId, staffId: userId });
+        }
+      }
+      
+      // Restock only the units that actually came back
+      for (const item of refundItems) {
+        if (!item.restocked) continue;
+        
+        await SaleService.restock(tenantId, item.productId, item.quantity, session);
+      }
+      
+      const refundId = await Sale.generateRefundId();
+      
+      for (const item of refundItems) {
+        await SerialService.markReturned(tenantId, saleId, item.serials || [], {
+          restocked: item.restocked,
+          invoiceNumber: sale.invoiceNumber,
+          refundId,
+          notes: reason,
+          staffId: userId,
+          staffName: userName,
+          session,
+        });
+      }
+      
+      await WarrantyService.releaseForRefund(tenantId, saleId, refundItems, { session });
+      
+      sale.refunds.push({
+        refundId,
+        items: refundItems,
+        amount,
+        refundMethod,
+        tenders: tenderShares,
+        cashAmount,
+        registerSessionId: registerSession?.sessionId,
+        reason,
+        staffId: userId,
+        staffName: userName,
+        createdAt: new Date(),
       });
-    }
-    
-    // Restore stock for refunded items
-    for (const item of sale.lineItems) {
-      const product = await Product.findOne({ tenantId, productId: item.productId });
-      if (product && product.trackInventory) {
-        product.stockQuantity += item.quantity;
-        await product.save();
+      sale.totalRefunded = roundCurrency((sale.totalRefunded || 0) + amount);
+      
+      // On credit sales the refund first comes off what the customer still owes
+      const debtReduction = Math.min(amount, sale.balanceDue || 0);
+      if (debtReduction > 0) {
+        sale.balanceDue = roundCurrency(sale.balanceDue - debtReduction);
+        
+        if (sale.customer?.customerId) {
+          await CustomerService.postLedgerEntry(tenantId, sale.customer.customerId, {
+            type: 'refund',
+            amount: debtReduction,
+            saleId,
+            invoiceNumber: sale.invoiceNumber,
+            notes: reason,
+            staffId: userId,
+            staffName: userName,
+          }, { session });
+        }
       }
-    }
-    
-    // Update sale status
-    sale.status = 'refunded';
-    sale.paymentStatus = 'refunded';
-    sale.notes = `${sale.notes || ''}\n\nRefund reason: ${reason} | Amount: ${refundAmount}`.trim();
-    
-    await sale.save();
-    
-    // Audit log
-    await AuditLog.log({
-      userId,
-      tenantId,
-      userName,
-      userRole: null,
-      action: 'SALE_REFUND',
-      resource: { type: 'sale', id: saleId, name: sale.invoiceNumber },
-      previousState,
-      newState: sale.toObject(),
-      details: { refundAmount, reason },
-      status: 'success',
+      
+      // Gift card and store credit tenders get their share back on the card
+      if (refundMethod === 'original') {
+        await GiftCardService.restoreTenders(tenantId, sale, tenderShares, {
+          notes: reason,
+          staffId: userId,
+          staffName: userName,
+        }, { session, ledgerType: 'refund_credit' });
+      }
+      
+      // The rest of the refund goes onto store credit when asked for, and
+      // the trade-in share always does
+      const storeCreditAmount = refundMethod === 'store_credit'
+        ? roundCurrency(amount - debtReduction)
+        : roundCurrency(tenderShares.filter(t => t.method === 'trade_in').reduce((sum, t) => sum + t.amount, 0));
+      let creditCode;
+      if (storeCreditAmount > 0) {
+        creditCode = await GiftCardService.creditRefund(tenantId, sale, storeCreditAmount, {
+          code: storeCreditCode,
+          notes: reason,
+          staffId: userId,
+          staffName: userName,
+          session,
+        });
+        sale.refunds[sale.refunds.length - 1].storeCreditCode = creditCode;
+      }
+      
+      // Sale stays partial until every unit has been returned
+      const fullyReturned = sale.lineItems
+        .filter(line => !isGiftCardLine(line))
+        .every(line => (line.refundedQuantity || 0) >= line.quantity);
+      
+      // Points follow the refunded share of the sale
+      const loyaltyReversal = await LoyaltyService.reverseForSale(
+        tenantId,
+        sale,
+        fullyReturned ? 1 : (sale.grandTotal > 0 ? amount / sale.grandTotal : 0),
+        { notes: reason, staffId: userId, staffName: userName },
+        { session }
+      );
+      
+      if (fullyReturned) {
+        sale.status = 'refunded';
+        sale.paymentStatus = 'refunded';
+      } else if (sale.balanceDue > 0) {
+        sale.paymentStatus = SaleService.getPaymentStatus(sale.amountPaid, sale.balanceDue);
+      } else {
+        sale.paymentStatus = 'partial';
+      }
+      
+      sale.notes = `${sale.notes || ''}\n\nRefund reason: ${reason} | Amount: ${amount}`.trim();
+      
+      await sale.save({ session });
+      
+      // Audit log
+      await AuditLog.log({
+        userId,
+        tenantId,
+        userName,
+        userRole: null,
+        action: 'SALE_REFUND',
+        resource: { type: 'sale', id: saleId, name: sale.invoiceNumber },
+        previousState,
+        newState: sale.toObject(),
+        details: {
+          refundId,
+          refundAmount: amount,
+          items: refundItems,
+          reason,
+          partial: !fullyReturned,
+          refundMethod,
+          ...(cashAmount > 0 && { cashAmount, registerSessionId: registerSession.sessionId }),
+          ...(creditCode && { storeCreditAmount }),
+          ...(sale.loyalty?.customerId && loyaltyReversal),
+        },
+        status: 'success',
+      }, { session });
+      
+      return sale;
     });
-    
-    return sale;
   }
   
   /**
@@ -316,32 +1882,162 @@ class SaleService {
     // Calculate summary
     let totalSales = 0;
     let totalDiscount = 0;
+    let totalRefunded = 0;
     let totalItems = 0;
     
     sales.forEach(sale => {
       totalSales += sale.grandTotal;
       totalDiscount += sale.totalDiscount || 0;
+      totalRefunded += sale.totalRefunded || 0;
       totalItems += sale.lineItems.reduce((sum, item) => sum + item.quantity, 0);
     });
     
-    // Sales by payment method
+    // Sales by payment method, split per tender
     const salesByPaymentMethod = {};
     sales.forEach(sale => {
-      if (!salesByPaymentMethod[sale.paymentMethod]) {
-        salesByPaymentMethod[sale.paymentMethod] = { count: 0, total: 0 };
-      }
-      salesByPaymentMethod[sale.paymentMethod].count++;
-      salesByPaymentMethod[sale.paymentMethod].total += sale.grandTotal;
+      const tenders = sale.payments && sale.payments.length > 0
+        ? sale.payments
+        : [{ method: sale.paymentMethod, amount: sale.grandTotal }];
+      
+      const counted = new Set();
+      tenders.forEach(tender => {
+        if (!salesByPaymentMethod[tender.method]) {
+          salesByPaymentMethod[tender.method] = { count: 0, total: 0 };
+        }
+        if (!counted.has(tender.method)) {
+          salesByPaymentMethod[tender.method].count++;
+          counted.add(tender.method);
+        }
+        salesByPaymentMethod[tender.method].total += tender.amount;
+      });
+    });
+    
+    // Sales by model - variants roll up under the parent product they have
+    // now, so variants grouped after they were sold are counted with it.
+    // Products since deleted keep the parent stored on the line.
+    const productIds = [...new Set(sales.flatMap(sale => sale.lineItems.map(item => item.productId).filter(Boolean)))];
+    const products = productIds.length > 0
+      ? await Product.find({ tenantId, productId: { $in: productIds } }).select('productId parentId')
+      : [];
+    const currentParent = new Map(products.map(product => [product.productId, product.parentId || null]));
+    
+    const models = {};
+    sales.forEach(sale => {
+      sale.lineItems.forEach(item => {
+        if (!item.productId) return;
+        
+        const parentId = currentParent.has(item.productId) ? currentParent.get(item.productId) : item.parentId;
+        const key = parentId || item.productId;
+        
+        if (!models[key]) {
+          models[key] = parentId
+            ? { parentId, name: null, variants: new Set(), quantity: 0, revenue: 0 }
+            : { productId: item.productId, name: item.productName, quantity: 0, revenue: 0 };
+        }
+        if (parentId) models[key].variants.add(item.productId);
+        models[key].quantity += item.quantity;
+        models[key].revenue += item.total;
+      });
     });
     
+    const parentIds = Object.values(models).filter(model => model.parentId).map(model => model.parentId);
+    const parents = parentIds.length > 0
+      ? await ParentProduct.find({ tenantId, parentId: { $in: parentIds } }).select('parentId name')
+      : [];
+    
+    const salesByModel = Object.values(models)
+      .map(model => (model.parentId
+        ? {
+          ...model,
+          name: parents.find(parent => parent.parentId === model.parentId)?.name || model.parentId,
+          variants: model.variants.size,
+          revenue: roundCurrency(model.revenue),
+        }
+        : { ...model, revenue: roundCurrency(model.revenue) }))
+      .sort((a, b) => b.revenue - a.revenue);
+    
     return {
       period: { startDate, endDate },
       totalSales: sales.length,
       totalRevenue: totalSales,
       totalDiscount,
+      totalRefunded,
+      netRevenue: totalSales - totalRefunded,
       totalItemsSold: totalItems,
       averageOrderValue: sales.length > 0 ? totalSales / sales.length : 0,
       salesByPaymentMethod,
+      salesByModel,
+    };
+  }
+  
+  /**
+   * Tax report - tax collected per class/rate for a period
+   * Refunded amounts are taken back in proportion to each sale's refunds.
+   */
+  static async getTaxReport(tenantId, startDate, endDate) {
+    const sales = await Sale.find({
+      tenantId,
+      status: { $in: ['completed', 'refunded'] },
+      createdAt: {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate),
+      },
+    }).select('taxBreakdown grandTotal totalRefunded');
+    
+    const rates = {};
+    const totals = {
+      taxableAmount: 0,
+      taxAmount: 0,
+      refundedTaxableAmount: 0,
+      refundedTaxAmount: 0,
+    };
+    
+    sales.forEach(sale => {
+      const refundRatio = sale.grandTotal > 0 ? (sale.totalRefunded || 0) / sale.grandTotal : 0;
+      
+      (sale.taxBreakdown || []).forEach(entry => {
+        const key = `${entry.taxClass || ''}:${entry.rate}`;
+        if (!rates[key]) {
+          rates[key] = {
+            taxClass: entry.taxClass,
+            name: entry.name,
+            rate: entry.rate,
+            salesCount: 0,
+            taxableAmount: 0,
+            taxAmount: 0,
+            refundedTaxableAmount: 0,
+            refundedTaxAmount: 0,
+          };
+        }
+        
+        const row = rates[key];
+        const refundedTaxable = roundCurrency(entry.taxableAmount * refundRatio);
+        const refundedTax = roundCurrency(entry.taxAmount * refundRatio);
+        
+        row.salesCount++;
+        row.taxableAmount = roundCurrency(row.taxableAmount + entry.taxableAmount);
+        row.taxAmount = roundCurrency(row.taxAmount + entry.taxAmount);
+        row.refundedTaxableAmount = roundCurrency(row.refundedTaxableAmount + refundedTaxable);
+        row.refundedTaxAmount = roundCurrency(row.refundedTaxAmount + refundedTax);
+        
+        totals.taxableAmount = roundCurrency(totals.taxableAmount + entry.taxableAmount);
+        totals.taxAmount = roundCurrency(totals.taxAmount + entry.taxAmount);
+        totals.refundedTaxableAmount = roundCurrency(totals.refundedTaxableAmount + refundedTaxable);
+        totals.refundedTaxAmount = roundCurrency(totals.refundedTaxAmount + refundedTax);
+      });
+    });
+    
+    const withNet = (row) => ({
+      ...row,
+      netTaxableAmount: roundCurrency(row.taxableAmount - row.refundedTaxableAmount),
+      netTaxAmount: roundCurrency(row.taxAmount - row.refundedTaxAmount),
+    });
+    
+    return {
+      period: { startDate, endDate },
+      totalSales: sales.length,
+      rates: Object.values(rates).sort((a, b) => b.rate - a.rate).map(withNet),
+      totals: withNet(totals),
     };
   }
 }
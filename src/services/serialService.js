@@ -0,0 +1,556 @@
+const SerialNumber = require('../models/SerialNumber');
+const Product = require('../models/Product');
+const Sale = require('../models/Sale');
+const AuditLog = require('../models/AuditLog');
+const { ApiError } = require('../middleware/errorHandler');
+const { withTransaction } = require('../config/database');
+
+// Maximum number of serials received in one stock-in
+const MAX_RECEIVE_BATCH = 500;
+
+const normalize = (serial) => String(serial == null ? '' : serial).trim().toUpperCase();
+
+/**
+ * Serial Service - Tracks serialized units (IMEIs, serial numbers) from
+ * stock-in through sale, return and write-off
+ */
+class SerialService {
+  /**
+   * Receive units of a serialized product into stock by serial
+   *
+   * Units that came back faulty or were written off can be received again
+   * once repaired; serials that are in stock or sold are rejected.
+   */
+  static async receive(tenantId, userId, userName, productId, serials, reason = '') {
+    const product = await Product.findOne({ tenantId, productId });
+    
+    if (!product) {
+      throw new ApiError(404, 'Product not found', 'PRODUCT_NOT_FOUND');
+    }
+    
+    if (!product.isSerialized) {
+      throw new ApiError(400, `Product is not serialized: ${product.name}`, 'PRODUCT_NOT_SERIALIZED');
+    }
+    
+    if (!Array.isArray(serials) || serials.length === 0) {
+      throw new ApiError(400, 'Serials must be a non-empty array', 'INVALID_SERIAL');
+    }
+    
+    if (serials.length > MAX_RECEIVE_BATCH) {
+      throw new ApiError(400, `At most ${MAX_RECEIVE_BATCH} serials can be received at once`, 'SERIAL_BATCH_TOO_LARGE');
+    }
+    
+    const codes = SerialService.normalizeList(serials);
+    
+    const existing = await SerialNumber.find({ tenantId, serial: { $in: codes } });
+    const taken = existing.filter(unit => unit.productId !== productId || ['in_stock', 'sold'].includes(unit.status));
+    
+    if (taken.length > 0) {
+      throw new ApiError(409, 'Serials are already recorded', 'SERIAL_EXISTS', {
+        serials: taken.map(unit => ({ serial: unit.serial, productId: unit.productId, status: unit.status })),
+      });
+    }
+    
+    const event = { event: 'received', notes: reason, staffId: userId, staffName: userName, at: new Date() };
+    const returning = existing.map(unit => unit.serial);
+    
+    const updated = await withTransaction(async (session) => {
+      if (returning.length > 0) {
+        const back = await SerialNumber.updateMany(
+          { tenantId, productId, serial: { $in: returning }, status: { $in: ['returned', 'removed'] } },
+          { $set: { status: 'in_stock', updatedAt: new Date() }, $push: { history: event } },
+          { session }
+        );
+        
+        if (back.modifiedCount !== returning.length) {
+          throw new ApiError(409, 'Serials changed while being received', 'SERIAL_EXISTS');
+        }
+      }
+      
+      const newUnits = [];
+      for (const serial of codes.filter(code => !returning.includes(code))) {
+        newUnits.push({
+          serialNumberId: await SerialNumber.generateSerialNumberId(),
+          tenantId,
+          productId,
+          productName: product.name,
+          sku: product.sku,
+          serial,
+          receivedBy: userId,
+          history: [event],
+        });
+      }
+      
+      if (newUnits.length > 0) {
+        await SerialNumber.insertMany(newUnits, { session });
+      }
+      
+      const result = await Product.findOneAndUpdate(
+        { tenantId, productId },
+        { $inc: { stockQuantity: codes.length }, $set: { updatedBy: userId, updatedAt: new Date() } },
+        { new: true, session }
+      );
+      
+      // Audit log
+      await AuditLog.log({
+        userId,
+        tenantId,
+        userName,
+        userRole: null,
+        action: 'PRODUCT_STOCK_UPDATE',
+        resource: { type: 'product', id: productId, name: product.name },
+        details: {
+          reason,
+          previousStock: result.stockQuantity - codes.length,
+          newStock: result.stockQuantity,
+          change: codes.length,
+          serials: codes,
+        },
+        status: 'success',
+      }, { session });
+      
+      return result;
+    });
+    
+    return {
+      product: updated,
+      serials: codes,
+      stockChange: {
+        previous: updated.stockQuantity - codes.length,
+        new: updated.stockQuantity,
+        change: codes.length,
+      },
+    };
+  }
+  
+  /**
+   * Write off an in-stock unit (lost, stolen, damaged)
+   */
+  static async remove(tenantId, userId, userName, serial, reason = '') {
+    const code = normalize(serial);
+    
+    const result = await withTransaction(async (session) => {
+      const unit = await SerialNumber.findOneAndUpdate(
+        { tenantId, serial: code, status: 'in_stock' },
+        {
+          $set: { status: 'removed', updatedAt: new Date() },
+          $push: { history: { event: 'removed', notes: reason, staffId: userId, staffName: userName, at: new Date() } },
+        },
+        { new: true, session }
+      );
+      
+      if (!unit) {
+        await SerialService.getBySerial(tenantId, code);
+        throw new ApiError(400, 'Only units in stock can be written off', 'SERIAL_NOT_AVAILABLE');
+      }
+      
+      const product = await Product.findOneAndUpdate(
+        { tenantId, productId: unit.productId, stockQuantity: { $gte: 1 } },
+        { $inc: { stockQuantity: -1 }, $set: { updatedBy: userId, updatedAt: new Date() } },
+        { new: true, session }
+      );
+      
+      // Audit log
+      await AuditLog.log({
+        userId,
+        tenantId,
+        userName,
+        userRole: null,
+        action: 'PRODUCT_STOCK_UPDATE',
+        resource: { type: 'product', id: unit.productId, name: unit.productName },
+        details: {
+          reason,
+          ...(product && { previousStock: product.stockQuantity + 1, newStock: product.stockQuantity }),
+          change: -1,
+          serials: [code],
+        },
+        status: 'success',
+      }, { session });
+      
+      return unit;
+    });
+    
+    return result;
+  }
+  
+  /**
+   * Get a unit by its serial, with its sale and return history
+   */
+  static async getBySerial(tenantId, serial) {
+    const unit = await SerialNumber.findOne({ tenantId, serial: normalize(serial) });
+    
+    if (!unit) {
+      throw new ApiError(404, 'Serial number not found', 'SERIAL_NOT_FOUND');
+    }
+    
+    return unit;
+  }
+  
+  /**
+   * Get all units with pagination and filters
+   */
+  static async getAll(tenantId, options = {}) {
+    const {
+      page = 1,
+      limit = 50,
+      sort = '-receivedAt',
+      productId,
+      status,
+      customerId,
+      search,
+    } = options;
+    
+    const filter = { tenantId };
+    
+    if (productId) filter.productId = productId;
+    if (status) filter.status = status;
+    if (customerId) filter['customer.customerId'] = customerId;
+    if (search) filter.serial = { $regex: search, $options: 'i' };
+    
+    const skip = (page - 1) * limit;
+    
+    const [serials, total] = await Promise.all([
+      SerialNumber.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit),
+      SerialNumber.countDocuments(filter),
+    ]);
+    
+    return {
+      serials,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+  
+  /**
+   * Get the serials sold on a sale, line by line
+   */
+  static async getForSale(tenantId, saleId) {
+    const sale = await Sale.findOne({ tenantId, saleId });
+    
+    if (!sale) {
+      throw new ApiError(404, 'Sale not found', 'SALE_NOT_FOUND');
+    }
+    
+    const lines = sale.lineItems.filter(line => (line.serials || []).length > 0);
+    const units = await SerialNumber.find({
+      tenantId,
+      serial: { $in: lines.flatMap(line => line.serials) },
+    });
+    const statusOf = new Map(units.map(unit => [unit.serial, unit.status]));
+    
+    return {
+      saleId: sale.saleId,
+      invoiceNumber: sale.invoiceNumber,
+      customer: sale.customer,
+      createdAt: sale.createdAt,
+      items: lines.map(line => ({
+        productId: line.productId,
+        productName: line.productName,
+        sku: line.sku,
+        serials: line.serials.map(serial => ({
+          serial,
+          returned: (line.returnedSerials || []).includes(serial),
+          status: statusOf.get(serial),
+        })),
+      })),
+    };
+  }
+  
+  /**
+   * Upper-case a list of serials and reject blanks and repeats
+   */
+  static normalizeList(serials) {
+    const codes = serials.map(normalize);
+    
+    if (codes.some(code => !code)) {
+      throw new ApiError(400, 'Serials cannot be blank', 'INVALID_SERIAL');
+    }
+    
+    const repeated = codes.filter((code, index) => codes.indexOf(code) !== index);
+    if (repeated.length > 0) {
+      throw new ApiError(400, 'Serials are listed more than once', 'DUPLICATE_SERIAL', { serials: [...new Set(repeated)] });
+    }
+    
+    return codes;
+  }
+  
+  /**
+   * Check the serials given for a sale line
+   *
+   * A serialized product's line names one serial per unit, each a unit of
+   * that product. With checkAvailable the units must also be in stock.
+   * Without requireSerials (parked carts, quotes) they may be left out.
+   * Returns the normalized serials.
+   */
+  static async prepareLine(tenantId, product, item, options = {}) {
+    const { requireSerials = true, checkAvailable = true } = options;
+    const given = Array.isArray(item.serials) ? item.serials : [];
+    
+    if (!product.isSerialized) {
+      if (given.length > 0) {
+        throw new ApiError(400, `Product is not serialized: ${product.name}`, 'PRODUCT_NOT_SERIALIZED');
+      }
+      return [];
+    }
+    
+    if (given.length === 0 && !requireSerials) return [];
+    
+    if (given.length !== item.quantity) {
+      throw new ApiError(400, `Choose one serial per unit of ${product.name}`, 'SERIALS_REQUIRED', {
+        productId: product.productId,
+        quantity: item.quantity,
+        serials: given.length,
+      });
+    }
+    
+    const codes = SerialService.normalizeList(given);
+    const units = await SerialNumber.find({ tenantId, productId: product.productId, serial: { $in: codes } });
+    
+    const missing = codes.filter(code => !units.some(unit => unit.serial === code));
+    if (missing.length > 0) {
+      throw new ApiError(404, `Serials not found for ${product.name}`, 'SERIAL_NOT_FOUND', { serials: missing });
+    }
+    
+    const unavailable = units.filter(unit => unit.status !== 'in_stock');
+    if (checkAvailable && unavailable.length > 0) {
+      throw new ApiError(409, `Serials are not in stock for ${product.name}`, 'SERIAL_NOT_AVAILABLE', {
+        serials: unavailable.map(unit => ({ serial: unit.serial, status: unit.status })),
+      });
+    }
+    
+    return codes;
+  }
+  
+  /**
+   * Mark a sale's units sold, inside the sale's transaction
+   *
+   * Each unit is taken with a guarded update so two checkouts cannot sell
+   * the same one. With force (sales recorded offline, which already
+   * happened) units that were not in stock are taken anyway and returned
+   * so the sale can be flagged.
+   */
+  static async markSold(tenantId, sale, options = {}) {
+    const { session = null, force = false, staffId, staffName } = options;
+    const conflicts = [];
+    
+    for (const line of sale.lineItems) {
+      for (const serial of line.serials || []) {
+        const previous = await SerialNumber.findOneAndUpdate(
+          {
+            tenantId,
+            productId: line.productId,
+            serial,
+            ...(!force && { status: 'in_stock' }),
+          },
+          {
+            $set: {
+              status: 'sold',
+              saleId: sale.saleId,
+              invoiceNumber: sale.invoiceNumber,
+              customer: {
+                customerId: sale.customer?.customerId,
+                name: sale.customer?.name,
+                phone: sale.customer?.phone,
+              },
+              soldAt: sale.createdAt || new Date(),
+              updatedAt: new Date(),
+            },
+            $push: {
+              history: {
+                event: 'sold',
+                saleId: sale.saleId,
+                invoiceNumber: sale.invoiceNumber,
+                staffId,
+                staffName,
+                at: new Date(),
+              },
+            },
+          },
+          { new: false, session }
+        );
+        
+        if (!previous) {
+          throw new ApiError(409, `Serial is not in stock: ${serial}`, 'SERIAL_NOT_AVAILABLE', { serials: [serial] });
+        }
+        
+        if (previous.status !== 'in_stock') conflicts.push(serial);
+      }
+    }
+    
+    return conflicts;
+  }
+  
+  /**
+   * Work out which serials a refund item returns
+   *
+   * Serials named in the request must be unreturned units of the item's
+   * lines. They can be left out only when every remaining unit comes back.
+   */
+  static pickReturned(lines, item, quantity) {
+    const unreturned = lines.flatMap(line => (line.serials || [])
+      .filter(serial => !(line.returnedSerials || []).includes(serial)));
+    
+    if (!Array.isArray(item.serials) || item.serials.length === 0) {
+      if (quantity !== unreturned.length) {
+        throw new ApiError(400, `Choose the serials being returned for ${lines[0].productName}`, 'SERIALS_REQUIRED', {
+          productId: item.productId,
+          quantity,
+          unreturned,
+        });
+      }
+      return unreturned;
+    }
+    
+    const codes = SerialService.normalizeList(item.serials);
+    
+    if (codes.length !== quantity) {
+      throw new ApiError(400, `Choose one serial per unit returned of ${lines[0].productName}`, 'SERIALS_REQUIRED', {
+        productId: item.productId,
+        quantity,
+        serials: codes.length,
+      });
+    }
+    
+    const foreign = codes.filter(code => !unreturned.includes(code));
+    if (foreign.length > 0) {
+      throw new ApiError(400, 'Serials were not sold on this sale or are already returned', 'SERIAL_NOT_IN_SALE', {
+        serials: foreign,
+      });
+    }
+    
+    return codes;
+  }
+  
+  /**
+   * Mark refunded units returned; restocked units go back into stock
+   */
+  static async markReturned(tenantId, saleId, serials, options = {}) {
+    const { session = null, restocked = true, invoiceNumber, refundId, notes, staffId, staffName } = options;
+    
+    if (serials.length === 0) return;
+    
+    const at = new Date();
+    const events = [{ event: 'returned', saleId, invoiceNumber, refundId, notes, staffId, staffName, at }];
+    if (restocked) events.push({ event: 'restocked', saleId, invoiceNumber, refundId, staffId, staffName, at });
+    
+    await SerialNumber.updateMany(
+      { tenantId, saleId, serial: { $in: serials } },
+      { $set: { status: restocked ? 'in_stock' : 'returned', updatedAt: at }, $push: { history: { $each: events } } },
+      { session }
+    );
+  }
+  
+  /**
+   * Put a cancelled sale's units back into stock
+   */
+  static async restoreForSale(tenantId, sale, options = {}) {
+    const { session = null, notes, staffId, staffName } = options;
+    
+    const serials = sale.lineItems.flatMap(line => (line.serials || [])
+      .filter(serial => !(line.returnedSerials || []).includes(serial)));
+    
+    if (serials.length === 0) return;
+    
+    await SerialNumber.updateMany(
+      { tenantId, saleId: sale.saleId, serial: { $in: serials }, status: 'sold' },
+      {
+        $set: { status: 'in_stock', updatedAt: new Date() },
+        $push: {
+          history: {
+            event: 'cancelled',
+            saleId: sale.saleId,
+            invoiceNumber: sale.invoiceNumber,
+            notes,
+            staffId,
+            staffName,
+            at: new Date(),
+          },
+        },
+      },
+      { session }
+    );
+  }
+  
+  /**
+   * Take a traded-in unit into stock under the used product it is resold as,
+   * inside the sale's transaction. A unit the shop sold before keeps its
+   * record and history.
+   */
+  static async receiveTradeIn(tenantId, product, serial, options = {}) {
+    const { session = null, saleId, invoiceNumber, notes, staffId, staffName } = options;
+    const code = normalize(serial);
+    const event = { event: 'traded_in', saleId, invoiceNumber, notes, staffId, staffName, at: new Date() };
+    
+    const existing = await SerialNumber.findOne({ tenantId, serial: code }).session(session);
+    
+    if (existing?.status === 'in_stock') {
+      throw new ApiError(409, `Serial is already in stock: ${code}`, 'SERIAL_EXISTS', {
+        serials: [{ serial: code, productId: existing.productId, status: existing.status }],
+      });
+    }
+    
+    if (existing) {
+      existing.productId = product.productId;
+      existing.productName = product.name;
+      existing.sku = product.sku;
+      existing.status = 'in_stock';
+      existing.receivedBy = staffId;
+      existing.receivedAt = new Date();
+      existing.history.push(event);
+      await existing.save({ session });
+    } else {
+      await SerialNumber.create([{
+        serialNumberId: await SerialNumber.generateSerialNumberId(),
+        tenantId,
+        productId: product.productId,
+        productName: product.name,
+        sku: product.sku,
+        serial: code,
+        receivedBy: staffId,
+        history: [event],
+      }], { session });
+    }
+    
+    await Product.updateOne(
+      { tenantId, productId: product.productId },
+      { $inc: { stockQuantity: 1 }, $set: { updatedAt: new Date() } },
+      { session }
+    );
+  }
+  
+  /**
+   * Hand a traded-in unit back when its sale is cancelled; false when it has
+   * already left stock
+   */
+  static async releaseTradeIn(tenantId, productId, serial, options = {}) {
+    const { session = null, saleId, invoiceNumber, notes, staffId, staffName } = options;
+    
+    const unit = await SerialNumber.findOneAndUpdate(
+      { tenantId, productId, serial: normalize(serial), status: 'in_stock' },
+      {
+        $set: { status: 'removed', updatedAt: new Date() },
+        $push: { history: { event: 'cancelled', saleId, invoiceNumber, notes, staffId, staffName, at: new Date() } },
+      },
+      { session }
+    );
+    
+    if (!unit) return false;
+    
+    await Product.updateOne(
+      { tenantId, productId, stockQuantity: { $gte: 1 } },
+      { $inc: { stockQuantity: -1 }, $set: { updatedAt: new Date() } },
+      { session }
+    );
+    
+    return true;
+  }
+}
+
+module.exports = SerialService;
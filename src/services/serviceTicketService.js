@@ -0,0 +1,515 @@
+const ServiceTicket = require('../models/ServiceTicket');
+const Product = require('../models/Product');
+const Staff = require('../models/Staff');
+const AuditLog = require('../models/AuditLog');
+const SaleService = require('./saleService');
+const { withTransaction } = require('../config/database');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Statuses in which the repair is finished and parts can no longer change
+const CLOSED_STATUSES = ['collected', 'cancelled'];
+
+/**
+ * Service Ticket Service - Books devices in for repair, tracks the repair
+ * through its workflow and checks the final charge out as a sale
+ */
+class ServiceTicketService {
+  /**
+   * Book a device in for repair
+   */
+  static async create(tenantId, userId, userName, ticketData = {}) {
+    const { customer, device, reportedFault, estimate, labourCharge, notes } = ticketData;
+    
+    if (!reportedFault) {
+      throw new ApiError(400, 'Reported fault is required', 'MISSING_FIELDS');
+    }
+    
+    if (!customer?.name || !customer?.phone) {
+      throw new ApiError(400, 'Customer name and phone are required', 'MISSING_FIELDS');
+    }
+    
+    const ticket = new ServiceTicket({
+      ticketId: await ServiceTicket.generateTicketId(),
+      tenantId,
+      ticketNumber: await ServiceTicket.generateTicketNumber(tenantId),
+      customer: {
+        customerId: customer.customerId,
+        name: customer.name,
+        phone: String(customer.phone).trim(),
+        email: customer.email,
+      },
+      device,
+      reportedFault,
+      estimate,
+      labourCharge: labourCharge || 0,
+      history: [{ status: 'received', notes, staffId: userId, staffName: userName }],
+      createdBy: userId,
+      updatedBy: userId,
+    });
+    
+    await ticket.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'SERVICE_TICKET_CREATE',
+      resource: { type: 'service_ticket', id: ticket.ticketId, name: ticket.ticketNumber },
+      details: { customerPhone: ticket.customer.phone, device: ticket.device, reportedFault },
+      status: 'success',
+    });
+    
+    return ticket;
+  }
+  
+  /**
+   * Get ticket by ID
+   */
+  static async getById(tenantId, ticketId, session = null) {
+    const ticket = await ServiceTicket.findOne({ tenantId, ticketId }).session(session);
+    
+    if (!ticket) {
+      throw new ApiError(404, 'Service ticket not found', 'TICKET_NOT_FOUND');
+    }
+    
+    return ticket;
+  }
+  
+  /**
+   * Get tickets with pagination, filterable by status, customer phone and
+   * technician, searchable by ticket number, customer name or device
+   */
+  static async getAll(tenantId, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = '-createdAt',
+      status,
+      phone,
+      technicianId,
+      search,
+    } = options;
+    
+    const filter = { tenantId };
+    
+    if (status) filter.status = status;
+    if (phone) filter['customer.phone'] = phone.trim();
+    if (technicianId) filter['technician.staffId'] = technicianId;
+    if (search) {
+      filter.$or = [
+        { ticketNumber: { $regex: search, $options: 'i' } },
+        { 'customer.name': { $regex: search, $options: 'i' } },
+        { 'device.brand': { $regex: search, $options: 'i' } },
+        { 'device.model': { $regex: search, $options: 'i' } },
+        { 'device.serial': { $regex: search, $options: 'i' } },
+      ];
+    }
+    
+    const skip = (page - 1) * limit;
+    
+    const [tickets, total] = await Promise.all([
+      ServiceTicket.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit),
+      ServiceTicket.countDocuments(filter),
+    ]);
+    
+    return {
+      tickets,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+  
+  /**
+   * Update intake details, diagnosis, estimate or labour charge
+   */
+  static async update(tenantId, userId, userName, ticketId, updateData = {}) {
+    const ticket = await ServiceTicketService.getById(tenantId, ticketId);
+    
+    if (CLOSED_STATUSES.includes(ticket.status)) {
+      throw new ApiError(400, `Ticket is ${ticket.status}`, 'TICKET_CLOSED');
+    }
+    
+    const allowedFields = ['device', 'reportedFault', 'diagnosis', 'estimate', 'labourCharge'];
+    const changes = {};
+    
+    allowedFields.forEach(field => {
+      if (updateData[field] !== undefined) {
+        changes[field] = updateData[field];
+      }
+    });
+    
+    if (changes.labourCharge !== undefined && !(Number(changes.labourCharge) >= 0)) {
+      throw new ApiError(400, 'Labour charge cannot be negative', 'INVALID_AMOUNT');
+    }
+    
+    // A changed estimate has to be approved again
+    if (changes.estimate) {
+      changes.estimate = { amount: changes.estimate.amount, notes: changes.estimate.notes };
+    }
+    
+    Object.assign(ticket, changes);
+    ticket.updatedBy = userId;
+    
+    await ticket.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'SERVICE_TICKET_UPDATE',
+      resource: { type: 'service_ticket', id: ticketId, name: ticket.ticketNumber },
+      details: { changes },
+      status: 'success',
+    });
+    
+    return ticket;
+  }
+  
+  /**
+   * Assign the ticket to an active member of staff
+   */
+  static async assignTechnician(tenantId, userId, userName, ticketId, staffId) {
+    const ticket = await ServiceTicketService.getById(tenantId, ticketId);
+    
+    if (CLOSED_STATUSES.includes(ticket.status)) {
+      throw new ApiError(400, `Ticket is ${ticket.status}`, 'TICKET_CLOSED');
+    }
+    
+    const staff = await Staff.findOne({ tenantId, staffId, status: 'active' });
+    
+    if (!staff) {
+      throw new ApiError(404, 'Staff member not found', 'STAFF_NOT_FOUND');
+    }
+    
+    const previousTechnician = ticket.technician?.name;
+    
+    ticket.technician = { staffId: staff.staffId, userId: staff.userId, name: staff.name };
+    ticket.updatedBy = userId;
+    
+    await ticket.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'SERVICE_TICKET_UPDATE',
+      resource: { type: 'service_ticket', id: ticketId, name: ticket.ticketNumber },
+      details: { previousTechnician, technician: staff.name },
+      status: 'success',
+    });
+    
+    return ticket;
+  }
+  
+  /**
+   * Move a ticket along its workflow
+   *
+   * Moving from awaiting_approval to in_repair records the customer's
+   * approval of the estimate. Cancelling puts the parts back into stock.
+   */
+  static async updateStatus(tenantId, userId, userName, ticketId, updateData = {}) {
+    const { status, notes } = updateData;
+    
+    // The restock on cancel and the ticket update are committed together
+    return withTransaction(async (session) => {
+      const ticket = await ServiceTicketService.getById(tenantId, ticketId, session);
+      const previousStatus = ticket.status;
+      
+      if (!ServiceTicket.TICKET_TRANSITIONS[previousStatus].includes(status)) {
+        throw new ApiError(400, `Ticket cannot move from ${previousStatus} to ${status}`, 'INVALID_TICKET_TRANSITION', {
+          status: previousStatus,
+          allowed: ServiceTicket.TICKET_TRANSITIONS[previousStatus],
+        });
+      }
+      
+      if (previousStatus === 'awaiting_approval' && status === 'in_repair') {
+        ticket.set('estimate.approvedAt', new Date());
+      }
+      
+      if (status === 'cancelled') {
+        // Claim the cancellation first so the parts are only restocked once
+        const result = await ServiceTicket.updateOne(
+          { tenantId, ticketId, status: previousStatus },
+          { $set: { status, updatedAt: new Date() } },
+          { session }
+        );
+        
+        if (result.modifiedCount !== 1) {
+          throw new ApiError(409, 'Ticket was changed by another request', 'TICKET_CHANGED');
+        }
+        
+        for (const part of ticket.parts) {
+          await SaleService.restock(tenantId, part.productId, part.quantity, session);
+        }
+      }
+      
+      ticket.status = status;
+      ticket.history.push({ status, notes, staffId: userId, staffName: userName, at: new Date() });
+      ticket.updatedBy = userId;
+      
+      await ticket.save({ session });
+      
+      // Audit log
+      await AuditLog.log({
+        userId,
+        tenantId,
+        userName,
+        userRole: null,
+        action: 'SERVICE_TICKET_UPDATE',
+        resource: { type: 'service_ticket', id: ticketId, name: ticket.ticketNumber },
+        details: {
+          previousStatus,
+          status,
+          notes,
+          ...(status === 'cancelled' && { partsRestocked: ticket.parts.length }),
+        },
+        status: 'success',
+      }, { session });
+      
+      return ticket;
+    });
+  }
+  
+  /**
+   * Take parts for the repair out of stock
+   * They are charged for when the ticket is checked out.
+   */
+  static async addPart(tenantId, userId, userName, ticketId, partData = {}) {
+    const { productId } = partData;
+    const quantity = Number(partData.quantity || 1);
+    
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new ApiError(400, 'Quantity must be a positive whole number', 'INVALID_QUANTITY');
+    }
+    
+    // Stock and the ticket's parts are committed together, so a failed save
+    // (e.g. a concurrent change) leaves stock untouched
+    return withTransaction(async (session) => {
+      const ticket = await ServiceTicketService.getById(tenantId, ticketId, session);
+      
+      if (CLOSED_STATUSES.includes(ticket.status)) {
+        throw new ApiError(400, `Ticket is ${ticket.status}`, 'TICKET_CLOSED');
+      }
+      
+      const product = await Product.findOne({ tenantId, productId }).session(session);
+      
+      if (!product) {
+        throw new ApiError(404, 'Product not found', 'PRODUCT_NOT_FOUND');
+      }
+      
+      if (product.status !== 'active') {
+        throw new ApiError(400, `Product is not available: ${product.name}`, 'PRODUCT_INACTIVE');
+      }
+      
+      if (product.isSerialized || product.isGiftCard) {
+        throw new ApiError(400, `Product cannot be used as a repair part: ${product.name}`, 'INVALID_PART');
+      }
+      
+      if (product.trackInventory) {
+        await SaleService.deductStock(tenantId, product, quantity, session);
+      }
+      
+      const part = ticket.parts.find(p => p.productId === productId);
+      
+      if (part) {
+        part.quantity += quantity;
+      } else {
+        ticket.parts.push({ productId, productName: product.name, sku: product.sku, quantity });
+      }
+      ticket.updatedBy = userId;
+      
+      await ticket.save({ session });
+      
+      // Audit log
+      await AuditLog.log({
+        userId,
+        tenantId,
+        userName,
+        userRole: null,
+        action: 'SERVICE_TICKET_UPDATE',
+        resource: { type: 'service_ticket', id: ticketId, name: ticket.ticketNumber },
+        details: { partAdded: { productId, productName: product.name, quantity } },
+        status: 'success',
+      }, { session });
+      
+      return ticket;
+    });
+  }
+  
+  /**
+   * Put unused parts back into stock
+   */
+  static async removePart(tenantId, userId, userName, ticketId, partData = {}) {
+    const { productId } = partData;
+    
+    // Stock and the ticket's parts are committed together, so a failed save
+    // (e.g. a concurrent change) cannot restock twice
+    return withTransaction(async (session) => {
+      const ticket = await ServiceTicketService.getById(tenantId, ticketId, session);
+      
+      if (CLOSED_STATUSES.includes(ticket.status)) {
+        throw new ApiError(400, `Ticket is ${ticket.status}`, 'TICKET_CLOSED');
+      }
+      
+      const part = ticket.parts.find(p => p.productId === productId);
+      
+      if (!part) {
+        throw new ApiError(404, 'Part not found on ticket', 'PART_NOT_FOUND');
+      }
+      
+      const quantity = Number(partData.quantity || part.quantity);
+      
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > part.quantity) {
+        throw new ApiError(400, `Quantity must be between 1 and ${part.quantity}`, 'INVALID_QUANTITY');
+      }
+      
+      await SaleService.restock(tenantId, productId, quantity, session);
+      
+      if (quantity === part.quantity) {
+        ticket.parts = ticket.parts.filter(p => p.productId !== productId);
+      } else {
+        part.quantity -= quantity;
+      }
+      ticket.updatedBy = userId;
+      
+      await ticket.save({ session });
+      
+      // Audit log
+      await AuditLog.log({
+        userId,
+        tenantId,
+        userName,
+        userRole: null,
+        action: 'SERVICE_TICKET_UPDATE',
+        resource: { type: 'service_ticket', id: ticketId, name: ticket.ticketNumber },
+        details: { partRemoved: { productId, productName: part.productName, quantity } },
+        status: 'success',
+      }, { session });
+      
+      return ticket;
+    });
+  }
+  
+  /**
+   * Hand a finished repair back to the customer, charging parts and labour
+   * as a sale
+   *
+   * The ticket is claimed atomically so it cannot be checked out twice; the
+   * parts already left stock when they were added. checkoutData carries the
+   * sale's payment fields (payments or paymentMethod, terminalId, notes).
+   */
+  static async checkout(tenantId, userId, userName, ticketId, checkoutData = {}) {
+    const claimed = await ServiceTicket.findOneAndUpdate(
+      { tenantId, ticketId, status: 'ready' },
+      { $set: { status: 'collected', updatedBy: userId, updatedAt: new Date() } },
+      { new: true }
+    );
+    
+    if (!claimed) {
+      const ticket = await ServiceTicketService.getById(tenantId, ticketId);
+      throw new ApiError(400, `Ticket must be ready to check out (currently ${ticket.status})`, 'TICKET_NOT_READY');
+    }
+    
+    const chargeLines = claimed.labourCharge > 0
+      ? [{
+        productId: 'service_labour',
+        productName: `Repair labour (${claimed.ticketNumber})`,
+        sku: claimed.ticketNumber,
+        unitPrice: claimed.labourCharge,
+      }]
+      : [];
+    
+    let sale;
+    try {
+      sale = await SaleService.create(tenantId, userId, userName, {
+        ...checkoutData,
+        lineItems: claimed.parts.map(part => ({ productId: part.productId, quantity: part.quantity })),
+        customer: claimed.customer,
+        notes: checkoutData.notes || `Service ticket ${claimed.ticketNumber}`,
+      }, {
+        stockDeducted: true,
+        chargeLines,
+        serviceTicketId: ticketId,
+      });
+    } catch (error) {
+      await ServiceTicket.updateOne({ tenantId, ticketId }, { $set: { status: 'ready' } });
+      throw error;
+    }
+    
+    claimed.saleId = sale.saleId;
+    claimed.invoiceNumber = sale.invoiceNumber;
+    claimed.collectedAt = new Date();
+    claimed.history.push({ status: 'collected', notes: checkoutData.notes, staffId: userId, staffName: userName, at: new Date() });
+    
+    await claimed.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'SERVICE_TICKET_CHECKOUT',
+      resource: { type: 'service_ticket', id: ticketId, name: claimed.ticketNumber },
+      details: {
+        saleId: sale.saleId,
+        invoiceNumber: sale.invoiceNumber,
+        parts: claimed.parts.length,
+        labourCharge: claimed.labourCharge,
+        grandTotal: sale.grandTotal,
+      },
+      status: 'success',
+    });
+    
+    return { ticket: claimed, sale };
+  }
+  
+  /**
+   * Look up a ticket's progress for the customer
+   * The phone number must match the one given at intake; only progress
+   * details are returned.
+   */
+  static async track(tenantId, ticketNumber, phone) {
+    if (!tenantId || !ticketNumber || !phone) {
+      throw new ApiError(400, 'Shop, ticket number and phone are required', 'MISSING_FIELDS');
+    }
+    
+    const ticket = await ServiceTicket.findOne({
+      tenantId,
+      ticketNumber: String(ticketNumber).trim().toUpperCase(),
+      'customer.phone': String(phone).trim(),
+    });
+    
+    if (!ticket) {
+      throw new ApiError(404, 'Service ticket not found', 'TICKET_NOT_FOUND');
+    }
+    
+    return {
+      ticketNumber: ticket.ticketNumber,
+      status: ticket.status,
+      device: { type: ticket.device?.type, brand: ticket.device?.brand, model: ticket.device?.model },
+      reportedFault: ticket.reportedFault,
+      estimate: ticket.estimate?.amount != null
+        ? { amount: ticket.estimate.amount, approved: !!ticket.estimate.approvedAt }
+        : null,
+      history: ticket.history.map(event => ({ status: event.status, at: event.at })),
+      receivedAt: ticket.createdAt,
+      collectedAt: ticket.collectedAt,
+    };
+  }
+}
+
+module.exports = ServiceTicketService;
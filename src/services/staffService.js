@@ -1,3 +1,4 @@
+const bcrypt = require('bcryptjs');
 const Staff = require('../models/Staff');
 const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
@@ -184,6 +185,21 @@ class StaffService {
       }
     });
     
+    // Discount override PIN; null clears it. Either way a lockout ends.
+    if (updateData.overridePin !== undefined) {
+      staff.overridePinFailures = 0;
+      staff.overridePinLockedUntil = undefined;
+      
+      if (updateData.overridePin === null) {
+        staff.overridePinHash = undefined;
+      } else {
+        if (!/^\d{4,8}$/.test(String(updateData.overridePin))) {
+          throw new ApiError(400, 'Override PIN must be 4 to 8 digits', 'INVALID_OVERRIDE_PIN');
+        }
+        staff.overridePinHash = await bcrypt.hash(String(updateData.overridePin), 12);
+      }
+    }
+    
     await staff.save();
     
     // Also update user if email changed
@@ -203,7 +219,7 @@ class StaffService {
       action: 'STAFF_UPDATE',
       resource: { type: 'staff', id: staffId, name: staff.name },
       previousState,
-      newState: staff.toObject(),
+      newState: staff.toJSON(),
       status: 'success',
     });
     
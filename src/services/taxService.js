@@ -0,0 +1,80 @@
+const Tenant = require('../models/Tenant');
+const { ApiError } = require('../middleware/errorHandler');
+
+/**
+ * Tax Service - Resolves tenant tax classes and rates for products
+ */
+class TaxService {
+  /**
+   * Get the tenant's tax configuration
+   */
+  static async getSettings(tenantId) {
+    const tenant = await Tenant.findOne({ tenantId })
+      .select('settings.taxRate settings.pricesIncludeTax settings.taxClasses');
+    const settings = tenant?.settings || {};
+    
+    return {
+      defaultRate: settings.taxRate || 0,
+      pricesIncludeTax: Boolean(settings.pricesIncludeTax),
+      classes: settings.taxClasses || [],
+    };
+  }
+  
+  /**
+   * Find the tax rate for a product's tax class
+   * Products without a class use the tenant's default rate.
+   */
+  static resolveRate(taxSettings, taxClass) {
+    if (!taxClass) {
+      return { taxClass: null, taxName: 'Tax', taxRate: taxSettings.defaultRate };
+    }
+    
+    const match = taxSettings.classes.find(c => c.code === taxClass);
+    
+    if (!match) {
+      throw new ApiError(400, `Unknown tax class: ${taxClass}`, 'TAX_CLASS_NOT_FOUND', { taxClass });
+    }
+    
+    return { taxClass: match.code, taxName: match.name, taxRate: match.rate };
+  }
+  
+  /**
+   * Check a tax class code exists for the tenant
+   */
+  static async assertClassExists(tenantId, taxClass) {
+    if (!taxClass) return;
+    
+    const taxSettings = await TaxService.getSettings(tenantId);
+    TaxService.resolveRate(taxSettings, taxClass);
+  }
+  
+  /**
+   * Validate a replacement list of tax classes
+   */
+  static validateClasses(taxClasses) {
+    if (!Array.isArray(taxClasses)) {
+      throw new ApiError(400, 'Tax classes must be an array', 'INVALID_TAX_CLASSES');
+    }
+    
+    const codes = new Set();
+    
+    taxClasses.forEach(taxClass => {
+      const rate = Number(taxClass?.rate);
+      
+      if (!taxClass?.code || !taxClass.name) {
+        throw new ApiError(400, 'Tax classes need a code and a name', 'INVALID_TAX_CLASSES');
+      }
+      
+      if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+        throw new ApiError(400, `Tax rate must be between 0 and 100: ${taxClass.code}`, 'INVALID_TAX_CLASSES');
+      }
+      
+      if (codes.has(taxClass.code)) {
+        throw new ApiError(400, `Duplicate tax class: ${taxClass.code}`, 'INVALID_TAX_CLASSES');
+      }
+      codes.add(taxClass.code);
+    });
+  }
+}
+
+module.exports = TaxService;
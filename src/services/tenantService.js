@@ -0,0 +1,135 @@
+const Tenant = require('../models/Tenant');
+const Product = require('../models/Product');
+const AuditLog = require('../models/AuditLog');
+const TaxService = require('./taxService');
+const WarrantyService = require('./warrantyService');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Tenant fields a shop admin may change, as dotted paths
+const EDITABLE_PATHS = [
+  'name',
+  'contact.email',
+  'contact.phone',
+  'contact.address',
+  'settings.currency',
+  'settings.timezone',
+  'settings.taxRate',
+  'settings.pricesIncludeTax',
+  'settings.taxClasses',
+  'settings.invoiceNumbering.prefix',
+  'settings.invoiceNumbering.padding',
+  'settings.invoiceNumbering.resetPeriod',
+  'settings.invoiceNumbering.perTerminal',
+  'settings.receipt.paperWidth',
+  'settings.receipt.code',
+  'settings.receipt.header',
+  'settings.receipt.footer',
+  'settings.invoice.taxId',
+  'settings.invoice.notes',
+  'settings.loyalty.enabled',
+  'settings.loyalty.earnRate',
+  'settings.loyalty.redeemValue',
+  'settings.loyalty.minRedeemPoints',
+  'settings.discountApproval.thresholdPercent',
+  'settings.warranty.categoryTerms',
+];
+
+/**
+ * Read a dotted path from a plain object
+ */
+const getPath = (obj, path) => path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+
+/**
+ * Tenant Service - Handles a tenant's own profile and settings
+ */
+class TenantService {
+  /**
+   * Get the tenant's profile and settings
+   */
+  static async getSettings(tenantId) {
+    const tenant = await Tenant.findOne({ tenantId });
+    
+    if (!tenant) {
+      throw new ApiError(404, 'Tenant not found', 'TENANT_NOT_FOUND');
+    }
+    
+    return {
+      tenantId: tenant.tenantId,
+      name: tenant.name,
+      plan: tenant.plan,
+      contact: tenant.contact,
+      settings: tenant.settings,
+    };
+  }
+  
+  /**
+   * Update the tenant's profile and settings
+   * Only the paths in EDITABLE_PATHS are applied; anything else is ignored.
+   */
+  static async updateSettings(tenantId, userId, userName, userRole, updateData) {
+    const tenant = await Tenant.findOne({ tenantId });
+    
+    if (!tenant) {
+      throw new ApiError(404, 'Tenant not found', 'TENANT_NOT_FOUND');
+    }
+    
+    const timezone = getPath(updateData, 'settings.timezone');
+    if (timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch (e) {
+        throw new ApiError(400, `Invalid timezone: ${timezone}`, 'INVALID_TIMEZONE');
+      }
+    }
+    
+    const taxClasses = getPath(updateData, 'settings.taxClasses');
+    if (taxClasses !== undefined) {
+      TaxService.validateClasses(taxClasses);
+      
+      // Products must not be left pointing at a class that no longer exists
+      const removed = (tenant.settings.taxClasses || [])
+        .map(c => c.code)
+        .filter(code => !taxClasses.some(c => c.code === code));
+      
+      if (removed.length > 0 && await Product.exists({ tenantId, taxClass: { $in: removed } })) {
+        throw new ApiError(400, 'Tax classes in use by products cannot be removed', 'TAX_CLASS_IN_USE', { removed });
+      }
+    }
+    
+    const warrantyTerms = getPath(updateData, 'settings.warranty.categoryTerms');
+    if (warrantyTerms !== undefined) {
+      WarrantyService.validateTerms(warrantyTerms);
+    }
+    
+    const previousState = tenant.toObject();
+    const changes = {};
+    
+    EDITABLE_PATHS.forEach(path => {
+      const value = getPath(updateData, path);
+      if (value !== undefined) {
+        tenant.set(path, value);
+        changes[path] = value;
+      }
+    });
+    
+    await tenant.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole,
+      action: 'SETTINGS_UPDATE',
+      resource: { type: 'settings', id: tenantId, name: tenant.name },
+      previousState: { contact: previousState.contact, settings: previousState.settings },
+      newState: { contact: tenant.contact, settings: tenant.settings },
+      details: { changes },
+      status: 'success',
+    });
+    
+    return TenantService.getSettings(tenantId);
+  }
+}
+
+module.exports = TenantService;
@@ -0,0 +1,411 @@
+const TradeIn = require('../models/TradeIn');
+const Product = require('../models/Product');
+const SerialNumber = require('../models/SerialNumber');
+const AuditLog = require('../models/AuditLog');
+const SerialService = require('./serialService');
+const { roundCurrency } = require('../utils/helpers');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Category traded-in devices are stocked under
+const USED_CATEGORY = 'Used Devices';
+
+const normalizeNumber = (reference) => String(reference || '').trim().toUpperCase();
+
+/**
+ * Trade-In Service - Values devices customers trade in, applies the offer
+ * to a sale and stocks the device as a used product
+ */
+class TradeInService {
+  /**
+   * Record a trade-in offer for a device
+   */
+  static async create(tenantId, userId, userName, tradeInData = {}) {
+    const { customer, device, conditionGrade, conditionNotes, resalePrice } = tradeInData;
+    const offeredPrice = roundCurrency(Number(tradeInData.offeredPrice));
+    
+    if (!device?.brand || !device?.model || !device?.serial) {
+      throw new ApiError(400, 'Device brand, model and serial are required', 'MISSING_FIELDS');
+    }
+    
+    if (!TradeIn.CONDITION_GRADES.includes(conditionGrade)) {
+      throw new ApiError(400, `Condition grade must be one of ${TradeIn.CONDITION_GRADES.join(', ')}`, 'INVALID_CONDITION_GRADE');
+    }
+    
+    if (!Number.isFinite(offeredPrice) || offeredPrice <= 0) {
+      throw new ApiError(400, 'Offered price must be greater than zero', 'INVALID_AMOUNT');
+    }
+    
+    const serial = normalizeNumber(device.serial);
+    await TradeInService.assertSerialFree(tenantId, serial);
+    
+    const tradeIn = new TradeIn({
+      tradeInId: await TradeIn.generateTradeInId(),
+      tenantId,
+      tradeInNumber: await TradeIn.generateTradeInNumber(tenantId),
+      customer,
+      device: { ...device, serial },
+      conditionGrade,
+      conditionNotes,
+      offeredPrice,
+      resalePrice,
+      createdBy: userId,
+      updatedBy: userId,
+    });
+    
+    await tradeIn.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'TRADE_IN_CREATE',
+      resource: { type: 'trade_in', id: tradeIn.tradeInId, name: tradeIn.tradeInNumber },
+      details: { serial, conditionGrade, offeredPrice },
+      status: 'success',
+    });
+    
+    return tradeIn;
+  }
+  
+  /**
+   * A device can only be traded in once, and not while the shop has it
+   */
+  static async assertSerialFree(tenantId, serial, exceptTradeInId = null) {
+    const [unit, openOffer] = await Promise.all([
+      SerialNumber.findOne({ tenantId, serial, status: 'in_stock' }),
+      TradeIn.findOne({
+        tenantId,
+        'device.serial': serial,
+        status: 'offered',
+        ...(exceptTradeInId && { tradeInId: { $ne: exceptTradeInId } }),
+      }),
+    ]);
+    
+    if (unit) {
+      throw new ApiError(409, `Serial is already in stock: ${serial}`, 'SERIAL_EXISTS');
+    }
+    
+    if (openOffer) {
+      throw new ApiError(409, 'Device already has an open trade-in offer', 'TRADE_IN_EXISTS', {
+        tradeInNumber: openOffer.tradeInNumber,
+      });
+    }
+  }
+  
+  /**
+   * Get trade-in by ID
+   */
+  static async getById(tenantId, tradeInId) {
+    const tradeIn = await TradeIn.findOne({ tenantId, tradeInId });
+    
+    if (!tradeIn) {
+      throw new ApiError(404, 'Trade-in not found', 'TRADE_IN_NOT_FOUND');
+    }
+    
+    return tradeIn;
+  }
+  
+  /**
+   * Get trade-ins with pagination, filterable by status, customer phone,
+   * serial or sale
+   */
+  static async getAll(tenantId, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = '-createdAt',
+      status,
+      phone,
+      serial,
+      saleId,
+      tradeInNumber,
+    } = options;
+    
+    const filter = { tenantId };
+    
+    if (status) filter.status = status;
+    if (phone) filter['customer.phone'] = phone.trim();
+    if (serial) filter['device.serial'] = normalizeNumber(serial);
+    if (saleId) filter.saleId = saleId;
+    if (tradeInNumber) filter.tradeInNumber = normalizeNumber(tradeInNumber);
+    
+    const skip = (page - 1) * limit;
+    
+    const [tradeIns, total] = await Promise.all([
+      TradeIn.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit),
+      TradeIn.countDocuments(filter),
+    ]);
+    
+    return {
+      tradeIns,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+  
+  /**
+   * Revise an open offer: grade, price or device details
+   */
+  static async update(tenantId, userId, userName, tradeInId, updateData = {}) {
+    const tradeIn = await TradeInService.getById(tenantId, tradeInId);
+    
+    if (tradeIn.status !== 'offered') {
+      throw new ApiError(400, `Trade-in is ${tradeIn.status}`, 'TRADE_IN_CLOSED');
+    }
+    
+    const previousState = tradeIn.toObject();
+    const allowedFields = ['customer', 'device', 'conditionGrade', 'conditionNotes', 'offeredPrice', 'resalePrice'];
+    
+    allowedFields.forEach(field => {
+      if (updateData[field] !== undefined) {
+        tradeIn[field] = updateData[field];
+      }
+    });
+    
+    if (!TradeIn.CONDITION_GRADES.includes(tradeIn.conditionGrade)) {
+      throw new ApiError(400, `Condition grade must be one of ${TradeIn.CONDITION_GRADES.join(', ')}`, 'INVALID_CONDITION_GRADE');
+    }
+    
+    if (!(tradeIn.offeredPrice > 0)) {
+      throw new ApiError(400, 'Offered price must be greater than zero', 'INVALID_AMOUNT');
+    }
+    
+    if (updateData.device?.serial) {
+      tradeIn.device.serial = normalizeNumber(updateData.device.serial);
+      await TradeInService.assertSerialFree(tenantId, tradeIn.device.serial, tradeInId);
+    }
+    
+    tradeIn.updatedBy = userId;
+    
+    await tradeIn.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'TRADE_IN_UPDATE',
+      resource: { type: 'trade_in', id: tradeInId, name: tradeIn.tradeInNumber },
+      previousState,
+      newState: tradeIn.toObject(),
+      status: 'success',
+    });
+    
+    return tradeIn;
+  }
+  
+  /**
+   * Close an offer the customer turned down
+   */
+  static async decline(tenantId, userId, userName, tradeInId, reason = '') {
+    const tradeIn = await TradeIn.findOneAndUpdate(
+      { tenantId, tradeInId, status: 'offered' },
+      { $set: { status: 'declined', updatedBy: userId, updatedAt: new Date() } },
+      { new: true }
+    );
+    
+    if (!tradeIn) {
+      const current = await TradeInService.getById(tenantId, tradeInId);
+      throw new ApiError(400, `Trade-in is ${current.status}`, 'TRADE_IN_CLOSED');
+    }
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'TRADE_IN_UPDATE',
+      resource: { type: 'trade_in', id: tradeInId, name: tradeIn.tradeInNumber },
+      details: { status: 'declined', reason },
+      status: 'success',
+    });
+    
+    return tradeIn;
+  }
+  
+  /**
+   * Check trade_in tenders before a sale is taken
+   * The reference is the trade-in number; the offer must be open and the
+   * tender must be for the whole offered price.
+   */
+  static async prepareTenders(tenantId, payments) {
+    const tenders = payments.filter(p => p.method === 'trade_in');
+    const seen = new Set();
+    
+    for (const tender of tenders) {
+      if (!tender.reference) {
+        throw new ApiError(400, 'Trade-in number is required in the payment reference', 'TRADE_IN_REFERENCE_REQUIRED');
+      }
+      
+      tender.reference = normalizeNumber(tender.reference);
+      
+      if (seen.has(tender.reference)) {
+        throw new ApiError(400, `Trade-in used twice: ${tender.reference}`, 'INVALID_PAYMENTS');
+      }
+      seen.add(tender.reference);
+      
+      const tradeIn = await TradeIn.findOne({ tenantId, tradeInNumber: tender.reference });
+      
+      if (!tradeIn) {
+        throw new ApiError(404, 'Trade-in not found', 'TRADE_IN_NOT_FOUND', { tradeInNumber: tender.reference });
+      }
+      
+      if (tradeIn.status !== 'offered') {
+        throw new ApiError(400, `Trade-in is ${tradeIn.status}`, 'TRADE_IN_CLOSED', { tradeInNumber: tender.reference });
+      }
+      
+      if (tender.amount !== tradeIn.offeredPrice) {
+        throw new ApiError(400, 'Trade-in tender must be the offered price', 'TRADE_IN_AMOUNT_MISMATCH', {
+          tradeInNumber: tender.reference,
+          offeredPrice: tradeIn.offeredPrice,
+          amount: tender.amount,
+        });
+      }
+    }
+    
+    return tenders;
+  }
+  
+  /**
+   * Take the trade-ins tendered on a sale, inside its transaction
+   *
+   * Each device becomes its own used product, costed at the offered price,
+   * with its serial in stock. Returns the trade-in numbers applied.
+   */
+  static async applyTenders(tenantId, payments, sale, options = {}) {
+    const { session = null, staffId, staffName } = options;
+    const applied = [];
+    
+    for (const tender of payments.filter(p => p.method === 'trade_in')) {
+      const tradeIn = await TradeIn.findOneAndUpdate(
+        { tenantId, tradeInNumber: tender.reference, status: 'offered' },
+        {
+          $set: {
+            status: 'applied',
+            saleId: sale.saleId,
+            invoiceNumber: sale.invoiceNumber,
+            appliedAt: new Date(),
+            updatedBy: staffId,
+            updatedAt: new Date(),
+          },
+        },
+        { new: true, session }
+      );
+      
+      if (!tradeIn) {
+        throw new ApiError(409, `Trade-in is no longer open: ${tender.reference}`, 'TRADE_IN_CLOSED');
+      }
+      
+      const { device } = tradeIn;
+      const product = new Product({
+        productId: await Product.generateProductId(),
+        tenantId,
+        sku: tradeIn.tradeInNumber,
+        name: [device.brand, device.model, device.capacity].filter(Boolean).join(' ')
+          + ` (Used, grade ${tradeIn.conditionGrade})`,
+        description: tradeIn.conditionNotes || '',
+        price: tradeIn.resalePrice || 0,
+        costPrice: tradeIn.offeredPrice,
+        category: USED_CATEGORY,
+        brand: device.brand,
+        color: device.color,
+        capacity: device.capacity,
+        trackInventory: true,
+        stockQuantity: 0,
+        isSerialized: true,
+        metadata: {
+          condition: 'used',
+          conditionGrade: tradeIn.conditionGrade,
+          tradeInId: tradeIn.tradeInId,
+        },
+        // Not for sale until it has a price
+        status: tradeIn.resalePrice > 0 ? 'active' : 'inactive',
+        createdBy: staffId,
+        updatedBy: staffId,
+      });
+      
+      await product.save({ session });
+      
+      await SerialService.receiveTradeIn(tenantId, product, device.serial, {
+        session,
+        saleId: sale.saleId,
+        invoiceNumber: sale.invoiceNumber,
+        notes: tradeIn.tradeInNumber,
+        staffId,
+        staffName,
+      });
+      
+      tradeIn.productId = product.productId;
+      await tradeIn.save({ session });
+      
+      applied.push(tradeIn.tradeInNumber);
+    }
+    
+    return applied;
+  }
+  
+  /**
+   * Check a sale's trade-ins can be handed back: their devices are still in
+   * stock
+   */
+  static async assertReversible(tenantId, sale, session = null) {
+    const tradeIns = await TradeIn.find({ tenantId, saleId: sale.saleId, status: 'applied' }).session(session);
+    
+    for (const tradeIn of tradeIns) {
+      const unit = await SerialNumber.findOne({
+        tenantId,
+        productId: tradeIn.productId,
+        serial: tradeIn.device.serial,
+        status: 'in_stock',
+      }).session(session);
+      
+      if (!unit) {
+        throw new ApiError(400, 'A traded-in device has already been sold on', 'TRADE_IN_RESOLD', {
+          tradeInNumber: tradeIn.tradeInNumber,
+          serial: tradeIn.device.serial,
+        });
+      }
+    }
+  }
+  
+  /**
+   * Hand back the trade-ins of a cancelled sale: the devices leave stock and
+   * their used products are retired
+   */
+  static async reverseForSale(tenantId, sale, entry = {}, options = {}) {
+    const { session = null } = options;
+    const tradeIns = await TradeIn.find({ tenantId, saleId: sale.saleId, status: 'applied' }).session(session);
+    
+    for (const tradeIn of tradeIns) {
+      await SerialService.releaseTradeIn(tenantId, tradeIn.productId, tradeIn.device.serial, {
+        saleId: sale.saleId,
+        invoiceNumber: sale.invoiceNumber,
+        ...entry,
+        session,
+      });
+      
+      await Product.updateOne(
+        { tenantId, productId: tradeIn.productId, stockQuantity: { $lte: 0 } },
+        { $set: { status: 'discontinued', updatedAt: new Date() } },
+        { session }
+      );
+      
+      tradeIn.status = 'cancelled';
+      tradeIn.updatedBy = entry.staffId;
+      await tradeIn.save({ session });
+    }
+  }
+}
+
+module.exports = TradeInService;
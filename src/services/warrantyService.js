@@ -0,0 +1,420 @@
+const Warranty = require('../models/Warranty');
+const WarrantyClaim = require('../models/WarrantyClaim');
+const Product = require('../models/Product');
+const Tenant = require('../models/Tenant');
+const AuditLog = require('../models/AuditLog');
+const { ApiError } = require('../middleware/errorHandler');
+
+// Claims still being worked on; a warranty has at most one at a time
+const OPEN_CLAIM_STATUSES = ['received', 'sent_to_vendor'];
+
+/**
+ * Warranty Service - Registers warranty cover for sold products and runs
+ * the claims workflow against it
+ */
+class WarrantyService {
+  /**
+   * Validate a replacement list of per-category warranty terms
+   */
+  static validateTerms(terms) {
+    if (!Array.isArray(terms)) {
+      throw new ApiError(400, 'Warranty terms must be an array', 'INVALID_WARRANTY_TERMS');
+    }
+    
+    const categories = new Set();
+    
+    terms.forEach(term => {
+      const months = Number(term?.months);
+      
+      if (!term?.category) {
+        throw new ApiError(400, 'Warranty terms need a category', 'INVALID_WARRANTY_TERMS');
+      }
+      
+      if (!Number.isInteger(months) || months < 0) {
+        throw new ApiError(400, `Warranty months must be a whole number: ${term.category}`, 'INVALID_WARRANTY_TERMS');
+      }
+      
+      if (categories.has(term.category)) {
+        throw new ApiError(400, `Duplicate warranty term: ${term.category}`, 'INVALID_WARRANTY_TERMS');
+      }
+      categories.add(term.category);
+    });
+  }
+  
+  /**
+   * Months of cover for a product: its own term, else its category's
+   */
+  static resolveMonths(product, categoryTerms = []) {
+    if (product.warrantyMonths != null) return product.warrantyMonths;
+    
+    const term = categoryTerms.find(t => t.category === product.category);
+    return term ? term.months : 0;
+  }
+  
+  /**
+   * Register warranty cover for a completed sale, inside its transaction
+   *
+   * Serialized lines get one warranty per unit so each can be claimed on
+   * by serial; other lines get one covering the line's quantity. Cover runs
+   * from the sale date. Returns the number of warranties registered.
+   */
+  static async registerForSale(tenantId, sale, options = {}) {
+    const { session = null } = options;
+    
+    const lines = sale.lineItems.filter(line => !line.isGiftCard);
+    if (lines.length === 0) return 0;
+    
+    const [tenant, products] = await Promise.all([
+      Tenant.findOne({ tenantId }).select('settings.warranty').session(session),
+      Product.find({ tenantId, productId: { $in: lines.map(line => line.productId) } }).session(session),
+    ]);
+    const categoryTerms = tenant?.settings?.warranty?.categoryTerms || [];
+    
+    const startsAt = sale.createdAt ? new Date(sale.createdAt) : new Date();
+    const customer = {
+      customerId: sale.customer?.customerId,
+      name: sale.customer?.name,
+      phone: sale.customer?.phone,
+    };
+    const warranties = [];
+    
+    for (const line of lines) {
+      const product = products.find(p => p.productId === line.productId);
+      const months = product ? WarrantyService.resolveMonths(product, categoryTerms) : 0;
+      if (!(months > 0)) continue;
+      
+      const expiresAt = new Date(startsAt);
+      expiresAt.setMonth(expiresAt.getMonth() + months);
+      
+      const units = (line.serials || []).length > 0
+        ? line.serials.map(serial => ({ serial, quantity: 1 }))
+        : [{ quantity: line.quantity }];
+      
+      for (const unit of units) {
+        warranties.push({
+          warrantyId: await Warranty.generateWarrantyId(),
+          tenantId,
+          saleId: sale.saleId,
+          invoiceNumber: sale.invoiceNumber,
+          productId: line.productId,
+          productName: line.productName,
+          sku: line.sku,
+          ...unit,
+          customer,
+          months,
+          startsAt,
+          expiresAt,
+        });
+      }
+    }
+    
+    if (warranties.length > 0) {
+      await Warranty.insertMany(warranties, { session });
+    }
+    
+    return warranties.length;
+  }
+  
+  /**
+   * Void the cover of a cancelled sale
+   */
+  static async voidForSale(tenantId, saleId, options = {}) {
+    const { session = null } = options;
+    
+    await Warranty.updateMany(
+      { tenantId, saleId, status: 'active' },
+      { $set: { status: 'void', updatedAt: new Date() } },
+      { session }
+    );
+  }
+  
+  /**
+   * Take refunded units off their warranties
+   * Serialized units are voided by serial; other lines give back quantity.
+   */
+  static async releaseForRefund(tenantId, saleId, refundItems, options = {}) {
+    const { session = null } = options;
+    
+    for (const item of refundItems) {
+      if ((item.serials || []).length > 0) {
+        await Warranty.updateMany(
+          { tenantId, saleId, serial: { $in: item.serials }, status: 'active' },
+          { $set: { status: 'void', updatedAt: new Date() } },
+          { session }
+        );
+        continue;
+      }
+      
+      const warranties = await Warranty.find({
+        tenantId,
+        saleId,
+        productId: item.productId,
+        serial: null,
+        status: 'active',
+      }).session(session);
+      let remaining = item.quantity;
+      
+      for (const warranty of warranties) {
+        if (remaining <= 0) break;
+        
+        const take = Math.min(warranty.quantity, remaining);
+        warranty.quantity -= take;
+        if (warranty.quantity <= 0) warranty.status = 'void';
+        remaining -= take;
+        
+        await warranty.save({ session });
+      }
+    }
+  }
+  
+  /**
+   * Get warranty by ID
+   */
+  static async getById(tenantId, warrantyId) {
+    const warranty = await Warranty.findOne({ tenantId, warrantyId });
+    
+    if (!warranty) {
+      throw new ApiError(404, 'Warranty not found', 'WARRANTY_NOT_FOUND');
+    }
+    
+    return warranty;
+  }
+  
+  /**
+   * Get warranties with pagination, searchable by invoice number, customer
+   * phone or serial
+   */
+  static async getAll(tenantId, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = '-startsAt',
+      invoiceNumber,
+      phone,
+      serial,
+      saleId,
+      customerId,
+      status,
+    } = options;
+    
+    const filter = { tenantId };
+    
+    if (invoiceNumber) filter.invoiceNumber = invoiceNumber.trim();
+    if (phone) filter['customer.phone'] = phone.trim();
+    if (serial) filter.serial = serial.trim().toUpperCase();
+    if (saleId) filter.saleId = saleId;
+    if (customerId) filter['customer.customerId'] = customerId;
+    if (status === 'expired') {
+      filter.status = 'active';
+      filter.expiresAt = { $lt: new Date() };
+    } else if (status === 'active') {
+      filter.status = 'active';
+      filter.expiresAt = { $gte: new Date() };
+    } else if (status) {
+      filter.status = status;
+    }
+    
+    const skip = (page - 1) * limit;
+    
+    const [warranties, total] = await Promise.all([
+      Warranty.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit),
+      Warranty.countDocuments(filter),
+    ]);
+    
+    return {
+      warranties,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+  
+  /**
+   * Open a claim against a warranty that is still in force
+   */
+  static async createClaim(tenantId, userId, userName, claimData = {}) {
+    const { warrantyId, issue, notes } = claimData;
+    
+    if (!warrantyId || !issue) {
+      throw new ApiError(400, 'Warranty and reported issue are required', 'MISSING_FIELDS');
+    }
+    
+    const warranty = await WarrantyService.getById(tenantId, warrantyId);
+    
+    if (warranty.status !== 'active') {
+      throw new ApiError(400, 'Warranty is void', 'WARRANTY_VOID');
+    }
+    
+    if (warranty.isExpired) {
+      throw new ApiError(400, 'Warranty has expired', 'WARRANTY_EXPIRED', { expiresAt: warranty.expiresAt });
+    }
+    
+    const openClaim = await WarrantyClaim.findOne({ tenantId, warrantyId, status: { $in: OPEN_CLAIM_STATUSES } });
+    
+    if (openClaim) {
+      throw new ApiError(409, 'Warranty already has an open claim', 'CLAIM_ALREADY_OPEN', {
+        claimNumber: openClaim.claimNumber,
+      });
+    }
+    
+    const claim = new WarrantyClaim({
+      claimId: await WarrantyClaim.generateClaimId(),
+      tenantId,
+      claimNumber: await WarrantyClaim.generateClaimNumber(tenantId),
+      warrantyId,
+      saleId: warranty.saleId,
+      invoiceNumber: warranty.invoiceNumber,
+      productId: warranty.productId,
+      productName: warranty.productName,
+      serial: warranty.serial,
+      customer: warranty.customer,
+      issue,
+      history: [{ status: 'received', notes, staffId: userId, staffName: userName }],
+      createdBy: userId,
+      updatedBy: userId,
+    });
+    
+    await claim.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'WARRANTY_CLAIM_CREATE',
+      resource: { type: 'warranty_claim', id: claim.claimId, name: claim.claimNumber },
+      details: { warrantyId, invoiceNumber: warranty.invoiceNumber, serial: warranty.serial, issue },
+      status: 'success',
+    });
+    
+    return claim;
+  }
+  
+  /**
+   * Get claim by ID
+   */
+  static async getClaimById(tenantId, claimId) {
+    const claim = await WarrantyClaim.findOne({ tenantId, claimId });
+    
+    if (!claim) {
+      throw new ApiError(404, 'Warranty claim not found', 'CLAIM_NOT_FOUND');
+    }
+    
+    return claim;
+  }
+  
+  /**
+   * Get claims with pagination, searchable by invoice number, customer
+   * phone or serial
+   */
+  static async getClaims(tenantId, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = '-createdAt',
+      invoiceNumber,
+      phone,
+      serial,
+      claimNumber,
+      status,
+    } = options;
+    
+    const filter = { tenantId };
+    
+    if (invoiceNumber) filter.invoiceNumber = invoiceNumber.trim();
+    if (phone) filter['customer.phone'] = phone.trim();
+    if (serial) filter.serial = serial.trim().toUpperCase();
+    if (claimNumber) filter.claimNumber = claimNumber.trim().toUpperCase();
+    if (status) filter.status = status;
+    
+    const skip = (page - 1) * limit;
+    
+    const [claims, total] = await Promise.all([
+      WarrantyClaim.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit),
+      WarrantyClaim.countDocuments(filter),
+    ]);
+    
+    return {
+      claims,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+  
+  /**
+   * Move a claim along its workflow
+   *
+   * received -> sent_to_vendor -> repaired | replaced | rejected; a claim can
+   * also be settled in the shop without going to the vendor.
+   */
+  static async updateClaimStatus(tenantId, userId, userName, claimId, updateData = {}) {
+    const { status, notes, vendorName, vendorReference, replacementSerial, resolution } = updateData;
+    
+    const claim = await WarrantyService.getClaimById(tenantId, claimId);
+    const previousStatus = claim.status;
+    
+    if (!WarrantyClaim.CLAIM_TRANSITIONS[previousStatus].includes(status)) {
+      throw new ApiError(400, `Claim cannot move from ${previousStatus} to ${status}`, 'INVALID_CLAIM_TRANSITION', {
+        status: previousStatus,
+        allowed: WarrantyClaim.CLAIM_TRANSITIONS[previousStatus],
+      });
+    }
+    
+    if (status === 'sent_to_vendor') {
+      if (!vendorName) {
+        throw new ApiError(400, 'Vendor name is required', 'MISSING_FIELDS');
+      }
+      claim.vendor = { name: vendorName, reference: vendorReference, sentAt: new Date() };
+    }
+    
+    if (status === 'replaced' && replacementSerial) {
+      claim.replacementSerial = String(replacementSerial).trim().toUpperCase();
+    }
+    
+    if (!OPEN_CLAIM_STATUSES.includes(status)) {
+      claim.resolution = resolution || notes;
+      claim.resolvedAt = new Date();
+    }
+    
+    claim.status = status;
+    claim.history.push({ status, notes, staffId: userId, staffName: userName, at: new Date() });
+    claim.updatedBy = userId;
+    
+    await claim.save();
+    
+    // Audit log
+    await AuditLog.log({
+      userId,
+      tenantId,
+      userName,
+      userRole: null,
+      action: 'WARRANTY_CLAIM_UPDATE',
+      resource: { type: 'warranty_claim', id: claimId, name: claim.claimNumber },
+      details: {
+        previousStatus,
+        status,
+        notes,
+        ...(claim.replacementSerial && { replacementSerial: claim.replacementSerial }),
+      },
+      status: 'success',
+    });
+    
+    return claim;
+  }
+}
+
+module.exports = WarrantyService;
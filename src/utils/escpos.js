@@ -0,0 +1,134 @@
+/**
+ * Minimal ESC/POS command builder for thermal receipt printers
+ *
+ * Text is sent as ASCII; characters the printer code page cannot show are
+ * replaced with '?'. In plain mode printer commands are dropped, giving a
+ * text preview of the same layout.
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+// Characters per line in font A for common paper widths
+const PAPER_COLUMNS = {
+  58: 32,
+  80: 48,
+};
+
+class EscPosBuilder {
+  constructor(paperWidth = 80, options = {}) {
+    this.columns = PAPER_COLUMNS[paperWidth] || PAPER_COLUMNS[80];
+    this.plain = Boolean(options.plain);
+    this.chunks = [];
+    this.raw([ESC, 0x40]); // Initialise printer
+  }
+  
+  raw(bytes) {
+    if (!this.plain) {
+      this.chunks.push(Buffer.from(bytes));
+    }
+    return this;
+  }
+  
+  text(str = '') {
+    this.chunks.push(Buffer.from(String(str).replace(/[^\x20-\x7e\n]/g, '?'), 'ascii'));
+    return this;
+  }
+  
+  line(str = '') {
+    return this.text(`${str}\n`);
+  }
+  
+  feed(lines = 1) {
+    return this.raw([ESC, 0x64, lines]);
+  }
+  
+  align(position = 'left') {
+    const value = { left: 0, center: 1, right: 2 }[position] || 0;
+    return this.raw([ESC, 0x61, value]);
+  }
+  
+  bold(on = true) {
+    return this.raw([ESC, 0x45, on ? 1 : 0]);
+  }
+  
+  // Double width and height
+  large(on = true) {
+    return this.raw([GS, 0x21, on ? 0x11 : 0x00]);
+  }
+  
+  divider(char = '-') {
+    return this.line(char.repeat(this.columns));
+  }
+  
+  /**
+   * Left and right text on one line, wrapping the left side if needed
+   */
+  columnsLine(left, right = '') {
+    const rightStr = String(right);
+    const width = this.columns - rightStr.length - 1;
+    const words = String(left).split(' ');
+    const lines = [];
+    let current = '';
+    
+    words.forEach(word => {
+      if ((current ? `${current} ${word}` : word).length > width && current) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = current ? `${current} ${word}` : word;
+      }
+    });
+    lines.push(current);
+    
+    lines.slice(0, -1).forEach(l => this.line(l));
+    const last = lines[lines.length - 1].slice(0, width);
+    return this.line(`${last}${' '.repeat(this.columns - last.length - rightStr.length)}${rightStr}`);
+  }
+  
+  /**
+   * CODE128 barcode with human-readable text below
+   */
+  barcode(data) {
+    if (this.plain) return this.line(`[${data}]`);
+    const payload = Buffer.from(`{B${data}`, 'ascii');
+    return this
+      .raw([GS, 0x68, 80]) // height
+      .raw([GS, 0x77, 2]) // module width
+      .raw([GS, 0x48, 2]) // HRI below
+      .raw([GS, 0x6b, 73, payload.length])
+      .raw(payload)
+      .raw([LF]);
+  }
+  
+  /**
+   * QR code (model 2)
+   */
+  qrCode(data, size = 6) {
+    if (this.plain) return this.line(`[QR ${data}]`);
+    const payload = Buffer.from(String(data), 'ascii');
+    const storeLen = payload.length + 3;
+    return this
+      .raw([GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0x00]) // model 2
+      .raw([GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, size]) // module size
+      .raw([GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x31]) // error correction M
+      .raw([GS, 0x28, 0x6b, storeLen & 0xff, storeLen >> 8, 0x31, 0x50, 0x30])
+      .raw(payload)
+      .raw([GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30]) // print
+      .raw([LF]);
+  }
+  
+  cut() {
+    return this.feed(3).raw([GS, 0x56, 0x42, 0x00]);
+  }
+  
+  toBuffer() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+module.exports = {
+  EscPosBuilder,
+  PAPER_COLUMNS,
+};
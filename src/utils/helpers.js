@@ -27,60 +27,156 @@ function generateInvoiceNumber(existingNumbers = []) {
   return `INV-${dateStr}-${newSeq}`;
 }
 
+/**
+ * Get calendar date parts for a moment in a given IANA timezone
+ */
+function getDateParts(date = new Date(), timeZone = 'UTC') {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).formatToParts(date);
+  
+  const get = (type) => parts.find(p => p.type === type).value;
+  
+  return { year: get('year'), month: get('month'), day: get('day') };
+}
+
+/**
+ * Get the weekday (0 = Sunday) and minutes since midnight for a moment in a
+ * given IANA timezone
+ */
+function getLocalTime(date = new Date(), timeZone = 'UTC') {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  
+  const get = (type) => parts.find(p => p.type === type).value;
+  const dayOfWeek = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'));
+  
+  return { dayOfWeek, minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10) };
+}
+
 /**
  * Calculate line item totals
+ *
+ * Tax is worked out from the line's taxRate on the amount after discounts.
+ * With pricesIncludeTax the unit price already contains the tax, so the tax
+ * is extracted from it instead of added on top.
  */
-function calculateLineItem(item) {
+function calculateLineItem(item, options = {}) {
+  const { orderDiscount = 0, pricesIncludeTax = false } = options;
   const subtotal = item.quantity * item.unitPrice;
-  const discountAmount = item.discount || 0;
-  const afterDiscount = subtotal - discountAmount;
-  const taxAmount = item.tax || 0;
-  const total = afterDiscount + taxAmount;
+  const discountAmount = (item.discount || 0) + (item.promotionDiscount || 0);
+  const afterDiscount = subtotal - discountAmount - orderDiscount;
+  const rate = item.taxRate || 0;
+  
+  const taxAmount = pricesIncludeTax
+    ? roundCurrency(afterDiscount - afterDiscount / (1 + rate / 100))
+    : roundCurrency(afterDiscount * (rate / 100));
+  const total = roundCurrency(pricesIncludeTax ? afterDiscount : afterDiscount + taxAmount);
   
   return {
     ...item,
     subtotal,
     discountAmount,
+    orderDiscount,
     afterDiscount,
+    taxableAmount: roundCurrency(total - taxAmount),
     taxAmount,
+    tax: taxAmount,
     total,
   };
 }
 
 /**
  * Calculate order totals
+ *
+ * The order-level discount is spread across lines in proportion to their
+ * value so each line is taxed on what the customer actually pays. Returns a
+ * per-rate tax breakdown alongside the totals.
  */
 function calculateOrderTotals(lineItems, options = {}) {
-  const { globalDiscount = 0, globalTaxRate = 0 } = options;
+  const { globalDiscount = 0, pricesIncludeTax = false } = options;
+  
+  const netAmounts = lineItems.map(item => item.quantity * item.unitPrice - (item.discount || 0) - (item.promotionDiscount || 0));
+  const netTotal = netAmounts.reduce((sum, amount) => sum + amount, 0);
   
   let subtotal = 0;
   let totalDiscount = 0;
   let totalTax = 0;
+  let grandTotal = 0;
+  let discountLeft = globalDiscount;
+  const breakdown = {};
   
-  const calculatedItems = lineItems.map(item => {
-    const calculated = calculateLineItem(item);
+  const calculatedItems = lineItems.map((item, index) => {
+    // The last line takes the rounding remainder of the order discount
+    const orderDiscount = index === lineItems.length - 1
+      ? roundCurrency(discountLeft)
+      : roundCurrency(netTotal > 0 ? globalDiscount * (netAmounts[index] / netTotal) : 0);
+    discountLeft -= orderDiscount;
+    
+    const calculated = calculateLineItem(item, { orderDiscount, pricesIncludeTax });
     subtotal += calculated.subtotal;
     totalDiscount += calculated.discountAmount;
     totalTax += calculated.taxAmount;
+    grandTotal += calculated.total;
+    
+    const key = `${item.taxClass || ''}:${item.taxRate || 0}`;
+    if (!breakdown[key]) {
+      breakdown[key] = {
+        taxClass: item.taxClass || null,
+        name: item.taxName,
+        rate: item.taxRate || 0,
+        taxableAmount: 0,
+        taxAmount: 0,
+      };
+    }
+    breakdown[key].taxableAmount = roundCurrency(breakdown[key].taxableAmount + calculated.taxableAmount);
+    breakdown[key].taxAmount = roundCurrency(breakdown[key].taxAmount + calculated.taxAmount);
+    
     return calculated;
   });
   
-  const afterGlobalDiscount = subtotal - globalDiscount;
-  const globalTaxAmount = afterGlobalDiscount * (globalTaxRate / 100);
-  const grandTotal = afterGlobalDiscount + globalTaxAmount;
-  
   return {
     items: calculatedItems,
-    subtotal,
-    totalDiscount,
-    totalTax,
+    subtotal: roundCurrency(subtotal),
+    totalDiscount: roundCurrency(totalDiscount),
+    totalTax: roundCurrency(totalTax),
     globalDiscount,
-    globalTaxRate,
-    globalTaxAmount,
-    grandTotal,
+    pricesIncludeTax,
+    taxBreakdown: Object.values(breakdown),
+    grandTotal: roundCurrency(grandTotal),
   };
 }
 
+/**
+ * Printable tax lines for a sale, one per rate, e.g. ['Commercial Tax 5%', 850]
+ * Inclusive taxes are labelled "incl." since they are already in the total.
+ */
+function taxLines(sale) {
+  const suffix = sale.pricesIncludeTax ? ' (incl.)' : '';
+  const breakdown = (sale.taxBreakdown || []).filter(entry => entry.taxAmount);
+  
+  if (breakdown.length === 0) {
+    return sale.totalTax ? [[`Tax${suffix}`, sale.totalTax]] : [];
+  }
+  
+  return breakdown.map(entry => [`${entry.name || 'Tax'} ${entry.rate}%${suffix}`, entry.taxAmount]);
+}
+
+/**
+ * Round a monetary amount to 2 decimal places
+ */
+function roundCurrency(amount) {
+  return Math.round((amount + Number.EPSILON) * 100) / 100;
+}
+
 /**
  * Sanitize object for response (remove sensitive fields)
  */
@@ -140,6 +236,87 @@ function formatCurrency(amount, currency = 'MMK') {
   }).format(amount);
 }
 
+/**
+ * Format a plain amount for printed documents (thousands separators, up to 2 decimals)
+ */
+function formatAmount(amount) {
+  return Number(amount || 0).toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+const SCALES = ['', 'Thousand', 'Million', 'Billion', 'Trillion'];
+
+// Major/minor unit names used when writing amounts in words
+const CURRENCY_UNITS = {
+  MMK: ['Kyats', 'Pyas'],
+  USD: ['Dollars', 'Cents'],
+  THB: ['Baht', 'Satang'],
+  SGD: ['Dollars', 'Cents'],
+};
+
+/**
+ * Spell out a whole number below one thousand
+ */
+function hundredsToWords(num) {
+  const words = [];
+  
+  if (num >= 100) {
+    words.push(ONES[Math.floor(num / 100)], 'Hundred');
+    num %= 100;
+  }
+  
+  if (num >= 20) {
+    words.push(TENS[Math.floor(num / 10)]);
+    num %= 10;
+  }
+  
+  if (num > 0) words.push(ONES[num]);
+  
+  return words.join(' ');
+}
+
+/**
+ * Spell out a whole number (e.g. 1250 -> "One Thousand Two Hundred Fifty")
+ */
+function numberToWords(num) {
+  num = Math.floor(Math.abs(num));
+  if (num === 0) return 'Zero';
+  
+  const groups = [];
+  let scale = 0;
+  
+  while (num > 0) {
+    const chunk = num % 1000;
+    if (chunk > 0) {
+      groups.unshift([hundredsToWords(chunk), SCALES[scale]].filter(Boolean).join(' '));
+    }
+    num = Math.floor(num / 1000);
+    scale++;
+  }
+  
+  return groups.join(' ');
+}
+
+/**
+ * Write a monetary amount in words for invoices
+ * e.g. 120000.5 MMK -> "One Hundred Twenty Thousand Kyats and Fifty Pyas Only"
+ */
+function amountInWords(amount, currency = 'MMK') {
+  const [major, minor] = CURRENCY_UNITS[currency] || [currency, 'Cents'];
+  const rounded = roundCurrency(Math.abs(amount));
+  const whole = Math.floor(rounded);
+  const fraction = Math.round((rounded - whole) * 100);
+  
+  let words = `${numberToWords(whole)} ${major}`;
+  if (fraction > 0) {
+    words += ` and ${numberToWords(fraction)} ${minor}`;
+  }
+  
+  return `${words} Only`;
+}
+
 /**
  * Parse query parameters for pagination
  */
@@ -196,12 +373,19 @@ function sleep(ms) {
 module.exports = {
   generateId,
   generateInvoiceNumber,
+  getDateParts,
+  getLocalTime,
   calculateLineItem,
   calculateOrderTotals,
+  taxLines,
+  roundCurrency,
   sanitizeUser,
   isValidEmail,
   validatePassword,
   formatCurrency,
+  formatAmount,
+  numberToWords,
+  amountInWords,
   parsePagination,
   parseSort,
   parseFilter,
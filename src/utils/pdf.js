@@ -0,0 +1,187 @@
+/**
+ * Minimal PDF writer for generated documents (invoices)
+ *
+ * Supports text in the built-in Helvetica fonts, lines, filled rectangles
+ * and a diagonal background watermark. Coordinates are in points with the
+ * origin at the top-left of the page. Text is WinAnsi (Latin-1); other
+ * characters are replaced with '?'.
+ */
+
+// A4 portrait in points
+const PAGE_SIZES = {
+  A4: [595.28, 841.89],
+};
+
+// Helvetica glyph widths (1/1000 em) for ASCII 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+const toLatin1 = (str) => String(str).replace(/[^\x20-\xff]/g, '?');
+
+const escapeText = (str) => toLatin1(str).replace(/([\\()])/g, '\\$1');
+
+const num = (n) => Number(n.toFixed(2)).toString();
+
+const colorOp = (color = [0, 0, 0], stroke = false) => `${color.map(num).join(' ')} ${stroke ? 'RG' : 'rg'}`;
+
+class PdfDocument {
+  constructor(size = 'A4') {
+    [this.width, this.height] = PAGE_SIZES[size] || PAGE_SIZES.A4;
+    this.pages = [];
+    this.background = [];
+    this.addPage();
+  }
+  
+  addPage() {
+    this.page = { content: [] };
+    this.pages.push(this.page);
+    return this;
+  }
+  
+  /**
+   * Approximate rendered width of a string (bold is treated as regular + 5%)
+   */
+  textWidth(str, size = 10, bold = false) {
+    const units = toLatin1(str).split('').reduce((sum, ch) => {
+      const code = ch.charCodeAt(0);
+      return sum + (HELVETICA_WIDTHS[code - 32] || 556);
+    }, 0);
+    return (units * size / 1000) * (bold ? 1.05 : 1);
+  }
+  
+  /**
+   * Draw text with its top-left at (x, y); align 'right' or 'center'
+   * positions the text within `width` starting at x
+   */
+  text(str, x, y, options = {}) {
+    const { size = 10, bold = false, align = 'left', width = 0, color } = options;
+    let left = x;
+    
+    if (align === 'right') left = x + width - this.textWidth(str, size, bold);
+    if (align === 'center') left = x + (width - this.textWidth(str, size, bold)) / 2;
+    
+    this.page.content.push(
+      'BT',
+      colorOp(color),
+      `/${bold ? 'F2' : 'F1'} ${num(size)} Tf`,
+      `${num(left)} ${num(this.height - y - size)} Td`,
+      `(${escapeText(str)}) Tj`,
+      'ET'
+    );
+    return this;
+  }
+  
+  /**
+   * Break text into lines that fit within `width`
+   */
+  wrap(str, width, size = 10, bold = false) {
+    const lines = [];
+    let current = '';
+    
+    String(str || '').split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = current ? `${current} ${word}` : word;
+      if (current && this.textWidth(candidate, size, bold) > width) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = candidate;
+      }
+    });
+    if (current) lines.push(current);
+    
+    return lines;
+  }
+  
+  line(x1, y1, x2, y2, options = {}) {
+    const { width = 0.5, color } = options;
+    this.page.content.push(
+      colorOp(color, true),
+      `${num(width)} w`,
+      `${num(x1)} ${num(this.height - y1)} m ${num(x2)} ${num(this.height - y2)} l S`
+    );
+    return this;
+  }
+  
+  rect(x, y, w, h, options = {}) {
+    const { fill = [0.93, 0.93, 0.93] } = options;
+    this.page.content.push(
+      colorOp(fill),
+      `${num(x)} ${num(this.height - y - h)} ${num(w)} ${num(h)} re f`
+    );
+    return this;
+  }
+  
+  /**
+   * Large diagonal text drawn behind the content of every page
+   */
+  watermark(str, options = {}) {
+    const { size = 72, color = [0.88, 0.88, 0.88] } = options;
+    const angle = Math.atan2(this.height, this.width);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const half = this.textWidth(str, size, true) / 2;
+    const x = this.width / 2 - half * cos + (size / 3) * sin;
+    const y = this.height / 2 - half * sin - (size / 3) * cos;
+    
+    this.background = [
+      'BT',
+      colorOp(color),
+      `/F2 ${num(size)} Tf`,
+      `${num(cos)} ${num(sin)} ${num(-sin)} ${num(cos)} ${num(x)} ${num(y)} Tm`,
+      `(${escapeText(str)}) Tj`,
+      'ET',
+    ];
+    return this;
+  }
+  
+  toBuffer() {
+    const objects = [];
+    const pageRefs = [];
+    
+    // 1: catalog, 2: page tree, 3-4: fonts; pages and content streams follow
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+    
+    this.pages.forEach((page, index) => {
+      const pageId = 5 + index * 2;
+      const contentId = pageId + 1;
+      const stream = [...this.background, ...page.content].join('\n');
+      
+      pageRefs.push(`${pageId} 0 R`);
+      objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(this.width)} ${num(this.height)}] `
+        + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`;
+      objects[contentId] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+    });
+    
+    objects[2] = `<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${this.pages.length} >>`;
+    
+    let output = '%PDF-1.4\n';
+    const offsets = [];
+    
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = Buffer.byteLength(output, 'latin1');
+      output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+    
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+      output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+module.exports = {
+  PdfDocument,
+  PAGE_SIZES,
+};